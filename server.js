@@ -1,6 +1,15 @@
-import { app } from "./src/app.js";
+import { app, wsService, aprService, rankingService } from "./src/app.js";
 import { config } from "./src/config/index.js";
 import { BlockchainService } from "./src/services/blockchain.js";
+import { EventIndexer } from "./src/services/eventIndexer.js";
+import { CommissionTracker } from "./src/services/commissionTracker.js";
+import { NetworkSnapshotter } from "./src/services/networkSnapshotter.js";
+import { WebhookService } from "./src/services/webhooks.js";
+import { UnbondingScheduler } from "./src/services/unbondingScheduler.js";
+import { UptimeTracker } from "./src/services/uptimeTracker.js";
+import { ValidatorSetHistory } from "./src/services/validatorSetHistory.js";
+import { SlashHistory } from "./src/services/slashHistory.js";
+import { CacheInvalidationBus } from "./src/services/cacheInvalidation.js";
 import { Logger } from "./src/utils/logger.js";
 
 const logger = new Logger('Server');
@@ -43,6 +52,18 @@ async function startServer() {
       logger.warn('Blockchain connection failed, running in offline mode');
     }
 
+    // Start background contract event indexer
+    EventIndexer.start(wsService);
+    CommissionTracker.start();
+    ValidatorSetHistory.start();
+    SlashHistory.start();
+    NetworkSnapshotter.start({ aprService });
+    UptimeTracker.start(wsService);
+    rankingService.start();
+    UnbondingScheduler.start(wsService);
+    WebhookService.start(wsService);
+    CacheInvalidationBus.start(wsService, { rankingService });
+
     // Start server
     app.listen(config.server.port, () => {
       logger.success(`API server started on port ${config.server.port}`);
@@ -7,21 +7,39 @@ import { healthRoutes } from "./routes/health.js";
 import { validatorRoutes } from "./routes/validators.js";
 import { delegatorAndStakingRoutes } from "./routes/delegators.js";
 import { statsRoutes } from "./routes/stats.js";
+import { txRoutes } from "./routes/transactions.js";
 import { websocketRoutes } from "./routes/websocket.js";
+import { eventStreamRoutes } from "./routes/events.js";
+import { webhookRoutes } from "./routes/webhooks.js";
+import { unbondingRoutes } from "./routes/unbonding.js";
+import { slashRoutes } from "./routes/slashes.js";
+import { validatorSetRoutes } from "./routes/validatorSet.js";
 import { aprRoutes } from "./routes/apr.js";
 import { rankingRoutes } from './routes/ranking.js';
 import { config, APR_CONFIG } from "./config/index.js";
 import { WebSocketService } from "./services/websocket.js";
 import APRCalculatorService from "./services/aprCalculator.js";
 import { DelegatorRankingService } from './services/rankingService.js';
-import { ethers } from "ethers";
 import validatorABI from "./abi/Validators.abi.json";
 import { BlockchainService } from "./services/blockchain.js";
+import { EventIndexer } from "./services/eventIndexer.js";
+import { TxTracker } from "./services/txTracker.js";
+import { WebhookService } from "./services/webhooks.js";
+import { UnbondingScheduler } from "./services/unbondingScheduler.js";
+import { UptimeTracker } from "./services/uptimeTracker.js";
+import { ValidatorSetHistory } from "./services/validatorSetHistory.js";
+import { SlashHistory } from "./services/slashHistory.js";
+import { CommissionTracker } from "./services/commissionTracker.js";
+import { NetworkSnapshotter } from "./services/networkSnapshotter.js";
+import { CacheInvalidationBus } from "./services/cacheInvalidation.js";
+import { cacheManager } from "./services/cache.js";
+import { DatabaseService } from "./services/database.js";
 
 // ========================================
 // PROVIDER INITIALIZATION - SHARED
 // ========================================
-const provider = new ethers.JsonRpcProvider(config.rpc.url);
+// Contract reads from every service are batched by the shared provider
+const provider = BlockchainService.getProvider();
 
 // ========================================
 // SERVICE INITIALIZATION
@@ -58,22 +76,19 @@ BigInt.prototype.toJSON = function() {
 };
 
 // Initialize services
-const wsService = new WebSocketService(
-  config.rpc.url,
-  config.contracts.validators
-);
+const wsService = new WebSocketService(config.contracts.validators);
 
 const aprService = initAPRService(config.rpc.url, config.contracts.validators);
+wsService.startAPRUpdates(aprService);
 
 // Initialize Delegator Ranking Service
-const rankingService = new DelegatorRankingService(
-  new ethers.Contract(config.contracts.validators, validatorABI, provider)
-);
+const rankingService = new DelegatorRankingService(BlockchainService.getContract());
 
 // Create main application
 const app = new Elysia()
   .onAfterHandle(({ response, set }) => {
-    if (typeof response === 'object' && response !== null) {
+    // Streaming responses (SSE) are passed through untouched
+    if (typeof response === 'object' && response !== null && !(response instanceof Response)) {
       set.headers['content-type'] = 'application/json; charset=utf-8';
       
       const shouldPretty = process.env.PRETTY_JSON === 'true' || 
@@ -97,7 +112,13 @@ const app = new Elysia()
   .use(validatorRoutes)
   .use(delegatorAndStakingRoutes)
   .use(statsRoutes)
+  .use(txRoutes)
   .use(websocketRoutes(wsService))
+  .use(eventStreamRoutes(wsService))
+  .use(webhookRoutes)
+  .use(unbondingRoutes)
+  .use(slashRoutes)
+  .use(validatorSetRoutes)
   .use(rankingRoutes(rankingService)); // Add ranking routes
 
 // ========================================
@@ -138,6 +159,20 @@ app.onError(({ error, code, set }) => {
 const gracefulShutdown = () => {
   console.log('Shutting down gracefully...');
   wsService.destroy();
+  EventIndexer.stop();
+  TxTracker.stop();
+  WebhookService.stop();
+  UnbondingScheduler.stop();
+  CacheInvalidationBus.stop();
+  UptimeTracker.stop();
+  ValidatorSetHistory.stop();
+  SlashHistory.stop();
+  CommissionTracker.stop();
+  NetworkSnapshotter.stop();
+  rankingService.stop();
+  cacheManager.destroy();
+  DatabaseService.close();
+  BlockchainService.destroy();
   
   if (aprService) {
     console.log('APR Calculator Service cleanup completed');
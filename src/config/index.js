@@ -1,24 +1,99 @@
 import { z } from "zod";
 
-const configSchema = z.object({
+export const configSchema = z.object({
   server: z.object({
     port: z.number().min(1000).max(65535),
-    env: z.enum(['development', 'production', 'test'])
+    env: z.enum(['development', 'production', 'test']),
+    trustProxy: z.boolean().default(false)
   }),
   rpc: z.object({
     url: z.string().url(),
-    timeout: z.number().default(30000)
+    urls: z.array(z.string().url()).min(1),
+    chainId: z.number().optional(),
+    timeout: z.number().default(30000),
+    batchMaxCount: z.number().min(1).default(100),
+    healthCheckInterval: z.number().min(1000).default(15000),
+    maxBlockLag: z.number().min(0).default(5),
+    maxFailures: z.number().min(1).default(3),
+    cooldown: z.number().min(0).default(30000),
+    multicall: z.object({
+      enabled: z.boolean().default(true),
+      address: z.string().regex(/^0x[a-fA-F0-9]{40}$/).optional(),
+      batchWindow: z.number().min(0).default(10),
+      maxBatchSize: z.number().min(1).default(100)
+    })
   }),
   contracts: z.object({
     validators: z.string().regex(/^0x[a-fA-F0-9]{40}$/)
   }),
   cache: z.object({
     duration: z.number().min(1000).default(30000),
-    maxSize: z.number().default(1000)
+    maxSize: z.number().default(1000),
+    backend: z.enum(['memory', 'redis', 'file']).default('memory'),
+    redisUrl: z.string().default('redis://127.0.0.1:6379'),
+    redisPrefix: z.string().default('adera:'),
+    redisTimeout: z.number().min(100).default(2000),
+    filePath: z.string().default('./data/cache.db')
   }),
   cors: z.object({
     origin: z.string().default("*")
   }),
+  database: z.object({
+    path: z.string().default('./data/api.db')
+  }),
+  indexer: z.object({
+    enabled: z.boolean().default(true),
+    startBlock: z.number().min(0).default(0),
+    batchSize: z.number().min(1).default(2000),
+    pollInterval: z.number().min(1000).default(5000),
+    confirmations: z.number().min(0).default(64)
+  }),
+  blockTime: z.object({
+    sampleSize: z.number().min(2).default(50),
+    refreshInterval: z.number().min(1000).default(60000),
+    driftThreshold: z.number().min(0).default(0.2),
+    fallback: z.number().positive().default(3)
+  }),
+  ranking: z.object({
+    persist: z.boolean().default(true),
+    rebuildInterval: z.number().min(60000).default(3600000)
+  }),
+  websocket: z.object({
+    aprUpdateInterval: z.number().min(5000).default(60000),
+    replayBufferSize: z.number().min(0).default(1000),
+    sseHeartbeatInterval: z.number().min(1000).default(8000),
+    reorgDepth: z.number().min(1).default(64)
+  }),
+  txTracker: z.object({
+    confirmations: z.number().min(1).default(12),
+    pollInterval: z.number().min(500).default(3000),
+    dropTimeout: z.number().min(10000).default(600000),
+    retention: z.number().min(60000).default(3600000),
+    maxTracked: z.number().min(1).default(1000),
+    maxPerClient: z.number().min(1).default(20),
+    unseenTimeout: z.number().min(5000).default(60000)
+  }),
+  uptime: z.object({
+    enabled: z.boolean().default(true),
+    windows: z.array(z.number().int().min(10)).min(1).default([1000, 10000, 100000]),
+    backfillBlocks: z.number().min(0).default(10000),
+    retentionBlocks: z.number().min(10).default(200000),
+    pollInterval: z.number().min(1000).default(5000)
+  }),
+  webhooks: z.object({
+    enabled: z.boolean().default(true),
+    maxAttempts: z.number().min(1).default(6),
+    retryBaseDelay: z.number().min(100).default(5000),
+    retryMaxDelay: z.number().min(1000).default(3600000),
+    timeout: z.number().min(1000).default(10000),
+    pollInterval: z.number().min(500).default(5000),
+    adminKey: z.string().min(16).nullable().default(null),
+    allowPrivateTargets: z.boolean().default(false)
+  }),
+  snapshots: z.object({
+    commissionInterval: z.number().min(10000).default(600000),
+    networkInterval: z.number().min(10000).default(900000)
+  }),
   logging: z.object({
     level: z.enum(['error', 'warn', 'info', 'debug']).default('info'),
     enableConsole: z.boolean().default(true),
@@ -26,25 +101,113 @@ const configSchema = z.object({
   })
 });
 
+// RPC_URLS takes a comma-separated list of endpoints, RPC_URL a single one
+const rpcUrls = (process.env.RPC_URLS || process.env.RPC_URL || 'https://rpc-data.oorthnexus.xyz')
+  .split(',')
+  .map(url => url.trim())
+  .filter(Boolean);
+
+// parseInt with a fallback that still lets 0 through
+const intEnv = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+};
+
 const rawConfig = {
   server: {
     port: parseInt(process.env.PORT) || 3001,
-    env: process.env.NODE_ENV || 'development'
+    env: process.env.NODE_ENV || 'development',
+    trustProxy: process.env.TRUST_PROXY === 'true'
   },
   rpc: {
-    url: process.env.RPC_URL || 'https://rpc-data.oorthnexus.xyz',
-    timeout: parseInt(process.env.RPC_TIMEOUT) || 30000
+    url: rpcUrls[0],
+    urls: rpcUrls,
+    chainId: parseInt(process.env.RPC_CHAIN_ID) || undefined,
+    timeout: parseInt(process.env.RPC_TIMEOUT) || 30000,
+    batchMaxCount: parseInt(process.env.RPC_BATCH_MAX_COUNT) || 100,
+    healthCheckInterval: parseInt(process.env.RPC_HEALTH_CHECK_INTERVAL) || 15000,
+    maxBlockLag: intEnv('RPC_MAX_BLOCK_LAG', 5),
+    maxFailures: parseInt(process.env.RPC_MAX_FAILURES) || 3,
+    cooldown: intEnv('RPC_COOLDOWN', 30000),
+    multicall: {
+      enabled: process.env.MULTICALL_ENABLED !== 'false',
+      address: process.env.MULTICALL_ADDRESS,
+      batchWindow: parseInt(process.env.MULTICALL_BATCH_WINDOW) || 10,
+      maxBatchSize: parseInt(process.env.MULTICALL_MAX_BATCH) || 100
+    }
   },
   contracts: {
     validators: process.env.VALIDATORS_CONTRACT_ADDRESS || '0x1234567890123456789012345678901234567890'
   },
   cache: {
     duration: parseInt(process.env.CACHE_DURATION) || 30000,
-    maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 1000
+    maxSize: parseInt(process.env.CACHE_MAX_SIZE) || 1000,
+    backend: process.env.CACHE_BACKEND || 'memory',
+    redisUrl: process.env.CACHE_REDIS_URL || 'redis://127.0.0.1:6379',
+    redisPrefix: process.env.CACHE_REDIS_PREFIX ?? 'adera:',
+    redisTimeout: parseInt(process.env.CACHE_REDIS_TIMEOUT) || 2000,
+    filePath: process.env.CACHE_FILE_PATH || './data/cache.db'
   },
   cors: {
     origin: process.env.CORS_ORIGIN || "*"
   },
+  database: {
+    path: process.env.DB_PATH || './data/api.db'
+  },
+  indexer: {
+    enabled: process.env.INDEXER_ENABLED !== 'false',
+    startBlock: parseInt(process.env.INDEXER_START_BLOCK) || 0,
+    batchSize: parseInt(process.env.INDEXER_BATCH_SIZE) || 2000,
+    pollInterval: parseInt(process.env.INDEXER_POLL_INTERVAL) || 5000,
+    // Behind the reorg window unless set, 0 indexes up to the head
+    confirmations: intEnv('INDEXER_CONFIRMATIONS', parseInt(process.env.WS_REORG_DEPTH) || 64)
+  },
+  blockTime: {
+    sampleSize: parseInt(process.env.BLOCK_TIME_SAMPLE_SIZE) || 50,
+    refreshInterval: parseInt(process.env.BLOCK_TIME_REFRESH_INTERVAL) || 60000,
+    driftThreshold: parseFloat(process.env.BLOCK_TIME_DRIFT_THRESHOLD) || 0.2,
+    fallback: parseFloat(process.env.BLOCK_TIME_FALLBACK) || 3
+  },
+  ranking: {
+    persist: process.env.RANKING_PERSIST !== 'false',
+    rebuildInterval: parseInt(process.env.RANKING_REBUILD_INTERVAL) || 3600000
+  },
+  websocket: {
+    aprUpdateInterval: parseInt(process.env.WS_APR_UPDATE_INTERVAL) || 60000,
+    replayBufferSize: parseInt(process.env.WS_REPLAY_BUFFER_SIZE) || 1000,
+    sseHeartbeatInterval: parseInt(process.env.SSE_HEARTBEAT_INTERVAL) || 8000,
+    reorgDepth: parseInt(process.env.WS_REORG_DEPTH) || 64
+  },
+  txTracker: {
+    confirmations: parseInt(process.env.TX_CONFIRMATIONS) || 12,
+    pollInterval: parseInt(process.env.TX_POLL_INTERVAL) || 3000,
+    dropTimeout: parseInt(process.env.TX_DROP_TIMEOUT) || 600000,
+    retention: parseInt(process.env.TX_RETENTION) || 3600000,
+    maxTracked: parseInt(process.env.TX_MAX_TRACKED) || 1000,
+    maxPerClient: parseInt(process.env.TX_MAX_PER_CLIENT) || 20,
+    unseenTimeout: parseInt(process.env.TX_UNSEEN_TIMEOUT) || 60000
+  },
+  uptime: {
+    enabled: process.env.UPTIME_ENABLED !== 'false',
+    windows: (process.env.UPTIME_WINDOWS || '1000,10000,100000').split(',').map(value => parseInt(value)),
+    backfillBlocks: parseInt(process.env.UPTIME_BACKFILL_BLOCKS) || 10000,
+    retentionBlocks: parseInt(process.env.UPTIME_RETENTION_BLOCKS) || 200000,
+    pollInterval: parseInt(process.env.UPTIME_POLL_INTERVAL) || 5000
+  },
+  webhooks: {
+    enabled: process.env.WEBHOOKS_ENABLED !== 'false',
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    retryBaseDelay: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY) || 5000,
+    retryMaxDelay: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY) || 3600000,
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+    pollInterval: parseInt(process.env.WEBHOOK_POLL_INTERVAL) || 5000,
+    adminKey: process.env.WEBHOOK_ADMIN_KEY || null,
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true'
+  },
+  snapshots: {
+    commissionInterval: parseInt(process.env.COMMISSION_SNAPSHOT_INTERVAL) || 600000,
+    networkInterval: parseInt(process.env.NETWORK_SNAPSHOT_INTERVAL) || 900000
+  },
   logging: {
     level: process.env.LOG_LEVEL || 'info',
     enableConsole: process.env.LOG_CONSOLE !== 'false',
@@ -5,7 +5,6 @@ const requestLogger = new Logger('API');
 export const logger = (app) => app
   .onRequest(({ request, set }) => {
     const start = Date.now();
-    const url = new URL(request.url);
     
     // Store start time for response logging
     set.headers['x-request-start'] = start.toString();
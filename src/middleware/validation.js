@@ -1,5 +1,3 @@
-import { responseWrapper } from "../utils/response.js";
-
 export const validationMiddleware = (app) => app
   .onTransform(({ body, query, params, set }) => {
     // Add custom validation logic here if needed
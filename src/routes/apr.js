@@ -6,9 +6,10 @@
 // ============================================================================
 
 import { Elysia } from 'elysia';
-import APRCalculatorService from '../services/aprCalculator.js';
 import { responseWrapper } from '../utils/response.js';
 import { Logger } from '../utils/logger.js';
+import { BlockchainService } from '../services/blockchain.js';
+import { pointInTimeError, pointInTimeMeta } from '../utils/pointInTime.js';
 
 // Create logger instance for APR routes
 const logger = new Logger('APR');
@@ -17,7 +18,7 @@ const logger = new Logger('APR');
 // ROUTE CONFIGURATION - EASY TO MODIFY
 // ========================================
 const ROUTE_CONFIG = {
-    // Default block time (1 atau 5)
+    // Default block time (1, 5 atau 'auto' = measured on chain)
     DEFAULT_BLOCK_TIME: 1,
 
     // Rate limiting untuk APR endpoints
@@ -30,7 +31,23 @@ const ROUTE_CONFIG = {
     CACHE_DURATION: 30,
 
     // Maximum validators untuk batch calculation
-    MAX_VALIDATORS_BATCH: 50
+    MAX_VALIDATORS_BATCH: 50,
+
+    // Maximum validators returned by top-validators ranking
+    MAX_TOP_VALIDATORS: 100,
+
+    // Default trailing window untuk empirical APR (7d atau 30d)
+    DEFAULT_EMPIRICAL_WINDOW: '7d'
+};
+
+/**
+ * Parse blockTime option: 1, 5 atau 'auto' (measured on chain); null kalau invalid
+ */
+const parseBlockTime = (value) => {
+    if (value === 'auto') return 'auto';
+
+    const blockTime = parseInt(value) || ROUTE_CONFIG.DEFAULT_BLOCK_TIME;
+    return blockTime === 1 || blockTime === 5 ? blockTime : null;
 };
 
 export const aprRoutes = (aprCalculatorService) => {
@@ -42,15 +59,15 @@ export const aprRoutes = (aprCalculatorService) => {
         .get('/delegator/:delegatorAddress/validator/:validatorAddress', async ({ params, query, set }) => {
             try {
                 const { delegatorAddress, validatorAddress } = params;
-                const blockTime = parseInt(query.blockTime) || ROUTE_CONFIG.DEFAULT_BLOCK_TIME;
+                const blockTime = parseBlockTime(query.blockTime);
 
                 // Validate block time
-                if (blockTime !== 1 && blockTime !== 5) {
+                if (blockTime === null) {
                     set.status = 400;
                     return responseWrapper.error(
-                        'Block time must be either 1 or 5 seconds',
+                        'Block time must be 1, 5 or auto',
                         'INVALID_BLOCK_TIME',
-                        { validOptions: [1, 5] }
+                        { validOptions: [1, 5, 'auto'] }
                     );
                 }
 
@@ -65,12 +82,16 @@ export const aprRoutes = (aprCalculatorService) => {
                     return responseWrapper.error('Invalid validator address format', 'INVALID_VALIDATOR_ADDRESS');
                 }
 
-                logger.api(`/api/apr/delegator/${delegatorAddress}/validator/${validatorAddress}`, 'GET', { blockTime });
+                const pointInTime = await BlockchainService.resolveBlockTag(query);
+
+                logger.api(`/api/apr/delegator/${delegatorAddress}/validator/${validatorAddress}`, 'GET', { blockTime, atBlock: pointInTime?.blockNumber });
 
                 const result = await aprCalculatorService.calculateDelegatorAPR(
                     delegatorAddress,
                     validatorAddress,
-                    blockTime
+                    blockTime,
+                    false,
+                    pointInTime?.blockNumber
                 );
 
                 if (!result.success) {
@@ -85,9 +106,12 @@ export const aprRoutes = (aprCalculatorService) => {
                     apr: result.data.apr
                 });
 
-                return responseWrapper.success(result.data, 'APR calculated successfully');
+                return responseWrapper.success(result.data, 'APR calculated successfully', pointInTimeMeta(pointInTime));
 
             } catch (error) {
+                const pointInTimeResponse = pointInTimeError(error, set);
+                if (pointInTimeResponse) return pointInTimeResponse;
+
                 logger.error('Error calculating delegator APR:', error);
                 set.status = 500;
                 return responseWrapper.error('Failed to calculate APR', 'INTERNAL_ERROR');
@@ -100,7 +124,8 @@ export const aprRoutes = (aprCalculatorService) => {
         .post('/delegator/:delegatorAddress/batch', async ({ params, body, set }) => {
             try {
                 const { delegatorAddress } = params;
-                const { validatorAddresses, blockTime = ROUTE_CONFIG.DEFAULT_BLOCK_TIME } = body;
+                const { validatorAddresses } = body;
+                const blockTime = parseBlockTime(body.blockTime);
 
                 // Validate input
                 if (!Array.isArray(validatorAddresses) || validatorAddresses.length === 0) {
@@ -119,23 +144,27 @@ export const aprRoutes = (aprCalculatorService) => {
                     );
                 }
 
-                if (blockTime !== 1 && blockTime !== 5) {
+                if (blockTime === null) {
                     set.status = 400;
                     return responseWrapper.error(
-                        'Block time must be either 1 or 5 seconds',
+                        'Block time must be 1, 5 or auto',
                         'INVALID_BLOCK_TIME'
                     );
                 }
 
+                const pointInTime = await BlockchainService.resolveBlockTag(body);
+
                 logger.api(`/api/apr/delegator/${delegatorAddress}/batch`, 'POST', {
                     validatorCount: validatorAddresses.length,
-                    blockTime
+                    blockTime,
+                    atBlock: pointInTime?.blockNumber
                 });
 
                 const result = await aprCalculatorService.calculateDelegatorAPRBatch(
                     delegatorAddress,
                     validatorAddresses,
-                    blockTime
+                    blockTime,
+                    pointInTime?.blockNumber
                 );
 
                 logger.success('Batch APR calculation completed', {
@@ -143,9 +172,12 @@ export const aprRoutes = (aprCalculatorService) => {
                     validatorCount: validatorAddresses.length
                 });
 
-                return responseWrapper.success(result, 'Batch APR calculation completed');
+                return responseWrapper.success(result, 'Batch APR calculation completed', pointInTimeMeta(pointInTime));
 
             } catch (error) {
+                const pointInTimeResponse = pointInTimeError(error, set);
+                if (pointInTimeResponse) return pointInTimeResponse;
+
                 logger.error('Error in batch APR calculation:', error);
                 set.status = 500;
                 return responseWrapper.error('Failed to calculate batch APR', 'INTERNAL_ERROR');
@@ -157,19 +189,21 @@ export const aprRoutes = (aprCalculatorService) => {
         // ====================================================================
         .get('/average', async ({ query, set }) => {
             try {
-                const blockTime = parseInt(query.blockTime) || ROUTE_CONFIG.DEFAULT_BLOCK_TIME;
+                const blockTime = parseBlockTime(query.blockTime);
 
-                if (blockTime !== 1 && blockTime !== 5) {
+                if (blockTime === null) {
                     set.status = 400;
                     return responseWrapper.error(
-                        'Block time must be either 1 or 5 seconds',
+                        'Block time must be 1, 5 or auto',
                         'INVALID_BLOCK_TIME'
                     );
                 }
 
-                logger.api('/api/apr/average', 'GET', { blockTime });
+                const pointInTime = await BlockchainService.resolveBlockTag(query);
+
+                logger.api('/api/apr/average', 'GET', { blockTime, atBlock: pointInTime?.blockNumber });
 
-                const result = await aprCalculatorService.calculateAverageAPR(blockTime);
+                const result = await aprCalculatorService.calculateAverageAPR(blockTime, pointInTime?.blockNumber);
 
                 if (!result.success) {
                     set.status = 500;
@@ -181,9 +215,12 @@ export const aprRoutes = (aprCalculatorService) => {
                     validatorsIncluded: result.data.validatorsIncluded
                 });
 
-                return responseWrapper.success(result.data, 'Average APR calculated successfully');
+                return responseWrapper.success(result.data, 'Average APR calculated successfully', pointInTimeMeta(pointInTime));
 
             } catch (error) {
+                const pointInTimeResponse = pointInTimeError(error, set);
+                if (pointInTimeResponse) return pointInTimeResponse;
+
                 logger.error('Error calculating average APR:', error);
                 set.status = 500;
                 return responseWrapper.error('Failed to calculate average APR', 'INTERNAL_ERROR');
@@ -193,16 +230,18 @@ export const aprRoutes = (aprCalculatorService) => {
         // ====================================================================
         // APR COMPARISON BETWEEN BLOCK TIMES
         // ====================================================================
-        .get('/delegator/:delegatorAddress/validator/:validatorAddress/compare', async ({ params, set }) => {
+        .get('/delegator/:delegatorAddress/validator/:validatorAddress/compare', async ({ params, query, set }) => {
             try {
                 const { delegatorAddress, validatorAddress } = params;
+                const pointInTime = await BlockchainService.resolveBlockTag(query);
+                const blockTag = pointInTime?.blockNumber;
 
-                logger.api(`/api/apr/delegator/${delegatorAddress}/validator/${validatorAddress}/compare`, 'GET');
+                logger.api(`/api/apr/delegator/${delegatorAddress}/validator/${validatorAddress}/compare`, 'GET', { atBlock: blockTag });
 
                 // Calculate APR for both block times
                 const [apr1s, apr5s] = await Promise.all([
-                    aprCalculatorService.calculateDelegatorAPR(delegatorAddress, validatorAddress, 1),
-                    aprCalculatorService.calculateDelegatorAPR(delegatorAddress, validatorAddress, 5)
+                    aprCalculatorService.calculateDelegatorAPR(delegatorAddress, validatorAddress, 1, false, blockTag),
+                    aprCalculatorService.calculateDelegatorAPR(delegatorAddress, validatorAddress, 5, false, blockTag)
                 ]);
 
                 if (!apr1s.success || !apr5s.success) {
@@ -232,9 +271,12 @@ export const aprRoutes = (aprCalculatorService) => {
                     difference: comparison.difference.apr
                 });
 
-                return responseWrapper.success(comparison, 'APR comparison completed');
+                return responseWrapper.success(comparison, 'APR comparison completed', pointInTimeMeta(pointInTime));
 
             } catch (error) {
+                const pointInTimeResponse = pointInTimeError(error, set);
+                if (pointInTimeResponse) return pointInTimeResponse;
+
                 logger.error('Error comparing APR:', error);
                 set.status = 500;
                 return responseWrapper.error('Failed to compare APR', 'INTERNAL_ERROR');
@@ -244,13 +286,14 @@ export const aprRoutes = (aprCalculatorService) => {
         // ====================================================================
         // MINIMUM STAKE VALIDATION
         // ====================================================================
-        .get('/delegator/:delegatorAddress/validator/:validatorAddress/stake-check', async ({ params, set }) => {
+        .get('/delegator/:delegatorAddress/validator/:validatorAddress/stake-check', async ({ params, query, set }) => {
             try {
                 const { delegatorAddress, validatorAddress } = params;
+                const pointInTime = await BlockchainService.resolveBlockTag(query);
 
-                logger.api(`/api/apr/delegator/${delegatorAddress}/validator/${validatorAddress}/stake-check`, 'GET');
+                logger.api(`/api/apr/delegator/${delegatorAddress}/validator/${validatorAddress}/stake-check`, 'GET', { atBlock: pointInTime?.blockNumber });
 
-                const result = await aprCalculatorService.checkMinimumStake(delegatorAddress, validatorAddress);
+                const result = await aprCalculatorService.checkMinimumStake(delegatorAddress, validatorAddress, pointInTime?.blockNumber);
 
                 if (result.error) {
                     set.status = 400;
@@ -262,9 +305,12 @@ export const aprRoutes = (aprCalculatorService) => {
                     currentStake: result.currentStake
                 });
 
-                return responseWrapper.success(result, 'Minimum stake check completed');
+                return responseWrapper.success(result, 'Minimum stake check completed', pointInTimeMeta(pointInTime));
 
             } catch (error) {
+                const pointInTimeResponse = pointInTimeError(error, set);
+                if (pointInTimeResponse) return pointInTimeResponse;
+
                 logger.error('Error checking minimum stake:', error);
                 set.status = 500;
                 return responseWrapper.error('Failed to check minimum stake', 'INTERNAL_ERROR');
@@ -285,9 +331,11 @@ export const aprRoutes = (aprCalculatorService) => {
                     routeConfig: {
                         defaultBlockTime: ROUTE_CONFIG.DEFAULT_BLOCK_TIME,
                         maxValidatorsBatch: ROUTE_CONFIG.MAX_VALIDATORS_BATCH,
+                        maxTopValidators: ROUTE_CONFIG.MAX_TOP_VALIDATORS,
                         cacheDuration: ROUTE_CONFIG.CACHE_DURATION
                     },
-                    supportedBlockTimes: [1, 5],
+                    supportedBlockTimes: [1, 5, 'auto'],
+                    supportedModes: ['theoretical', 'empirical'],
                     calculationMethod: 'Based on validator rewards and total staking amount'
                 };
 
@@ -309,24 +357,63 @@ export const aprRoutes = (aprCalculatorService) => {
         .get('/validator/:validatorAddress', async ({ params, query, set }) => {
             try {
                 const { validatorAddress } = params;
-                const blockTime = parseInt(query.blockTime) || ROUTE_CONFIG.DEFAULT_BLOCK_TIME;
+                const blockTime = parseBlockTime(query.blockTime);
+                const mode = query.mode || 'theoretical';
+
+                if (mode !== 'theoretical' && mode !== 'empirical') {
+                    set.status = 400;
+                    return responseWrapper.error('Mode must be either theoretical or empirical', 'INVALID_MODE');
+                }
+
+                // Empirical windows end at the requested block instead of the head
+                const pointInTime = await BlockchainService.resolveBlockTag(query);
+                const blockTag = pointInTime?.blockNumber;
+
+                // Empirical mode measures rewards actually paid over a trailing window
+                if (mode === 'empirical') {
+                    if (!validatorAddress.match(/^0x[a-fA-F0-9]{40}$/)) {
+                        set.status = 400;
+                        return responseWrapper.error('Invalid validator address format', 'INVALID_VALIDATOR_ADDRESS');
+                    }
+
+                    const window = query.window || ROUTE_CONFIG.DEFAULT_EMPIRICAL_WINDOW;
 
-                if (blockTime !== 1 && blockTime !== 5) {
+                    logger.api(`/api/apr/validator/${validatorAddress}`, 'GET', { mode, window, atBlock: blockTag });
+
+                    const result = await aprCalculatorService.calculateEmpiricalAPR(validatorAddress, window, blockTag);
+
+                    if (!result.success) {
+                        set.status = result.error === 'INVALID_WINDOW' ? 400 : 500;
+                        return responseWrapper.error(result.message, result.error);
+                    }
+
+                    logger.success('Empirical validator APR calculated', {
+                        validator: validatorAddress,
+                        window,
+                        apr: result.data.apr,
+                        method: result.data.method
+                    });
+
+                    return responseWrapper.success(result.data, 'Empirical validator APR calculated successfully', pointInTimeMeta(pointInTime));
+                }
+
+                if (blockTime === null) {
                     set.status = 400;
-                    return responseWrapper.error('Block time must be either 1 or 5 seconds', 'INVALID_BLOCK_TIME');
+                    return responseWrapper.error('Block time must be 1, 5 or auto', 'INVALID_BLOCK_TIME');
                 }
 
                 // Use minimum stake as example calculation
                 const minStakeAddress = '0x0000000000000000000000000000000000000001'; // Placeholder
 
-                logger.api(`/api/apr/validator/${validatorAddress}`, 'GET', { blockTime });
+                logger.api(`/api/apr/validator/${validatorAddress}`, 'GET', { blockTime, atBlock: blockTag });
 
                 // Get validator info for APR calculation
                 const result = await aprCalculatorService.calculateDelegatorAPR(
                     minStakeAddress,
                     validatorAddress,
                     blockTime,
-                    true  // Skip minimum stake check for theoretical calculation
+                    true,  // Skip minimum stake check for theoretical calculation
+                    blockTag
                 );
 
 
@@ -346,9 +433,12 @@ export const aprRoutes = (aprCalculatorService) => {
                     theoreticalAPR: result.data.apr
                 });
 
-                return responseWrapper.success(result.data, 'Validator APR calculated successfully');
+                return responseWrapper.success(result.data, 'Validator APR calculated successfully', pointInTimeMeta(pointInTime));
 
             } catch (error) {
+                const pointInTimeResponse = pointInTimeError(error, set);
+                if (pointInTimeResponse) return pointInTimeResponse;
+
                 logger.error('Error calculating validator APR:', error);
                 set.status = 500;
                 return responseWrapper.error('Failed to calculate validator APR', 'INTERNAL_ERROR');
@@ -360,30 +450,55 @@ export const aprRoutes = (aprCalculatorService) => {
         // ====================================================================
         .get('/top-validators', async ({ query, set }) => {
             try {
-                const blockTime = parseInt(query.blockTime) || ROUTE_CONFIG.DEFAULT_BLOCK_TIME;
-                const limit = parseInt(query.limit) || 10;
+                const blockTime = parseBlockTime(query.blockTime);
+                const limit = Math.min(parseInt(query.limit) || 10, ROUTE_CONFIG.MAX_TOP_VALIDATORS);
+                const excludeJailed = query.excludeJailed === 'true';
+                const maxCommission = query.maxCommission !== undefined ? parseFloat(query.maxCommission) : undefined;
 
-                if (blockTime !== 1 && blockTime !== 5) {
+                if (blockTime === null) {
                     set.status = 400;
-                    return responseWrapper.error('Block time must be either 1 or 5 seconds', 'INVALID_BLOCK_TIME');
+                    return responseWrapper.error('Block time must be 1, 5 or auto', 'INVALID_BLOCK_TIME');
                 }
 
-                logger.api('/api/apr/top-validators', 'GET', { blockTime, limit });
+                if (limit < 1) {
+                    set.status = 400;
+                    return responseWrapper.error('Limit must be a positive number', 'INVALID_LIMIT');
+                }
 
-                // This would require implementing a method to rank validators by APR
-                // For now, return placeholder structure
-                const result = {
-                    blockTime: blockTime,
-                    limit: limit,
-                    message: 'Feature coming soon - top validators by APR ranking',
-                    note: 'This endpoint will return validators ranked by their APR rates'
-                };
+                // Commission threshold is given in percent (e.g. 10 = 10%)
+                if (maxCommission !== undefined && (isNaN(maxCommission) || maxCommission < 0 || maxCommission > 100)) {
+                    set.status = 400;
+                    return responseWrapper.error('maxCommission must be a percentage between 0 and 100', 'INVALID_COMMISSION');
+                }
 
-                logger.info('Top validators APR ranking requested', { blockTime, limit });
+                const pointInTime = await BlockchainService.resolveBlockTag(query);
 
-                return responseWrapper.success(result, 'Top validators APR ranking');
+                logger.api('/api/apr/top-validators', 'GET', { blockTime, limit, excludeJailed, maxCommission, atBlock: pointInTime?.blockNumber });
+
+                const result = await aprCalculatorService.getTopValidatorsByAPR(blockTime, {
+                    limit,
+                    excludeJailed,
+                    maxCommission,
+                    blockTag: pointInTime?.blockNumber
+                });
+
+                if (!result.success) {
+                    set.status = 500;
+                    return responseWrapper.error(result.message, result.error);
+                }
+
+                logger.info('Top validators APR ranking calculated', {
+                    blockTime,
+                    returned: result.data.validators.length,
+                    cached: result.data.cached
+                });
+
+                return responseWrapper.success(result.data, 'Top validators APR ranking', pointInTimeMeta(pointInTime));
 
             } catch (error) {
+                const pointInTimeResponse = pointInTimeError(error, set);
+                if (pointInTimeResponse) return pointInTimeResponse;
+
                 logger.error('Error getting top validators by APR:', error);
                 set.status = 500;
                 return responseWrapper.error('Failed to get top validators', 'INTERNAL_ERROR');
@@ -407,7 +522,7 @@ export const aprCacheMiddleware = (cache) => {
             const cacheKey = `apr:${url.pathname}:${url.search}`;
 
             // Check cache
-            const cached = cache.get(cacheKey);
+            const cached = await cache.get(cacheKey);
             if (cached) {
                 set.headers['x-cache'] = 'HIT';
                 logger.debug('Cache hit for APR request', { cacheKey });
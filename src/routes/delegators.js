@@ -1,15 +1,22 @@
 import { Elysia, t } from "elysia";
-import { DelegatorService } from "../services/delegator.js";
+import { DelegatorService, DELEGATOR_EVENTS } from "../services/delegator.js";
 import { BlockchainService } from "../services/blockchain.js";
 import { responseWrapper } from "../utils/response.js";
 import { validateAddress } from "../utils/validation.js";
+import { pointInTimeError, pointInTimeMeta } from "../utils/pointInTime.js";
 
 const delegatorService = new DelegatorService();
 
+// State at a past block: atBlock (block number) or atTime (unix seconds / ISO date)
+const pointInTimeQuery = {
+  atBlock: t.Optional(t.Numeric()),
+  atTime: t.Optional(t.String())
+};
+
 export const delegatorRoutes = new Elysia({ prefix: '/api/delegator' })
   
   // Get delegator information
-  .get('/:address', async ({ params, query }) => {
+  .get('/:address', async ({ params, query, set }) => {
     try {
       const { address } = params;
       const includeInactive = query.includeInactive === 'true';
@@ -19,15 +26,17 @@ export const delegatorRoutes = new Elysia({ prefix: '/api/delegator' })
         return responseWrapper.error('Invalid delegator address');
       }
 
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
       const delegatorInfo = await delegatorService.getDelegatorInfo(address, {
         includeInactive,
-        includeHistory
+        includeHistory,
+        blockTag: pointInTime?.blockNumber
       });
 
-      return responseWrapper.success(delegatorInfo);
+      return responseWrapper.success(delegatorInfo, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
@@ -35,23 +44,47 @@ export const delegatorRoutes = new Elysia({ prefix: '/api/delegator' })
     }),
     query: t.Object({
       includeInactive: t.Optional(t.String()),
-      includeHistory: t.Optional(t.String())
+      includeHistory: t.Optional(t.String()),
+      ...pointInTimeQuery
     })
   })
 
-  // Get delegator history
-  .get('/:address/history', async ({ params, query }) => {
+  // Get delegator history (indexed contract events)
+  .get('/:address/history', async ({ params, query, set }) => {
     try {
       const { address } = params;
+      const eventNames = query.eventType ?
+        query.eventType.split(',').map(name => name.trim()).filter(Boolean) :
+        DELEGATOR_EVENTS;
       const options = {
+        page: Math.max(parseInt(query.page) || 1, 1),
         limit: Math.min(parseInt(query.limit) || 50, 100),
-        includeEvents: query.includeEvents === 'true'
+        includeEvents: query.includeEvents === 'true',
+        eventNames,
+        validator: query.validator,
+        fromBlock: query.fromBlock !== undefined ? parseInt(query.fromBlock) : undefined,
+        toBlock: query.toBlock !== undefined ? parseInt(query.toBlock) : undefined,
+        order: query.order || 'desc'
       };
       
       if (!validateAddress(address)) {
         return responseWrapper.error('Invalid delegator address');
       }
 
+      if (options.validator && !validateAddress(options.validator)) {
+        return responseWrapper.error('Invalid validator address');
+      }
+
+      const unknownEvents = eventNames.filter(name => !DELEGATOR_EVENTS.includes(name));
+      if (unknownEvents.length > 0) {
+        set.status = 400;
+        return responseWrapper.error(
+          `Unknown event type: ${unknownEvents.join(', ')}`,
+          'INVALID_EVENT_TYPE',
+          { validOptions: DELEGATOR_EVENTS }
+        );
+      }
+
       const history = await delegatorService.getDelegatorHistory(address, options);
 
       return responseWrapper.success(history);
@@ -64,13 +97,19 @@ export const delegatorRoutes = new Elysia({ prefix: '/api/delegator' })
       address: t.String()
     }),
     query: t.Object({
+      page: t.Optional(t.Numeric()),
       limit: t.Optional(t.Numeric()),
-      includeEvents: t.Optional(t.String())
+      includeEvents: t.Optional(t.String()),
+      eventType: t.Optional(t.String()),
+      validator: t.Optional(t.String()),
+      fromBlock: t.Optional(t.Numeric()),
+      toBlock: t.Optional(t.Numeric()),
+      order: t.Optional(t.Union([t.Literal('asc'), t.Literal('desc')]))
     })
   })
 
   // Get delegator rewards summary
-  .get('/:address/rewards', async ({ params }) => {
+  .get('/:address/rewards', async ({ params, query, set }) => {
     try {
       const { address } = params;
       
@@ -78,7 +117,8 @@ export const delegatorRoutes = new Elysia({ prefix: '/api/delegator' })
         return responseWrapper.error('Invalid delegator address');
       }
 
-      const delegatorInfo = await delegatorService.getDelegatorInfo(address);
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const delegatorInfo = await delegatorService.getDelegatorInfo(address, { blockTag: pointInTime?.blockNumber });
       
       // Calculate rewards breakdown
       const rewardsBreakdown = delegatorInfo.delegations.map(delegation => ({
@@ -104,22 +144,23 @@ export const delegatorRoutes = new Elysia({ prefix: '/api/delegator' })
         rewardsBreakdown,
         averageCommission: delegatorInfo.summary.averageCommission,
         lastUpdated: new Date().toISOString()
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
       address: t.String()
-    })
+    }),
+    query: t.Object(pointInTimeQuery)
   });
 
 // Staking-specific routes
 export const stakingRoutes = new Elysia({ prefix: '/api/staking' })
   
   // Get staking details for specific delegator-validator pair
-  .get('/:delegator/:validator', async ({ params }) => {
+  .get('/:delegator/:validator', async ({ params, query, set }) => {
     try {
       const { delegator, validator } = params;
       
@@ -131,22 +172,24 @@ export const stakingRoutes = new Elysia({ prefix: '/api/staking' })
         return responseWrapper.error('Invalid validator address');
       }
 
-      const stakingDetails = await delegatorService.getStakingDetails(delegator, validator);
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const stakingDetails = await delegatorService.getStakingDetails(delegator, validator, pointInTime?.blockNumber);
 
-      return responseWrapper.success(stakingDetails);
+      return responseWrapper.success(stakingDetails, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
       delegator: t.String(),
       validator: t.String()
-    })
+    }),
+    query: t.Object(pointInTimeQuery)
   })
 
   // Get withdrawal status
-  .get('/:delegator/:validator/withdrawal-status', async ({ params }) => {
+  .get('/:delegator/:validator/withdrawal-status', async ({ params, query, set }) => {
     try {
       const { delegator, validator } = params;
       
@@ -158,27 +201,29 @@ export const stakingRoutes = new Elysia({ prefix: '/api/staking' })
         return responseWrapper.error('Invalid validator address');
       }
 
-      const withdrawalStatus = await delegatorService.getWithdrawalStatus(delegator, validator);
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const withdrawalStatus = await delegatorService.getWithdrawalStatus(delegator, validator, pointInTime?.blockNumber);
 
       return responseWrapper.success({
         delegator,
         validator,
         withdrawal: withdrawalStatus,
         timestamp: new Date().toISOString()
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
       delegator: t.String(),
       validator: t.String()
-    })
+    }),
+    query: t.Object(pointInTimeQuery)
   })
 
   // Get staking rewards for specific pair
-  .get('/:delegator/:validator/rewards', async ({ params }) => {
+  .get('/:delegator/:validator/rewards', async ({ params, query, set }) => {
     try {
       const { delegator, validator } = params;
       
@@ -190,14 +235,17 @@ export const stakingRoutes = new Elysia({ prefix: '/api/staking' })
         return responseWrapper.error('Invalid validator address');
       }
 
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const blockTag = pointInTime?.blockNumber;
+
       const [
         rewardInfo,
         pendingRewards,
         validatorInfo
       ] = await Promise.all([
-        delegatorService.getDelegatorRewardInfo(delegator, validator),
-        delegatorService.getPendingRewards(delegator, validator),
-        delegatorService.validatorService.getValidatorInfo(validator)
+        delegatorService.getDelegatorRewardInfo(delegator, validator, blockTag),
+        delegatorService.getPendingRewards(delegator, validator, blockTag),
+        delegatorService.validatorService.getValidatorInfo(validator, blockTag)
       ]);
 
       const commission = parseFloat(validatorInfo.commissionRate);
@@ -218,16 +266,17 @@ export const stakingRoutes = new Elysia({ prefix: '/api/staking' })
         },
         canClaim: parseFloat(pendingRewards) > 0,
         timestamp: new Date().toISOString()
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
       delegator: t.String(),
       validator: t.String()
-    })
+    }),
+    query: t.Object(pointInTimeQuery)
   });
 
 // Combine delegator and staking routes
@@ -0,0 +1,77 @@
+import { Elysia } from "elysia";
+import { ClientSubscription } from "../services/subscriptions.js";
+import { EventStreamClient } from "../services/eventStream.js";
+import { config } from "../config/index.js";
+import { responseWrapper } from "../utils/response.js";
+
+// Reconnect delay suggested to EventSource clients (ms)
+const RETRY_INTERVAL = 3000;
+
+const splitList = (value) => (value ? String(value).split(',').map(item => item.trim()).filter(Boolean) : []);
+
+/**
+ * Subscription request from query params, same fields as the WebSocket `subscribe` message:
+ * ?topics=Staking,newBlock&addresses=0x..,0x..&throttle=newBlock:5000&confirmations=12
+ */
+const parseStreamQuery = (query) => {
+  const throttle = {};
+  splitList(query.throttle).forEach(entry => {
+    const [topic, interval] = entry.split(':');
+    throttle[topic] = Number(interval);
+  });
+
+  return {
+    topics: splitList(query.topics),
+    addresses: splitList(query.addresses),
+    throttle,
+    confirmations: query.confirmations !== undefined ? Number(query.confirmations) : undefined
+  };
+};
+
+export const eventStreamRoutes = (wsService) => new Elysia({ prefix: '/api/events' })
+
+  // Server-Sent Events mirror of the /ws feed
+  .get('/stream', ({ query, headers, set }) => {
+    const request = parseStreamQuery(query);
+    const subscription = new ClientSubscription();
+    const isFiltered = request.topics.length > 0 || request.addresses.length > 0 || Object.keys(request.throttle).length > 0
+      || request.confirmations !== undefined;
+
+    const errors = isFiltered ? subscription.subscribe(request) : [];
+    if (errors.length > 0) {
+      set.status = 400;
+      return responseWrapper.validationError(errors, 'Invalid subscription');
+    }
+
+    // EventSource sends Last-Event-ID on reconnect; the query param covers the first connect
+    const lastEventId = headers['last-event-id'] || query.lastEventId;
+    let client = null;
+
+    const stream = new ReadableStream({
+      start(controller) {
+        client = new EventStreamClient(controller, {
+          heartbeatInterval: config.websocket.sseHeartbeatInterval,
+          retry: RETRY_INTERVAL
+        });
+        wsService.addClient(client, subscription);
+
+        if (lastEventId) {
+          wsService.resumeClient(client, lastEventId);
+        }
+      },
+
+      cancel() {
+        wsService.removeClient(client);
+      }
+    });
+
+    return new Response(stream, {
+      headers: {
+        'content-type': 'text/event-stream; charset=utf-8',
+        'cache-control': 'no-cache',
+        'connection': 'keep-alive',
+        // Disable response buffering in nginx
+        'x-accel-buffering': 'no'
+      }
+    });
+  });
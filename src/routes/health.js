@@ -18,6 +18,7 @@ export const healthRoutes = new Elysia()
   .get('/health/detailed', async () => {
     try {
       const networkInfo = await BlockchainService.getNetworkInfo().catch(() => null);
+      const rpc = BlockchainService.getRpcStatus();
 
       const health = {
         status: 'healthy',
@@ -25,8 +26,10 @@ export const healthRoutes = new Elysia()
         uptime: process.uptime(),
         version: '1.0.0',
         services: {
-          blockchain: networkInfo ? 'healthy' : 'unhealthy'
+          blockchain: networkInfo ? 'healthy' : 'unhealthy',
+          rpc: rpc ? rpc.status : 'unhealthy'
         },
+        rpc,
         system: {
           memory: {
             used: Math.round(process.memoryUsage().heapUsed / 1024 / 1024),
@@ -83,7 +83,10 @@ export const rankingRoutes = (rankingService) => {
 
         const result = await rankingService.calculateDelegatorRankings(1, 1);
         
-        return responseWrapper.success(result.summary, 'Ranking statistics retrieved successfully');
+        return responseWrapper.success({
+          ...result.summary,
+          index: rankingService.getStatus()
+        }, 'Ranking statistics retrieved successfully');
 
       } catch (error) {
         logger.error('Error getting ranking stats:', error);
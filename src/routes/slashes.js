@@ -0,0 +1,39 @@
+import { Elysia, t } from "elysia";
+import { SlashHistory } from "../services/slashHistory.js";
+import { responseWrapper } from "../utils/response.js";
+import { validateAddress } from "../utils/validation.js";
+
+export const slashRoutes = new Elysia({ prefix: '/api/slashes' })
+
+  // Network-wide slash and unjail feed, newest first
+  .get('/', ({ query, set }) => {
+    try {
+      if (query.validator && !validateAddress(query.validator)) {
+        set.status = 400;
+        return responseWrapper.validationError(['Invalid validator address']);
+      }
+
+      const result = SlashHistory.getFeed({
+        type: query.type,
+        validator: query.validator,
+        fromBlock: query.fromBlock,
+        toBlock: query.toBlock,
+        page: Math.max(1, parseInt(query.page) || 1),
+        limit: Math.max(1, Math.min(parseInt(query.limit) || 50, 200))
+      });
+
+      return responseWrapper.success(result);
+
+    } catch (error) {
+      return responseWrapper.error(error.message);
+    }
+  }, {
+    query: t.Object({
+      type: t.Optional(t.Union([t.Literal('slash'), t.Literal('unjail')])),
+      validator: t.Optional(t.String()),
+      fromBlock: t.Optional(t.Numeric()),
+      toBlock: t.Optional(t.Numeric()),
+      page: t.Optional(t.Numeric()),
+      limit: t.Optional(t.Numeric())
+    })
+  });
@@ -3,7 +3,10 @@ import { ValidatorService } from "../services/validator.js";
 import { DelegatorService } from "../services/delegator.js";
 import { BlockchainService } from "../services/blockchain.js";
 import { cacheManager } from "../services/cache.js";
+import { CacheInvalidationBus } from "../services/cacheInvalidation.js";
+import { NetworkSnapshotter, SNAPSHOT_INTERVALS, isSnapshotInterval } from "../services/networkSnapshotter.js";
 import { responseWrapper } from "../utils/response.js";
+import { calculateGini } from "../utils/statistics.js";
 
 const validatorService = new ValidatorService();
 const delegatorService = new DelegatorService();
@@ -77,14 +80,16 @@ export const statsRoutes = new Elysia({ prefix: '/api' })
         candidates,
         constants,
         networkInfo,
-        delegatorStats
+        delegatorStats,
+        blockTimeEstimate
       ] = await Promise.all([
         validatorService.getTotalStaking(),
         validatorService.getActivatedValidators(),
         validatorService.getValidatorCandidates(),
         validatorService.getContractConstants(),
         BlockchainService.getNetworkInfo(),
-        delegatorService.getDelegatorStatistics()
+        delegatorService.getDelegatorStatistics(),
+        BlockchainService.getBlockTimeEstimate()
       ]);
 
       // Calculate network health metrics
@@ -115,7 +120,6 @@ export const statsRoutes = new Elysia({ prefix: '/api' })
       const medianStaking = stakingAmounts.length > 0 ? 
         stakingAmounts[Math.floor(stakingAmounts.length / 2)] : 0;
       
-      const totalValidatorStaking = stakingAmounts.reduce((sum, amount) => sum + amount, 0);
       const giniCoefficient = calculateGini(stakingAmounts); // Measure of inequality
 
       return responseWrapper.success({
@@ -130,7 +134,9 @@ export const statsRoutes = new Elysia({ prefix: '/api' })
         },
         blockchain: {
           ...networkInfo,
-          blockEpoch: constants.blockEpoch
+          blockEpoch: constants.blockEpoch,
+          averageBlockTime: blockTimeEstimate.blockTime,
+          blockTimeEstimate
         },
         staking: {
           totalAmount: totalStaking,
@@ -194,10 +200,13 @@ export const statsRoutes = new Elysia({ prefix: '/api' })
   // Get API statistics
   .get('/api-stats', async () => {
     try {
-      const cacheStats = cacheManager.getAllStats();
+      const cacheStats = await cacheManager.getAllStats();
       
       return responseWrapper.success({
         cache: cacheStats,
+        cacheBackends: cacheManager.getBackendStats(),
+        cacheInvalidation: CacheInvalidationBus.getStatus(),
+        rpcBatching: BlockchainService.getBatchStats(),
         uptime: process.uptime(),
         memory: {
           used: process.memoryUsage().heapUsed / 1024 / 1024, // MB
@@ -281,25 +290,33 @@ export const statsRoutes = new Elysia({ prefix: '/api' })
     })
   })
 
-  // Get historical statistics (placeholder)
-  .get('/stats/historical', async ({ query }) => {
+  // Get historical statistics from recorded network snapshots
+  .get('/stats/historical', async ({ query, set }) => {
     try {
-      const days = Math.min(parseInt(query.days) || 30, 365);
+      const days = Math.max(1, Math.min(parseInt(query.days) || 30, 365));
       const interval = query.interval || 'daily'; // 'hourly', 'daily', 'weekly'
+
+      if (!isSnapshotInterval(interval)) {
+        set.status = 400;
+        return responseWrapper.error(
+          `Invalid interval "${interval}", expected one of: ${Object.keys(SNAPSHOT_INTERVALS).join(', ')}`,
+          'INVALID_INTERVAL'
+        );
+      }
       
-      // This would require historical data storage
-      // For now, return current stats with placeholder historical data
+      const data = NetworkSnapshotter.getHistoricalSeries(days, interval);
       const currentStats = await validatorService.getTotalStaking();
       
       return responseWrapper.success({
         period: `${days} days`,
         interval,
-        data: [], // Would contain historical data points
+        data,
         current: {
           totalStaking: currentStats,
           timestamp: new Date().toISOString()
         },
-        message: 'Historical data collection not yet implemented'
+        snapshotInterval: NetworkSnapshotter.snapshotInterval,
+        message: data.length === 0 ? 'No snapshots recorded yet for this period' : undefined
       });
 
     } catch (error) {
@@ -317,23 +334,6 @@ export const statsRoutes = new Elysia({ prefix: '/api' })
   });
 
 // Utility functions
-function calculateGini(values) {
-  if (values.length === 0) return 0;
-  
-  const sorted = values.slice().sort((a, b) => a - b);
-  const n = sorted.length;
-  const sum = sorted.reduce((acc, val) => acc + val, 0);
-  
-  if (sum === 0) return 0;
-  
-  let gini = 0;
-  for (let i = 0; i < n; i++) {
-    gini += (2 * (i + 1) - n - 1) * sorted[i];
-  }
-  
-  return gini / (n * sum);
-}
-
 function createDistributionBuckets(values, label) {
   if (values.length === 0) return [];
   
@@ -0,0 +1,190 @@
+import { Elysia } from "elysia";
+import { TransactionBuilderService, TxPreflightError, TX_ACTIONS, validateAmount } from "../services/txBuilder.js";
+import { TransactionSimulatorService } from "../services/txSimulator.js";
+import { TxTracker, TxTrackingError, clientIp } from "../services/txTracker.js";
+import { responseWrapper } from "../utils/response.js";
+import { normalizeAddress } from "../utils/validation.js";
+import { Logger } from "../utils/logger.js";
+
+const logger = new Logger('TxRoutes');
+const txBuilder = new TransactionBuilderService();
+const txSimulator = new TransactionSimulatorService();
+
+// Body fields holding addresses, per action
+const ADDRESS_FIELDS = {
+  stake: ['from', 'validator'],
+  unstake: ['from', 'validator'],
+  withdrawStaking: ['from', 'validator'],
+  claimDelegatorRewards: ['from', 'validator'],
+  withdrawRewards: ['from', 'validator'],
+  create: ['from', 'rewardAddr'],
+  edit: ['from', 'rewardAddr'],
+  simulate: ['from']
+};
+
+const BUILDERS = {
+  stake: (body) => txBuilder.buildStake(body),
+  unstake: (body) => txBuilder.buildUnstake(body),
+  withdrawStaking: (body) => txBuilder.buildWithdrawStaking(body),
+  claimDelegatorRewards: (body) => txBuilder.buildClaimDelegatorRewards(body),
+  withdrawRewards: (body) => txBuilder.buildWithdrawRewards(body),
+  create: (body) => txBuilder.buildCreate(body),
+  edit: (body) => txBuilder.buildEdit(body)
+};
+
+/**
+ * Normalize the address fields of `body`; returns validation errors
+ */
+const normalizeAddresses = (action, body) => {
+  const errors = [];
+
+  ADDRESS_FIELDS[action].forEach(field => {
+    if (!body[field]) {
+      errors.push(`${field} is required`);
+      return;
+    }
+    try {
+      body[field] = normalizeAddress(body[field]);
+    } catch (error) {
+      errors.push(`${field}: ${error.message}`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Simulation request: `from` plus either an action with its fields or raw calldata
+ */
+const validateSimulation = (request) => {
+  if (request.action !== undefined) {
+    if (!TX_ACTIONS.includes(request.action)) {
+      return [`Unknown action: ${request.action}. Valid actions: ${TX_ACTIONS.join(', ')}`];
+    }
+    const errors = normalizeAddresses(request.action, request);
+    // Optional here, the call is simulated without value when it is left out
+    return request.amount === undefined ? errors : [...errors, ...validateAmount(request.action, request.amount)];
+  }
+
+  const errors = normalizeAddresses('simulate', request);
+  if (typeof request.data !== 'string' || !/^0x[0-9a-fA-F]{8}([0-9a-fA-F]{2})*$/.test(request.data)) {
+    errors.push('Either action or hex calldata (data) is required');
+  }
+  if (request.value !== undefined && !/^\d+$/.test(String(request.value))) {
+    errors.push('value must be an integer amount in wei');
+  }
+  return errors;
+};
+
+const isTxHash = (hash) => typeof hash === 'string' && /^0x[0-9a-fA-F]{64}$/.test(hash);
+
+const parseBlockTag = (value) => {
+  if (value === undefined || value === 'latest') return 'latest';
+  const blockNumber = Number(value);
+  return Number.isInteger(blockNumber) && blockNumber >= 0 ? blockNumber : null;
+};
+
+const handleBuild = (action) => async ({ body, set }) => {
+  const request = { ...(body || {}) };
+
+  const errors = [...normalizeAddresses(action, request), ...validateAmount(action, request.amount)];
+  if (errors.length > 0) {
+    set.status = 400;
+    return responseWrapper.validationError(errors);
+  }
+
+  try {
+    const result = await BUILDERS[action](request);
+    return responseWrapper.success(result, `Unsigned ${action} transaction built`);
+
+  } catch (error) {
+    if (error instanceof TxPreflightError) {
+      set.status = 422;
+      return responseWrapper.error(error.message, error.code, {
+        errors: error.errors,
+        checks: error.checks
+      });
+    }
+
+    logger.error(`Failed to build ${action} transaction:`, error.message);
+    set.status = 500;
+    return responseWrapper.error(`Failed to build ${action} transaction`, 'INTERNAL_ERROR');
+  }
+};
+
+export const txRoutes = Object.keys(BUILDERS).reduce(
+  (app, action) => app.post(`/${action}`, handleBuild(action)),
+  new Elysia({ prefix: '/api/tx' })
+)
+
+  // Dry run with eth_call; reverts are part of a successful response
+  .post('/simulate', async ({ body, set }) => {
+    const request = { ...(body || {}) };
+
+    const errors = validateSimulation(request);
+    request.blockTag = parseBlockTag(request.blockTag);
+    if (request.blockTag === null) {
+      errors.push('blockTag must be "latest" or a block number');
+    }
+    if (errors.length > 0) {
+      set.status = 400;
+      return responseWrapper.validationError(errors);
+    }
+
+    try {
+      const result = await txSimulator.simulate(request);
+      return responseWrapper.success(
+        result,
+        result.success ? 'Simulation succeeded' : 'Simulation reverted'
+      );
+
+    } catch (error) {
+      if (error instanceof TxPreflightError) {
+        // Malformed input is a bad request, a call the contract would reject is not
+        set.status = error.code === 'INVALID_CALLDATA' ? 400 : 422;
+        return responseWrapper.error(error.message, error.code, { errors: error.errors });
+      }
+
+      logger.error('Failed to simulate transaction:', error.message);
+      set.status = 500;
+      return responseWrapper.error('Failed to simulate transaction', 'INTERNAL_ERROR');
+    }
+  })
+
+  // Follow a broadcast transaction; WebSocket clients get updates via `watchTx`
+  .post('/track', ({ body, request, server, set }) => {
+    const { hash, confirmations } = body || {};
+
+    try {
+      const entry = TxTracker.track(hash, {
+        confirmations: confirmations === undefined ? undefined : Number(confirmations),
+        owner: clientIp(request, server)
+      });
+      set.status = 202;
+      return responseWrapper.success(entry, 'Transaction is being tracked');
+    } catch (error) {
+      if (!(error instanceof TxTrackingError)) {
+        logger.error('Failed to track transaction:', error.message);
+        set.status = 500;
+        return responseWrapper.error('Failed to track transaction', 'INTERNAL_ERROR');
+      }
+
+      set.status = error.code === 'TRACKING_LIMIT' ? 429 : 400;
+      return responseWrapper.error(error.message, error.code);
+    }
+  })
+
+  .get('/status/:hash', ({ params, set }) => {
+    if (!isTxHash(params.hash)) {
+      set.status = 400;
+      return responseWrapper.error('Invalid transaction hash', 'INVALID_HASH');
+    }
+
+    const entry = TxTracker.get(params.hash);
+    if (!entry) {
+      set.status = 404;
+      return responseWrapper.error('Transaction is not tracked, register it with POST /api/tx/track', 'NOT_TRACKED');
+    }
+
+    return responseWrapper.success(entry);
+  });
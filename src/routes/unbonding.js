@@ -0,0 +1,67 @@
+import { Elysia } from "elysia";
+import { UnbondingScheduler } from "../services/unbondingScheduler.js";
+import { responseWrapper } from "../utils/response.js";
+import { normalizeAddress } from "../utils/validation.js";
+import { Logger } from "../utils/logger.js";
+
+const logger = new Logger('UnbondingRoutes');
+
+const BLOCK_PARAMS = ['fromBlock', 'toBlock', 'bucketSize', 'limit'];
+
+/**
+ * Parse queue query params; returns { options, errors }
+ */
+const parseQueueQuery = (query) => {
+  const options = {};
+  const errors = [];
+
+  BLOCK_PARAMS.forEach(param => {
+    if (query[param] === undefined) return;
+    const value = Number(query[param]);
+    if (!Number.isInteger(value) || value < 0) {
+      errors.push(`${param} must be a non-negative integer`);
+    } else {
+      options[param] = value;
+    }
+  });
+
+  if (options.bucketSize === 0) {
+    errors.push('bucketSize must be at least 1');
+  }
+  if (options.limit !== undefined) {
+    options.limit = Math.min(options.limit, 1000);
+  }
+  if (options.fromBlock !== undefined && options.toBlock !== undefined && options.fromBlock > options.toBlock) {
+    errors.push('fromBlock must not be greater than toBlock');
+  }
+
+  ['staker', 'validator'].forEach(param => {
+    if (!query[param]) return;
+    try {
+      options[param] = normalizeAddress(query[param]);
+    } catch (error) {
+      errors.push(`${param}: ${error.message}`);
+    }
+  });
+
+  return { options, errors };
+};
+
+export const unbondingRoutes = new Elysia({ prefix: '/api/unbonding' })
+
+  // Upcoming unlocks grouped per block range and per estimated day
+  .get('/queue', async ({ query, set }) => {
+    const { options, errors } = parseQueueQuery(query);
+    if (errors.length > 0) {
+      set.status = 400;
+      return responseWrapper.validationError(errors);
+    }
+
+    try {
+      return responseWrapper.success(await UnbondingScheduler.getQueue(options));
+    } catch (error) {
+      logger.error('Failed to build unbonding queue:', error.message);
+      set.status = 500;
+      return responseWrapper.error('Failed to build unbonding queue', 'INTERNAL_ERROR');
+    }
+  });
@@ -0,0 +1,64 @@
+import { Elysia, t } from "elysia";
+import { ValidatorSetHistory } from "../services/validatorSetHistory.js";
+import { responseWrapper } from "../utils/response.js";
+import { validateAddress } from "../utils/validation.js";
+
+export const validatorSetRoutes = new Elysia({ prefix: '/api/validator-set' })
+
+  // Recorded set updates with joins, leaves and candidate changes, newest first
+  .get('/epochs', async ({ query }) => {
+    try {
+      const result = await ValidatorSetHistory.getEpochs({
+        page: Math.max(1, parseInt(query.page) || 1),
+        limit: Math.max(1, Math.min(parseInt(query.limit) || 50, 200)),
+        changesOnly: query.changesOnly === 'true'
+      });
+
+      return responseWrapper.success(result);
+
+    } catch (error) {
+      return responseWrapper.error(error.message);
+    }
+  }, {
+    query: t.Object({
+      page: t.Optional(t.Numeric()),
+      limit: t.Optional(t.Numeric()),
+      changesOnly: t.Optional(t.String())
+    })
+  })
+
+  // Who was active at a block
+  .get('/at/:block', async ({ params, set }) => {
+    const blockNumber = Number(params.block);
+    if (!Number.isInteger(blockNumber) || blockNumber < 0) {
+      set.status = 400;
+      return responseWrapper.validationError(['block must be a non-negative block number']);
+    }
+
+    try {
+      const result = await ValidatorSetHistory.getSetAt(blockNumber);
+      if (!result) {
+        set.status = 404;
+        return responseWrapper.error(`No validator set known for block ${blockNumber}`, 'NOT_FOUND');
+      }
+
+      return responseWrapper.success(result);
+
+    } catch (error) {
+      return responseWrapper.error(error.message);
+    }
+  })
+
+  // How long each validator stayed in the active set
+  .get('/tenure', async ({ query, set }) => {
+    if (query.validator && !validateAddress(query.validator)) {
+      set.status = 400;
+      return responseWrapper.validationError(['Invalid validator address']);
+    }
+
+    try {
+      return responseWrapper.success(await ValidatorSetHistory.getTenure(query.validator));
+    } catch (error) {
+      return responseWrapper.error(error.message);
+    }
+  });
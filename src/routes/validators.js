@@ -3,52 +3,70 @@ import { ValidatorService } from "../services/validator.js";
 import { responseWrapper } from "../utils/response.js";
 import { validateAddress } from "../utils/validation.js";
 import { BlockchainService } from "../services/blockchain.js";
+import { CommissionTracker } from "../services/commissionTracker.js";
+import { UptimeTracker } from "../services/uptimeTracker.js";
+import { SlashHistory } from "../services/slashHistory.js";
+import { config } from "../config/index.js";
+import { pointInTimeError, pointInTimeMeta } from "../utils/pointInTime.js";
 
 const validatorService = new ValidatorService();
 
+// State at a past block: atBlock (block number) or atTime (unix seconds / ISO date)
+const pointInTimeQuery = {
+  atBlock: t.Optional(t.Numeric()),
+  atTime: t.Optional(t.String())
+};
+
+const formatUptime = (uptime) => uptime !== null ? `${uptime}%` : null;
+
 export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
   
   // Get all validators with pagination and filtering
-  .get('/', async ({ query }) => {
+  .get('/', async ({ query, set }) => {
     try {
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
       const options = {
         page: parseInt(query.page) || 1,
         limit: Math.min(parseInt(query.limit) || 20, 100),
         sortBy: query.sortBy || 'stakingAmount',
-        sortOrder: query.sortOrder || 'desc'
+        sortOrder: query.sortOrder || 'desc',
+        blockTag: pointInTime?.blockNumber
       };
 
       const result = await validatorService.getAllValidatorsWithDetails(options);
       
-      return responseWrapper.success(result);
+      return responseWrapper.success(result, 'Success', pointInTimeMeta(pointInTime));
       
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     query: t.Object({
       page: t.Optional(t.Numeric()),
       limit: t.Optional(t.Numeric()),
       sortBy: t.Optional(t.String()),
-      sortOrder: t.Optional(t.Union([t.Literal('asc'), t.Literal('desc')]))
+      sortOrder: t.Optional(t.Union([t.Literal('asc'), t.Literal('desc')])),
+      ...pointInTimeQuery
     })
   })
 
   // Get validator candidates
-  .get('/candidates', async ({ query }) => {
+  .get('/candidates', async ({ query, set }) => {
     try {
       const page = parseInt(query.page) || 1;
       const limit = Math.min(parseInt(query.limit) || 20, 100);
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const blockTag = pointInTime?.blockNumber;
 
-      const candidates = await validatorService.getValidatorCandidates();
+      const candidates = await validatorService.getValidatorCandidates(blockTag);
       
       // Get detailed info for candidates
       const candidateDetails = await Promise.all(
         candidates.validators.map(async (address, index) => {
           const [description, isActivated, isJailed] = await Promise.all([
-            validatorService.getValidatorDescription(address),
-            validatorService.isValidatorActivated(address),
-            validatorService.isValidatorJailed(address)
+            validatorService.getValidatorDescription(address, blockTag),
+            validatorService.isValidatorActivated(address, blockTag),
+            validatorService.isValidatorJailed(address, blockTag)
           ]);
           
           return {
@@ -76,20 +94,21 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
           totalItems: candidateDetails.length,
           itemsPerPage: limit
         }
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     query: t.Object({
       page: t.Optional(t.Numeric()),
-      limit: t.Optional(t.Numeric())
+      limit: t.Optional(t.Numeric()),
+      ...pointInTimeQuery
     })
   })
 
   // Search validators
-  .get('/search', async ({ query }) => {
+  .get('/search', async ({ query, set }) => {
     try {
       const searchTerm = query.q;
       
@@ -97,25 +116,27 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         return responseWrapper.error('Search term must be at least 2 characters long');
       }
 
-      const results = await validatorService.searchValidators(searchTerm);
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const results = await validatorService.searchValidators(searchTerm, pointInTime?.blockNumber);
       
       return responseWrapper.success({
         results,
         searchTerm,
         totalFound: results.length
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     query: t.Object({
-      q: t.String({ minLength: 2 })
+      q: t.String({ minLength: 2 }),
+      ...pointInTimeQuery
     })
   })
 
   // Get specific validator details
-  .get('/:address', async ({ params }) => {
+  .get('/:address', async ({ params, query, set }) => {
     try {
       const { address } = params;
       
@@ -123,9 +144,14 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         return responseWrapper.error('Invalid validator address');
       }
 
-      const validatorDetails = await validatorService.getValidatorDetails(address);
-      const constants = await validatorService.getContractConstants();
-      const currentBlock = await BlockchainService.getCurrentBlock();
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const blockTag = pointInTime?.blockNumber;
+
+      const validatorDetails = await validatorService.getValidatorDetails(address, blockTag);
+      const constants = await validatorService.getContractConstants(blockTag);
+      const currentBlock = blockTag ?? await BlockchainService.getCurrentBlock();
+      // Uptime windows end at the tracker's head, they are not available for past blocks
+      const uptime = blockTag === undefined ? UptimeTracker.getValidatorPerformance(address) : null;
       const canWithdrawRewards = validatorDetails.lastWithdrawRewardBlock ? 
         (currentBlock - validatorDetails.lastWithdrawRewardBlock) >= constants.withdrawRewardPeriod : 
         true;
@@ -134,26 +160,28 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         ...validatorDetails,
         canWithdrawRewards,
         performance: {
-          uptime: validatorDetails.isJailed ? '0%' : '100%',
-          missedBlocks: 0,
+          uptime: formatUptime(uptime?.uptime ?? null),
+          missedBlocks: uptime?.missedBlocks ?? null,
+          uptimeWindow: uptime?.window ?? null,
           lastWithdrawRewardBlock: validatorDetails.lastWithdrawRewardBlock || 0
         },
         network: {
           currentBlock,
           withdrawRewardPeriod: constants.withdrawRewardPeriod
         }
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
       address: t.String()
-    })
+    }),
+    query: t.Object(pointInTimeQuery)
   })
 
-  .get('/:address/performance', async ({ params }) => {
+  .get('/:address/performance', async ({ params, query, set }) => {
     try {
       const { address } = params;
       
@@ -161,6 +189,12 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         return responseWrapper.error('Invalid validator address');
       }
 
+      const window = query.window !== undefined ? Number(query.window) : config.uptime.windows[0];
+      if (!config.uptime.windows.includes(window)) {
+        set.status = 400;
+        return responseWrapper.validationError([`window must be one of ${config.uptime.windows.join(', ')}`]);
+      }
+
       const [info, isJailed, isActivated, currentBlock] = await Promise.all([
         validatorService.getValidatorInfo(address),
         validatorService.isValidatorJailed(address),
@@ -168,7 +202,18 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         BlockchainService.getCurrentBlock()
       ]);
 
-      // Calculate performance metrics (simplified)
+      // Slot statistics from recorded block producers; null until the tracker has data
+      const uptime = UptimeTracker.getValidatorPerformance(address, window);
+      const windows = config.uptime.windows.map(size => {
+        const stats = UptimeTracker.getValidatorPerformance(address, size);
+        return {
+          window: size,
+          uptime: formatUptime(stats?.uptime ?? null),
+          missedBlocks: stats?.missedBlocks ?? null,
+          performanceScore: isJailed ? 0 : stats?.performanceScore ?? null
+        };
+      });
+
       const performance = {
         isActive: !isJailed && isActivated,
         stakingAmount: info.stakingAmount,
@@ -177,23 +222,35 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         commissionRate: info.commissionRate,
         totalStakers: info.stakers ? info.stakers.length : 0,
         
-        // Simplified metrics - would need historical data for accuracy
-        uptime: isJailed ? '0%' : '100%',
-        missedBlocks: 0,
-        performanceScore: isJailed ? 0 : 100,
+        uptime: formatUptime(uptime?.uptime ?? null),
+        expectedBlocks: uptime?.expectedBlocks ?? null,
+        producedBlocks: uptime?.producedBlocks ?? null,
+        missedBlocks: uptime?.missedBlocks ?? null,
+        currentMissedStreak: uptime?.currentMissedStreak ?? null,
+        longestMissedStreak: uptime?.longestMissedStreak ?? null,
+        lastProducedBlock: uptime?.lastProducedBlock ?? null,
+        performanceScore: isJailed ? 0 : uptime?.performanceScore ?? null,
         
-        // Network position
-        rank: 0, // Would need to calculate based on all validators
+        // Network position by performance score within the window
+        rank: uptime?.rank ?? null,
+        rankedValidators: uptime?.rankedValidators ?? null,
         
         // Status flags
         isJailed,
         isActivated,
-        lastActive: currentBlock
+        lastActive: uptime?.lastProducedBlock ?? currentBlock
       };
 
       return responseWrapper.success({
         validator: address,
         performance,
+        window: uptime ? {
+          blocks: window,
+          fromBlock: uptime.fromBlock,
+          toBlock: uptime.toBlock,
+          coverage: `${uptime.coverage}%`
+        } : null,
+        windows,
         timestamp: new Date().toISOString()
       });
 
@@ -207,7 +264,7 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
   })
 
   // Get validator stakers
-  .get('/:address/stakers', async ({ params, query }) => {
+  .get('/:address/stakers', async ({ params, query, set }) => {
     try {
       const { address } = params;
       const page = parseInt(query.page) || 1;
@@ -217,7 +274,8 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         return responseWrapper.error('Invalid validator address');
       }
 
-      const validatorInfo = await validatorService.getValidatorInfo(address);
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const validatorInfo = await validatorService.getValidatorInfo(address, pointInTime?.blockNumber);
       const stakers = validatorInfo.stakers || [];
       
       // Paginate stakers
@@ -234,10 +292,10 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
           totalItems: stakers.length,
           itemsPerPage: limit
         }
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
@@ -245,30 +303,36 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
     }),
     query: t.Object({
       page: t.Optional(t.Numeric()),
-      limit: t.Optional(t.Numeric())
+      limit: t.Optional(t.Numeric()),
+      ...pointInTimeQuery
     })
   })
 
-  // Get validator commission history (placeholder)
+  // Get validator commission history
   .get('/:address/commission-history', async ({ params, query }) => {
     try {
       const { address } = params;
-      const days = parseInt(query.days) || 30;
+      const days = Math.min(parseInt(query.days) || 30, 365);
       
       if (!validateAddress(address)) {
         return responseWrapper.error('Invalid validator address');
       }
 
-      // This would require historical data tracking
-      // For now, return current commission rate
-      const validatorInfo = await validatorService.getValidatorInfo(address);
+      const currentCommission = await CommissionTracker.getCurrentRate(address);
+      const tracked = CommissionTracker.getCommissionHistory(address, days);
       
       return responseWrapper.success({
         validator: address,
-        currentCommission: validatorInfo.commissionRate,
-        history: [], // Would be populated with historical commission changes
+        currentCommission,
+        history: tracked.changes,
         period: `${days} days`,
-        message: 'Historical commission data not yet available'
+        unit: 'basisPoints',
+        tracking: {
+          observations: tracked.observations,
+          firstObservedBlock: tracked.firstObservedBlock,
+          lastObservedBlock: tracked.lastObservedBlock
+        },
+        message: tracked.observations === 0 ? 'No commission data recorded yet for this validator' : undefined
       });
 
     } catch (error) {
@@ -283,8 +347,33 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
     })
   })
 
+  // Slashes, jail periods and downtime from indexed events
+  .get('/:address/slashes', async ({ params }) => {
+    try {
+      const { address } = params;
+      
+      if (!validateAddress(address)) {
+        return responseWrapper.error('Invalid validator address');
+      }
+
+      const history = await SlashHistory.getValidatorHistory(address);
+
+      return responseWrapper.success({
+        ...history,
+        message: history.totalSlashes === 0 ? 'No slashes recorded for this validator' : undefined
+      });
+
+    } catch (error) {
+      return responseWrapper.error(error.message);
+    }
+  }, {
+    params: t.Object({
+      address: t.String()
+    })
+  })
+
   // Get validator rewards distribution
-  .get('/:address/rewards', async ({ params, query }) => {
+  .get('/:address/rewards', async ({ params, query, set }) => {
     try {
       const { address } = params;
       
@@ -292,9 +381,12 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
         return responseWrapper.error('Invalid validator address');
       }
 
-      const validatorInfo = await validatorService.getValidatorInfo(address);
-      const constants = await validatorService.getContractConstants();
-      const currentBlock = await BlockchainService.getCurrentBlock();
+      const pointInTime = await BlockchainService.resolveBlockTag(query);
+      const blockTag = pointInTime?.blockNumber;
+
+      const validatorInfo = await validatorService.getValidatorInfo(address, blockTag);
+      const constants = await validatorService.getContractConstants(blockTag);
+      const currentBlock = blockTag ?? await BlockchainService.getCurrentBlock();
       
       // Calculate reward information
       const canWithdraw = validatorInfo.lastWithdrawRewardBlock ? 
@@ -322,13 +414,14 @@ export const validatorRoutes = new Elysia({ prefix: '/api/validators' })
           currentBlock,
           withdrawRewardPeriod: constants.withdrawRewardPeriod
         }
-      });
+      }, 'Success', pointInTimeMeta(pointInTime));
 
     } catch (error) {
-      return responseWrapper.error(error.message);
+      return pointInTimeError(error, set) ?? responseWrapper.error(error.message);
     }
   }, {
     params: t.Object({
       address: t.String()
-    })
+    }),
+    query: t.Object(pointInTimeQuery)
   });
@@ -0,0 +1,138 @@
+import { Elysia } from "elysia";
+import { WebhookService, DELIVERY_STATUSES } from "../services/webhooks.js";
+import { responseWrapper } from "../utils/response.js";
+import { Logger } from "../utils/logger.js";
+
+const logger = new Logger('WebhookRoutes');
+
+const notFound = (set) => {
+  set.status = 404;
+  return responseWrapper.error('Webhook not found', 'NOT_FOUND');
+};
+
+const bearerToken = (headers) => /^Bearer\s+(.+)$/i.exec(headers.authorization || '')?.[1] ?? null;
+
+/**
+ * beforeHandle guard: WEBHOOK_ADMIN_KEY as a Bearer token, or for the routes of
+ * one webhook (`webhookId` of the request) that webhook's signing secret
+ */
+const requireAccess = (webhookId = () => null) => ({ headers, params, set }) => {
+  if (!WebhookService.config.enabled) {
+    set.status = 503;
+    return responseWrapper.serviceUnavailable('Webhooks are disabled (WEBHOOKS_ENABLED=false)');
+  }
+
+  const token = bearerToken(headers);
+  if (!token) {
+    set.status = 401;
+    return responseWrapper.unauthorized('Send the admin key or the webhook secret as a Bearer token');
+  }
+  if (WebhookService.isAdmin(token)) return;
+
+  const id = webhookId(params);
+  if (id && WebhookService.isOwner(id, token)) return;
+
+  set.status = 403;
+  return responseWrapper.forbidden('Token does not grant access to this webhook');
+};
+
+const adminOnly = { beforeHandle: requireAccess() };
+const webhookAccess = { beforeHandle: requireAccess(params => params.id) };
+const deliveryAccess = { beforeHandle: requireAccess(params => WebhookService.getDeliveryWebhookId(parseInt(params.id))) };
+
+export const webhookRoutes = new Elysia({ prefix: '/api/webhooks' })
+
+  .get('/', () => {
+    return responseWrapper.success(WebhookService.list());
+  }, adminOnly)
+
+  .post('/', async ({ body, set }) => {
+    const input = body || {};
+
+    const errors = await WebhookService.validate(input);
+    if (errors.length > 0) {
+      set.status = 400;
+      return responseWrapper.validationError(errors);
+    }
+
+    try {
+      set.status = 201;
+      return responseWrapper.success(
+        WebhookService.create(input),
+        'Webhook created, store the secret to verify x-webhook-signature'
+      );
+    } catch (error) {
+      logger.error('Failed to create webhook:', error.message);
+      set.status = 500;
+      return responseWrapper.error('Failed to create webhook', 'INTERNAL_ERROR');
+    }
+  }, adminOnly)
+
+  // Failed deliveries that ran out of attempts
+  .get('/dead-letters', ({ query }) => {
+    const limit = Math.max(1, Math.min(parseInt(query.limit) || 50, 500));
+    return responseWrapper.success(WebhookService.getDeliveries({ status: 'dead', limit }));
+  }, adminOnly)
+
+  .post('/deliveries/:id/retry', ({ params, set }) => {
+    const delivery = WebhookService.retry(parseInt(params.id));
+    if (!delivery) {
+      set.status = 404;
+      return responseWrapper.error('No dead-lettered delivery with this id', 'NOT_FOUND');
+    }
+    return responseWrapper.success(delivery, 'Delivery queued for retry');
+  }, deliveryAccess)
+
+  .get('/:id', ({ params, set }) => {
+    const webhook = WebhookService.get(params.id);
+    return webhook ? responseWrapper.success(webhook) : notFound(set);
+  }, webhookAccess)
+
+  .patch('/:id', async ({ params, body, set }) => {
+    const input = body || {};
+
+    const errors = await WebhookService.validate(input, true);
+    if (errors.length > 0) {
+      set.status = 400;
+      return responseWrapper.validationError(errors);
+    }
+
+    const webhook = WebhookService.update(params.id, input);
+    return webhook ? responseWrapper.success(webhook, 'Webhook updated') : notFound(set);
+  }, webhookAccess)
+
+  .delete('/:id', ({ params, set }) => {
+    if (!WebhookService.delete(params.id)) return notFound(set);
+    return responseWrapper.success({ id: params.id }, 'Webhook deleted');
+  }, webhookAccess)
+
+  // Deliver a `test` event now; the outcome is returned, failures are retried like any delivery
+  .post('/:id/test', async ({ params, set }) => {
+    try {
+      const delivery = await WebhookService.testFire(params.id);
+      if (!delivery) return notFound(set);
+
+      return responseWrapper.success(
+        delivery,
+        delivery.status === 'delivered' ? 'Test delivery succeeded' : 'Test delivery failed'
+      );
+    } catch (error) {
+      logger.error('Failed to send test delivery:', error.message);
+      set.status = 500;
+      return responseWrapper.error('Failed to send test delivery', 'INTERNAL_ERROR');
+    }
+  }, webhookAccess)
+
+  .get('/:id/deliveries', ({ params, query, set }) => {
+    if (!WebhookService.get(params.id)) return notFound(set);
+
+    if (query.status && !DELIVERY_STATUSES.includes(query.status)) {
+      set.status = 400;
+      return responseWrapper.validationError([`status must be one of: ${DELIVERY_STATUSES.join(', ')}`]);
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(query.limit) || 50, 500));
+    return responseWrapper.success(
+      WebhookService.getDeliveries({ webhookId: params.id, status: query.status || null, limit })
+    );
+  }, webhookAccess);
@@ -11,7 +11,7 @@ export const websocketRoutes = (wsService) => new Elysia()
     },
     
     close(ws, code, message) {
-      // Client cleanup is handled in WebSocketService
+      wsService.removeClient(ws);
     },
     
     error(ws, error) {
@@ -1,5 +1,5 @@
 import { ethers } from "ethers";
-import ValidatorsABI from "../abi/Validators.abi.json" assert { type: "json" };
+import ValidatorsABI from "../abi/Validators.abi.json";
 
 // Script untuk debug struktur event yang sebenarnya
 async function debugEvents() {
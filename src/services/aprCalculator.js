@@ -8,11 +8,16 @@
 // ============================================================================
 
 import { ethers } from 'ethers';
+import { cacheManager } from './cache.js';
+import { BlockchainService } from './blockchain.js';
+import { EventIndexer } from './eventIndexer.js';
+import { ArchiveNodeError, HISTORICAL_CACHE_TTL, blockTagKey, historicalReadError, isMissingStateError } from '../utils/pointInTime.js';
 
 class APRCalculatorService {
     constructor(provider, validatorContractAddress, validatorABI) {
         this.provider = provider;
         this.contract = new ethers.Contract(validatorContractAddress, validatorABI, provider);
+        this.cache = cacheManager.getCache('apr');
 
         // ========================================
         // CONFIGURATION SECTION - EASY TO MODIFY
@@ -32,6 +37,18 @@ class APRCalculatorService {
 
             // Default commission rate if not available
             DEFAULT_COMMISSION_RATE: 500, // 5% in basis points (10000 = 100%)
+
+            // Top validators ranking is recomputed once per block window
+            RANKING_BLOCK_WINDOW: 20,
+
+            // Trailing windows (in days) for empirical APR
+            EMPIRICAL_WINDOWS: { '7d': 7, '30d': 30 },
+
+            // Fixed-point scale of accRewardPerStake / accSlashPerStake. An assumption: the
+            // ABI has no getter for it, 1e18 is the usual scale of per-stake reward
+            // accumulators (reward * 1e18 / stakingAmount). Check it against the deployed
+            // contract's source; empirical responses report the value used.
+            ACC_PER_STAKE_PRECISION: 10n ** 18n,
         };
     }
 
@@ -43,13 +60,18 @@ class APRCalculatorService {
      * Calculate APR for a delegator staking to a specific validator
      * @param {string} delegatorAddress - Address of the delegator
      * @param {string} validatorAddress - Address of the validator
-     * @param {number} blockTime - Block time in seconds (1 or 5)
+     * @param {number|string} blockTime - Block time in seconds (1 or 5) or 'auto'
+     * @param {boolean} skipMinimumStakeCheck - Use the minimum stake instead of the delegator's
+     * @param {number} [blockTag] - Block number to read state at (default latest)
      * @returns {Promise<Object>} APR calculation results
      */
-    async calculateDelegatorAPR(delegatorAddress, validatorAddress, blockTime = 1, skipMinimumStakeCheck = false) {
+    async calculateDelegatorAPR(delegatorAddress, validatorAddress, blockTime = 1, skipMinimumStakeCheck = false, blockTag) {
         try {
-            // Get validator information
-            const validatorInfo = await this.contract.getValidatorInfo(validatorAddress);
+            // Get validator and delegator information
+            const [validatorInfo, stakingInfo] = await Promise.all([
+                this.contract.getValidatorInfo(validatorAddress, { blockTag }),
+                this.contract.getStakingInfo(delegatorAddress, validatorAddress, { blockTag })
+            ]);
             const [rewardAddr, status, stakingAmount, commissionRate, rewardAmount, slashAmount, stakers] = validatorInfo;
 
             // DEBUG: Log raw contract data
@@ -64,9 +86,7 @@ class APRCalculatorService {
                 stakersCount: stakers.length
             });
 
-            // Get delegator's staking info
-            const stakingInfo = await this.contract.getStakingInfo(delegatorAddress, validatorAddress);
-            const [delegatorStake, unstakeBlock, index] = stakingInfo;
+            const [delegatorStake] = stakingInfo;
 
             // Check if delegator meets minimum stake requirement
             const effectiveStake = skipMinimumStakeCheck ? this.config.MIN_DELEGATOR_STAKE : delegatorStake;
@@ -83,9 +103,8 @@ class APRCalculatorService {
             }
 
             // Calculate APR based on block time
-            const aprData = blockTime === 1
-                ? this.calculateAPRFast(stakingAmount, rewardAmount, commissionRate, effectiveStake)
-                : this.calculateAPRSlow(stakingAmount, rewardAmount, commissionRate, effectiveStake);
+            const timing = await this.resolveBlockTime(blockTime);
+            const aprData = this.calculateAPRForBlockTime(timing, stakingAmount, rewardAmount, commissionRate, effectiveStake);
 
             return {
                 success: true,
@@ -102,6 +121,7 @@ class APRCalculatorService {
             };
 
         } catch (error) {
+            this.rethrowArchiveError(error, blockTag);
             return {
                 success: false,
                 error: 'CALCULATION_ERROR',
@@ -203,6 +223,16 @@ class APRCalculatorService {
     // APR CALCULATION FOR 5 SECONDS BLOCK TIME
     // ========================================
     calculateAPRSlow(validatorStaking, validatorRewards, commissionRate, delegatorStake) {
+        return this.calculateAPRForBlocksPerYear(
+            validatorStaking, validatorRewards, commissionRate, delegatorStake,
+            this.config.BLOCKS_PER_YEAR_SLOW, '5 seconds per block'
+        );
+    }
+
+    // ========================================
+    // APR CALCULATION FOR ANY BLOCK RATE
+    // ========================================
+    calculateAPRForBlocksPerYear(validatorStaking, validatorRewards, commissionRate, delegatorStake, blocksPerYear, blockConfiguration) {
         // Fallback calculation sama seperti calculateAPRFast
         let effectiveRewards = validatorRewards;
         let calculationMethod = 'historical';
@@ -210,7 +240,7 @@ class APRCalculatorService {
         if (validatorRewards === 0n) {
             const NETWORK_INFLATION_RATE = 0.05; // 5% per tahun
             const annualInflationReward = validatorStaking * BigInt(Math.floor(NETWORK_INFLATION_RATE * 10000)) / BigInt(10000);
-            effectiveRewards = annualInflationReward / BigInt(this.config.BLOCKS_PER_YEAR_SLOW);
+            effectiveRewards = annualInflationReward / BigInt(blocksPerYear);
             calculationMethod = 'estimated';
         }
 
@@ -218,7 +248,7 @@ class APRCalculatorService {
         const delegatorShare = (delegatorStake * BigInt(10000)) / totalStaking;
 
         // Use effective rewards
-        const estimatedAnnualRewards = effectiveRewards * BigInt(this.config.BLOCKS_PER_YEAR_SLOW);
+        const estimatedAnnualRewards = effectiveRewards * BigInt(blocksPerYear);
 
         // Fix commission rate handling
         let commission = Number(commissionRate || this.config.DEFAULT_COMMISSION_RATE);
@@ -238,13 +268,52 @@ class APRCalculatorService {
             aprPercent: `${apr.toFixed(2)}%`,
             estimatedAnnualRewards: ethers.formatEther(delegatorAnnualRewards),
             delegatorShare: (Number(delegatorShare) / 100).toFixed(2),
-            blockConfiguration: '5 seconds per block',
-            blocksPerYear: this.config.BLOCKS_PER_YEAR_SLOW,
+            blockConfiguration: blockConfiguration,
+            blocksPerYear: blocksPerYear,
             calculationMethod: calculationMethod,
             note: calculationMethod === 'estimated' ? 'APR estimated based on 5% network inflation (validator has no reward history)' : undefined
         };
     }
 
+    // ========================================
+    // BLOCK TIME RESOLUTION (1, 5 OR MEASURED)
+    // ========================================
+
+    /**
+     * Resolve a blockTime option; 'auto' uses the block time measured on chain
+     * @param {number|string} blockTime - 1, 5 or 'auto'
+     */
+    async resolveBlockTime(blockTime) {
+        if (blockTime !== 'auto') {
+            return { blockTime, estimate: null };
+        }
+
+        const estimate = await BlockchainService.getBlockTimeEstimate();
+        return {
+            blockTime,
+            blocksPerYear: Math.round(this.config.SECONDS_PER_YEAR / estimate.blockTime),
+            blockConfiguration: `${estimate.blockTime} seconds per block (${estimate.source})`,
+            estimate
+        };
+    }
+
+    calculateAPRForBlockTime(timing, validatorStaking, validatorRewards, commissionRate, delegatorStake) {
+        if (timing.blockTime === 1) {
+            return this.calculateAPRFast(validatorStaking, validatorRewards, commissionRate, delegatorStake);
+        }
+        if (timing.blockTime === 5) {
+            return this.calculateAPRSlow(validatorStaking, validatorRewards, commissionRate, delegatorStake);
+        }
+
+        return {
+            ...this.calculateAPRForBlocksPerYear(
+                validatorStaking, validatorRewards, commissionRate, delegatorStake,
+                timing.blocksPerYear, timing.blockConfiguration
+            ),
+            blockTimeEstimate: timing.estimate
+        };
+    }
+
     // ============================================================================
     // BATCH APR CALCULATIONS
     // ============================================================================
@@ -252,16 +321,16 @@ class APRCalculatorService {
     /**
      * Calculate APR for multiple validators for a single delegator
      */
-    async calculateDelegatorAPRBatch(delegatorAddress, validatorAddresses, blockTime = 1) {
-        const results = [];
-
-        for (const validatorAddress of validatorAddresses) {
-            const apr = await this.calculateDelegatorAPR(delegatorAddress, validatorAddress, blockTime);
-            results.push({
-                validator: validatorAddress,
-                ...apr
-            });
-        }
+    async calculateDelegatorAPRBatch(delegatorAddress, validatorAddresses, blockTime = 1, blockTag) {
+        const results = await Promise.all(
+            validatorAddresses.map(async (validatorAddress) => {
+                const apr = await this.calculateDelegatorAPR(delegatorAddress, validatorAddress, blockTime, false, blockTag);
+                return {
+                    validator: validatorAddress,
+                    ...apr
+                };
+            })
+        );
 
         return {
             delegator: delegatorAddress,
@@ -274,20 +343,24 @@ class APRCalculatorService {
     /**
      * Calculate average APR across all active validators
      */
-    async calculateAverageAPR(blockTime = 1) {
+    async calculateAverageAPR(blockTime = 1, blockTag) {
         try {
-            const activeValidators = await this.contract.getActivatedValidators();
+            const [activeValidators, timing] = await Promise.all([
+                this.contract.getActivatedValidators({ blockTag }),
+                this.resolveBlockTime(blockTime)
+            ]);
             let totalAPR = 0;
             let validCalculations = 0;
 
-            for (const validator of activeValidators) {
-                const validatorInfo = await this.contract.getValidatorInfo(validator);
-                const [rewardAddr, status, stakingAmount, commissionRate, rewardAmount] = validatorInfo;
+            const validatorInfos = await Promise.all(
+                activeValidators.map(validator => this.contract.getValidatorInfo(validator, { blockTag }))
+            );
+
+            for (const validatorInfo of validatorInfos) {
+                const [, , stakingAmount, commissionRate, rewardAmount] = validatorInfo;
 
                 if (stakingAmount > 0) {
-                    const aprData = blockTime === 1
-                        ? this.calculateAPRFast(stakingAmount, rewardAmount, commissionRate, stakingAmount)
-                        : this.calculateAPRSlow(stakingAmount, rewardAmount, commissionRate, stakingAmount);
+                    const aprData = this.calculateAPRForBlockTime(timing, stakingAmount, rewardAmount, commissionRate, stakingAmount);
 
                     totalAPR += parseFloat(aprData.apr);
                     validCalculations++;
@@ -304,12 +377,14 @@ class APRCalculatorService {
                     validatorsIncluded: validCalculations,
                     totalValidators: activeValidators.length,
                     blockTime: blockTime,
-                    blockConfiguration: blockTime === 1 ? '1 second per block' : '5 seconds per block',
+                    blockConfiguration: timing.blockConfiguration || (blockTime === 1 ? '1 second per block' : '5 seconds per block'),
+                    blockTimeEstimate: timing.estimate || undefined,
                     calculatedAt: new Date().toISOString()
                 }
             };
 
         } catch (error) {
+            this.rethrowArchiveError(error, blockTag);
             return {
                 success: false,
                 error: 'AVERAGE_APR_ERROR',
@@ -318,10 +393,271 @@ class APRCalculatorService {
         }
     }
 
+    // ============================================================================
+    // EMPIRICAL APR (MEASURED OVER A TRAILING WINDOW)
+    // ============================================================================
+
+    /**
+     * Delegator APR measured from rewards actually paid over a trailing window:
+     * the growth of accRewardPerStake (needs an archive node for the window start)
+     * and the validator's share of indexed RewardDistributed events.
+     * @param {string} validatorAddress - Address of the validator
+     * @param {string} window - Trailing window ('7d' or '30d')
+     * @param {number} [blockTag] - Block the window ends at (default latest)
+     */
+    async calculateEmpiricalAPR(validatorAddress, window = '7d', blockTag) {
+        const days = this.config.EMPIRICAL_WINDOWS[window];
+        if (!days) {
+            return {
+                success: false,
+                error: 'INVALID_WINDOW',
+                message: `Window must be one of: ${Object.keys(this.config.EMPIRICAL_WINDOWS).join(', ')}`
+            };
+        }
+
+        try {
+            const validator = ethers.getAddress(validatorAddress);
+            const cacheKey = blockTagKey(`empirical_${validator}_${window}`, blockTag);
+
+            let loaded = false;
+            const data = await this.cache.getOrLoad(cacheKey, async () => {
+                loaded = true;
+
+                const endBlock = await this.provider.getBlock(blockTag ?? 'latest');
+                const startBlock = await BlockchainService.findBlockByTimestamp(endBlock.timestamp - days * 24 * 60 * 60);
+                const windowSeconds = endBlock.timestamp - startBlock.timestamp;
+
+                if (windowSeconds <= 0) return null;
+
+                const [endInfo, startInfo] = await Promise.all([
+                    this.contract.validatorInfo(validator, { blockTag: endBlock.number }),
+                    // Historical state is only available on archive nodes; other failures are real errors
+                    this.contract.validatorInfo(validator, { blockTag: startBlock.number }).catch(error => {
+                        if (isMissingStateError(error)) return null;
+                        throw error;
+                    })
+                ]);
+
+                const commission = this.formatCommissionRate(endInfo.commissionRate);
+                const annualize = (rate) => rate * this.config.SECONDS_PER_YEAR / windowSeconds * 100;
+
+                // Rewards paid to the validator in RewardDistributed events, net of commission
+                const indexer = EventIndexer.getStatus();
+                const { total: totalRewards, count: sampleSize } = EventIndexer.getValidatorRewards(validator, {
+                    fromBlock: startBlock.number + 1,
+                    toBlock: endBlock.number
+                });
+
+                const delegatorRewards = totalRewards * BigInt(10000 - commission.basisPoints) / 10000n;
+                const stake = Number(ethers.formatEther(endInfo.stakingAmount));
+                const eventAPR = stake > 0 ? annualize(Number(ethers.formatEther(delegatorRewards)) / stake) : null;
+
+                // Growth of the per-stake reward accumulator, minus slashing
+                let accumulator = null;
+                if (startInfo) {
+                    const rewardDelta = endInfo.accRewardPerStake - startInfo.accRewardPerStake;
+                    const slashDelta = endInfo.accSlashPerStake - startInfo.accSlashPerStake;
+                    const precision = Number(this.config.ACC_PER_STAKE_PRECISION);
+
+                    accumulator = {
+                        startValue: startInfo.accRewardPerStake.toString(),
+                        endValue: endInfo.accRewardPerStake.toString(),
+                        rewardDelta: rewardDelta.toString(),
+                        slashDelta: slashDelta.toString(),
+                        precision: this.config.ACC_PER_STAKE_PRECISION.toString(),
+                        apr: annualize(Number(rewardDelta - slashDelta) / precision).toFixed(2)
+                    };
+                }
+
+                const apr = accumulator ? parseFloat(accumulator.apr) : eventAPR;
+
+                return {
+                    validator: validator,
+                    mode: 'empirical',
+                    apr: apr !== null ? apr.toFixed(2) : null,
+                    aprPercent: apr !== null ? `${apr.toFixed(2)}%` : null,
+                    method: accumulator ? 'accRewardPerStake' : 'rewardEvents',
+                    window: {
+                        label: window,
+                        days: days,
+                        fromBlock: startBlock.number,
+                        toBlock: endBlock.number,
+                        fromTimestamp: new Date(startBlock.timestamp * 1000).toISOString(),
+                        toTimestamp: new Date(endBlock.timestamp * 1000).toISOString(),
+                        seconds: windowSeconds
+                    },
+                    rewardEvents: {
+                        sampleSize: sampleSize,
+                        totalRewards: ethers.formatEther(totalRewards),
+                        delegatorRewards: ethers.formatEther(delegatorRewards),
+                        apr: eventAPR !== null ? eventAPR.toFixed(2) : null,
+                        // Events before the indexer's start block or past its head are not counted
+                        complete: indexer.startBlock <= startBlock.number + 1 && indexer.lastIndexedBlock >= endBlock.number,
+                        lastIndexedBlock: indexer.lastIndexedBlock
+                    },
+                    accRewardPerStake: accumulator,
+                    note: accumulator ? undefined : 'accRewardPerStake at window start unavailable (archive node required), using RewardDistributed events',
+                    validatorTotalStake: ethers.formatEther(endInfo.stakingAmount),
+                    commissionRate: commission,
+                    calculatedAt: new Date().toISOString()
+                };
+            }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : undefined });
+
+            if (!data) {
+                return {
+                    success: false,
+                    error: 'EMPTY_WINDOW',
+                    message: 'Not enough chain history to measure APR'
+                };
+            }
+
+            return { success: true, data: { ...data, cached: !loaded } };
+
+        } catch (error) {
+            this.rethrowArchiveError(error, blockTag);
+            return {
+                success: false,
+                error: 'EMPIRICAL_APR_ERROR',
+                message: error.message
+            };
+        }
+    }
+
+    // ============================================================================
+    // TOP VALIDATORS RANKING
+    // ============================================================================
+
+    /**
+     * Rank activated validators by theoretical delegator APR
+     * @param {number|string} blockTime - Block time in seconds (1 or 5) or 'auto'
+     * @param {Object} options - { limit, excludeJailed, maxCommission (percent), blockTag }
+     */
+    async getTopValidatorsByAPR(blockTime = 1, options = {}) {
+        const { limit = 10, excludeJailed = false, maxCommission, blockTag } = options;
+
+        try {
+            // A ranking at a fixed past block is exact, latest rankings are shared per block window
+            const blockNumber = blockTag ?? await this.provider.getBlockNumber();
+            const blockWindow = Math.floor(blockNumber / this.config.RANKING_BLOCK_WINDOW);
+            const cacheKey = blockTag !== undefined
+                ? blockTagKey(`top_validators_${blockTime}`, blockTag)
+                : `top_validators_${blockTime}_${blockWindow}`;
+
+            let cached = true;
+            const ranking = await this.cache.getOrLoad(cacheKey, () => {
+                cached = false;
+                return this.rankValidatorsByAPR(blockTime, blockTag);
+            }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : undefined });
+
+            const matching = ranking.validators.filter(validator => {
+                if (excludeJailed && validator.isJailed) return false;
+                if (maxCommission !== undefined && validator.commissionRate.decimal * 100 > maxCommission) return false;
+                return true;
+            });
+
+            return {
+                success: true,
+                data: {
+                    blockTime: blockTime,
+                    blockConfiguration: ranking.timing.blockConfiguration || (blockTime === 1 ? '1 second per block' : '5 seconds per block'),
+                    blockTimeEstimate: ranking.timing.estimate || undefined,
+                    validators: matching.slice(0, limit).map((validator, index) => ({
+                        rank: index + 1,
+                        ...validator
+                    })),
+                    filters: {
+                        limit,
+                        excludeJailed,
+                        maxCommission: maxCommission ?? null
+                    },
+                    matchingValidators: matching.length,
+                    rankedValidators: ranking.validators.length,
+                    totalValidators: ranking.totalValidators,
+                    blockWindow: blockTag !== undefined ? null : {
+                        fromBlock: blockWindow * this.config.RANKING_BLOCK_WINDOW,
+                        toBlock: (blockWindow + 1) * this.config.RANKING_BLOCK_WINDOW - 1,
+                        size: this.config.RANKING_BLOCK_WINDOW
+                    },
+                    cached,
+                    calculatedAt: ranking.calculatedAt
+                }
+            };
+
+        } catch (error) {
+            this.rethrowArchiveError(error, blockTag);
+            return {
+                success: false,
+                error: 'TOP_VALIDATORS_ERROR',
+                message: error.message
+            };
+        }
+    }
+
+    /**
+     * APR for every activated validator, highest first.
+     * Validators without stake are skipped, same as calculateAverageAPR.
+     */
+    async rankValidatorsByAPR(blockTime = 1, blockTag) {
+        const [activeValidators, timing] = await Promise.all([
+            this.contract.getActivatedValidators({ blockTag }),
+            this.resolveBlockTime(blockTime)
+        ]);
+
+        const entries = await Promise.all(
+            activeValidators.map(async (validator) => {
+                const [validatorInfo, isJailed, description] = await Promise.all([
+                    this.contract.getValidatorInfo(validator, { blockTag }),
+                    this.contract.isJailed(validator, { blockTag }).catch(() => false),
+                    this.contract.getValidatorDescription(validator, { blockTag }).catch(() => null)
+                ]);
+                const [, status, stakingAmount, commissionRate, rewardAmount, , stakers] = validatorInfo;
+
+                if (stakingAmount === 0n) return null;
+
+                // Delegator stake equal to the total stake gives the per-unit APR independent of stake size
+                const aprData = this.calculateAPRForBlockTime(timing, stakingAmount, rewardAmount, commissionRate, stakingAmount);
+
+                return {
+                    validator: validator,
+                    moniker: description?.[0] || 'Unknown',
+                    apr: aprData.apr,
+                    aprPercent: aprData.aprPercent,
+                    calculationMethod: aprData.calculationMethod,
+                    commissionRate: this.formatCommissionRate(commissionRate),
+                    totalStake: ethers.formatEther(stakingAmount),
+                    delegatorCount: stakers.length,
+                    isJailed: isJailed,
+                    status: Number(status)
+                };
+            })
+        );
+
+        const validators = entries
+            .filter(entry => entry !== null)
+            .sort((a, b) => parseFloat(b.apr) - parseFloat(a.apr) || parseFloat(b.totalStake) - parseFloat(a.totalStake));
+
+        return {
+            validators,
+            totalValidators: activeValidators.length,
+            timing,
+            calculatedAt: new Date().toISOString()
+        };
+    }
+
     // ============================================================================
     // UTILITY FUNCTIONS
     // ============================================================================
 
+    /**
+     * Missing state at a past block is an archive node problem, not a calculation error
+     */
+    rethrowArchiveError(error, blockTag) {
+        if (blockTag === undefined) return;
+
+        const failure = historicalReadError(error, blockTag);
+        if (failure instanceof ArchiveNodeError) throw failure;
+    }
+
     /**
      * Format commission rate from basis points to percentage
      */
@@ -377,9 +713,9 @@ class APRCalculatorService {
     /**
      * Check if delegator meets minimum stake requirement
      */
-    async checkMinimumStake(delegatorAddress, validatorAddress) {
+    async checkMinimumStake(delegatorAddress, validatorAddress, blockTag) {
         try {
-            const stakingInfo = await this.contract.getStakingInfo(delegatorAddress, validatorAddress);
+            const stakingInfo = await this.contract.getStakingInfo(delegatorAddress, validatorAddress, { blockTag });
             const [delegatorStake] = stakingInfo;
 
             return {
@@ -393,6 +729,7 @@ class APRCalculatorService {
                 )
             };
         } catch (error) {
+            this.rethrowArchiveError(error, blockTag);
             return {
                 meetRequirement: false,
                 error: error.message
@@ -449,7 +786,9 @@ class APRCalculatorService {
             blocksPerYearFast: this.config.BLOCKS_PER_YEAR_FAST,
             blocksPerYearSlow: this.config.BLOCKS_PER_YEAR_SLOW,
             secondsPerYear: this.config.SECONDS_PER_YEAR,
-            defaultCommissionRate: this.config.DEFAULT_COMMISSION_RATE
+            defaultCommissionRate: this.config.DEFAULT_COMMISSION_RATE,
+            rankingBlockWindow: this.config.RANKING_BLOCK_WINDOW,
+            empiricalWindows: Object.keys(this.config.EMPIRICAL_WINDOWS)
         };
     }
 }
@@ -1,36 +1,43 @@
 import { ethers } from "ethers";
 import ValidatorsABI from "../abi/Validators.abi.json";
+import { RpcPoolProvider } from "./rpcPool.js";
+import { config } from "../config/index.js";
+import { calculateMedian } from "../utils/statistics.js";
+import { BlockTagError } from "../utils/pointInTime.js";
+
+// Blocks fetched in parallel when sampling block time, the pool's endpoints have per-endpoint cooldowns
+const BLOCK_FETCH_CONCURRENCY = 10;
 
 class BlockchainServiceClass {
   constructor() {
     this.provider = null;
     this.validatorsContract = null;
     this.isInitialized = false;
+    this.blockTimeEstimate = null;
+    this.blockTimeMeasuredAt = 0;
+    this.blockTimeSampling = null;
     this.config = {
-      rpcUrl: process.env.RPC_URL || 'https://rpc.adera.network',
-      contractAddress: process.env.VALIDATORS_CONTRACT_ADDRESS || '0x1234567890123456789012345678901234567890'
+      rpcUrls: config.rpc.urls,
+      contractAddress: config.contracts.validators
     };
   }
 
   async initialize() {
     try {
-      // Initialize provider
-      this.provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+      // Initialize provider (shared with services created before initialization)
+      const provider = this.getProvider();
       
       // Test connection
-      await this.provider.getNetwork();
-      console.log('✅ Provider connected successfully');
+      await provider.getNetwork();
+      provider.startHealthChecks();
+      console.log(`✅ Provider connected successfully (${this.config.rpcUrls.length} RPC endpoint(s))`);
 
       // Initialize contract
-      this.validatorsContract = new ethers.Contract(
-        this.config.contractAddress,
-        ValidatorsABI,
-        this.provider
-      );
+      const contract = this.getContract();
 
       // Test contract call (simple view function)
       try {
-        await this.validatorsContract.totalStaking();
+        await contract.totalStaking();
         console.log('✅ Contract initialized successfully');
       } catch (contractError) {
         console.warn('⚠️ Contract test call failed, but connection established');
@@ -48,11 +55,35 @@ class BlockchainServiceClass {
 
   getProvider() {
     if (!this.provider) {
-      this.provider = new ethers.JsonRpcProvider(this.config.rpcUrl);
+      // One failover pool shared by every service; eth_calls are batched through Multicall3
+      this.provider = new RpcPoolProvider(this.config.rpcUrls, {
+        chainId: config.rpc.chainId,
+        timeout: config.rpc.timeout,
+        batchMaxCount: config.rpc.batchMaxCount,
+        maxFailures: config.rpc.maxFailures,
+        cooldown: config.rpc.cooldown,
+        maxBlockLag: config.rpc.maxBlockLag,
+        healthCheckInterval: config.rpc.healthCheckInterval,
+        multicall: config.rpc.multicall
+      });
     }
     return this.provider;
   }
 
+  getBatchStats() {
+    return this.provider ? this.provider.multicall.getStats() : null;
+  }
+
+  getRpcStatus() {
+    return this.provider ? this.provider.getStatus() : null;
+  }
+
+  destroy() {
+    if (this.provider) {
+      this.provider.destroy();
+    }
+  }
+
   getContract() {
     if (!this.validatorsContract) {
       this.validatorsContract = new ethers.Contract(
@@ -83,6 +114,177 @@ class BlockchainServiceClass {
     }
   }
 
+  /**
+   * Latest block mined at or before `timestamp` (unix seconds), by binary search over headers
+   */
+  async findBlockByTimestamp(timestamp) {
+    const provider = this.getProvider();
+    const latest = await provider.getBlock('latest');
+    if (timestamp >= latest.timestamp) return latest;
+
+    let lowBlock = await provider.getBlock(0);
+    if (timestamp <= lowBlock.timestamp) return lowBlock;
+
+    // Invariant: block `low` is at or before the target, block `high` after it
+    let low = 0;
+    let high = latest.number;
+    while (high - low > 1) {
+      const mid = Math.floor((low + high) / 2);
+      const block = await provider.getBlock(mid);
+      if (block.timestamp <= timestamp) {
+        low = mid;
+        lowBlock = block;
+      } else {
+        high = mid;
+      }
+    }
+
+    return lowBlock;
+  }
+
+  /**
+   * Resolve atBlock / atTime (unix seconds or ISO date) to a past block; null when neither is set
+   * @returns {Object|null} { blockNumber, timestamp, requested }
+   */
+  async resolveBlockTag({ atBlock, atTime } = {}) {
+    if (atBlock === undefined && atTime === undefined) return null;
+    if (atBlock !== undefined && atTime !== undefined) {
+      throw new BlockTagError('Use either atBlock or atTime, not both');
+    }
+
+    const provider = this.getProvider();
+
+    if (atBlock !== undefined) {
+      // Digits only: Number() would take '' as block 0 and '0x10' as 16
+      const blockNumber = /^\d+$/.test(String(atBlock)) ? Number(atBlock) : NaN;
+      if (!Number.isSafeInteger(blockNumber)) {
+        throw new BlockTagError('atBlock must be a non-negative integer');
+      }
+
+      const head = await provider.getBlockNumber();
+      if (blockNumber > head) {
+        throw new BlockTagError(`atBlock ${blockNumber} is ahead of the chain head`, { headBlock: head });
+      }
+
+      const block = await provider.getBlock(blockNumber);
+      return {
+        blockNumber,
+        timestamp: block ? new Date(block.timestamp * 1000).toISOString() : null,
+        requested: { atBlock: blockNumber }
+      };
+    }
+
+    const timestamp = /^\d+$/.test(String(atTime))
+      ? Number(atTime)
+      : Math.floor(Date.parse(atTime) / 1000);
+    if (!Number.isFinite(timestamp)) {
+      throw new BlockTagError('atTime must be unix seconds or an ISO 8601 date');
+    }
+    if (timestamp > Math.floor(Date.now() / 1000)) {
+      throw new BlockTagError('atTime is in the future');
+    }
+
+    const block = await this.findBlockByTimestamp(timestamp);
+    if (block.timestamp > timestamp) {
+      throw new BlockTagError('atTime is before the first block', { genesisTime: new Date(block.timestamp * 1000).toISOString() });
+    }
+
+    return {
+      blockNumber: block.number,
+      timestamp: new Date(block.timestamp * 1000).toISOString(),
+      requested: { atTime: new Date(timestamp * 1000).toISOString() }
+    };
+  }
+
+  /**
+   * Block time measured from recent blocks, re-sampled every BLOCK_TIME_REFRESH_INTERVAL
+   */
+  async getBlockTimeEstimate() {
+    if (this.blockTimeEstimate && Date.now() - this.blockTimeMeasuredAt < config.blockTime.refreshInterval) {
+      return this.blockTimeEstimate;
+    }
+
+    if (!this.blockTimeSampling) {
+      this.blockTimeSampling = this.sampleBlockTime()
+        .catch(error => {
+          console.error('Failed to measure block time:', error.message);
+          return this.blockTimeEstimate || {
+            blockTime: config.blockTime.fallback,
+            source: 'fallback',
+            measuredAt: new Date().toISOString()
+          };
+        })
+        .finally(() => {
+          this.blockTimeSampling = null;
+        });
+    }
+
+    return this.blockTimeSampling;
+  }
+
+  async sampleBlockTime() {
+    const { sampleSize, driftThreshold } = config.blockTime;
+    const provider = this.getProvider();
+    const latest = await provider.getBlockNumber();
+    const fromBlock = Math.max(0, latest - sampleSize);
+
+    const blocks = [];
+    for (let start = fromBlock; start <= latest; start += BLOCK_FETCH_CONCURRENCY) {
+      const count = Math.min(BLOCK_FETCH_CONCURRENCY, latest - start + 1);
+      const fetched = await Promise.all(Array.from({ length: count }, (_, i) => provider.getBlock(start + i)));
+      blocks.push(...fetched.filter(Boolean));
+    }
+
+    // Per-block intervals, spread evenly over any block that failed to load
+    const intervals = blocks.slice(1).map((block, i) =>
+      (block.timestamp - blocks[i].timestamp) / (block.number - blocks[i].number)
+    );
+    if (intervals.length === 0) {
+      throw new Error('Not enough blocks to measure block time');
+    }
+
+    const first = blocks[0];
+    const last = blocks[blocks.length - 1];
+    const average = (last.timestamp - first.timestamp) / (last.number - first.number);
+
+    // Sub-second chains repeat timestamps, which can make the median 0
+    const median = calculateMedian(intervals);
+    const blockTime = median > 0 ? median : average;
+
+    // Drift: the most recent quarter of the sample, or the previous measurement, disagrees
+    const recentMedian = calculateMedian(intervals.slice(-Math.max(1, Math.floor(intervals.length / 4))));
+    const recentBlockTime = recentMedian > 0 ? recentMedian : blockTime;
+    const recentChange = (recentBlockTime - blockTime) / blockTime;
+    const previous = this.blockTimeEstimate?.source === 'measured' ? this.blockTimeEstimate.blockTime : null;
+    const previousChange = previous ? (blockTime - previous) / previous : 0;
+    const driftDetected = Math.abs(recentChange) > driftThreshold || Math.abs(previousChange) > driftThreshold;
+
+    if (driftDetected) {
+      console.warn(`⚠️ Block time drift detected: ${blockTime}s median, ${recentBlockTime}s recent${previous ? `, ${previous}s previously` : ''}`);
+    }
+
+    this.blockTimeEstimate = {
+      blockTime,
+      averageBlockTime: Number(average.toFixed(3)),
+      recentBlockTime,
+      sampleSize: intervals.length,
+      fromBlock: first.number,
+      toBlock: last.number,
+      drift: {
+        detected: driftDetected,
+        threshold: driftThreshold,
+        recentChange: Number(recentChange.toFixed(4)),
+        previousBlockTime: previous,
+        previousChange: Number(previousChange.toFixed(4))
+      },
+      source: 'measured',
+      measuredAt: new Date().toISOString()
+    };
+    this.blockTimeMeasuredAt = Date.now();
+
+    return this.blockTimeEstimate;
+  }
+
   async getNetworkInfo() {
     try {
       const [network, blockNumber, blockTime] = await Promise.all([
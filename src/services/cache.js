@@ -1,10 +1,32 @@
+import { createCacheBackend } from "./cacheBackends.js";
+import { config } from "../config/index.js";
+import { Logger } from "../utils/logger.js";
+
+// Per-namespace counters, summed per backend in CacheManager.getBackendStats
+const COUNTERS = ['hits', 'staleHits', 'misses', 'coalesced', 'loads', 'errors', 'backendErrors'];
+
 export class CacheService {
-  constructor(namespace = 'default') {
+  /**
+   * @param {string} namespace - Key prefix, so namespaces can share a backend
+   * @param {Object} backend - Storage, see cacheBackends.js; in-memory by default
+   */
+  constructor(namespace = 'default', backend = createCacheBackend('memory')) {
     this.namespace = namespace;
-    this.cache = new Map();
+    this.backend = backend;
     this.defaultTTL = parseInt(process.env.CACHE_DURATION) || 30000;
-    this.maxSize = parseInt(process.env.CACHE_MAX_SIZE) || 1000;
-    
+    // getOrLoad: how long an expired value may still be served while it refreshes,
+    // and how long a failed load is remembered
+    this.staleWindow = Number(process.env.CACHE_STALE_WINDOW ?? 30000);
+    this.errorTTL = Number(process.env.CACHE_ERROR_TTL ?? 5000);
+    // Namespaced key -> promise of the load in progress
+    this.inflight = new Map();
+    // Namespaced key -> { error, until } of a failed load. Kept in process: errors
+    // don't survive serialization, and callers check their class
+    this.failures = new Map();
+    this.stats = Object.fromEntries(COUNTERS.map(counter => [counter, 0]));
+    this.backendFailing = false;
+    this.logger = new Logger(`Cache:${namespace}`);
+
     // Cleanup interval
     this.cleanupInterval = setInterval(() => {
       this.cleanup();
@@ -19,121 +41,272 @@ export class CacheService {
   }
 
   /**
-   * Set cache entry
+   * Run a backend operation; an unavailable backend behaves like an empty cache
    */
-  set(key, value, ttl = this.defaultTTL) {
-    const namespacedKey = this._getKey(key);
-    
-    // Check cache size limit
-    if (this.cache.size >= this.maxSize) {
-      this._evictLRU();
+  async _backendCall(operation, fallback) {
+    try {
+      const result = await operation();
+      if (this.backendFailing) {
+        this.backendFailing = false;
+        this.logger.success(`${this.backend.name} backend available again`);
+      }
+      return result;
+    } catch (error) {
+      this.stats.backendErrors++;
+      if (!this.backendFailing) {
+        this.backendFailing = true;
+        this.logger.warn(`${this.backend.name} backend failed, continuing without cache: ${error.message}`);
+      }
+      return fallback;
     }
-    
-    const entry = {
-      value,
-      timestamp: Date.now(),
-      ttl,
-      lastAccessed: Date.now()
-    };
-    
-    this.cache.set(namespacedKey, entry);
+  }
+
+  _read(namespacedKey) {
+    return this._backendCall(() => this.backend.get(namespacedKey), null);
+  }
+
+  _store(namespacedKey, fields) {
+    const entry = { ...fields, timestamp: Date.now() };
+    return this._backendCall(() => this.backend.set(namespacedKey, entry, fields.ttl + fields.staleWindow), undefined);
+  }
+
+  /**
+   * Set cache entry; a load of the key in progress is detached, its result is older
+   */
+  async set(key, value, ttl = this.defaultTTL) {
+    const namespacedKey = this._getKey(key);
+    this.inflight.delete(namespacedKey);
+    this.failures.delete(namespacedKey);
+    await this._store(namespacedKey, { value, ttl, staleWindow: 0 });
     return true;
   }
 
   /**
    * Get cache entry
    */
-  get(key) {
-    const namespacedKey = this._getKey(key);
-    const entry = this.cache.get(namespacedKey);
-    
-    if (!entry) {
-      return null;
-    }
-    
-    // Check if expired
-    if (Date.now() - entry.timestamp > entry.ttl) {
-      this.cache.delete(namespacedKey);
+  async get(key) {
+    const entry = await this._read(this._getKey(key));
+
+    // Expired entries are kept for getOrLoad's stale window
+    if (!entry || Date.now() - entry.timestamp > entry.ttl) {
       return null;
     }
-    
-    // Update last accessed time
-    entry.lastAccessed = Date.now();
+
     return entry.value;
   }
 
+  /**
+   * Cached value of `key`, loaded once per miss however many callers ask at the
+   * same time. Past its TTL a value is still served for `staleWindow` ms while a
+   * single background load refreshes it. A failed load is remembered for
+   * `errorTTL` ms: callers get the same error instead of retrying the RPC.
+   * @param {string} key - Cache key
+   * @param {Function} loader - Returns the value or a promise of it
+   * @param {Object} opts - { ttl, staleWindow, errorTTL } in ms, defaults from the environment
+   */
+  async getOrLoad(key, loader, opts = {}) {
+    const options = {
+      ttl: opts.ttl ?? this.defaultTTL,
+      staleWindow: opts.staleWindow ?? this.staleWindow,
+      errorTTL: opts.errorTTL ?? this.errorTTL
+    };
+    const namespacedKey = this._getKey(key);
+    const entry = await this._read(namespacedKey);
+    const now = Date.now();
+
+    let failure = this.failures.get(namespacedKey);
+    if (failure && now >= failure.until) {
+      this.failures.delete(namespacedKey);
+      failure = null;
+    }
+
+    if (entry) {
+      const age = now - entry.timestamp;
+
+      if (age <= entry.ttl) {
+        this.stats.hits++;
+        return entry.value;
+      }
+
+      if (age <= entry.ttl + entry.staleWindow) {
+        this.stats.staleHits++;
+        if (!failure) {
+          // Failures keep the stale value, see _load
+          this._load(namespacedKey, loader, options).catch(() => {});
+        }
+        return entry.value;
+      }
+    }
+
+    if (failure?.error) {
+      this.stats.hits++;
+      throw failure.error;
+    }
+
+    this.stats.misses++;
+    return this._load(namespacedKey, loader, options);
+  }
+
+  /**
+   * Run `loader` unless a load of the key is already in progress, then store its outcome
+   */
+  _load(namespacedKey, loader, { ttl, staleWindow, errorTTL }) {
+    const inflight = this.inflight.get(namespacedKey);
+    if (inflight) {
+      this.stats.coalesced++;
+      return inflight;
+    }
+
+    this.stats.loads++;
+    // Deleted or invalidated meanwhile: the result may predate the change, don't store it
+    const isCurrent = () => this.inflight.get(namespacedKey) === load;
+
+    const load = Promise.resolve()
+      .then(loader)
+      .then(
+        async (value) => {
+          if (isCurrent()) {
+            this.failures.delete(namespacedKey);
+            await this._store(namespacedKey, { value, ttl, staleWindow });
+          }
+          return value;
+        },
+        async (error) => {
+          this.stats.errors++;
+          if (isCurrent()) {
+            const stale = await this._read(namespacedKey);
+            if (stale && Date.now() - stale.timestamp <= stale.ttl + stale.staleWindow) {
+              // Keep serving the stale value, retry the refresh after errorTTL
+              this.failures.set(namespacedKey, { error: null, until: Date.now() + errorTTL });
+            } else if (errorTTL > 0) {
+              this.failures.set(namespacedKey, { error, until: Date.now() + errorTTL });
+            }
+          }
+          throw error;
+        }
+      )
+      .finally(() => {
+        if (isCurrent()) {
+          this.inflight.delete(namespacedKey);
+        }
+      });
+
+    this.inflight.set(namespacedKey, load);
+    return load;
+  }
+
   /**
    * Delete cache entry
    */
   delete(key) {
-    const namespacedKey = this._getKey(key);
-    return this.cache.delete(namespacedKey);
+    return this._remove(this._getKey(key));
+  }
+
+  // Cached keys, remembered failures and keys with a load in progress
+  async _trackedKeys() {
+    const prefix = `${this.namespace}:`;
+    const stored = await this._backendCall(() => this.backend.keys(prefix), []);
+    const local = [...this.inflight.keys(), ...this.failures.keys()].filter(key => key.startsWith(prefix));
+    return Array.from(new Set([...stored, ...local]));
+  }
+
+  // Also detaches a load in progress, so it cannot store a value older than the removal
+  _remove(namespacedKey) {
+    this.inflight.delete(namespacedKey);
+    this.failures.delete(namespacedKey);
+    return this._backendCall(() => this.backend.delete(namespacedKey), false);
   }
 
   /**
    * Clear all cache entries for this namespace
    */
-  clear() {
-    const keys = Array.from(this.cache.keys()).filter(key => 
-      key.startsWith(`${this.namespace}:`)
-    );
-    
-    keys.forEach(key => this.cache.delete(key));
+  async clear() {
+    const keys = await this._trackedKeys();
+
+    await Promise.all(keys.map(key => this._remove(key)));
     return keys.length;
   }
 
   /**
    * Get all keys for this namespace
    */
-  keys() {
-    return Array.from(this.cache.keys())
-      .filter(key => key.startsWith(`${this.namespace}:`))
-      .map(key => key.replace(`${this.namespace}:`, ''));
+  async keys() {
+    const prefix = `${this.namespace}:`;
+    const keys = await this._backendCall(() => this.backend.keys(prefix), []);
+    return keys.map(key => key.slice(prefix.length));
   }
 
   /**
-   * Cleanup expired entries
+   * Drop entries a reorg from `blockNumber` on may have made stale: reads pinned
+   * at or after that block (`key@block`) and every latest-state read
+   * @returns {Promise<number>} Number of entries removed
    */
-  cleanup() {
-    const expiredKeys = [];
-    
-    for (const [key, entry] of this.cache.entries()) {
-      if (Date.now() - entry.timestamp > entry.ttl) {
-        this.cache.delete(key);
-        expiredKeys.push(key);
-      }
-    }
-    
-    return expiredKeys.length;
+  async invalidateFromBlock(blockNumber) {
+    // Loads still in progress are detached too, their result predates the change
+    const staleKeys = (await this._trackedKeys()).filter(key => {
+      const pinned = /@(\d+)$/.exec(key);
+      return !pinned || parseInt(pinned[1]) >= blockNumber;
+    });
+
+    await Promise.all(staleKeys.map(key => this._remove(key)));
+    return staleKeys.length;
   }
 
   /**
-   * Evict least recently used entry
+   * Drop latest-state entries whose key matches one of `patterns`; reads
+   * pinned to a block (`key@block`) cannot go stale and are kept
+   * @param {RegExp[]} patterns - Tested against the key without namespace
+   * @returns {Promise<string[]>} Removed keys
    */
-  _evictLRU() {
-    let oldestKey = null;
-    let oldestTime = Date.now();
-    
-    for (const [key, entry] of this.cache.entries()) {
-      if (entry.lastAccessed < oldestTime) {
-        oldestTime = entry.lastAccessed;
-        oldestKey = key;
+  async invalidateMatching(patterns) {
+    const prefix = `${this.namespace}:`;
+    const staleKeys = (await this._trackedKeys()).filter(key => {
+      if (/@\d+$/.test(key)) return false;
+      const plainKey = key.slice(prefix.length);
+      return patterns.some(pattern => pattern.test(plainKey));
+    });
+
+    await Promise.all(staleKeys.map(key => this._remove(key)));
+    return staleKeys.map(key => key.slice(prefix.length));
+  }
+
+  /**
+   * Cleanup expired entries and failures
+   */
+  async cleanup() {
+    const now = Date.now();
+    for (const [key, failure] of this.failures.entries()) {
+      if (now >= failure.until) {
+        this.failures.delete(key);
       }
     }
-    
-    if (oldestKey) {
-      this.cache.delete(oldestKey);
+
+    // Redis expires keys itself
+    if (this.backend.cleanup) {
+      await this._backendCall(() => this.backend.cleanup(), undefined);
     }
   }
 
+  async getStats() {
+    const size = await this._backendCall(() => this.backend.size(`${this.namespace}:`), null);
+
+    return {
+      backend: this.backend.name,
+      size,
+      inflight: this.inflight.size,
+      ...this.stats
+    };
+  }
+
   /**
-   * Destroy cache service
+   * Destroy cache service; entries in a shared backend are left for other processes
    */
   destroy() {
     if (this.cleanupInterval) {
       clearInterval(this.cleanupInterval);
     }
-    this.clear();
+    this.inflight.clear();
+    this.failures.clear();
   }
 }
 
@@ -143,36 +316,94 @@ class CacheManager {
     this.caches = new Map();
   }
 
-  getCache(namespace) {
+  /**
+   * @param {string} namespace
+   * @param {Object} options - { backend } 'memory' | 'redis' | 'file', CACHE_BACKEND by default
+   */
+  getCache(namespace, { backend = config.cache.backend } = {}) {
     if (!this.caches.has(namespace)) {
-      this.caches.set(namespace, new CacheService(namespace));
+      this.caches.set(namespace, new CacheService(namespace, createCacheBackend(backend)));
     }
     return this.caches.get(namespace);
   }
 
-  getAllStats() {
+  async getAllStats() {
     const stats = {};
     for (const [namespace, cache] of this.caches.entries()) {
       stats[namespace] = {
         namespace,
-        size: cache.cache.size
+        ...(await cache.getStats())
       };
     }
     return stats;
   }
 
-  clearAll() {
+  /**
+   * Hit/miss counters summed over the namespaces of each backend
+   */
+  getBackendStats() {
+    const backends = {};
     for (const cache of this.caches.values()) {
-      cache.clear();
+      const { name } = cache.backend;
+      if (!backends[name]) {
+        backends[name] = {
+          ...cache.backend.getStatus(),
+          namespaces: [],
+          ...Object.fromEntries(COUNTERS.map(counter => [counter, 0]))
+        };
+      }
+
+      backends[name].namespaces.push(cache.namespace);
+      COUNTERS.forEach(counter => {
+        backends[name][counter] += cache.stats[counter];
+      });
+    }
+
+    Object.values(backends).forEach(backend => {
+      const lookups = backend.hits + backend.staleHits + backend.misses;
+      backend.hitRate = lookups > 0 ? Number(((backend.hits + backend.staleHits) / lookups).toFixed(4)) : null;
+    });
+    return backends;
+  }
+
+  async clearAll() {
+    await Promise.all(Array.from(this.caches.values()).map(cache => cache.clear()));
+  }
+
+  /**
+   * Invalidate every namespace after a reorg from `blockNumber`
+   * @returns {Promise<Object>} Removed entries per namespace
+   */
+  async invalidateFromBlock(blockNumber) {
+    const removed = {};
+    for (const [namespace, cache] of this.caches.entries()) {
+      removed[namespace] = await cache.invalidateFromBlock(blockNumber);
+    }
+    return removed;
+  }
+
+  /**
+   * Drop matching latest-state entries in every namespace
+   * @returns {Promise<Object>} Removed keys per namespace
+   */
+  async invalidateMatching(patterns) {
+    const removed = {};
+    for (const [namespace, cache] of this.caches.entries()) {
+      removed[namespace] = await cache.invalidateMatching(patterns);
     }
+    return removed;
   }
 
   destroy() {
+    const backends = new Set();
     for (const cache of this.caches.values()) {
       cache.destroy();
+      backends.add(cache.backend);
     }
+    // Shared backends (redis connection, cache file) are closed once
+    backends.forEach(backend => backend.destroy());
     this.caches.clear();
   }
 }
 
-export const cacheManager = new CacheManager();
\ No newline at end of file
+export const cacheManager = new CacheManager();
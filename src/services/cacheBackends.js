@@ -0,0 +1,291 @@
+import { Database } from "bun:sqlite";
+import { mkdirSync } from "fs";
+import { dirname } from "path";
+import { RedisClient } from "./redisClient.js";
+import { config } from "../config/index.js";
+
+/**
+ * Storage behind CacheService. Keys arrive namespaced ("validators:total_staking"),
+ * entries are plain objects ({ value, ttl, staleWindow, timestamp }) and
+ * `expiresIn` is the time after which an entry may be dropped. Methods may
+ * return promises. Every backend stores entries as JSON (serializeEntry), so a
+ * value reads back the same whichever backend is configured.
+ */
+
+const BIGINT_TAG = '$bigint';
+
+/**
+ * JSON with BigInts tagged, so wei amounts come back as BigInt and not as strings.
+ * Reads the holder's raw value: app.js patches BigInt.prototype.toJSON, which
+ * runs before the replacer.
+ */
+export function serializeEntry(entry) {
+  return JSON.stringify(entry, function (key, value) {
+    const raw = this[key];
+    return typeof raw === 'bigint' ? { [BIGINT_TAG]: raw.toString() } : value;
+  });
+}
+
+export function deserializeEntry(text) {
+  return JSON.parse(text, (key, value) => {
+    const isTagged = value !== null && typeof value === 'object' && typeof value[BIGINT_TAG] === 'string'
+      && Object.keys(value).length === 1;
+    return isTagged ? BigInt(value[BIGINT_TAG]) : value;
+  });
+}
+
+// Process-local Map with LRU eviction; the default
+export class MemoryCacheBackend {
+  constructor({ maxSize = config.cache.maxSize } = {}) {
+    this.name = 'memory';
+    this.maxSize = maxSize;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+
+    if (Date.now() > item.expiresAt) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    item.lastAccessed = Date.now();
+    // A copy, like the shared backends return: callers can't alter the cached value
+    return deserializeEntry(item.entry);
+  }
+
+  set(key, entry, expiresIn) {
+    // Check cache size limit
+    if (this.entries.size >= this.maxSize && !this.entries.has(key)) {
+      this.evictLRU();
+    }
+
+    this.entries.set(key, { entry: serializeEntry(entry), expiresAt: Date.now() + expiresIn, lastAccessed: Date.now() });
+  }
+
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  keys(prefix) {
+    return Array.from(this.entries.keys()).filter(key => key.startsWith(prefix));
+  }
+
+  size(prefix) {
+    return this.keys(prefix).length;
+  }
+
+  cleanup() {
+    const now = Date.now();
+    for (const [key, item] of this.entries) {
+      if (now > item.expiresAt) {
+        this.entries.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Evict least recently used entry
+   */
+  evictLRU() {
+    let oldestKey = null;
+    let oldestTime = Date.now();
+
+    for (const [key, item] of this.entries) {
+      if (item.lastAccessed < oldestTime) {
+        oldestTime = item.lastAccessed;
+        oldestKey = key;
+      }
+    }
+
+    if (oldestKey) {
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  getStatus() {
+    return { type: this.name, maxSize: this.maxSize };
+  }
+
+  destroy() {
+    this.entries.clear();
+  }
+}
+
+// Escape glob characters of a SCAN MATCH pattern
+const escapeGlob = (value) => value.replace(/[*?[\]\\]/g, '\\$&');
+
+// Shared across replicas through a Redis-protocol server; expiry and eviction are left to the server
+export class RedisCacheBackend {
+  /**
+   * @param {RedisClient} client
+   * @param {Object} options - { prefix } prepended to every key, to share a database with other apps
+   */
+  constructor(client, { prefix = '' } = {}) {
+    this.name = 'redis';
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const raw = await this.client.command('GET', this.prefix + key);
+    return raw === null ? null : deserializeEntry(raw);
+  }
+
+  async set(key, entry, expiresIn) {
+    await this.client.command('SET', this.prefix + key, serializeEntry(entry), 'PX', Math.max(1, Math.ceil(expiresIn)));
+  }
+
+  async delete(key) {
+    return (await this.client.command('DEL', this.prefix + key)) > 0;
+  }
+
+  async keys(prefix) {
+    const pattern = `${escapeGlob(this.prefix + prefix)}*`;
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.client.command('SCAN', cursor, 'MATCH', pattern, 'COUNT', 500);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+
+    return Array.from(new Set(keys)).map(key => key.slice(this.prefix.length));
+  }
+
+  async size(prefix) {
+    return (await this.keys(prefix)).length;
+  }
+
+  getStatus() {
+    return { type: this.name, prefix: this.prefix, ...this.client.getStatus() };
+  }
+
+  destroy() {
+    this.client.close();
+  }
+}
+
+const FILE_SCHEMA = `CREATE TABLE IF NOT EXISTS cache_entries (
+  key TEXT PRIMARY KEY,
+  entry TEXT NOT NULL,
+  expires_at INTEGER NOT NULL
+)`;
+
+// SQLite file, shared by processes on the same host and kept across restarts
+export class FileCacheBackend {
+  constructor(path = config.cache.filePath) {
+    this.name = 'file';
+    this.path = path;
+    this.db = null;
+    this.statements = null;
+  }
+
+  open() {
+    if (this.db) return;
+
+    if (this.path !== ':memory:') {
+      mkdirSync(dirname(this.path), { recursive: true });
+    }
+
+    this.db = new Database(this.path, { create: true });
+    this.db.exec('PRAGMA journal_mode = WAL;');
+    this.db.exec('PRAGMA synchronous = NORMAL;');
+    // Other replicas may hold the write lock briefly
+    this.db.exec('PRAGMA busy_timeout = 2000;');
+    this.db.exec(FILE_SCHEMA);
+
+    this.statements = {
+      get: this.db.prepare('SELECT entry FROM cache_entries WHERE key = $key AND expires_at > $now'),
+      set: this.db.prepare(`
+        INSERT OR REPLACE INTO cache_entries (key, entry, expires_at)
+        VALUES ($key, $entry, $expiresAt)
+      `),
+      delete: this.db.prepare('DELETE FROM cache_entries WHERE key = $key'),
+      keys: this.db.prepare(`
+        SELECT key FROM cache_entries
+        WHERE substr(key, 1, length($prefix)) = $prefix AND expires_at > $now
+      `),
+      count: this.db.prepare(`
+        SELECT COUNT(*) AS count FROM cache_entries
+        WHERE substr(key, 1, length($prefix)) = $prefix AND expires_at > $now
+      `),
+      deleteExpired: this.db.prepare('DELETE FROM cache_entries WHERE expires_at <= $now')
+    };
+  }
+
+  get(key) {
+    this.open();
+    const row = this.statements.get.get({ $key: key, $now: Date.now() });
+    return row ? deserializeEntry(row.entry) : null;
+  }
+
+  set(key, entry, expiresIn) {
+    this.open();
+    this.statements.set.run({ $key: key, $entry: serializeEntry(entry), $expiresAt: Date.now() + expiresIn });
+  }
+
+  delete(key) {
+    this.open();
+    return this.statements.delete.run({ $key: key }).changes > 0;
+  }
+
+  keys(prefix) {
+    this.open();
+    return this.statements.keys.all({ $prefix: prefix, $now: Date.now() }).map(row => row.key);
+  }
+
+  size(prefix) {
+    this.open();
+    return this.statements.count.get({ $prefix: prefix, $now: Date.now() }).count;
+  }
+
+  cleanup() {
+    this.open();
+    this.statements.deleteExpired.run({ $now: Date.now() });
+  }
+
+  getStatus() {
+    return { type: this.name, path: this.path };
+  }
+
+  destroy() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+const sharedBackends = {};
+
+/**
+ * Backend for one cache namespace. Memory backends are per namespace, the
+ * redis and file backends are shared by every namespace of the process.
+ * @param {string} type - 'memory' | 'redis' | 'file', CACHE_BACKEND by default
+ */
+export function createCacheBackend(type = config.cache.backend) {
+  switch (type) {
+    case 'memory':
+      return new MemoryCacheBackend();
+
+    case 'redis':
+      if (!sharedBackends.redis) {
+        const client = new RedisClient(config.cache.redisUrl, { commandTimeout: config.cache.redisTimeout });
+        sharedBackends.redis = new RedisCacheBackend(client, { prefix: config.cache.redisPrefix });
+      }
+      return sharedBackends.redis;
+
+    case 'file':
+      if (!sharedBackends.file) {
+        sharedBackends.file = new FileCacheBackend(config.cache.filePath);
+      }
+      return sharedBackends.file;
+
+    default:
+      throw new Error(`Unknown cache backend: ${type}`);
+  }
+}
@@ -0,0 +1,159 @@
+import { EventEmitter } from "events";
+import { cacheManager } from "./cache.js";
+import { Logger } from "../utils/logger.js";
+
+// Stake changes between a delegator and a validator
+const stakeKeys = ({ staker, validator }) => [
+  `validator_info_${validator}`,
+  `validator_details_${validator}`,
+  'total_staking',
+  `staking_info_${staker}_${validator}`,
+  `pending_rewards_${staker}_${validator}`,
+  `delegator_reward_info_${staker}_${validator}`,
+  `empirical_${validator}_*`,
+  'top_validators_*'
+];
+
+const validatorKeys = ({ validator }) => [
+  `validator_info_${validator}`,
+  `validator_details_${validator}`,
+  'top_validators_*'
+];
+
+const descriptionKeys = (data) => [...validatorKeys(data), `validator_desc_${data.validator}`, 'validator_candidates'];
+const candidateKeys = (data) => [...validatorKeys(data), 'validator_candidates'];
+
+/**
+ * Cache keys, in any namespace, that a contract event makes stale.
+ * `*` matches any part of a key; addresses are compared case-insensitively.
+ */
+const INVALIDATION_RULES = {
+  ValidatorCreated: descriptionKeys,
+  ValidatorUpdated: descriptionKeys,
+  Staking: stakeKeys,
+  Unstake: stakeKeys,
+  WithdrawStaking: stakeKeys,
+  ValidatorSlash: (data) => [...validatorKeys(data), 'total_staking', `empirical_${data.validator}_*`],
+  ValidatorUnjailed: validatorKeys,
+  DelegatorRewardsClaimed: ({ delegator, validator }) => [
+    `pending_rewards_${delegator}_${validator}`,
+    `delegator_reward_info_${delegator}_${validator}`
+  ],
+  WithdrawRewards: ({ validator }) => [`validator_info_${validator}`, `validator_details_${validator}`],
+  RewardDistributed: ({ validators = [] }) => validators.flatMap(validator => [
+    `validator_info_${validator}`,
+    `validator_details_${validator}`,
+    `pending_rewards_*_${validator}`,
+    `empirical_${validator}_*`
+  ]),
+  ValidatorSetUpdated: () => [
+    'activated_validators',
+    'validator_candidates',
+    'validator_info_*',
+    'validator_details_*',
+    'top_validators_*'
+  ],
+  AddToValidatorCandidate: candidateKeys,
+  RemoveFromValidatorCandidate: candidateKeys
+};
+
+// Events that move a delegator's stake in the ranking index
+const RANKING_EVENTS = ['Staking', 'Unstake', 'WithdrawStaking'];
+
+const toPattern = (key) => new RegExp(
+  `^${key.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`,
+  'i'
+);
+
+/**
+ * Evicts the cache entries a contract event changed as soon as the WebSocket
+ * feed sees it, so every endpoint reads the new state instead of waiting for TTLs
+ */
+class CacheInvalidationBusClass extends EventEmitter {
+  constructor() {
+    super();
+    this.logger = new Logger('CacheInvalidation');
+    this.wsService = null;
+    this.rankingService = null;
+    this.isRunning = false;
+    this.stats = { events: 0, keysRemoved: 0, byEvent: {}, lastInvalidation: null };
+    this.onContractEvent = (eventData) => {
+      this.handleContractEvent(eventData).catch(error => {
+        this.logger.error(`Invalidation for ${eventData.eventName} failed:`, error.message);
+      });
+    };
+  }
+
+  /**
+   * @param {WebSocketService} wsService - Source of live contract events
+   * @param {Object} options - { rankingService } to keep the delegator ranking index in step
+   */
+  start(wsService, { rankingService = null } = {}) {
+    if (this.isRunning) return;
+
+    this.wsService = wsService;
+    this.rankingService = rankingService;
+    wsService.on('contractEvent', this.onContractEvent);
+
+    this.isRunning = true;
+    this.logger.success('Cache invalidation started');
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.wsService) {
+      this.wsService.off('contractEvent', this.onContractEvent);
+      this.wsService = null;
+    }
+    this.rankingService = null;
+  }
+
+  async handleContractEvent({ eventName, blockNumber, data }) {
+    const rule = INVALIDATION_RULES[eventName];
+    if (!rule) return;
+
+    if (!data || data.error) {
+      this.logger.debug(`${eventName} at block ${blockNumber} could not be parsed, nothing invalidated`);
+      return;
+    }
+
+    const removed = await this.invalidate(rule(data));
+    const keysRemoved = Object.values(removed).reduce((sum, keys) => sum + keys.length, 0);
+
+    this.stats.events++;
+    this.stats.keysRemoved += keysRemoved;
+    this.stats.byEvent[eventName] = (this.stats.byEvent[eventName] || 0) + 1;
+    this.stats.lastInvalidation = { eventName, blockNumber, keysRemoved, at: new Date().toISOString() };
+
+    if (keysRemoved > 0) {
+      this.logger.debug(`${eventName} at block ${blockNumber} invalidated ${keysRemoved} cache entries`);
+    }
+
+    // The set change itself is rebuilt by the ranking index from the event indexer
+    if (this.rankingService && RANKING_EVENTS.includes(eventName)) {
+      this.rankingService.refreshStakes([{ delegator: data.staker, validator: data.validator }], blockNumber);
+    }
+
+    this.emit('invalidated', { eventName, blockNumber, removed });
+  }
+
+  /**
+   * Remove latest-state entries matching `keys` in every cache namespace
+   * @param {string[]} keys - Cache keys, `*` as wildcard
+   * @returns {Promise<Object>} Removed keys per namespace
+   */
+  invalidate(keys) {
+    return cacheManager.invalidateMatching(keys.map(toPattern));
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      rankingIndex: !!this.rankingService,
+      ...this.stats
+    };
+  }
+}
+
+// Export singleton instance
+export const CacheInvalidationBus = new CacheInvalidationBusClass();
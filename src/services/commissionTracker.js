@@ -0,0 +1,279 @@
+import { BlockchainService } from "./blockchain.js";
+import { DatabaseService } from "./database.js";
+import { EventIndexer } from "./eventIndexer.js";
+import { config } from "../config/index.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS commission_snapshots (
+    validator TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    rate TEXT NOT NULL,
+    source TEXT NOT NULL,
+    last_seen_block INTEGER NOT NULL,
+    last_seen_timestamp INTEGER NOT NULL,
+    PRIMARY KEY (validator, block_number)
+  )`
+];
+
+// Events after which the validator's commission may have changed
+const COMMISSION_EVENTS = ['ValidatorCreated', 'ValidatorUpdated'];
+
+class CommissionTrackerClass {
+  constructor() {
+    this.logger = new Logger('Commission');
+    this.snapshotInterval = config.snapshots.commissionInterval;
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.timer = null;
+    this.onIndexedEvents = (events) => this.handleIndexedEvents(events);
+    this.onRewind = (range) => this.handleRewind(range);
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      previous: db.prepare(`
+        SELECT * FROM commission_snapshots
+        WHERE validator = $validator AND block_number <= $blockNumber
+        ORDER BY block_number DESC LIMIT 1
+      `),
+      next: db.prepare(`
+        SELECT * FROM commission_snapshots
+        WHERE validator = $validator AND block_number > $blockNumber
+        ORDER BY block_number ASC LIMIT 1
+      `),
+      insert: db.prepare(`
+        INSERT OR REPLACE INTO commission_snapshots
+          (validator, block_number, timestamp, rate, source, last_seen_block, last_seen_timestamp)
+        VALUES
+          ($validator, $blockNumber, $timestamp, $rate, $source, $blockNumber, $timestamp)
+      `),
+      touch: db.prepare(`
+        UPDATE commission_snapshots
+        SET last_seen_block = $lastSeenBlock, last_seen_timestamp = $lastSeenTimestamp
+        WHERE validator = $validator AND block_number = $blockNumber
+      `),
+      series: db.prepare(`
+        SELECT * FROM commission_snapshots
+        WHERE validator = $validator
+        ORDER BY block_number ASC
+      `),
+      rewind: db.prepare('DELETE FROM commission_snapshots WHERE block_number >= ?')
+    };
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Track commission changes from indexed events and periodic snapshots
+   */
+  start() {
+    if (this.isRunning) return;
+
+    try {
+      this.initialize();
+    } catch (error) {
+      this.logger.error('Failed to initialize commission tracker:', error.message);
+      return;
+    }
+
+    EventIndexer.on('events', this.onIndexedEvents);
+    EventIndexer.on('rewind', this.onRewind);
+    this.isRunning = true;
+
+    const tick = async () => {
+      await this.snapshotAll();
+      if (this.isRunning) {
+        this.timer = setTimeout(tick, this.snapshotInterval);
+      }
+    };
+    this.timer = setTimeout(tick, 0);
+
+    this.logger.success(`Commission tracker started (snapshot every ${this.snapshotInterval / 1000}s)`);
+  }
+
+  stop() {
+    this.isRunning = false;
+    EventIndexer.off('events', this.onIndexedEvents);
+    EventIndexer.off('rewind', this.onRewind);
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async handleIndexedEvents(events) {
+    const updates = events.filter(event => COMMISSION_EVENTS.includes(event.eventName));
+
+    for (const event of updates) {
+      try {
+        // Read the rate as of the event's block (requires an archive node)
+        const info = await BlockchainService.getContract().getValidatorInfo(event.validator, {
+          blockTag: event.blockNumber
+        });
+        this.recordRate(event.validator, event.blockNumber, event.timestamp, info[3], event.eventName);
+      } catch (error) {
+        this.logger.debug(`Historical commission read failed for ${event.validator} at ${event.blockNumber}, using latest`, error.message);
+        await this.snapshotValidator(event.validator);
+      }
+    }
+  }
+
+  /**
+   * Drop rates read from blocks a reorg replaced; the re-indexed events and
+   * the next snapshot record them again
+   */
+  handleRewind({ fromBlock }) {
+    this.initialize();
+    this.statements.rewind.run(fromBlock);
+  }
+
+  /**
+   * Snapshot the commission rate of every activated validator and candidate
+   */
+  async snapshotAll() {
+    try {
+      const contract = BlockchainService.getContract();
+      const [activated, candidates] = await Promise.all([
+        contract.getActivatedValidators(),
+        contract.getValidatorCandidate().catch(() => [[]])
+      ]);
+
+      const validators = [...new Set([...activated, ...candidates[0]].map(addr => BlockchainService.parseAddress(addr)))];
+      const block = await BlockchainService.getProvider().getBlock('latest');
+
+      const infos = await Promise.all(
+        validators.map(validator => contract.getValidatorInfo(validator, { blockTag: block.number }).catch(() => null))
+      );
+
+      infos.forEach((info, index) => {
+        if (info) {
+          this.recordRate(validators[index], block.number, block.timestamp, info[3], 'snapshot');
+        }
+      });
+
+      this.logger.debug(`Commission snapshot recorded for ${validators.length} validators at block ${block.number}`);
+    } catch (error) {
+      this.logger.error('Commission snapshot failed:', error.message);
+    }
+  }
+
+  /**
+   * @returns {Promise<number|null>} The rate read, in basis points
+   */
+  async snapshotValidator(validatorAddress) {
+    try {
+      const block = await BlockchainService.getProvider().getBlock('latest');
+      const info = await BlockchainService.getContract().getValidatorInfo(validatorAddress, { blockTag: block.number });
+      this.recordRate(validatorAddress, block.number, block.timestamp, info[3], 'snapshot');
+      return Number(info[3]);
+    } catch (error) {
+      this.logger.error(`Commission snapshot failed for ${validatorAddress}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Current commission rate in basis points, the unit of the history; the last
+   * recorded rate when the contract can't be read
+   */
+  async getCurrentRate(validatorAddress) {
+    const rate = await this.snapshotValidator(validatorAddress);
+    if (rate !== null) return rate;
+
+    this.initialize();
+    const latest = this.statements.previous.get({
+      $validator: validatorAddress.toLowerCase(),
+      $blockNumber: Number.MAX_SAFE_INTEGER
+    });
+    return latest ? Number(latest.rate) : null;
+  }
+
+  /**
+   * Store an observed rate, extending the previous observation when nothing changed
+   */
+  recordRate(validatorAddress, blockNumber, timestamp, rate, source) {
+    this.initialize();
+
+    const validator = validatorAddress.toLowerCase();
+    const rateValue = rate.toString();
+    const observedAt = timestamp ?? Math.floor(Date.now() / 1000);
+
+    const previous = this.statements.previous.get({ $validator: validator, $blockNumber: blockNumber });
+    const next = this.statements.next.get({ $validator: validator, $blockNumber: blockNumber });
+
+    if (previous && previous.rate === rateValue && !next) {
+      if (blockNumber > previous.last_seen_block) {
+        this.statements.touch.run({
+          $validator: validator,
+          $blockNumber: previous.block_number,
+          $lastSeenBlock: blockNumber,
+          $lastSeenTimestamp: observedAt
+        });
+      }
+      return;
+    }
+
+    // An event pins the exact change block, so it wins over a snapshot at the same height
+    if (previous && previous.block_number === blockNumber && source === 'snapshot') {
+      return;
+    }
+
+    this.statements.insert.run({
+      $validator: validator,
+      $blockNumber: blockNumber,
+      $timestamp: observedAt,
+      $rate: rateValue,
+      $source: source
+    });
+  }
+
+  /**
+   * Commission changes for a validator within the last `days` days
+   */
+  getCommissionHistory(validatorAddress, days = 30) {
+    this.initialize();
+
+    const since = Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+    const rows = this.statements.series.all({ $validator: validatorAddress.toLowerCase() });
+    const changes = [];
+
+    rows.forEach((row, index) => {
+      const previous = index > 0 ? rows[index - 1] : null;
+      if (previous && previous.rate === row.rate) return;
+      // First observation is only a change when it comes from the creation event
+      if (!previous && row.source !== 'ValidatorCreated') return;
+      if (row.timestamp < since) return;
+
+      changes.push({
+        blockNumber: row.block_number,
+        timestamp: new Date(row.timestamp * 1000).toISOString(),
+        oldRate: previous ? Number(previous.rate) : null,
+        newRate: Number(row.rate),
+        source: row.source,
+        // Snapshots only bound the change between two observations
+        detectedBetween: row.source === 'snapshot' && previous ? {
+          fromBlock: previous.last_seen_block,
+          toBlock: row.block_number
+        } : undefined
+      });
+    });
+
+    return {
+      changes,
+      observations: rows.length,
+      firstObservedBlock: rows.length > 0 ? rows[0].block_number : null,
+      lastObservedBlock: rows.length > 0 ? rows[rows.length - 1].last_seen_block : null
+    };
+  }
+}
+
+// Export singleton instance
+export const CommissionTracker = new CommissionTrackerClass();
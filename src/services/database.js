@@ -0,0 +1,49 @@
+import { Database } from "bun:sqlite";
+import { mkdirSync } from "fs";
+import { dirname } from "path";
+import { config } from "../config/index.js";
+import { Logger } from "../utils/logger.js";
+
+class DatabaseServiceClass {
+  constructor() {
+    this.db = null;
+    this.path = config.database.path;
+    this.logger = new Logger('Database');
+  }
+
+  /**
+   * Open (or create) the embedded SQLite database
+   */
+  getDatabase() {
+    if (!this.db) {
+      if (this.path !== ':memory:') {
+        mkdirSync(dirname(this.path), { recursive: true });
+      }
+
+      this.db = new Database(this.path, { create: true });
+      this.db.exec('PRAGMA journal_mode = WAL;');
+      this.db.exec('PRAGMA synchronous = NORMAL;');
+      this.logger.info(`Database opened at ${this.path}`);
+    }
+    return this.db;
+  }
+
+  /**
+   * Run schema statements (CREATE TABLE IF NOT EXISTS ...)
+   */
+  ensureSchema(statements) {
+    const db = this.getDatabase();
+    statements.forEach(statement => db.exec(statement));
+  }
+
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.logger.info('Database closed');
+    }
+  }
+}
+
+// Export singleton instance
+export const DatabaseService = new DatabaseServiceClass();
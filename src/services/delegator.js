@@ -1,36 +1,51 @@
 import { BlockchainService } from "./blockchain.js";
 import { ValidatorService } from "./validator.js";
-import { CacheService } from "./cache.js";
+import { cacheManager } from "./cache.js";
+import { EventIndexer } from "./eventIndexer.js";
 import { Logger } from "../utils/logger.js";
-
+import { HISTORICAL_CACHE_TTL, blockTagKey, historicalReadError } from "../utils/pointInTime.js";
+
+// Indexed events that describe a delegator's own staking actions
+export const DELEGATOR_EVENTS = ['Staking', 'Unstake', 'WithdrawStaking', 'DelegatorRewardsClaimed'];
+
+const DELEGATOR_ACTIONS = {
+  Staking: 'stake',
+  Unstake: 'unstake',
+  WithdrawStaking: 'withdraw',
+  DelegatorRewardsClaimed: 'claimRewards'
+};
+
+/**
+ * Delegation reads take an optional `blockTag` (block number) like ValidatorService;
+ * "current block" figures are then relative to that block.
+ */
 export class DelegatorService {
   constructor() {
     this.logger = new Logger('DelegatorService');
-    this.cache = new CacheService('delegators');
+    this.cache = cacheManager.getCache('delegators');
     this.validatorService = new ValidatorService();
   }
 
-  async getStakingInfo(stakerAddress, validatorAddress) {
-    const cacheKey = `staking_info_${stakerAddress}_${validatorAddress}`;
+  async getStakingInfo(stakerAddress, validatorAddress, blockTag) {
+    const cacheKey = blockTagKey(`staking_info_${stakerAddress}_${validatorAddress}`, blockTag);
     
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
+      // Cache for shorter duration since this data changes frequently
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const info = await contract.getStakingInfo(stakerAddress, validatorAddress, { blockTag });
 
-      const contract = BlockchainService.getContract();
-      const info = await contract.getStakingInfo(stakerAddress, validatorAddress);
-      
-      const result = {
-        stakedAmount: BlockchainService.formatEther(info[0]),
-        unstakeBlock: Number(info[1]),
-        lastClaimBlock: Number(info[2])
-      };
+        const result = {
+          stakedAmount: BlockchainService.formatEther(info[0]),
+          unstakeBlock: Number(info[1]),
+          lastClaimBlock: Number(info[2])
+        };
 
-      // Cache for shorter duration since this data changes frequently
-      this.cache.set(cacheKey, result, 10000); // 10 seconds
-      return result;
+        return result;
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : 10000 }); // 10 seconds
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       this.logger.error(`Failed to get staking info for ${stakerAddress} -> ${validatorAddress}:`, error);
       return {
         stakedAmount: '0',
@@ -40,52 +55,51 @@ export class DelegatorService {
     }
   }
 
-  async getPendingRewards(delegatorAddress, validatorAddress) {
-    const cacheKey = `pending_rewards_${delegatorAddress}_${validatorAddress}`;
+  async getPendingRewards(delegatorAddress, validatorAddress, blockTag) {
+    const cacheKey = blockTagKey(`pending_rewards_${delegatorAddress}_${validatorAddress}`, blockTag);
     
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const rewards = await contract.getPendingDelegatorRewards(
+          delegatorAddress, 
+          validatorAddress,
+          { blockTag }
+        );
 
-      const contract = BlockchainService.getContract();
-      const rewards = await contract.getPendingDelegatorRewards(
-        delegatorAddress, 
-        validatorAddress
-      );
-      
-      const result = BlockchainService.formatEther(rewards);
-      this.cache.set(cacheKey, result, 5000); // 5 seconds cache
-      return result;
+        return BlockchainService.formatEther(rewards);
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : 5000 }); // 5 seconds cache
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       this.logger.error(`Failed to get pending rewards for ${delegatorAddress} -> ${validatorAddress}:`, error);
       return '0';
     }
   }
 
-  async getDelegatorRewardInfo(delegatorAddress, validatorAddress) {
-    const cacheKey = `delegator_reward_info_${delegatorAddress}_${validatorAddress}`;
+  async getDelegatorRewardInfo(delegatorAddress, validatorAddress, blockTag) {
+    const cacheKey = blockTagKey(`delegator_reward_info_${delegatorAddress}_${validatorAddress}`, blockTag);
     
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      const contract = BlockchainService.getContract();
-      const info = await contract.delegatorRewardInfo(
-        delegatorAddress, 
-        validatorAddress
-      );
-      
-      const result = {
-        rewardDebt: BlockchainService.formatEther(info[0]),
-        pendingRewards: BlockchainService.formatEther(info[1]),
-        lastClaimBlock: Number(info[2])
-      };
-
-      this.cache.set(cacheKey, result, 10000);
-      return result;
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const info = await contract.delegatorRewardInfo(
+          delegatorAddress, 
+          validatorAddress,
+          { blockTag }
+        );
+
+        const result = {
+          rewardDebt: BlockchainService.formatEther(info[0]),
+          pendingRewards: BlockchainService.formatEther(info[1]),
+          lastClaimBlock: Number(info[2])
+        };
+
+        return result;
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : 10000 });
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       this.logger.error(`Failed to get delegator reward info for ${delegatorAddress} -> ${validatorAddress}:`, error);
       return {
         rewardDebt: '0',
@@ -95,10 +109,10 @@ export class DelegatorService {
     }
   }
 
-  async getStakerInfo(stakerAddress, validatorAddress) {
+  async getStakerInfo(stakerAddress, validatorAddress, blockTag) {
     try {
       const contract = BlockchainService.getContract();
-      const info = await contract.stakerInfo(stakerAddress, validatorAddress);
+      const info = await contract.stakerInfo(stakerAddress, validatorAddress, { blockTag });
       
       return {
         amount: BlockchainService.formatEther(info[0]),
@@ -107,6 +121,7 @@ export class DelegatorService {
       };
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       this.logger.error(`Failed to get staker info for ${stakerAddress} -> ${validatorAddress}:`, error);
       return {
         amount: '0',
@@ -119,24 +134,26 @@ export class DelegatorService {
   async getDelegatorInfo(delegatorAddress, options = {}) {
     try {
       const address = BlockchainService.parseAddress(delegatorAddress);
-      const { includeInactive = false } = options;
+      const { includeInactive = false, blockTag } = options;
       
       // Get all validators to check delegations
-      const validators = await this.validatorService.getActivatedValidators();
-      const currentBlock = await BlockchainService.getCurrentBlock();
+      const validators = await this.validatorService.getActivatedValidators(blockTag);
+      const currentBlock = blockTag ?? await BlockchainService.getCurrentBlock();
       
       // Get delegation info for each validator
       const delegationPromises = validators.map(async (validatorAddress) => {
         const [stakingInfo, rewardInfo, pendingRewards] = await Promise.all([
-          this.getStakingInfo(address, validatorAddress),
-          this.getDelegatorRewardInfo(address, validatorAddress),
-          this.getPendingRewards(address, validatorAddress)
+          this.getStakingInfo(address, validatorAddress, blockTag),
+          this.getDelegatorRewardInfo(address, validatorAddress, blockTag),
+          this.getPendingRewards(address, validatorAddress, blockTag)
         ]);
 
         // Only include if there's an active delegation or if requested
         if (parseFloat(stakingInfo.stakedAmount) > 0 || includeInactive) {
-          const validatorDesc = await this.validatorService.getValidatorDescription(validatorAddress);
-          const validatorInfo = await this.validatorService.getValidatorInfo(validatorAddress);
+          const [validatorDesc, validatorInfo] = await Promise.all([
+            this.validatorService.getValidatorDescription(validatorAddress, blockTag),
+            this.validatorService.getValidatorInfo(validatorAddress, blockTag)
+          ]);
           
           // Check if can withdraw
           const canWithdraw = stakingInfo.unstakeBlock > 0 && 
@@ -200,7 +217,7 @@ export class DelegatorService {
     }
   }
 
-  async getStakingDetails(delegatorAddress, validatorAddress) {
+  async getStakingDetails(delegatorAddress, validatorAddress, blockTag) {
     try {
       const delegatorAddr = BlockchainService.parseAddress(delegatorAddress);
       const validatorAddr = BlockchainService.parseAddress(validatorAddress);
@@ -211,14 +228,19 @@ export class DelegatorService {
         pendingRewards, 
         validatorInfo, 
         currentBlock,
-        stakingLockPeriod
+        stakingLockPeriod,
+        blockTimeEstimate,
+        referenceTime
       ] = await Promise.all([
-        this.getStakingInfo(delegatorAddr, validatorAddr),
-        this.getDelegatorRewardInfo(delegatorAddr, validatorAddr),
-        this.getPendingRewards(delegatorAddr, validatorAddr),
-        this.validatorService.getValidatorInfo(validatorAddr),
-        BlockchainService.getCurrentBlock(),
-        BlockchainService.getContract().then(c => c.StakingLockPeriod())
+        this.getStakingInfo(delegatorAddr, validatorAddr, blockTag),
+        this.getDelegatorRewardInfo(delegatorAddr, validatorAddr, blockTag),
+        this.getPendingRewards(delegatorAddr, validatorAddr, blockTag),
+        this.validatorService.getValidatorInfo(validatorAddr, blockTag),
+        blockTag ?? BlockchainService.getCurrentBlock(),
+        BlockchainService.getContract().StakingLockPeriod({ blockTag }),
+        BlockchainService.getBlockTimeEstimate(),
+        // Withdrawal estimates count from the block the state was read at
+        blockTag !== undefined ? BlockchainService.getBlockTime(blockTag).then(time => time * 1000) : Date.now()
       ]);
 
       const canWithdraw = stakingInfo.unstakeBlock > 0 && 
@@ -234,7 +256,7 @@ export class DelegatorService {
           canWithdraw,
           blocksUntilWithdraw,
           estimatedWithdrawTime: blocksUntilWithdraw > 0 ? 
-            new Date(Date.now() + (blocksUntilWithdraw * 3000)).toISOString() : // Assuming 3s block time
+            new Date(referenceTime + (blocksUntilWithdraw * blockTimeEstimate.blockTime * 1000)).toISOString() :
             null
         },
         rewards: {
@@ -244,11 +266,13 @@ export class DelegatorService {
         },
         network: {
           currentBlock,
-          stakingLockPeriod: Number(stakingLockPeriod)
+          stakingLockPeriod: Number(stakingLockPeriod),
+          blockTime: blockTimeEstimate.blockTime
         }
       };
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       this.logger.error(`Failed to get staking details for ${delegatorAddress} -> ${validatorAddress}:`, error);
       throw error;
     }
@@ -257,21 +281,61 @@ export class DelegatorService {
   async getDelegatorHistory(delegatorAddress, options = {}) {
     try {
       const address = BlockchainService.parseAddress(delegatorAddress);
-      const { limit = 50, includeEvents = false } = options;
-      
-      // Note: This would require event filtering which needs more complex implementation
-      // For now, return current state with placeholder for historical data
-      
-      const currentInfo = await this.getDelegatorInfo(address);
-      
+      const {
+        page = 1,
+        limit = 50,
+        includeEvents = false,
+        eventNames = DELEGATOR_EVENTS,
+        validator,
+        fromBlock,
+        toBlock,
+        order = 'desc'
+      } = options;
+
+      const [currentInfo, result] = await Promise.all([
+        this.getDelegatorInfo(address),
+        EventIndexer.getEvents({
+          account: address,
+          validator: validator ? BlockchainService.parseAddress(validator) : undefined,
+          eventNames,
+          fromBlock,
+          toBlock,
+          page,
+          limit,
+          order
+        })
+      ]);
+
+      const history = result.events.map(event => ({
+        action: DELEGATOR_ACTIONS[event.eventName] || event.eventName,
+        eventName: event.eventName,
+        validator: event.validator,
+        amount: event.amount,
+        unlockHeight: event.args.unLockHeight !== undefined ? Number(event.args.unLockHeight) : undefined,
+        blockNumber: event.blockNumber,
+        transactionHash: event.transactionHash,
+        timestamp: event.timestamp
+      }));
+
+      const indexerStatus = EventIndexer.getStatus();
+
       return {
         delegatorAddress: address,
         current: currentInfo,
-        history: [], // Would be populated with historical events
-        events: includeEvents ? [] : undefined, // Would include stake/unstake/claim events
+        history,
+        events: includeEvents ? result.events : undefined,
         pagination: {
+          currentPage: page,
+          totalPages: Math.ceil(result.total / limit),
+          totalItems: result.total,
+          itemsPerPage: limit,
           limit,
-          hasMore: false
+          hasMore: page * limit < result.total
+        },
+        indexer: {
+          lastIndexedBlock: indexerStatus.lastIndexedBlock,
+          headBlock: indexerStatus.headBlock,
+          isSynced: indexerStatus.isRunning && indexerStatus.lag === 0
         }
       };
 
@@ -281,21 +345,20 @@ export class DelegatorService {
     }
   }
 
-  async getDelegatorStatistics() {
+  async getDelegatorStatistics(blockTag) {
     try {
       // This would require aggregating data across all delegators
       // For now, return basic statistics
       
-      const validators = await this.validatorService.getActivatedValidators();
+      const validators = await this.validatorService.getActivatedValidators(blockTag);
       let totalDelegators = 0;
-      let totalDelegatedAmount = 0;
       
       // Get total staking amount
-      const totalStaking = await this.validatorService.getTotalStaking();
+      const totalStaking = await this.validatorService.getTotalStaking(blockTag);
       
       // Estimate delegator count (this is simplified - would need better tracking)
       const validatorDetails = await Promise.all(
-        validators.map(addr => this.validatorService.getValidatorInfo(addr))
+        validators.map(addr => this.validatorService.getValidatorInfo(addr, blockTag))
       );
       
       totalDelegators = validatorDetails.reduce((sum, info) => 
@@ -318,22 +381,27 @@ export class DelegatorService {
   }
 
   // Utility methods
-  async canWithdrawStaking(delegatorAddress, validatorAddress) {
+  async canWithdrawStaking(delegatorAddress, validatorAddress, blockTag) {
     try {
-      const stakingInfo = await this.getStakingInfo(delegatorAddress, validatorAddress);
-      const currentBlock = await BlockchainService.getCurrentBlock();
+      const stakingInfo = await this.getStakingInfo(delegatorAddress, validatorAddress, blockTag);
+      const currentBlock = blockTag ?? await BlockchainService.getCurrentBlock();
       
       return stakingInfo.unstakeBlock > 0 && stakingInfo.unstakeBlock <= currentBlock;
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       this.logger.error('Failed to check withdrawal status:', error);
       return false;
     }
   }
 
-  async getWithdrawalStatus(delegatorAddress, validatorAddress) {
+  async getWithdrawalStatus(delegatorAddress, validatorAddress, blockTag) {
     try {
-      const stakingInfo = await this.getStakingInfo(delegatorAddress, validatorAddress);
-      const currentBlock = await BlockchainService.getCurrentBlock();
+      const [stakingInfo, currentBlock, blockTimeEstimate, referenceTime] = await Promise.all([
+        this.getStakingInfo(delegatorAddress, validatorAddress, blockTag),
+        blockTag ?? BlockchainService.getCurrentBlock(),
+        BlockchainService.getBlockTimeEstimate(),
+        blockTag !== undefined ? BlockchainService.getBlockTime(blockTag).then(time => time * 1000) : Date.now()
+      ]);
       
       if (stakingInfo.unstakeBlock === 0) {
         return { status: 'staked', canWithdraw: false, blocksRemaining: 0 };
@@ -347,22 +415,24 @@ export class DelegatorService {
         status: 'pending', 
         canWithdraw: false, 
         blocksRemaining: stakingInfo.unstakeBlock - currentBlock,
-        estimatedTime: new Date(Date.now() + ((stakingInfo.unstakeBlock - currentBlock) * 3000)).toISOString()
+        estimatedTime: new Date(referenceTime + ((stakingInfo.unstakeBlock - currentBlock) * blockTimeEstimate.blockTime * 1000)).toISOString(),
+        blockTime: blockTimeEstimate.blockTime
       };
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       this.logger.error('Failed to get withdrawal status:', error);
       return { status: 'unknown', canWithdraw: false, blocksRemaining: 0 };
     }
   }
 
   // Clear cache methods
-  clearDelegatorCache(delegatorAddress) {
-    const keys = this.cache.keys().filter(key => key.includes(delegatorAddress));
-    keys.forEach(key => this.cache.delete(key));
+  async clearDelegatorCache(delegatorAddress) {
+    const keys = (await this.cache.keys()).filter(key => key.includes(delegatorAddress));
+    await Promise.all(keys.map(key => this.cache.delete(key)));
   }
 
-  clearAllCache() {
-    this.cache.clear();
+  async clearAllCache() {
+    await this.cache.clear();
   }
 }
\ No newline at end of file
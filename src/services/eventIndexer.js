@@ -0,0 +1,576 @@
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import ValidatorsABI from "../abi/Validators.abi.json";
+import { BlockchainService } from "./blockchain.js";
+import { DatabaseService } from "./database.js";
+import { config } from "../config/index.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS contract_events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    event_name TEXT NOT NULL,
+    validator TEXT,
+    account TEXT,
+    amount TEXT,
+    args TEXT NOT NULL,
+    timestamp INTEGER,
+    PRIMARY KEY (block_number, log_index)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_contract_events_account ON contract_events (account, block_number)',
+  'CREATE INDEX IF NOT EXISTS idx_contract_events_validator ON contract_events (validator, block_number)',
+  'CREATE INDEX IF NOT EXISTS idx_contract_events_name ON contract_events (event_name, block_number)',
+  `CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL,
+    timestamp INTEGER NOT NULL
+  )`,
+  // Each validator's share of RewardDistributed events, so reward sums read only that validator's rows
+  `CREATE TABLE IF NOT EXISTS validator_rewards (
+    validator TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (validator, block_number, log_index)
+  )`,
+  `CREATE TABLE IF NOT EXISTS indexer_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  )`
+];
+
+// Event arguments that identify the delegator of a staking action
+const ACCOUNT_FIELDS = ['staker', 'delegator'];
+
+// Blocks fetched in parallel when resolving timestamps
+const BLOCK_FETCH_CONCURRENCY = 10;
+
+export const INDEXED_EVENTS = ValidatorsABI
+  .filter(item => item.type === 'event')
+  .map(item => item.name);
+
+/**
+ * Reward per validator of a RewardDistributed event, validators listed twice summed
+ */
+function rewardShares(args) {
+  const shares = new Map();
+  (args.validators || []).forEach((validator, index) => {
+    const key = validator.toLowerCase();
+    shares.set(key, (shares.get(key) ?? 0n) + BigInt(args.rewards[index]));
+  });
+  return shares;
+}
+
+/**
+ * Convert decoded ABI values into JSON-safe values
+ */
+function serializeValue(value) {
+  if (typeof value === 'bigint') return value.toString();
+  if (Array.isArray(value)) return Array.from(value, serializeValue);
+  return value;
+}
+
+class EventIndexerServiceClass extends EventEmitter {
+  constructor() {
+    super();
+    this.logger = new Logger('Indexer');
+    this.interface = new ethers.Interface(ValidatorsABI);
+    this.config = { ...config.indexer };
+    this.contractAddress = BlockchainService.config.contractAddress;
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.isSyncing = false;
+    this.lastIndexedBlock = this.config.startBlock - 1;
+    this.headBlock = 0;
+    this.batchSize = this.config.batchSize;
+    this.timer = null;
+    this.wsService = null;
+    // Bumped by every rewind, ranges fetched before one are dropped
+    this.rewinds = 0;
+    this.onReorg = ({ fromBlock }) => this.rewind(fromBlock);
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      insertEvent: db.prepare(`
+        INSERT OR IGNORE INTO contract_events
+          (block_number, log_index, block_hash, transaction_hash, event_name, validator, account, amount, args, timestamp)
+        VALUES
+          ($blockNumber, $logIndex, $blockHash, $transactionHash, $eventName, $validator, $account, $amount, $args, $timestamp)
+      `),
+      insertReward: db.prepare(`
+        INSERT OR IGNORE INTO validator_rewards (validator, block_number, log_index, amount)
+        VALUES ($validator, $blockNumber, $logIndex, $amount)
+      `),
+      validatorRewards: db.prepare(`
+        SELECT amount FROM validator_rewards
+        WHERE validator = $validator AND block_number BETWEEN $fromBlock AND $toBlock
+      `),
+      insertBlock: db.prepare('INSERT OR REPLACE INTO blocks (number, hash, timestamp) VALUES ($number, $hash, $timestamp)'),
+      getBlock: db.prepare('SELECT number, hash, timestamp FROM blocks WHERE number = ?'),
+      getState: db.prepare('SELECT value FROM indexer_state WHERE key = ?'),
+      setState: db.prepare('INSERT OR REPLACE INTO indexer_state (key, value) VALUES ($key, $value)'),
+      deleteEvents: db.prepare('DELETE FROM contract_events WHERE block_number >= ?'),
+      deleteRewards: db.prepare('DELETE FROM validator_rewards WHERE block_number >= ?'),
+      deleteBlocks: db.prepare('DELETE FROM blocks WHERE number >= ?'),
+      eventBlocks: db.prepare(`
+        SELECT DISTINCT block_number, block_hash FROM contract_events
+        WHERE block_number BETWEEN $fromBlock AND $toBlock
+        ORDER BY block_number ASC
+      `)
+    };
+
+    const saved = this.statements.getState.get('last_indexed_block');
+    if (saved) {
+      this.lastIndexedBlock = parseInt(saved.value);
+    }
+
+    // Events indexed before validator_rewards existed
+    if (!this.statements.getState.get('validator_rewards_backfilled')) {
+      this.backfillValidatorRewards();
+    }
+
+    this.isInitialized = true;
+  }
+
+  backfillValidatorRewards() {
+    const db = DatabaseService.getDatabase();
+    const rows = db.query(`
+      SELECT block_number, log_index, args FROM contract_events WHERE event_name = 'RewardDistributed'
+    `).all();
+
+    db.transaction(() => {
+      rows.forEach(row => this.insertRewardShares(row.block_number, row.log_index, JSON.parse(row.args)));
+      this.statements.setState.run({ $key: 'validator_rewards_backfilled', $value: '1' });
+    })();
+
+    if (rows.length > 0) {
+      this.logger.info(`Backfilled validator rewards from ${rows.length} RewardDistributed events`);
+    }
+  }
+
+  insertRewardShares(blockNumber, logIndex, args) {
+    rewardShares(args).forEach((amount, validator) => {
+      this.statements.insertReward.run({
+        $validator: validator,
+        $blockNumber: blockNumber,
+        $logIndex: logIndex,
+        $amount: amount.toString()
+      });
+    });
+  }
+
+  /**
+   * Start background indexing from the last saved block (or INDEXER_START_BLOCK),
+   * rewinding on the reorgs the WebSocket service detects
+   */
+  start(wsService) {
+    if (!this.config.enabled) {
+      this.logger.info('Event indexer disabled (INDEXER_ENABLED=false)');
+      return false;
+    }
+
+    if (this.isRunning) return true;
+
+    try {
+      this.initialize();
+    } catch (error) {
+      this.logger.error('Failed to initialize event indexer:', error.message);
+      return false;
+    }
+
+    if (wsService) {
+      this.wsService = wsService;
+      wsService.on('reorg', this.onReorg);
+    }
+
+    this.isRunning = true;
+    this.logger.success(`Event indexer started from block ${this.lastIndexedBlock + 1}`);
+    this._scheduleNext(0);
+    return true;
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.wsService) {
+      this.wsService.off('reorg', this.onReorg);
+      this.wsService = null;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _scheduleNext(delay) {
+    if (!this.isRunning) return;
+
+    this.timer = setTimeout(async () => {
+      await this.sync();
+      this._scheduleNext(this.config.pollInterval);
+    }, delay);
+  }
+
+  /**
+   * Index every block between the last indexed block and the chain head
+   */
+  async sync() {
+    if (this.isSyncing) return;
+    this.isSyncing = true;
+
+    try {
+      this.headBlock = await BlockchainService.getProvider().getBlockNumber();
+      const targetBlock = this.headBlock - this.config.confirmations;
+
+      // Blocks less than WS_REORG_DEPTH deep may still be replaced
+      if (this.config.confirmations < config.websocket.reorgDepth) {
+        await this.verifyRecentBlocks();
+      }
+
+      while (this.isRunning && this.lastIndexedBlock < targetBlock) {
+        const fromBlock = this.lastIndexedBlock + 1;
+        const toBlock = Math.min(fromBlock + this.batchSize - 1, targetBlock);
+
+        try {
+          await this.indexRange(fromBlock, toBlock);
+
+          if (this.batchSize < this.config.batchSize) {
+            this.batchSize = Math.min(this.batchSize * 2, this.config.batchSize);
+          }
+        } catch (error) {
+          // Most RPCs cap eth_getLogs ranges, retry with a smaller window
+          if (this.batchSize > 1) {
+            this.batchSize = Math.max(1, Math.floor(this.batchSize / 2));
+            this.logger.warn(`getLogs failed for ${fromBlock}-${toBlock}, batch size reduced to ${this.batchSize}`, error.message);
+            continue;
+          }
+          throw error;
+        }
+      }
+    } catch (error) {
+      this.logger.error('Event indexer sync failed:', error.message);
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  async indexRange(fromBlock, toBlock) {
+    const rewinds = this.rewinds;
+    const logs = await BlockchainService.getProvider().getLogs({
+      address: this.contractAddress,
+      fromBlock,
+      toBlock
+    });
+
+    const events = logs
+      .map(log => this.decodeLog(log))
+      .filter(event => event !== null);
+
+    const blocks = await this.getBlocks([...new Set(events.map(event => event.blockNumber))]);
+    events.forEach(event => {
+      event.timestamp = blocks.get(event.blockNumber)?.timestamp ?? null;
+    });
+
+    // A reorg rewound the index while the range was fetched, it may hold replaced blocks
+    if (this.rewinds !== rewinds) return;
+
+    const db = DatabaseService.getDatabase();
+    db.transaction(() => {
+      events.forEach(event => {
+        this.statements.insertEvent.run({
+          $blockNumber: event.blockNumber,
+          $logIndex: event.logIndex,
+          $blockHash: event.blockHash,
+          $transactionHash: event.transactionHash,
+          $eventName: event.eventName,
+          $validator: event.validator?.toLowerCase() ?? null,
+          $account: event.account?.toLowerCase() ?? null,
+          $amount: event.amount,
+          $args: JSON.stringify(event.args),
+          $timestamp: event.timestamp
+        });
+        if (event.eventName === 'RewardDistributed') {
+          this.insertRewardShares(event.blockNumber, event.logIndex, event.args);
+        }
+      });
+      this.statements.setState.run({ $key: 'last_indexed_block', $value: toBlock.toString() });
+    })();
+
+    this.lastIndexedBlock = toBlock;
+
+    if (events.length > 0) {
+      this.logger.debug(`Indexed ${events.length} events in blocks ${fromBlock}-${toBlock}`);
+      this.publish('events', events, { fromBlock, toBlock });
+    }
+    this.publish('indexed', { fromBlock, toBlock });
+  }
+
+  /**
+   * Drop what was indexed from `fromBlock` on, the chain replaced it. Emits
+   * 'rewind' even when nothing was indexed there yet: listeners also hold data
+   * read ahead of the index (live events, reads at the head).
+   */
+  rewind(fromBlock) {
+    this.initialize();
+
+    let removedEvents = 0;
+    DatabaseService.getDatabase().transaction(() => {
+      removedEvents = this.statements.deleteEvents.run(fromBlock).changes;
+      this.statements.deleteRewards.run(fromBlock);
+      this.statements.deleteBlocks.run(fromBlock);
+      if (fromBlock <= this.lastIndexedBlock) {
+        this.statements.setState.run({ $key: 'last_indexed_block', $value: (fromBlock - 1).toString() });
+      }
+    })();
+
+    this.rewinds++;
+    if (fromBlock <= this.lastIndexedBlock) {
+      this.logger.warn(`Reorg from block ${fromBlock}: re-indexing ${this.lastIndexedBlock - fromBlock + 1} blocks, ${removedEvents} events dropped`);
+      this.lastIndexedBlock = fromBlock - 1;
+    }
+    this.publish('rewind', { fromBlock });
+  }
+
+  /**
+   * Compare the block hashes of events indexed within WS_REORG_DEPTH blocks of
+   * the last indexed block with the chain, rewind from the first one replaced
+   */
+  async verifyRecentBlocks() {
+    this.initialize();
+
+    const fromBlock = Math.max(this.config.startBlock, this.lastIndexedBlock - config.websocket.reorgDepth + 1);
+    const indexed = this.statements.eventBlocks.all({ $fromBlock: fromBlock, $toBlock: this.lastIndexedBlock });
+    if (indexed.length === 0) return;
+
+    const provider = BlockchainService.getProvider();
+    const blocks = await Promise.all(indexed.map(row => provider.getBlock(row.block_number)));
+
+    // The chain is replaced from somewhere after the last block that still matches
+    let matchedBlock = fromBlock - 1;
+    for (let i = 0; i < indexed.length; i++) {
+      if (blocks[i]?.hash !== indexed[i].block_hash) {
+        this.rewind(matchedBlock + 1);
+        return;
+      }
+      matchedBlock = indexed[i].block_number;
+    }
+  }
+
+  /**
+   * Emit to each listener on its own. The range is already stored: a failing
+   * consumer is logged, it must not reach sync()'s getLogs retry or the other listeners.
+   */
+  publish(eventName, ...args) {
+    const report = (error) => this.logger.error(`'${eventName}' listener failed:`, error.message);
+
+    this.listeners(eventName).forEach(listener => {
+      try {
+        const result = listener(...args);
+        if (typeof result?.catch === 'function') result.catch(report);
+      } catch (error) {
+        report(error);
+      }
+    });
+  }
+
+  /**
+   * Decode a raw log emitted by the validators contract
+   */
+  decodeLog(log) {
+    let parsed;
+    try {
+      parsed = this.interface.parseLog({ topics: [...log.topics], data: log.data });
+    } catch (error) {
+      return null;
+    }
+    if (!parsed) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, index) => {
+      args[input.name] = serializeValue(parsed.args[index]);
+    });
+
+    return {
+      blockNumber: log.blockNumber,
+      logIndex: log.index,
+      blockHash: log.blockHash,
+      transactionHash: log.transactionHash,
+      eventName: parsed.name,
+      validator: args.validator || null,
+      account: ACCOUNT_FIELDS.map(field => args[field]).find(Boolean) || null,
+      amount: args.amount ?? null,
+      args,
+      timestamp: null
+    };
+  }
+
+  /**
+   * Resolve block headers, reading through the local blocks table
+   */
+  async getBlocks(blockNumbers) {
+    this.initialize();
+
+    const blocks = new Map();
+    const missing = [];
+
+    blockNumbers.forEach(number => {
+      const row = this.statements.getBlock.get(number);
+      if (row) {
+        blocks.set(number, row);
+      } else {
+        missing.push(number);
+      }
+    });
+
+    const provider = BlockchainService.getProvider();
+    for (let i = 0; i < missing.length; i += BLOCK_FETCH_CONCURRENCY) {
+      const chunk = missing.slice(i, i + BLOCK_FETCH_CONCURRENCY);
+      const fetched = await Promise.all(chunk.map(number => provider.getBlock(number)));
+
+      fetched.forEach(block => {
+        if (!block) return;
+        const row = { number: block.number, hash: block.hash, timestamp: block.timestamp };
+        this.statements.insertBlock.run({ $number: row.number, $hash: row.hash, $timestamp: row.timestamp });
+        blocks.set(row.number, row);
+      });
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Query indexed events
+   */
+  getEvents(filters = {}) {
+    this.initialize();
+
+    const { page = 1, limit = 50, order = 'desc' } = filters;
+    const { whereClause, params } = this.buildWhere(filters);
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    const db = DatabaseService.getDatabase();
+
+    const { count } = db.query(`SELECT COUNT(*) AS count FROM contract_events ${whereClause}`).get(params);
+    const rows = db.query(`
+      SELECT * FROM contract_events ${whereClause}
+      ORDER BY block_number ${direction}, log_index ${direction}
+      LIMIT $limit OFFSET $offset
+    `).all({ ...params, $limit: limit, $offset: (page - 1) * limit });
+
+    return {
+      events: rows.map(row => this.formatEvent(row)),
+      total: count
+    };
+  }
+
+  /**
+   * All indexed events matching the filters, oldest first
+   */
+  getAllEvents(filters = {}) {
+    this.initialize();
+
+    const { whereClause, params } = this.buildWhere(filters);
+    const rows = DatabaseService.getDatabase().query(`
+      SELECT * FROM contract_events ${whereClause}
+      ORDER BY block_number ASC, log_index ASC
+    `).all(params);
+
+    return rows.map(row => this.formatEvent(row));
+  }
+
+  /**
+   * Rewards paid to `validator` by RewardDistributed events in a block range
+   * @returns {Object} { total } in wei as bigint, { count } of events
+   */
+  getValidatorRewards(validator, { fromBlock, toBlock }) {
+    this.initialize();
+
+    const rows = this.statements.validatorRewards.all({
+      $validator: validator.toLowerCase(),
+      $fromBlock: fromBlock,
+      $toBlock: toBlock
+    });
+
+    return {
+      total: rows.reduce((sum, row) => sum + BigInt(row.amount), 0n),
+      count: rows.length
+    };
+  }
+
+  buildWhere(filters) {
+    const { account, validator, eventNames = [], fromBlock, toBlock } = filters;
+    const where = [];
+    const params = {};
+
+    if (account) {
+      where.push('account = $account');
+      params.$account = account.toLowerCase();
+    }
+    if (validator) {
+      where.push('validator = $validator');
+      params.$validator = validator.toLowerCase();
+    }
+    if (eventNames.length > 0) {
+      where.push(`event_name IN (${eventNames.map((_, i) => `$event${i}`).join(', ')})`);
+      eventNames.forEach((name, i) => {
+        params[`$event${i}`] = name;
+      });
+    }
+    if (fromBlock !== undefined) {
+      where.push('block_number >= $fromBlock');
+      params.$fromBlock = fromBlock;
+    }
+    if (toBlock !== undefined) {
+      where.push('block_number <= $toBlock');
+      params.$toBlock = toBlock;
+    }
+
+    return {
+      whereClause: where.length > 0 ? `WHERE ${where.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  formatEvent(row) {
+    const args = JSON.parse(row.args);
+
+    return {
+      eventName: row.event_name,
+      blockNumber: row.block_number,
+      logIndex: row.log_index,
+      blockHash: row.block_hash,
+      transactionHash: row.transaction_hash,
+      timestamp: row.timestamp ? new Date(row.timestamp * 1000).toISOString() : null,
+      validator: args.validator ?? null,
+      account: ACCOUNT_FIELDS.map(field => args[field]).find(Boolean) ?? null,
+      amount: row.amount !== null ? BlockchainService.formatEther(row.amount) : null,
+      amountWei: row.amount,
+      args
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      isRunning: this.isRunning,
+      isSyncing: this.isSyncing,
+      startBlock: this.config.startBlock,
+      lastIndexedBlock: this.lastIndexedBlock,
+      headBlock: this.headBlock,
+      lag: Math.max(0, this.headBlock - this.config.confirmations - this.lastIndexedBlock),
+      batchSize: this.batchSize,
+      confirmations: this.config.confirmations
+    };
+  }
+}
+
+// Export singleton instance
+export const EventIndexer = new EventIndexerServiceClass();
@@ -0,0 +1,73 @@
+const encoder = new TextEncoder();
+
+let nextStreamId = 0;
+
+/**
+ * Server-Sent Events connection with the socket surface WebSocketService
+ * delivers to (id, readyState, close), so SSE clients share the WebSocket feed.
+ */
+export class EventStreamClient {
+  /**
+   * @param {ReadableStreamDefaultController} controller - Controller of the response stream
+   * @param {Object} options - { heartbeatInterval, retry }
+   */
+  constructor(controller, options = {}) {
+    this.id = `sse-${++nextStreamId}`;
+    this.controller = controller;
+    this.isEventStream = true;
+    this.readyState = 1;
+    this.heartbeatTimer = null;
+
+    if (options.retry) {
+      this.enqueue(`retry: ${options.retry}\n\n`);
+    }
+
+    // Comment lines keep proxies and the server's idle timeout from dropping quiet streams
+    if (options.heartbeatInterval) {
+      this.heartbeatTimer = setInterval(() => this.heartbeat(), options.heartbeatInterval);
+    }
+  }
+
+  /**
+   * A stream that errored without its cancel() callback firing would keep the
+   * timer and the subscription alive: close it and let the service drop it
+   */
+  heartbeat() {
+    try {
+      this.enqueue(': heartbeat\n\n');
+    } catch (error) {
+      this.close();
+      this.onclose?.();
+    }
+  }
+
+  /**
+   * Write one message; contract events carry their cursor as the event id,
+   * so browsers resume with it through Last-Event-ID
+   */
+  write(data) {
+    const id = data.type === 'contractEvent' && data.cursor ? `id: ${data.cursor}\n` : '';
+    this.enqueue(`${id}data: ${JSON.stringify(data)}\n\n`);
+  }
+
+  enqueue(text) {
+    if (this.readyState !== 1) return;
+    this.controller.enqueue(encoder.encode(text));
+  }
+
+  close() {
+    if (this.readyState === 3) return;
+
+    this.readyState = 3;
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+
+    try {
+      this.controller.close();
+    } catch (error) {
+      // Stream already cancelled by the client
+    }
+  }
+}
@@ -10,7 +10,6 @@ export { default as APRCalculatorService } from './aprCalculator.js';
 // APR SERVICE INITIALIZATION HELPER
 // ========================================
 import APRCalculatorService from './aprCalculator.js';
-import { ethers } from 'ethers';
 import { Logger } from '../utils/logger.js';
 
 const logger = new Logger('APR:Service');
@@ -25,8 +24,7 @@ export const initAPRService = (config) => {
     validatorABI,
     minStake = '1000',
     fastBlockTime = 1,
-    slowBlockTime = 5,
-    defaultCommission = 5000
+    slowBlockTime = 5
   } = config;
 
   const aprService = new APRCalculatorService(provider, contractAddress, validatorABI);
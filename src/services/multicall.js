@@ -0,0 +1,180 @@
+import { ethers } from "ethers";
+import { Logger } from "../utils/logger.js";
+
+// Multicall3 is deployed at the same address on most EVM chains
+export const MULTICALL3_ADDRESS = '0xcA11bde05977b3631167028862bE2a173976CA11';
+
+const MULTICALL3_INTERFACE = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+/**
+ * Groups concurrent eth_call requests into Multicall3 aggregate3 calls.
+ * Calls are queued per blockTag and flushed after a short batch window.
+ */
+export class MulticallBatcher {
+  /**
+   * @param {Function} perform - Executes a provider request without batching
+   * @param {Object} options - { enabled, address, batchWindow, maxBatchSize }
+   */
+  constructor(perform, options = {}) {
+    this.perform = perform;
+    this.enabled = options.enabled ?? true;
+    this.address = ethers.getAddress(options.address || MULTICALL3_ADDRESS);
+    this.batchWindow = options.batchWindow ?? 10;
+    this.maxBatchSize = options.maxBatchSize ?? 100;
+    this.queues = new Map();
+    this.available = null;
+    this.detecting = null;
+    this.logger = new Logger('Multicall');
+    this.stats = {
+      batches: 0,
+      batchedCalls: 0,
+      directCalls: 0,
+      failedBatches: 0,
+      largestBatch: 0
+    };
+  }
+
+  /**
+   * Plain read calls can be batched; anything depending on msg.sender or value cannot
+   */
+  canBatch(req) {
+    const tx = req.transaction;
+
+    return this.enabled &&
+      this.available !== false &&
+      !!tx.to && !!tx.data &&
+      !tx.from && !tx.value &&
+      tx.gasLimit == null &&
+      tx.to.toLowerCase() !== this.address.toLowerCase();
+  }
+
+  enqueue(req) {
+    return new Promise((resolve, reject) => {
+      const blockTag = req.blockTag ?? 'latest';
+      let queue = this.queues.get(blockTag);
+
+      if (!queue) {
+        queue = { calls: [], timer: null };
+        this.queues.set(blockTag, queue);
+      }
+
+      queue.calls.push({ transaction: req.transaction, resolve, reject });
+
+      if (queue.calls.length >= this.maxBatchSize) {
+        this.flush(blockTag);
+      } else if (!queue.timer) {
+        queue.timer = setTimeout(() => this.flush(blockTag), this.batchWindow);
+      }
+    });
+  }
+
+  async flush(blockTag) {
+    const queue = this.queues.get(blockTag);
+    if (!queue) return;
+
+    this.queues.delete(blockTag);
+    if (queue.timer) clearTimeout(queue.timer);
+
+    const { calls } = queue;
+
+    if (calls.length === 1 || !(await this.isAvailable())) {
+      this.executeDirect(calls, blockTag);
+      return;
+    }
+
+    try {
+      const data = MULTICALL3_INTERFACE.encodeFunctionData('aggregate3', [
+        calls.map(call => ({
+          target: call.transaction.to,
+          allowFailure: true,
+          callData: call.transaction.data
+        }))
+      ]);
+
+      const raw = await this.perform({
+        method: 'call',
+        transaction: { to: this.address, data },
+        blockTag
+      });
+      const [results] = MULTICALL3_INTERFACE.decodeFunctionResult('aggregate3', raw);
+
+      results.forEach((result, index) => {
+        const call = calls[index];
+        if (result.success) {
+          call.resolve(result.returnData);
+        } else {
+          call.reject(ethers.makeError('execution reverted', 'CALL_EXCEPTION', {
+            action: 'call',
+            data: result.returnData,
+            reason: null,
+            transaction: call.transaction,
+            invocation: null,
+            revert: null
+          }));
+        }
+      });
+
+      this.stats.batches++;
+      this.stats.batchedCalls += calls.length;
+      this.stats.largestBatch = Math.max(this.stats.largestBatch, calls.length);
+
+    } catch (error) {
+      // Multicall itself failed (e.g. not deployed at a historical block); fall back to plain calls
+      this.stats.failedBatches++;
+      this.logger.debug(`Multicall batch of ${calls.length} failed, executing individually`, error.message);
+      this.executeDirect(calls, blockTag);
+    }
+  }
+
+  /**
+   * Issue calls individually; the JSON-RPC provider still sends them as one batch request
+   */
+  executeDirect(calls, blockTag) {
+    this.stats.directCalls += calls.length;
+
+    calls.forEach(call => {
+      this.perform({ method: 'call', transaction: call.transaction, blockTag })
+        .then(call.resolve, call.reject);
+    });
+  }
+
+  async isAvailable() {
+    if (this.available !== null) return this.available;
+
+    if (!this.detecting) {
+      this.detecting = this.perform({ method: 'getCode', address: this.address, blockTag: 'latest' })
+        .then(code => {
+          this.available = code !== '0x';
+          if (this.available) {
+            this.logger.success(`Multicall3 detected at ${this.address}`);
+          } else {
+            this.logger.warn(`Multicall3 not deployed at ${this.address}, using JSON-RPC batching`);
+          }
+          return this.available;
+        })
+        .catch(error => {
+          // Unknown yet, try again on the next batch
+          this.logger.debug('Multicall3 detection failed:', error.message);
+          return false;
+        })
+        .finally(() => {
+          this.detecting = null;
+        });
+    }
+
+    return this.detecting;
+  }
+
+  getStats() {
+    return {
+      enabled: this.enabled,
+      address: this.address,
+      available: this.available,
+      batchWindow: this.batchWindow,
+      maxBatchSize: this.maxBatchSize,
+      ...this.stats
+    };
+  }
+}
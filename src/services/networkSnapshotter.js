@@ -0,0 +1,205 @@
+import { BlockchainService } from "./blockchain.js";
+import { ValidatorService } from "./validator.js";
+import { DatabaseService } from "./database.js";
+import { config } from "../config/index.js";
+import { calculateGini } from "../utils/statistics.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS network_snapshots (
+    timestamp INTEGER PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    total_staking TEXT NOT NULL,
+    active_validators INTEGER NOT NULL,
+    candidate_count INTEGER NOT NULL,
+    delegator_count INTEGER NOT NULL,
+    gini REAL NOT NULL,
+    average_apr REAL
+  )`
+];
+
+export const SNAPSHOT_INTERVALS = {
+  hourly: 60 * 60,
+  daily: 24 * 60 * 60,
+  weekly: 7 * 24 * 60 * 60
+};
+
+// Own keys only: "constructor" or "toString" are not intervals
+export const isSnapshotInterval = (interval) => Object.hasOwn(SNAPSHOT_INTERVALS, interval);
+
+class NetworkSnapshotterClass {
+  constructor() {
+    this.logger = new Logger('Snapshots');
+    this.validatorService = new ValidatorService();
+    this.aprService = null;
+    this.snapshotInterval = config.snapshots.networkInterval;
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.timer = null;
+    this.lastSnapshot = null;
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      insert: db.prepare(`
+        INSERT OR REPLACE INTO network_snapshots
+          (timestamp, block_number, total_staking, active_validators, candidate_count, delegator_count, gini, average_apr)
+        VALUES
+          ($timestamp, $blockNumber, $totalStaking, $activeValidators, $candidateCount, $delegatorCount, $gini, $averageAPR)
+      `),
+      range: db.prepare(`
+        SELECT * FROM network_snapshots
+        WHERE timestamp >= $since
+        ORDER BY timestamp ASC
+      `)
+    };
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Record network snapshots on a schedule
+   * @param {Object} options - { aprService } used for the average APR metric
+   */
+  start(options = {}) {
+    if (this.isRunning) return;
+
+    try {
+      this.initialize();
+    } catch (error) {
+      this.logger.error('Failed to initialize network snapshotter:', error.message);
+      return;
+    }
+
+    this.aprService = options.aprService || null;
+    this.isRunning = true;
+
+    const tick = async () => {
+      await this.takeSnapshot();
+      if (this.isRunning) {
+        this.timer = setTimeout(tick, this.snapshotInterval);
+      }
+    };
+    this.timer = setTimeout(tick, 0);
+
+    this.logger.success(`Network snapshotter started (every ${this.snapshotInterval / 1000}s)`);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async takeSnapshot() {
+    try {
+      const [block, totalStaking, validators, candidates] = await Promise.all([
+        BlockchainService.getProvider().getBlock('latest'),
+        BlockchainService.getContract().totalStaking(),
+        this.validatorService.getActivatedValidators(),
+        this.validatorService.getValidatorCandidates()
+      ]);
+
+      const infos = await Promise.all(
+        validators.map(address => this.validatorService.getValidatorInfo(address))
+      );
+
+      const delegators = new Set();
+      infos.forEach(info => {
+        (info.stakers || []).forEach(staker => delegators.add(staker.toLowerCase()));
+      });
+
+      let averageAPR = null;
+      if (this.aprService) {
+        const result = await this.aprService.calculateAverageAPR(1);
+        averageAPR = result.success ? parseFloat(result.data.averageAPR) : null;
+      }
+
+      const snapshot = {
+        timestamp: block.timestamp,
+        blockNumber: block.number,
+        totalStaking: BlockchainService.formatEther(totalStaking),
+        activeValidators: validators.length,
+        candidateCount: candidates.totalCount,
+        delegatorCount: delegators.size,
+        gini: calculateGini(infos.map(info => parseFloat(info.stakingAmount))),
+        averageAPR
+      };
+
+      this.statements.insert.run({
+        $timestamp: snapshot.timestamp,
+        $blockNumber: snapshot.blockNumber,
+        $totalStaking: snapshot.totalStaking,
+        $activeValidators: snapshot.activeValidators,
+        $candidateCount: snapshot.candidateCount,
+        $delegatorCount: snapshot.delegatorCount,
+        $gini: snapshot.gini,
+        $averageAPR: snapshot.averageAPR
+      });
+
+      this.lastSnapshot = snapshot;
+      this.logger.debug(`Network snapshot recorded at block ${snapshot.blockNumber}`);
+      return snapshot;
+
+    } catch (error) {
+      this.logger.error('Network snapshot failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Snapshots of the last `days` days, downsampled to one point per interval.
+   * Each point carries the last snapshot taken inside its bucket.
+   */
+  getHistoricalSeries(days = 30, interval = 'daily') {
+    this.initialize();
+
+    if (!isSnapshotInterval(interval)) {
+      throw new Error(`Invalid interval: ${interval}`);
+    }
+    const bucketSize = SNAPSHOT_INTERVALS[interval];
+
+    const since = Math.floor(Date.now() / 1000) - days * 24 * 60 * 60;
+    const rows = this.statements.range.all({ $since: since });
+    const buckets = new Map();
+
+    rows.forEach(row => {
+      const bucketStart = Math.floor(row.timestamp / bucketSize) * bucketSize;
+      const bucket = buckets.get(bucketStart) || { row: null, samples: 0 };
+      bucket.row = row;
+      bucket.samples++;
+      buckets.set(bucketStart, bucket);
+    });
+
+    return Array.from(buckets.entries()).map(([bucketStart, { row, samples }]) => ({
+      timestamp: new Date(bucketStart * 1000).toISOString(),
+      blockNumber: row.block_number,
+      totalStaking: row.total_staking,
+      activeValidators: row.active_validators,
+      candidateCount: row.candidate_count,
+      delegatorCount: row.delegator_count,
+      giniCoefficient: Number(row.gini.toFixed(4)),
+      averageAPR: row.average_apr !== null ? row.average_apr.toFixed(2) : null,
+      samples
+    }));
+  }
+
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      snapshotInterval: this.snapshotInterval,
+      lastSnapshot: this.lastSnapshot
+    };
+  }
+}
+
+// Export singleton instance
+export const NetworkSnapshotter = new NetworkSnapshotterClass();
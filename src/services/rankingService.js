@@ -1,40 +1,414 @@
 import { Logger } from '../utils/logger.js';
 import { ethers } from 'ethers';
+import { BlockchainService } from './blockchain.js';
+import { DatabaseService } from './database.js';
+import { EventIndexer } from './eventIndexer.js';
+import { config } from '../config/index.js';
+
+const SCHEMA = [
+    `CREATE TABLE IF NOT EXISTS ranking_stakes (
+        delegator TEXT NOT NULL,
+        validator TEXT NOT NULL,
+        amount TEXT NOT NULL,
+        PRIMARY KEY (delegator, validator)
+    )`,
+    `CREATE TABLE IF NOT EXISTS ranking_state (
+        key TEXT PRIMARY KEY,
+        value TEXT NOT NULL
+    )`
+];
+
+// Events that change a delegator's stake with a validator
+const STAKE_EVENTS = ['Staking', 'Unstake', 'WithdrawStaking'];
 
 export class DelegatorRankingService {
     constructor(contract) {
         this.contract = contract;
         this.logger = new Logger('Ranking');
+
+        // delegator -> (validator -> stake), keyed by lowercase address
+        this.stakes = new Map();
+        this.totals = new Map();
+        this.validators = new Set();
+        this.blockNumber = null;
+        this.builtAt = null;
+        this.sorted = null;
+
+        this.persist = config.ranking.persist;
+        this.rebuildInterval = config.ranking.rebuildInterval;
+        this.statements = null;
+        this.isRunning = false;
+        this.timer = null;
+        this.queue = Promise.resolve();
+        this.buildQueued = null;
+
+        this.onIndexedEvents = (events, range) => this.handleIndexedEvents(events, range);
+        this.onIndexedRange = (range) => this.handleIndexedRange(range);
+        this.onRewind = (range) => this.handleRewind(range);
     }
 
+    // ========================================
+    // INDEX LIFECYCLE
+    // ========================================
+
     /**
-     * Get all delegators across all validators with their total stakes
+     * Load or build the index, then follow staking events from the event indexer
      */
-    async getAllDelegators() {
-        try {
-            const activeValidators = await this.contract.getActivatedValidators();
-            const delegatorMap = new Map();
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+
+        if (this.persist) {
+            try {
+                this.loadIndex();
+            } catch (error) {
+                this.logger.error('Failed to load persisted ranking index:', error.message);
+                this.persist = false;
+            }
+        }
+
+        EventIndexer.on('events', this.onIndexedEvents);
+        EventIndexer.on('indexed', this.onIndexedRange);
+        EventIndexer.on('rewind', this.onRewind);
+
+        if (this.blockNumber === null) {
+            this.rebuild();
+        }
+        this.timer = setInterval(() => this.rebuild(), this.rebuildInterval);
+
+        this.logger.success('Delegator ranking index started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        EventIndexer.off('events', this.onIndexedEvents);
+        EventIndexer.off('indexed', this.onIndexedRange);
+        EventIndexer.off('rewind', this.onRewind);
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Run index mutations one at a time so reads always see a single block height
+     */
+    enqueue(task) {
+        const run = this.queue.then(task);
+        this.queue = run.catch(error => {
+            // The next query rebuilds the index from scratch
+            this.logger.error('Ranking index update failed:', error.message);
+            this.blockNumber = null;
+        });
+        return run;
+    }
+
+    rebuild() {
+        if (!this.buildQueued) {
+            this.buildQueued = this.enqueue(() => {
+                this.buildQueued = null;
+                return this.buildIndex();
+            });
+        }
+        return this.buildQueued;
+    }
+
+    /**
+     * Wait for pending updates; build the index first if it does not exist yet
+     */
+    async ensureIndex() {
+        if (this.blockNumber === null) {
+            await this.rebuild();
+        }
+        await this.queue;
+
+        if (this.blockNumber === null) {
+            throw new Error('Delegator ranking index is not available');
+        }
+    }
 
-            for (const validator of activeValidators) {
-                const validatorInfo = await this.contract.getValidatorInfo(validator);
-                const [, , , , , , stakers] = validatorInfo;
+    /**
+     * Full scan of every activated validator's stakers, pinned to one block
+     */
+    async buildIndex() {
+        const startedAt = Date.now();
+        const blockNumber = await BlockchainService.getProvider().getBlockNumber();
+        const overrides = { blockTag: blockNumber };
+
+        const activeValidators = await this.contract.getActivatedValidators(overrides);
+
+        // Issue reads concurrently so the provider can batch them into multicalls
+        const validatorInfos = await Promise.all(
+            activeValidators.map(validator => this.contract.getValidatorInfo(validator, overrides))
+        );
+
+        const stakes = await Promise.all(
+            activeValidators.flatMap((validator, index) => {
+                const [, , , , , , stakers] = validatorInfos[index];
+
+                return stakers.map(async (staker) => {
+                    const [amount] = await this.contract.getStakingInfo(staker, validator, overrides);
+                    return { staker, validator, amount };
+                });
+            })
+        );
+
+        this.stakes = new Map();
+        this.totals = new Map();
+        this.validators = new Set(activeValidators.map(validator => validator.toLowerCase()));
+        stakes.forEach(({ staker, validator, amount }) => this.setStake(staker, validator, amount));
+
+        this.blockNumber = blockNumber;
+        this.builtAt = new Date().toISOString();
+        this.saveIndex();
+
+        this.logger.success(`Ranking index built at block ${blockNumber}: ${this.totals.size} delegators in ${Date.now() - startedAt}ms`);
+    }
+
+    /**
+     * Re-read the stakes touched by newly indexed events at the end of their block range
+     */
+    handleIndexedEvents(events, { toBlock }) {
+        const pairs = new Map();
+        let validatorSetChanged = false;
+
+        events.forEach(event => {
+            if (event.eventName === 'ValidatorSetUpdated') {
+                validatorSetChanged = true;
+            } else if (STAKE_EVENTS.includes(event.eventName) && event.account && event.validator) {
+                pairs.set(`${event.account.toLowerCase()}:${event.validator.toLowerCase()}`, {
+                    delegator: event.account,
+                    validator: event.validator
+                });
+            }
+        });
+
+        // Stakes with validators leaving or joining the active set change every total
+        if (validatorSetChanged) {
+            return this.rebuild();
+        }
+        if (pairs.size === 0) return;
+
+        return this.enqueue(async () => {
+            // Not built yet, or the build already saw these blocks
+            if (this.blockNumber === null || toBlock <= this.blockNumber) return;
+
+            const updates = await this.fetchStakes(Array.from(pairs.values()), toBlock);
+
+            updates.forEach(({ delegator, validator, amount }) => this.setStake(delegator, validator, amount));
+            this.blockNumber = toBlock;
+            this.saveStakes(updates);
+
+            this.logger.debug(`Ranking index updated ${updates.length} stakes at block ${toBlock}`);
+        });
+    }
 
-                for (const staker of stakers) {
-                    const stakingInfo = await this.contract.getStakingInfo(staker, validator);
-                    const [amount] = stakingInfo;
+    /**
+     * Re-read stakes changed by a live contract event, ahead of the event indexer.
+     * The index block is left as is, so the indexed events still re-read these pairs.
+     */
+    refreshStakes(pairs, blockNumber) {
+        return this.enqueue(async () => {
+            if (this.blockNumber === null || blockNumber <= this.blockNumber) return;
+
+            try {
+                const updates = await this.fetchStakes(pairs, blockNumber);
+                updates.forEach(({ delegator, validator, amount }) => this.setStake(delegator, validator, amount));
+                this.saveStakes(updates);
+            } catch (error) {
+                // Not fatal for the index, the indexer catches up with the same pairs
+                this.logger.warn(`Live stake refresh at block ${blockNumber} failed:`, error.message);
+            }
+        });
+    }
+
+    async fetchStakes(pairs, blockTag) {
+        return Promise.all(
+            pairs.map(async ({ delegator, validator }) => {
+                const [amount] = await this.contract.getStakingInfo(delegator, validator, { blockTag });
+                return { delegator, validator, amount };
+            })
+        );
+    }
 
-                    if (amount > 0n) {
-                        const currentTotal = delegatorMap.get(staker) || 0n;
-                        delegatorMap.set(staker, currentTotal + amount);
-                    }
+    handleIndexedRange({ toBlock }) {
+        return this.enqueue(() => {
+            if (this.blockNumber !== null && toBlock > this.blockNumber) {
+                this.blockNumber = toBlock;
+                this.saveState();
+            }
+        });
+    }
+
+    /**
+     * Stakes read at or after a replaced block may belong to the old chain, read them all again
+     */
+    handleRewind({ fromBlock }) {
+        return this.enqueue(() => {
+            if (this.blockNumber === null || this.blockNumber < fromBlock) return;
+
+            this.logger.warn(`Ranking index at block ${this.blockNumber} was read from replaced blocks, rebuilding`);
+            this.blockNumber = null;
+            // Queued behind this task, not awaited here
+            this.rebuild();
+        });
+    }
+
+    setStake(delegatorAddress, validatorAddress, amount) {
+        const delegator = delegatorAddress.toLowerCase();
+        const validator = validatorAddress.toLowerCase();
+
+        // Only stakes with activated validators count towards the ranking
+        if (!this.validators.has(validator)) return;
+
+        const byValidator = this.stakes.get(delegator) || new Map();
+        const previous = byValidator.get(validator) || 0n;
+
+        if (amount > 0n) {
+            byValidator.set(validator, amount);
+        } else {
+            byValidator.delete(validator);
+        }
+
+        const total = (this.totals.get(delegator) || 0n) - previous + (amount > 0n ? amount : 0n);
+        if (byValidator.size > 0) {
+            this.stakes.set(delegator, byValidator);
+            this.totals.set(delegator, total);
+        } else {
+            this.stakes.delete(delegator);
+            this.totals.delete(delegator);
+        }
+
+        this.sorted = null;
+    }
+
+    // ========================================
+    // PERSISTENCE
+    // ========================================
+
+    initializeStorage() {
+        if (this.statements) return;
+
+        DatabaseService.ensureSchema(SCHEMA);
+        const db = DatabaseService.getDatabase();
+
+        this.statements = {
+            upsertStake: db.prepare(`
+                INSERT OR REPLACE INTO ranking_stakes (delegator, validator, amount)
+                VALUES ($delegator, $validator, $amount)
+            `),
+            deleteStake: db.prepare('DELETE FROM ranking_stakes WHERE delegator = $delegator AND validator = $validator'),
+            clearStakes: db.prepare('DELETE FROM ranking_stakes'),
+            allStakes: db.prepare('SELECT delegator, validator, amount FROM ranking_stakes'),
+            getState: db.prepare('SELECT value FROM ranking_state WHERE key = ?'),
+            setState: db.prepare('INSERT OR REPLACE INTO ranking_state (key, value) VALUES ($key, $value)')
+        };
+    }
+
+    /**
+     * Restore the persisted index and replay staking events indexed since it was saved
+     */
+    loadIndex() {
+        this.initializeStorage();
+
+        const saved = this.statements.getState.get('block_number');
+        const validators = this.statements.getState.get('validators');
+        if (!saved || !validators) return;
+
+        this.validators = new Set(JSON.parse(validators.value));
+        this.statements.allStakes.all().forEach(row => {
+            this.setStake(row.delegator, row.validator, BigInt(row.amount));
+        });
+        this.blockNumber = parseInt(saved.value);
+        this.builtAt = this.statements.getState.get('built_at')?.value ?? null;
+
+        this.logger.info(`Ranking index restored at block ${this.blockNumber} (${this.totals.size} delegators)`);
+
+        const { lastIndexedBlock } = EventIndexer.getStatus();
+        if (lastIndexedBlock > this.blockNumber) {
+            const events = EventIndexer.getAllEvents({
+                eventNames: [...STAKE_EVENTS, 'ValidatorSetUpdated'],
+                fromBlock: this.blockNumber + 1,
+                toBlock: lastIndexedBlock
+            });
+            this.handleIndexedEvents(events, { toBlock: lastIndexedBlock });
+            this.handleIndexedRange({ toBlock: lastIndexedBlock });
+        }
+    }
+
+    saveIndex() {
+        if (!this.persist) return;
+
+        this.initializeStorage();
+        DatabaseService.getDatabase().transaction(() => {
+            this.statements.clearStakes.run();
+            for (const [delegator, byValidator] of this.stakes) {
+                for (const [validator, amount] of byValidator) {
+                    this.statements.upsertStake.run({ $delegator: delegator, $validator: validator, $amount: amount.toString() });
                 }
             }
+            this.statements.setState.run({ $key: 'validators', $value: JSON.stringify(Array.from(this.validators)) });
+            this.statements.setState.run({ $key: 'built_at', $value: this.builtAt });
+            this.statements.setState.run({ $key: 'block_number', $value: this.blockNumber.toString() });
+        })();
+    }
 
-            return delegatorMap;
-        } catch (error) {
-            this.logger.error('Error getting all delegators:', error);
-            throw error;
+    saveStakes(updates) {
+        if (!this.persist) return;
+
+        this.initializeStorage();
+        DatabaseService.getDatabase().transaction(() => {
+            updates.forEach(({ delegator, validator }) => {
+                const params = { $delegator: delegator.toLowerCase(), $validator: validator.toLowerCase() };
+                const amount = this.stakes.get(params.$delegator)?.get(params.$validator);
+
+                if (amount) {
+                    this.statements.upsertStake.run({ ...params, $amount: amount.toString() });
+                } else {
+                    this.statements.deleteStake.run(params);
+                }
+            });
+            this.statements.setState.run({ $key: 'block_number', $value: this.blockNumber.toString() });
+        })();
+    }
+
+    saveState() {
+        if (!this.persist) return;
+
+        this.initializeStorage();
+        this.statements.setState.run({ $key: 'block_number', $value: this.blockNumber.toString() });
+    }
+
+    // ========================================
+    // QUERIES
+    // ========================================
+
+    /**
+     * Delegators sorted by total stake, cached until the index changes
+     */
+    getSortedDelegators() {
+        if (!this.sorted) {
+            this.sorted = Array.from(this.totals.entries())
+                .map(([address, totalStake]) => ({ address: ethers.getAddress(address), totalStake }))
+                .sort((a, b) => {
+                    if (a.totalStake > b.totalStake) return -1;
+                    if (a.totalStake < b.totalStake) return 1;
+                    return 0;
+                });
         }
+        return this.sorted;
+    }
+
+    getStatus() {
+        return {
+            ready: this.blockNumber !== null,
+            blockNumber: this.blockNumber,
+            builtAt: this.builtAt,
+            delegators: this.totals.size,
+            validators: this.validators.size,
+            persisted: this.persist,
+            isRunning: this.isRunning
+        };
     }
 
     /**
@@ -42,30 +416,17 @@ export class DelegatorRankingService {
      */
     async calculateDelegatorRankings(page = 1, limit = 50) {
         try {
-            const delegatorMap = await this.getAllDelegators();
-
-            // Convert to array and sort by stake amount
-            const delegators = Array.from(delegatorMap.entries())
-                .map(([address, totalStake]) => ({
-                    address,
-                    totalStake: ethers.formatEther(totalStake),
-                    totalStakeWei: totalStake.toString()
-                }))
-                .sort((a, b) => {
-                    // Sort by comparing BigInt values
-                    const aWei = BigInt(a.totalStakeWei);
-                    const bWei = BigInt(b.totalStakeWei);
-                    if (aWei > bWei) return -1;
-                    if (aWei < bWei) return 1;
-                    return 0;
-                });
+            await this.ensureIndex();
+
+            const delegators = this.getSortedDelegators();
+            const totalStaked = delegators.reduce((sum, d) => sum + d.totalStake, 0n);
 
             // Add ranking positions
             const rankedDelegators = delegators.map((delegator, index) => ({
                 address: delegator.address,
                 rank: index + 1,
-                totalStake: delegator.totalStake,
-                percentOfTotal: this.calculatePercentage(BigInt(delegator.totalStakeWei), delegators)
+                totalStake: ethers.formatEther(delegator.totalStake),
+                percentOfTotal: this.calculatePercentage(delegator.totalStake, totalStaked)
             }));
 
             // Pagination
@@ -85,12 +446,9 @@ export class DelegatorRankingService {
                 },
                 summary: {
                     totalDelegators: rankedDelegators.length,
-                    totalStaked: ethers.formatEther(
-                        rankedDelegators.reduce((sum, d) => sum + BigInt(d.totalStakeWei || '0'), 0n)
-                    ),
-                    averageStake: ethers.formatEther(
-                        rankedDelegators.reduce((sum, d) => sum + BigInt(d.totalStakeWei || '0'), 0n) / BigInt(rankedDelegators.length || 1)
-                    )
+                    totalStaked: ethers.formatEther(totalStaked),
+                    averageStake: ethers.formatEther(totalStaked / BigInt(rankedDelegators.length || 1)),
+                    blockNumber: this.blockNumber
                 }
             };
 
@@ -105,36 +463,40 @@ export class DelegatorRankingService {
      */
     async getDelegatorRank(delegatorAddress) {
         try {
-            const delegatorMap = await this.getAllDelegators();
-            const delegatorStake = delegatorMap.get(delegatorAddress) || 0n;
+            await this.ensureIndex();
+
+            const delegator = delegatorAddress.toLowerCase();
+            const delegatorStake = this.totals.get(delegator) || 0n;
 
             if (delegatorStake === 0n) {
                 return {
                     address: delegatorAddress,
                     rank: null,
                     totalStake: "0.0",
+                    blockNumber: this.blockNumber,
                     message: "Delegator not found or has no active stakes"
                 };
             }
 
             // Count how many delegators have more stake
             let rank = 1;
-            for (const [, stake] of delegatorMap) {
+            for (const stake of this.totals.values()) {
                 if (stake > delegatorStake) {
                     rank++;
                 }
             }
 
             // Get delegator's validator breakdown
-            const validatorBreakdown = await this.getDelegatorValidatorBreakdown(delegatorAddress);
+            const validatorBreakdown = this.getIndexedBreakdown(delegator);
 
             return {
                 address: delegatorAddress,
                 rank: rank,
                 totalStake: ethers.formatEther(delegatorStake), // ✅ Convert to string
-                totalDelegators: delegatorMap.size,
-                percentile: ((delegatorMap.size - rank + 1) / delegatorMap.size * 100).toFixed(2),
-                validatorBreakdown: validatorBreakdown
+                totalDelegators: this.totals.size,
+                percentile: ((this.totals.size - rank + 1) / this.totals.size * 100).toFixed(2),
+                validatorBreakdown: validatorBreakdown,
+                blockNumber: this.blockNumber
             };
 
         } catch (error) {
@@ -148,37 +510,29 @@ export class DelegatorRankingService {
      */
     async getDelegatorValidatorBreakdown(delegatorAddress) {
         try {
-            const activeValidators = await this.contract.getActivatedValidators();
-            const breakdown = [];
-
-            for (const validator of activeValidators) {
-                const stakingInfo = await this.contract.getStakingInfo(delegatorAddress, validator);
-                const [amount] = stakingInfo;
-
-                if (amount > 0n) {
-                    breakdown.push({
-                        validator: validator,
-                        stake: ethers.formatEther(amount)
-                    });
-                }
-            }
-
-            return breakdown.sort((a, b) => parseFloat(b.stake) - parseFloat(a.stake));
+            await this.ensureIndex();
+            return this.getIndexedBreakdown(delegatorAddress.toLowerCase());
         } catch (error) {
             this.logger.error('Error getting validator breakdown:', error);
             return [];
         }
     }
 
+    getIndexedBreakdown(delegator) {
+        const byValidator = this.stakes.get(delegator) || new Map();
+
+        return Array.from(byValidator.entries())
+            .sort(([, a], [, b]) => (a > b ? -1 : a < b ? 1 : 0))
+            .map(([validator, amount]) => ({
+                validator: ethers.getAddress(validator),
+                stake: ethers.formatEther(amount)
+            }));
+    }
+
     /**
      * Calculate percentage of total stake
      */
-    calculatePercentage(stake, allDelegators) {
-        const totalStake = allDelegators.reduce((sum, d) => {
-            const stakeWei = BigInt(d.totalStakeWei || '0');
-            return sum + stakeWei;
-        }, 0n);
-
+    calculatePercentage(stake, totalStake) {
         if (totalStake === 0n) return "0.00";
 
         // Convert to Number for percentage calculation
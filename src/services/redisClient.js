@@ -0,0 +1,240 @@
+import { connect } from "net";
+import { Logger } from "../utils/logger.js";
+
+const CRLF = '\r\n';
+
+/**
+ * Error reply from the server, or a failed connection
+ */
+export class RedisError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RedisError';
+  }
+}
+
+/**
+ * One RESP2 reply starting at `offset`; undefined while the buffer holds only part of it
+ * @returns {Object|undefined} { value, offset } with offset just past the reply
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf(CRLF, offset);
+  if (lineEnd === -1) return undefined;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new RedisError(line), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return undefined;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (item === undefined) return undefined;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new RedisError(`Unexpected reply type "${type}"`);
+  }
+}
+
+function encodeCommand(args) {
+  return `*${args.length}${CRLF}` + args
+    .map(arg => String(arg))
+    .map(arg => `$${Buffer.byteLength(arg)}${CRLF}${arg}${CRLF}`)
+    .join('');
+}
+
+/**
+ * Minimal Redis-protocol (RESP2) client on a single connection. Commands are
+ * pipelined and answered in order, which is all the cache backend needs; it
+ * works with Redis and compatible servers (Valkey, KeyDB, Dragonfly).
+ * A lost connection fails pending commands and is re-opened on the next one.
+ */
+export class RedisClient {
+  /**
+   * @param {string} url - redis://[user:password@]host:port[/db]
+   * @param {Object} options - { commandTimeout, reconnectDelay } in ms
+   */
+  constructor(url, { commandTimeout = 2000, reconnectDelay = 1000 } = {}) {
+    const parsed = new URL(url);
+    this.host = parsed.hostname || '127.0.0.1';
+    this.port = Number(parsed.port) || 6379;
+    this.username = parsed.username ? decodeURIComponent(parsed.username) : null;
+    this.password = parsed.password ? decodeURIComponent(parsed.password) : null;
+    this.database = Number(parsed.pathname.slice(1)) || 0;
+
+    this.commandTimeout = commandTimeout;
+    this.reconnectDelay = reconnectDelay;
+    this.logger = new Logger('Redis');
+
+    this.socket = null;
+    this.connecting = null;
+    this.connected = false;
+    this.closed = false;
+    this.buffer = Buffer.alloc(0);
+    // Replies arrive in command order
+    this.pending = [];
+    this.lastError = null;
+    this.retryAt = 0;
+  }
+
+  /**
+   * Send a command, connecting first when needed
+   * @returns {Promise<*>} The reply: string, number, array or null
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  connect() {
+    if (this.connected) return Promise.resolve();
+    if (this.connecting) return this.connecting;
+    if (this.closed) return Promise.reject(new RedisError('Redis client is closed'));
+    if (Date.now() < this.retryAt) {
+      return Promise.reject(new RedisError(`Redis at ${this.host}:${this.port} unavailable: ${this.lastError}`));
+    }
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = connect({ host: this.host, port: this.port });
+      const timer = setTimeout(() => socket.destroy(new Error('connection timeout')), this.commandTimeout);
+
+      socket.setNoDelay(true);
+      socket.on('data', (chunk) => this.handleData(chunk));
+      socket.on('error', (error) => {
+        this.lastError = error.message;
+      });
+      socket.on('close', () => {
+        clearTimeout(timer);
+        this.handleClose(socket);
+        reject(new RedisError(`Redis connection to ${this.host}:${this.port} failed: ${this.lastError ?? 'closed'}`));
+      });
+
+      socket.once('connect', async () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connected = true;
+
+        try {
+          if (this.password) {
+            await this.send(this.username ? ['AUTH', this.username, this.password] : ['AUTH', this.password]);
+          }
+          if (this.database) {
+            await this.send(['SELECT', this.database]);
+          }
+          this.lastError = null;
+          this.logger.success(`Connected to ${this.host}:${this.port}/${this.database}`);
+          resolve();
+        } catch (error) {
+          this.lastError = error.message;
+          socket.destroy();
+          reject(error);
+        }
+      });
+    }).finally(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket) {
+        reject(new RedisError('Redis connection lost'));
+        return;
+      }
+
+      const entry = { resolve, reject, timer: null };
+      // A late reply would be matched to the wrong command, so start over on a new connection
+      entry.timer = setTimeout(() => {
+        this.lastError = `${args[0]} timed out after ${this.commandTimeout}ms`;
+        this.socket?.destroy();
+      }, this.commandTimeout);
+
+      this.pending.push(entry);
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  handleData(chunk) {
+    this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let reply;
+    try {
+      while (this.buffer.length > 0 && (reply = parseReply(this.buffer, 0)) !== undefined) {
+        this.buffer = this.buffer.subarray(reply.offset);
+
+        const entry = this.pending.shift();
+        if (!entry) continue;
+        clearTimeout(entry.timer);
+        if (reply.value instanceof RedisError) {
+          entry.reject(reply.value);
+        } else {
+          entry.resolve(reply.value);
+        }
+      }
+    } catch (error) {
+      this.lastError = error.message;
+      this.socket?.destroy();
+    }
+  }
+
+  handleClose(socket) {
+    if (this.socket && this.socket !== socket) return;
+
+    const wasConnected = this.connected;
+    this.socket = null;
+    this.connected = false;
+    this.buffer = Buffer.alloc(0);
+    this.retryAt = Date.now() + this.reconnectDelay;
+
+    const error = new RedisError(`Redis connection lost: ${this.lastError ?? 'closed'}`);
+    this.pending.splice(0).forEach(entry => {
+      clearTimeout(entry.timer);
+      entry.reject(error);
+    });
+
+    if (wasConnected && !this.closed) {
+      this.logger.warn(`Disconnected from ${this.host}:${this.port}: ${this.lastError ?? 'closed'}`);
+    }
+  }
+
+  getStatus() {
+    return {
+      host: this.host,
+      port: this.port,
+      database: this.database,
+      connected: this.connected,
+      pendingCommands: this.pending.length,
+      lastError: this.lastError
+    };
+  }
+
+  close() {
+    this.closed = true;
+    if (this.socket) {
+      this.socket.end();
+    }
+  }
+}
@@ -0,0 +1,87 @@
+/**
+ * Cursors identify a contract event by its position on chain: "blockNumber:logIndex"
+ */
+export function formatCursor({ blockNumber, logIndex }) {
+  return `${blockNumber}:${logIndex}`;
+}
+
+export function parseCursor(cursor) {
+  const match = /^(\d+):(\d+)$/.exec(String(cursor ?? ''));
+  if (!match) return null;
+  return { blockNumber: parseInt(match[1]), logIndex: parseInt(match[2]) };
+}
+
+export function compareCursors(a, b) {
+  return a.blockNumber - b.blockNumber || a.logIndex - b.logIndex;
+}
+
+/**
+ * Bounded, cursor-ordered buffer of recently published contract events
+ */
+export class EventReplayBuffer {
+  constructor(capacity = 1000) {
+    this.capacity = capacity;
+    this.entries = [];
+    this.evictedThrough = null;
+  }
+
+  /**
+   * @param {Object} entry - { cursor, topic, addresses, message }
+   * @returns {boolean} false when the event is already buffered
+   */
+  add(entry) {
+    let index = this.entries.length;
+    while (index > 0 && compareCursors(this.entries[index - 1].cursor, entry.cursor) > 0) {
+      index--;
+    }
+    if (index > 0 && compareCursors(this.entries[index - 1].cursor, entry.cursor) === 0) {
+      return false;
+    }
+
+    this.entries.splice(index, 0, entry);
+
+    if (this.entries.length > this.capacity) {
+      // A late, older event can be the one evicted: the gap never moves backwards
+      const evicted = this.entries.shift().cursor;
+      if (!this.evictedThrough || compareCursors(evicted, this.evictedThrough) > 0) {
+        this.evictedThrough = evicted;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Remove the entries `predicate` accepts, e.g. events of blocks dropped by a reorg
+   * @returns {Object[]} The removed entries, oldest first
+   */
+  remove(predicate) {
+    const removed = this.entries.filter(predicate);
+    if (removed.length > 0) {
+      this.entries = this.entries.filter(entry => !predicate(entry));
+    }
+    return removed;
+  }
+
+  /**
+   * Entries after `cursor`; `gap` is set when some of them were already evicted
+   */
+  since(cursor) {
+    const entries = this.entries.filter(entry => compareCursors(entry.cursor, cursor) > 0);
+    const gap = this.evictedThrough !== null && compareCursors(cursor, this.evictedThrough) < 0;
+    return { entries, gap };
+  }
+
+  get latestCursor() {
+    const last = this.entries[this.entries.length - 1];
+    return last ? formatCursor(last.cursor) : null;
+  }
+
+  getStats() {
+    return {
+      size: this.entries.length,
+      capacity: this.capacity,
+      oldestCursor: this.entries.length > 0 ? formatCursor(this.entries[0].cursor) : null,
+      latestCursor: this.latestCursor
+    };
+  }
+}
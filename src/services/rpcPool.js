@@ -0,0 +1,343 @@
+import { ethers } from "ethers";
+import { MulticallBatcher } from "./multicall.js";
+import { Logger } from "../utils/logger.js";
+import { isMissingStateError } from "../utils/pointInTime.js";
+
+// Errors that any healthy node would return too, so retrying elsewhere is pointless
+const DETERMINISTIC_ERRORS = [
+  'CALL_EXCEPTION',
+  'INVALID_ARGUMENT',
+  'INSUFFICIENT_FUNDS',
+  'NONCE_EXPIRED',
+  'REPLACEMENT_UNDERPRICED',
+  'TRANSACTION_REPLACED',
+  'ACTION_REJECTED'
+];
+
+// Pruned state at an old block (atBlock reads) is as deterministic: the node is healthy, just not an archive node
+const isDeterministicError = (error) =>
+  DETERMINISTIC_ERRORS.some(code => ethers.isError(error, code)) || isMissingStateError(error);
+
+// Weight of the newest sample in latency / error-rate moving averages
+const EWMA_WEIGHT = 0.2;
+
+/**
+ * Hide credentials that providers embed in RPC URL paths or query strings
+ */
+function redactUrl(url) {
+  try {
+    const parsed = new URL(url);
+    const hasSecret = parsed.pathname.length > 1 || parsed.search.length > 0;
+    return `${parsed.origin}${hasSecret ? '/***' : ''}`;
+  } catch {
+    return 'invalid-url';
+  }
+}
+
+class RpcEndpoint {
+  constructor(url, network, options) {
+    const request = new ethers.FetchRequest(url);
+    request.timeout = options.timeout;
+
+    this.url = url;
+    this.provider = new ethers.JsonRpcProvider(request, network, {
+      staticNetwork: network,
+      batchMaxCount: options.batchMaxCount
+    });
+    this.maxFailures = options.maxFailures;
+    this.cooldown = options.cooldown;
+
+    this.latency = null;
+    this.errorRate = 0;
+    this.requests = 0;
+    this.failures = 0;
+    this.consecutiveFailures = 0;
+    this.cooldownUntil = 0;
+    this.lastError = null;
+    this.blockNumber = null;
+    this.lag = 0;
+    this.stale = false;
+    this.lastCheckedAt = null;
+  }
+
+  get isCoolingDown() {
+    return Date.now() < this.cooldownUntil;
+  }
+
+  get isAvailable() {
+    return !this.isCoolingDown && !this.stale;
+  }
+
+  /**
+   * Health score from 0 (unusable) to 100
+   */
+  get score() {
+    if (this.isCoolingDown) return 0;
+
+    const latencyPenalty = this.latency === null ? 20 : Math.min(40, this.latency / 25);
+    const errorPenalty = this.errorRate * 50;
+    const lagPenalty = Math.min(10, this.lag * 2);
+
+    return Math.max(0, Math.round(100 - latencyPenalty - errorPenalty - lagPenalty));
+  }
+
+  recordSuccess(latency) {
+    this.requests++;
+    this.consecutiveFailures = 0;
+    this.latency = this.latency === null ? latency : this.latency * (1 - EWMA_WEIGHT) + latency * EWMA_WEIGHT;
+    this.errorRate = this.errorRate * (1 - EWMA_WEIGHT);
+  }
+
+  recordFailure(error) {
+    this.requests++;
+    this.failures++;
+    this.consecutiveFailures++;
+    this.errorRate = this.errorRate * (1 - EWMA_WEIGHT) + EWMA_WEIGHT;
+    this.lastError = {
+      message: error.shortMessage || error.message,
+      code: error.code,
+      at: new Date().toISOString()
+    };
+
+    if (this.consecutiveFailures >= this.maxFailures) {
+      this.cooldownUntil = Date.now() + this.cooldown;
+    }
+  }
+
+  getStatus() {
+    return {
+      url: redactUrl(this.url),
+      available: this.isAvailable,
+      coolingDown: this.isCoolingDown,
+      stale: this.stale,
+      score: this.score,
+      latencyMs: this.latency === null ? null : Math.round(this.latency),
+      errorRate: Number(this.errorRate.toFixed(4)),
+      requests: this.requests,
+      failures: this.failures,
+      consecutiveFailures: this.consecutiveFailures,
+      blockNumber: this.blockNumber,
+      lag: this.lag,
+      lastError: this.lastError,
+      lastCheckedAt: this.lastCheckedAt
+    };
+  }
+}
+
+/**
+ * Provider over several RPC endpoints with health scoring and automatic failover.
+ * Requests go to the best scoring available endpoint and move on to the next one
+ * on transport errors; eth_calls are batched through Multicall3 first.
+ */
+export class RpcPoolProvider extends ethers.AbstractProvider {
+  /**
+   * @param {string[]} urls - RPC endpoint URLs, in order of preference
+   * @param {Object} options - { chainId, timeout, batchMaxCount, maxFailures, cooldown, maxBlockLag, healthCheckInterval, multicall }
+   */
+  constructor(urls, options = {}) {
+    super();
+
+    if (!urls || urls.length === 0) {
+      throw new Error('At least one RPC URL is required');
+    }
+
+    this.urls = urls;
+    this.options = {
+      timeout: 30000,
+      batchMaxCount: 100,
+      maxFailures: 3,
+      cooldown: 30000,
+      maxBlockLag: 5,
+      healthCheckInterval: 15000,
+      ...options
+    };
+    this.endpoints = [];
+    this.activeEndpoint = null;
+    this.readyPromise = null;
+    this.healthTimer = null;
+    this.logger = new Logger('RpcPool');
+
+    this.multicall = new MulticallBatcher(
+      (req) => this.performWithFailover(req),
+      options.multicall
+    );
+  }
+
+  /**
+   * Resolve the chain id once, then create one provider per endpoint
+   */
+  ready() {
+    if (!this.readyPromise) {
+      this.readyPromise = (async () => {
+        const chainId = this.options.chainId ?? await this.detectChainId();
+        const network = ethers.Network.from(chainId);
+
+        this.endpoints = this.urls.map(url => new RpcEndpoint(url, network, this.options));
+        this.logger.info(`RPC pool ready with ${this.endpoints.length} endpoint(s) on chain ${chainId}`);
+        return network;
+      })().catch(error => {
+        // Allow the next request to retry detection
+        this.readyPromise = null;
+        throw error;
+      });
+    }
+    return this.readyPromise;
+  }
+
+  async detectChainId() {
+    let lastError = null;
+
+    for (const url of this.urls) {
+      try {
+        const request = new ethers.FetchRequest(url);
+        request.timeout = this.options.timeout;
+        request.body = { jsonrpc: '2.0', id: 1, method: 'eth_chainId', params: [] };
+
+        const response = await request.send();
+        response.assertOk();
+        const { result } = response.bodyJson;
+        if (result) return Number(BigInt(result));
+      } catch (error) {
+        this.logger.warn(`Chain id detection failed for ${redactUrl(url)}:`, error.message);
+        lastError = error;
+      }
+    }
+
+    throw new Error(`No RPC endpoint reachable: ${lastError?.message || 'unknown error'}`);
+  }
+
+  async _detectNetwork() {
+    return this.ready();
+  }
+
+  async _perform(req) {
+    if (req.method === 'call' && this.multicall.canBatch(req)) {
+      return this.multicall.enqueue(req);
+    }
+    return this.performWithFailover(req);
+  }
+
+  /**
+   * Endpoints ordered by health score; unavailable ones only as a last resort
+   */
+  rankEndpoints() {
+    const byScore = (a, b) => b.score - a.score;
+    const available = this.endpoints.filter(endpoint => endpoint.isAvailable).sort(byScore);
+    const unavailable = this.endpoints.filter(endpoint => !endpoint.isAvailable).sort(byScore);
+
+    return [...available, ...unavailable];
+  }
+
+  async performWithFailover(req) {
+    await this.ready();
+
+    let lastError = null;
+
+    for (const endpoint of this.rankEndpoints()) {
+      const startedAt = Date.now();
+
+      try {
+        const result = await endpoint.provider._perform(req);
+        endpoint.recordSuccess(Date.now() - startedAt);
+        this.setActiveEndpoint(endpoint);
+        return result;
+
+      } catch (error) {
+        if (isDeterministicError(error)) {
+          endpoint.recordSuccess(Date.now() - startedAt);
+          throw error;
+        }
+
+        endpoint.recordFailure(error);
+        lastError = error;
+        this.logger.warn(`RPC ${req.method} failed on ${redactUrl(endpoint.url)}, trying next endpoint`, error.shortMessage || error.message);
+      }
+    }
+
+    throw lastError;
+  }
+
+  setActiveEndpoint(endpoint) {
+    if (this.activeEndpoint !== endpoint) {
+      if (this.activeEndpoint) {
+        this.logger.info(`Switched RPC endpoint to ${redactUrl(endpoint.url)}`);
+      }
+      this.activeEndpoint = endpoint;
+    }
+  }
+
+  /**
+   * Probe every endpoint's block height; nodes lagging behind the best one leave rotation
+   */
+  async checkHealth() {
+    try {
+      await this.ready();
+    } catch (error) {
+      this.logger.error('RPC health check skipped:', error.message);
+      return;
+    }
+
+    await Promise.all(this.endpoints.map(async (endpoint) => {
+      const startedAt = Date.now();
+      try {
+        endpoint.blockNumber = await endpoint.provider._perform({ method: 'getBlockNumber' });
+        endpoint.blockNumber = Number(endpoint.blockNumber);
+        endpoint.recordSuccess(Date.now() - startedAt);
+      } catch (error) {
+        endpoint.recordFailure(error);
+      }
+      endpoint.lastCheckedAt = new Date().toISOString();
+    }));
+
+    const heights = this.endpoints
+      .filter(endpoint => endpoint.blockNumber !== null)
+      .map(endpoint => endpoint.blockNumber);
+    const bestHeight = heights.length > 0 ? Math.max(...heights) : null;
+
+    this.endpoints.forEach(endpoint => {
+      const wasStale = endpoint.stale;
+      endpoint.lag = bestHeight !== null && endpoint.blockNumber !== null ? bestHeight - endpoint.blockNumber : 0;
+      endpoint.stale = endpoint.lag > this.options.maxBlockLag;
+
+      if (endpoint.stale && !wasStale) {
+        this.logger.warn(`RPC ${redactUrl(endpoint.url)} is ${endpoint.lag} blocks behind, removed from rotation`);
+      } else if (!endpoint.stale && wasStale) {
+        this.logger.info(`RPC ${redactUrl(endpoint.url)} caught up, back in rotation`);
+      }
+    });
+  }
+
+  startHealthChecks() {
+    if (this.healthTimer) return;
+
+    this.checkHealth();
+    this.healthTimer = setInterval(() => this.checkHealth(), this.options.healthCheckInterval);
+  }
+
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  getStatus() {
+    const endpoints = this.endpoints.map(endpoint => endpoint.getStatus());
+    const available = endpoints.filter(endpoint => endpoint.available).length;
+
+    return {
+      status: available === 0 ? 'unhealthy' : available < endpoints.length ? 'degraded' : 'healthy',
+      activeEndpoint: this.activeEndpoint ? redactUrl(this.activeEndpoint.url) : null,
+      availableEndpoints: available,
+      totalEndpoints: this.urls.length,
+      maxBlockLag: this.options.maxBlockLag,
+      endpoints
+    };
+  }
+
+  destroy() {
+    this.stopHealthChecks();
+    this.endpoints.forEach(endpoint => endpoint.provider.destroy());
+    super.destroy();
+  }
+}
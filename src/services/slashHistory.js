@@ -0,0 +1,287 @@
+import { BlockchainService } from "./blockchain.js";
+import { DatabaseService } from "./database.js";
+import { EventIndexer } from "./eventIndexer.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS slash_details (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    validator TEXT NOT NULL,
+    acc_slash_before TEXT NOT NULL,
+    acc_slash_after TEXT NOT NULL,
+    staking_before TEXT NOT NULL,
+    status_after INTEGER NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  )`
+];
+
+const SLASH_EVENTS = ['ValidatorSlash', 'ValidatorUnjailed'];
+
+const FEED_TYPES = {
+  slash: ['ValidatorSlash'],
+  unjail: ['ValidatorUnjailed']
+};
+
+// validatorInfo status of a jailed validator
+const JAILED_STATUS = 4;
+
+/**
+ * Slash and jail history built from indexed ValidatorSlash / ValidatorUnjailed
+ * events. Per-slash accSlashPerStake changes are read from contract state
+ * around the slash block (archive node) and stored once resolved.
+ */
+class SlashHistoryClass {
+  constructor() {
+    this.logger = new Logger('Slashes');
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.onRewind = (range) => this.handleRewind(range);
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      getDetails: db.prepare('SELECT * FROM slash_details WHERE block_number = $blockNumber AND log_index = $logIndex'),
+      insertDetails: db.prepare(`
+        INSERT OR REPLACE INTO slash_details
+          (block_number, log_index, validator, acc_slash_before, acc_slash_after, staking_before, status_after)
+        VALUES
+          ($blockNumber, $logIndex, $validator, $accBefore, $accAfter, $stakingBefore, $statusAfter)
+      `),
+      rewind: db.prepare('DELETE FROM slash_details WHERE block_number >= ?')
+    };
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Drop resolved details of the slashes the indexer rewinds, they are read again on demand
+   */
+  start() {
+    if (this.isRunning) return;
+
+    EventIndexer.on('rewind', this.onRewind);
+    this.isRunning = true;
+  }
+
+  stop() {
+    this.isRunning = false;
+    EventIndexer.off('rewind', this.onRewind);
+  }
+
+  /**
+   * Details are keyed by log position, which the new chain may give to another slash
+   */
+  handleRewind({ fromBlock }) {
+    this.initialize();
+    this.statements.rewind.run(fromBlock);
+  }
+
+  /**
+   * Slashes, jail periods and cumulative downtime of one validator
+   */
+  async getValidatorHistory(validatorAddress) {
+    this.initialize();
+
+    const events = EventIndexer.getAllEvents({ validator: validatorAddress, eventNames: SLASH_EVENTS });
+    const [currentlyJailed, currentBlock] = await Promise.all([
+      BlockchainService.getContract().isJailed(validatorAddress),
+      BlockchainService.getCurrentBlock()
+    ]);
+
+    const slashEvents = events.filter(event => event.eventName === 'ValidatorSlash');
+    const details = await Promise.all(slashEvents.map(event => this.getSlashDetails(event)));
+
+    const slashes = slashEvents.map((event, index) => this.formatSlash(event, details[index]));
+    const jailPeriods = this.buildJailPeriods(events, slashes, { currentlyJailed, currentBlock });
+
+    const totalSlashed = slashEvents.reduce((sum, event) => sum + BigInt(event.amountWei ?? 0), 0n);
+
+    return {
+      validator: validatorAddress,
+      currentlyJailed,
+      totalSlashes: slashes.length,
+      totalSlashed: BlockchainService.formatEther(totalSlashed),
+      slashes,
+      jailPeriods,
+      downtime: {
+        periods: jailPeriods.length,
+        blocks: jailPeriods.reduce((sum, period) => sum + (period.durationBlocks ?? 0), 0),
+        seconds: jailPeriods.reduce((sum, period) => sum + (period.durationSeconds ?? 0), 0)
+      },
+      indexedThroughBlock: EventIndexer.getStatus().lastIndexedBlock
+    };
+  }
+
+  /**
+   * Network-wide slash/unjail events, newest first
+   * @param {Object} filters - { type ('slash' | 'unjail'), validator, fromBlock, toBlock, page, limit }
+   */
+  getFeed(filters = {}) {
+    this.initialize();
+
+    const { type, validator, fromBlock, toBlock, page = 1, limit = 50 } = filters;
+    const { events, total } = EventIndexer.getEvents({
+      eventNames: type ? FEED_TYPES[type] : SLASH_EVENTS,
+      validator,
+      fromBlock,
+      toBlock,
+      page,
+      limit
+    });
+
+    return {
+      events: events.map(event => {
+        if (event.eventName !== 'ValidatorSlash') {
+          return this.formatUnjail(event);
+        }
+        // Only already resolved state reads, the feed does not hit the node
+        const row = this.statements.getDetails.get({ $blockNumber: event.blockNumber, $logIndex: event.logIndex });
+        return this.formatSlash(event, row ? this.formatDetails(row) : null);
+      }),
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * validatorInfo before and after the slash block; null without archive state
+   */
+  async getSlashDetails(event) {
+    const key = { $blockNumber: event.blockNumber, $logIndex: event.logIndex };
+    const stored = this.statements.getDetails.get(key);
+    if (stored) return this.formatDetails(stored);
+
+    try {
+      const contract = BlockchainService.getContract();
+      const [before, after] = await Promise.all([
+        contract.validatorInfo(event.validator, { blockTag: event.blockNumber - 1 }),
+        contract.validatorInfo(event.validator, { blockTag: event.blockNumber })
+      ]);
+
+      this.statements.insertDetails.run({
+        ...key,
+        $validator: event.validator.toLowerCase(),
+        $accBefore: before.accSlashPerStake.toString(),
+        $accAfter: after.accSlashPerStake.toString(),
+        $stakingBefore: before.stakingAmount.toString(),
+        $statusAfter: Number(after.status)
+      });
+
+      return this.formatDetails(this.statements.getDetails.get(key));
+
+    } catch (error) {
+      this.logger.debug(`State around slash at block ${event.blockNumber} unavailable:`, error.shortMessage || error.message);
+      return null;
+    }
+  }
+
+  formatDetails(row) {
+    return {
+      accSlashPerStakeBefore: row.acc_slash_before,
+      accSlashPerStakeAfter: row.acc_slash_after,
+      accSlashPerStakeChange: (BigInt(row.acc_slash_after) - BigInt(row.acc_slash_before)).toString(),
+      stakingAmountBefore: BlockchainService.formatEther(row.staking_before),
+      jailed: row.status_after === JAILED_STATUS
+    };
+  }
+
+  formatSlash(event, details) {
+    return {
+      type: 'slash',
+      validator: event.validator,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash,
+      amount: event.amount,
+      accSlashPerStakeChange: details?.accSlashPerStakeChange ?? null,
+      accSlashPerStakeBefore: details?.accSlashPerStakeBefore ?? null,
+      accSlashPerStakeAfter: details?.accSlashPerStakeAfter ?? null,
+      stakingAmountBefore: details?.stakingAmountBefore ?? null,
+      jailed: details?.jailed ?? null
+    };
+  }
+
+  formatUnjail(event) {
+    return {
+      type: 'unjail',
+      validator: event.validator,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+      transactionHash: event.transactionHash
+    };
+  }
+
+  /**
+   * A jail period starts at a slash that left the validator jailed and ends at
+   * the next ValidatorUnjailed. Without archive state every slash is taken as
+   * jailing when an unjail follows it or the validator is jailed now.
+   */
+  buildJailPeriods(events, slashes, { currentlyJailed, currentBlock }) {
+    const periods = [];
+    let open = null;
+    let slashIndex = 0;
+
+    events.forEach((event, index) => {
+      if (event.eventName === 'ValidatorSlash') {
+        const slash = slashes[slashIndex++];
+        const laterUnjail = events.slice(index + 1).some(next => next.eventName === 'ValidatorUnjailed');
+        const jailed = slash.jailed ?? (laterUnjail || currentlyJailed);
+
+        if (jailed && !open) {
+          open = {
+            startBlock: event.blockNumber,
+            startTime: event.timestamp,
+            slashTransaction: event.transactionHash
+          };
+        }
+        return;
+      }
+
+      if (open) {
+        periods.push(this.closePeriod(open, event.blockNumber, event.timestamp, {
+          unjailTransaction: event.transactionHash,
+          ongoing: false
+        }));
+        open = null;
+      }
+    });
+
+    if (open) {
+      periods.push(currentlyJailed
+        ? this.closePeriod(open, currentBlock, new Date().toISOString(), { unjailTransaction: null, ongoing: true })
+        // Released without an indexed unjail (index gap), the end is unknown
+        : { ...open, endBlock: null, endTime: null, durationBlocks: null, durationSeconds: null, unjailTransaction: null, ongoing: false });
+    }
+
+    return periods;
+  }
+
+  closePeriod(open, endBlock, endTime, extra) {
+    const durationSeconds = open.startTime && endTime
+      ? Math.round((new Date(endTime) - new Date(open.startTime)) / 1000)
+      : null;
+
+    return {
+      ...open,
+      endBlock,
+      endTime,
+      durationBlocks: endBlock - open.startBlock,
+      durationSeconds,
+      ...extra
+    };
+  }
+}
+
+// Export singleton instance
+export const SlashHistory = new SlashHistoryClass();
@@ -0,0 +1,206 @@
+import ValidatorsABI from "../abi/Validators.abi.json";
+import { config } from "../config/index.js";
+
+export const EVENT_TOPICS = ValidatorsABI
+  .filter(item => item.type === 'event')
+  .map(item => item.name);
+
+export const SUBSCRIPTION_TOPICS = [...EVENT_TOPICS, 'newBlock', 'aprUpdate', 'averageAPRUpdate', 'withdrawalReady', 'reorg'];
+
+// Network-wide topics, delivered regardless of address filters unless a message names addresses
+const UNFILTERED_TOPICS = ['newBlock', 'aprUpdate', 'averageAPRUpdate', 'reorg'];
+
+// Upper bound for per-topic throttle intervals (ms)
+const MAX_THROTTLE = 60000;
+
+// Parsed event fields that hold validator or delegator addresses
+const ADDRESS_FIELDS = ['validator', 'staker', 'delegator', 'rewardAddr', 'rewardAddress'];
+
+/**
+ * Lowercased validator/delegator addresses referenced by parsed event data
+ */
+export function extractEventAddresses(data) {
+  if (!data) return [];
+
+  const addresses = ADDRESS_FIELDS
+    .map(field => data[field])
+    .filter(value => typeof value === 'string');
+
+  if (Array.isArray(data.validators)) {
+    addresses.push(...data.validators);
+  }
+
+  return addresses.map(address => address.toLowerCase());
+}
+
+/**
+ * Subscription state of one client connection: topics, address filters,
+ * per-topic throttling and confirmation depth. Clients that never subscribed
+ * receive every topic.
+ */
+export class ClientSubscription {
+  constructor() {
+    this.topics = null;
+    this.addresses = new Set();
+    this.throttle = new Map();
+    this.lastSent = new Map();
+    this.pending = new Map();
+    // Transaction hashes followed through watchTx
+    this.watchedTxs = new Set();
+    // Contract events are held until this many blocks include them (0 = live)
+    this.confirmations = 0;
+    // Last block whose events were delivered to a confirmation-depth client
+    this.confirmedBlock = null;
+  }
+
+  /**
+   * Add topics, addresses and throttle intervals, and set the confirmation depth
+   * @param {Object} request - { topics, addresses, throttle: { [topic]: ms }, confirmations }
+   * @returns {string[]} Validation errors; nothing is applied when non-empty
+   */
+  subscribe({ topics = [], addresses = [], throttle = {}, confirmations }) {
+    const errors = this.validate({ topics, addresses, throttle, confirmations });
+    if (errors.length > 0) return errors;
+
+    if (topics.length > 0) {
+      this.topics = this.topics || new Set();
+      topics.forEach(topic => this.topics.add(topic));
+    }
+    addresses.forEach(address => this.addresses.add(address.toLowerCase()));
+    Object.entries(throttle).forEach(([topic, interval]) => {
+      if (interval > 0) {
+        this.throttle.set(topic, interval);
+      } else {
+        this.throttle.delete(topic);
+      }
+    });
+    if (confirmations !== undefined) {
+      this.confirmations = confirmations;
+    }
+
+    return [];
+  }
+
+  /**
+   * Remove topics and addresses; without either, remove every subscription
+   */
+  unsubscribe({ topics = [], addresses = [] }) {
+    if (topics.length === 0 && addresses.length === 0) {
+      this.topics = new Set();
+      this.addresses.clear();
+      return;
+    }
+
+    if (topics.length > 0) {
+      // Unsubscribing from the implicit "everything" keeps all other topics
+      this.topics = this.topics || new Set(SUBSCRIPTION_TOPICS);
+      topics.forEach(topic => this.topics.delete(topic));
+    }
+    addresses.forEach(address => this.addresses.delete(address.toLowerCase()));
+  }
+
+  validate({ topics, addresses, throttle, confirmations }) {
+    const errors = [];
+
+    if (!Array.isArray(topics) || !Array.isArray(addresses)) {
+      return ['topics and addresses must be arrays'];
+    }
+
+    topics
+      .filter(topic => !SUBSCRIPTION_TOPICS.includes(topic))
+      .forEach(topic => errors.push(`Unknown topic: ${topic}`));
+
+    addresses
+      .filter(address => typeof address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(address))
+      .forEach(address => errors.push(`Invalid address: ${address}`));
+
+    if (typeof throttle !== 'object' || throttle === null) {
+      errors.push('throttle must be an object of topic to milliseconds');
+    } else {
+      Object.entries(throttle).forEach(([topic, interval]) => {
+        if (!SUBSCRIPTION_TOPICS.includes(topic)) {
+          errors.push(`Unknown throttle topic: ${topic}`);
+        } else if (!Number.isFinite(interval) || interval < 0 || interval > MAX_THROTTLE) {
+          errors.push(`Throttle for ${topic} must be between 0 and ${MAX_THROTTLE} ms`);
+        }
+      });
+    }
+
+    const maxConfirmations = config.websocket.reorgDepth;
+    if (confirmations !== undefined && (!Number.isInteger(confirmations) || confirmations < 0 || confirmations > maxConfirmations)) {
+      errors.push(`confirmations must be an integer between 0 and ${maxConfirmations}`);
+    }
+
+    return errors;
+  }
+
+  matches(topic, addresses = []) {
+    if (this.topics && !this.topics.has(topic)) return false;
+    if (this.addresses.size === 0) return true;
+    if (UNFILTERED_TOPICS.includes(topic) && addresses.length === 0) return true;
+
+    return addresses.some(address => this.addresses.has(address));
+  }
+
+  /**
+   * Send now, or hold the latest message until the topic's throttle interval has passed
+   * @param {Function} send - Called with (message, skipped) where skipped counts replaced messages
+   */
+  dispatch(topic, message, send) {
+    const interval = this.throttle.get(topic);
+    if (!interval) {
+      send(message, 0);
+      return;
+    }
+
+    const pending = this.pending.get(topic);
+    if (pending) {
+      pending.message = message;
+      pending.skipped++;
+      return;
+    }
+
+    const elapsed = Date.now() - (this.lastSent.get(topic) || 0);
+    if (elapsed >= interval) {
+      this.lastSent.set(topic, Date.now());
+      send(message, 0);
+      return;
+    }
+
+    const entry = { message, skipped: 0, timer: null };
+    entry.timer = setTimeout(() => {
+      this.pending.delete(topic);
+      this.lastSent.set(topic, Date.now());
+      send(entry.message, entry.skipped);
+    }, interval - elapsed);
+    this.pending.set(topic, entry);
+  }
+
+  /**
+   * Discard the message held back for `topic` when `predicate` accepts it
+   * @returns {boolean} true when a held message was discarded
+   */
+  dropPending(topic, predicate) {
+    const pending = this.pending.get(topic);
+    if (!pending || !predicate(pending.message)) return false;
+
+    clearTimeout(pending.timer);
+    this.pending.delete(topic);
+    return true;
+  }
+
+  toJSON() {
+    return {
+      topics: this.topics ? Array.from(this.topics) : 'all',
+      addresses: Array.from(this.addresses),
+      throttle: Object.fromEntries(this.throttle),
+      confirmations: this.confirmations,
+      watchedTxs: Array.from(this.watchedTxs)
+    };
+  }
+
+  dispose() {
+    this.pending.forEach(entry => clearTimeout(entry.timer));
+    this.pending.clear();
+  }
+}
@@ -0,0 +1,391 @@
+import { ethers } from "ethers";
+import { BlockchainService } from "./blockchain.js";
+import { validateValidatorDescription } from "../utils/validation.js";
+import { Logger } from "../utils/logger.js";
+
+// Validator status values of the Validators contract
+const VALIDATOR_STATUS = {
+  NOT_EXIST: 0,
+  JAILED: 4
+};
+
+// Gas limit headroom over the node's estimate (percent)
+const GAS_LIMIT_BUFFER = 20n;
+
+export const TX_ACTIONS = [
+  'stake',
+  'unstake',
+  'withdrawStaking',
+  'claimDelegatorRewards',
+  'withdrawRewards',
+  'create',
+  'edit'
+];
+
+// Actions whose call carries an OXT `amount`
+const VALUE_ACTIONS = ['stake', 'create'];
+
+/**
+ * OXT amount in wei, or null unless it is a positive OXT amount
+ */
+export function parseOxtAmount(amount) {
+  try {
+    const value = ethers.parseEther(String(amount));
+    return value > 0n ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Request format check of the `amount` field of an action; returns validation errors
+ */
+export function validateAmount(action, amount) {
+  if (!VALUE_ACTIONS.includes(action)) return [];
+  if (amount === undefined || amount === null || amount === '') return ['amount is required'];
+  return parseOxtAmount(amount) === null ? ['amount must be a positive OXT amount'] : [];
+}
+
+/**
+ * Contract call arguments of an action, from its request fields
+ */
+export function getActionArgs(action, { validator, rewardAddr, description = {} }) {
+  if (action === 'create' || action === 'edit') {
+    return [
+      rewardAddr,
+      description.moniker || '',
+      description.website || '',
+      description.email || '',
+      description.details || ''
+    ];
+  }
+  return [validator];
+}
+
+/**
+ * Preflight failure: the transaction would be rejected by the contract
+ */
+export class TxPreflightError extends Error {
+  constructor(message, errors = [], checks = {}) {
+    super(message);
+    this.name = 'TxPreflightError';
+    this.code = 'PREFLIGHT_FAILED';
+    this.errors = errors;
+    this.checks = checks;
+  }
+}
+
+/**
+ * Builds unsigned Validators contract transactions after checking them
+ * against current on-chain state. Nothing is signed or sent.
+ */
+export class TransactionBuilderService {
+  constructor() {
+    this.logger = new Logger('TxBuilder');
+  }
+
+  getContract() {
+    return BlockchainService.getContract();
+  }
+
+  async getCurrentBlock() {
+    return BlockchainService.getProvider().getBlockNumber();
+  }
+
+  /**
+   * Delegate `amount` (in OXT) to a validator
+   */
+  async buildStake({ from, validator, amount }) {
+    const contract = this.getContract();
+    const value = this.parseAmount(amount);
+
+    const [info, stakerInfo, minimalStaking] = await Promise.all([
+      contract.validatorInfo(validator),
+      contract.stakerInfo(from, validator),
+      contract.MinimalOfStaking()
+    ]);
+
+    const errors = [];
+    if (Number(info.status) === VALIDATOR_STATUS.NOT_EXIST) {
+      errors.push('Validator does not exist');
+    }
+    if (stakerInfo.unstakeBlock > 0n) {
+      errors.push('Cannot stake while an unstake is pending, withdraw it first');
+    }
+    if (stakerInfo.amount + value < minimalStaking) {
+      errors.push(`Stake must total at least ${ethers.formatEther(minimalStaking)} OXT`);
+    }
+
+    const checks = {
+      minimalStaking: ethers.formatEther(minimalStaking),
+      currentStake: ethers.formatEther(stakerInfo.amount),
+      resultingStake: ethers.formatEther(stakerInfo.amount + value),
+      validatorStatus: Number(info.status)
+    };
+
+    return this.buildTransaction('stake', { from, args: [validator], value, errors, checks });
+  }
+
+  /**
+   * Start unbonding the whole stake; it becomes withdrawable after StakingLockPeriod blocks
+   */
+  async buildUnstake({ from, validator }) {
+    const contract = this.getContract();
+
+    const [stakerInfo, lockPeriod, currentBlock] = await Promise.all([
+      contract.stakerInfo(from, validator),
+      contract.StakingLockPeriod(),
+      this.getCurrentBlock()
+    ]);
+
+    const errors = [];
+    if (stakerInfo.amount === 0n) {
+      errors.push('No stake to unstake from this validator');
+    }
+    if (stakerInfo.unstakeBlock > 0n) {
+      errors.push('Already unstaking from this validator');
+    }
+
+    const checks = {
+      stakedAmount: ethers.formatEther(stakerInfo.amount),
+      stakingLockPeriod: Number(lockPeriod),
+      estimatedUnlockBlock: currentBlock + Number(lockPeriod)
+    };
+
+    return this.buildTransaction('unstake', { from, args: [validator], errors, checks });
+  }
+
+  /**
+   * Withdraw an unstaked amount once its lock period has passed
+   */
+  async buildWithdrawStaking({ from, validator }) {
+    const contract = this.getContract();
+
+    const [stakerInfo, currentBlock] = await Promise.all([
+      contract.stakerInfo(from, validator),
+      this.getCurrentBlock()
+    ]);
+
+    const unstakeBlock = Number(stakerInfo.unstakeBlock);
+    const canWithdraw = unstakeBlock > 0 && unstakeBlock <= currentBlock;
+
+    const errors = [];
+    if (unstakeBlock === 0) {
+      errors.push('Nothing to withdraw, unstake first');
+    } else if (!canWithdraw) {
+      errors.push(`Stake is locked until block ${unstakeBlock} (${unstakeBlock - currentBlock} blocks remaining)`);
+    }
+    if (stakerInfo.amount === 0n) {
+      errors.push('No stake to withdraw');
+    }
+
+    const checks = {
+      amount: ethers.formatEther(stakerInfo.amount),
+      unlockBlock: unstakeBlock,
+      currentBlock,
+      canWithdraw
+    };
+
+    return this.buildTransaction('withdrawStaking', { from, args: [validator], errors, checks });
+  }
+
+  async buildClaimDelegatorRewards({ from, validator }) {
+    const pending = await this.getContract().getPendingDelegatorRewards(from, validator);
+
+    const errors = pending === 0n ? ['No pending rewards to claim'] : [];
+    const checks = { pendingRewards: ethers.formatEther(pending) };
+
+    return this.buildTransaction('claimDelegatorRewards', { from, args: [validator], errors, checks });
+  }
+
+  /**
+   * Validator reward withdrawal, only allowed from the reward address once per WithdrawRewardPeriod
+   */
+  async buildWithdrawRewards({ from, validator }) {
+    const contract = this.getContract();
+
+    const [info, withdrawPeriod, currentBlock] = await Promise.all([
+      contract.validatorInfo(validator),
+      contract.WithdrawRewardPeriod(),
+      this.getCurrentBlock()
+    ]);
+
+    const nextWithdrawBlock = Number(info.lastWithdrawRewardBlock) + Number(withdrawPeriod);
+
+    const errors = [];
+    if (Number(info.status) === VALIDATOR_STATUS.NOT_EXIST) {
+      errors.push('Validator does not exist');
+    }
+    if (info.rewardAddr.toLowerCase() !== from.toLowerCase()) {
+      errors.push(`Only the reward address ${info.rewardAddr} can withdraw rewards`);
+    }
+    if (info.rewardAmount === 0n) {
+      errors.push('No rewards to withdraw');
+    }
+    if (nextWithdrawBlock > currentBlock) {
+      errors.push(`Rewards can be withdrawn from block ${nextWithdrawBlock} (${nextWithdrawBlock - currentBlock} blocks remaining)`);
+    }
+
+    const checks = {
+      rewardAmount: ethers.formatEther(info.rewardAmount),
+      rewardAddress: info.rewardAddr,
+      withdrawRewardPeriod: Number(withdrawPeriod),
+      nextWithdrawBlock,
+      currentBlock
+    };
+
+    return this.buildTransaction('withdrawRewards', { from, args: [validator], errors, checks });
+  }
+
+  /**
+   * Register `from` as a validator with an initial self stake
+   */
+  async buildCreate({ from, rewardAddr, description = {}, amount }) {
+    const contract = this.getContract();
+    const value = this.parseAmount(amount);
+
+    const [info, minimalStakingCoin, commission] = await Promise.all([
+      contract.validatorInfo(from),
+      contract.MinimalStakingCoin(),
+      this.getCommissionLimits()
+    ]);
+
+    const errors = [];
+    if (Number(info.status) !== VALIDATOR_STATUS.NOT_EXIST) {
+      errors.push('Validator already exists, use edit instead');
+    }
+    if (value < minimalStakingCoin) {
+      errors.push(`Validator stake must be at least ${ethers.formatEther(minimalStakingCoin)} OXT`);
+    }
+
+    const fields = await this.checkDescription(description, errors);
+    const checks = {
+      minimalStakingCoin: ethers.formatEther(minimalStakingCoin),
+      // create/edit take no commission argument; new validators start at the default rate
+      ...commission
+    };
+
+    return this.buildTransaction('create', {
+      from,
+      args: getActionArgs('create', { rewardAddr, description: fields }),
+      value,
+      errors,
+      checks
+    });
+  }
+
+  async buildEdit({ from, rewardAddr, description = {} }) {
+    const contract = this.getContract();
+
+    const [info, commission] = await Promise.all([
+      contract.validatorInfo(from),
+      this.getCommissionLimits()
+    ]);
+
+    const errors = [];
+    if (Number(info.status) === VALIDATOR_STATUS.NOT_EXIST) {
+      errors.push('Validator does not exist, use create first');
+    }
+
+    const fields = await this.checkDescription(description, errors);
+    const checks = {
+      validatorStatus: Number(info.status),
+      isJailed: Number(info.status) === VALIDATOR_STATUS.JAILED,
+      commissionRate: Number(info.commissionRate),
+      ...commission
+    };
+
+    return this.buildTransaction('edit', {
+      from,
+      args: getActionArgs('edit', { rewardAddr, description: fields }),
+      errors,
+      checks
+    });
+  }
+
+  async getCommissionLimits() {
+    const contract = this.getContract();
+    const [defaultRate, maxRate] = await Promise.all([
+      contract.DEFAULT_COMMISSION_RATE(),
+      contract.MAX_COMMISSION_RATE()
+    ]);
+
+    return {
+      defaultCommissionRate: Number(defaultRate),
+      maxCommissionRate: Number(maxRate)
+    };
+  }
+
+  /**
+   * Local format checks plus the contract's own validateDescription
+   */
+  async checkDescription(description, errors) {
+    const fields = {
+      moniker: description.moniker || '',
+      website: description.website || '',
+      email: description.email || '',
+      details: description.details || ''
+    };
+
+    const local = validateValidatorDescription(fields);
+    if (!local.isValid) {
+      errors.push(...local.errors);
+      return fields;
+    }
+
+    try {
+      await this.getContract().validateDescription(fields.moniker, fields.website, fields.email, fields.details);
+    } catch (error) {
+      errors.push(`Description rejected by contract: ${error.reason || error.shortMessage || error.message}`);
+    }
+
+    return fields;
+  }
+
+  // Routes reject malformed amounts with a 400 first, see validateAmount
+  parseAmount(amount) {
+    const value = parseOxtAmount(amount);
+    if (value === null) {
+      throw new TxPreflightError('Invalid amount', ['Amount must be a positive OXT amount']);
+    }
+    return value;
+  }
+
+  /**
+   * Encode the call and estimate gas; preflight errors abort before estimation
+   */
+  async buildTransaction(action, { from, args, value = 0n, errors, checks }) {
+    if (errors.length > 0) {
+      throw new TxPreflightError(`${action} preflight failed`, errors, checks);
+    }
+
+    const contract = this.getContract();
+    const provider = BlockchainService.getProvider();
+    const to = await contract.getAddress();
+    const data = contract.interface.encodeFunctionData(action, args);
+
+    const [network, gasEstimate] = await Promise.all([
+      provider.getNetwork(),
+      provider.estimateGas({ from, to, data, value }).catch(error => {
+        throw new TxPreflightError(`${action} would revert`, [error.reason || error.shortMessage || error.message], checks);
+      })
+    ]);
+
+    this.logger.debug(`Built ${action} transaction for ${from}`, { gasEstimate: gasEstimate.toString() });
+
+    return {
+      action,
+      transaction: {
+        from,
+        to,
+        data,
+        value: value.toString(),
+        chainId: Number(network.chainId),
+        gasLimit: (gasEstimate * (100n + GAS_LIMIT_BUFFER) / 100n).toString()
+      },
+      gasEstimate: gasEstimate.toString(),
+      valueFormatted: ethers.formatEther(value),
+      checks
+    };
+  }
+}
@@ -0,0 +1,258 @@
+import { ethers } from "ethers";
+import { BlockchainService } from "./blockchain.js";
+import { TransactionBuilderService, TxPreflightError, getActionArgs } from "./txBuilder.js";
+import { Logger } from "../utils/logger.js";
+
+// Actions that change one delegator -> validator stake
+const STAKER_ACTIONS = ['stake', 'unstake', 'withdrawStaking', 'claimDelegatorRewards'];
+
+/**
+ * Calldata or arguments the ABI coder rejects, reported with the decode reason
+ */
+const invalidCallError = (message, error) => {
+  const preflight = new TxPreflightError(message, [error.shortMessage || error.message]);
+  preflight.code = 'INVALID_CALLDATA';
+  return preflight;
+};
+
+/**
+ * Dry-runs Validators contract calls with eth_call / estimateGas, decodes
+ * reverts with the contract ABI and predicts the resulting state changes.
+ */
+export class TransactionSimulatorService {
+  constructor() {
+    this.txBuilder = new TransactionBuilderService();
+    this.logger = new Logger('TxSimulator');
+  }
+
+  getContract() {
+    return BlockchainService.getContract();
+  }
+
+  /**
+   * Calldata and value for either an action with its fields or raw calldata
+   * @param {Object} request - { action, validator, rewardAddr, description, amount } or { data, value (wei) }
+   */
+  resolveCall(request) {
+    const iface = this.getContract().interface;
+
+    if (request.action) {
+      const args = getActionArgs(request.action, request);
+      const value = request.amount !== undefined ? this.txBuilder.parseAmount(request.amount) : 0n;
+      return { action: request.action, args, value, data: this.encodeCall(iface, request.action, args) };
+    }
+
+    const value = BigInt(request.value || 0);
+    let parsed;
+    try {
+      parsed = iface.parseTransaction({ data: request.data, value });
+    } catch (error) {
+      throw invalidCallError('Invalid calldata', error);
+    }
+    if (!parsed) {
+      throw new TxPreflightError('Unknown function selector', [`${request.data.slice(0, 10)} is not a Validators contract function`]);
+    }
+
+    return { action: parsed.name, args: Array.from(parsed.args), value, data: request.data };
+  }
+
+  encodeCall(iface, action, args) {
+    try {
+      return iface.encodeFunctionData(action, args);
+    } catch (error) {
+      throw invalidCallError(`Invalid ${action} arguments`, error);
+    }
+  }
+
+  /**
+   * @param {Object} request - resolveCall fields plus { from, blockTag ('latest' or block number) }
+   */
+  async simulate(request) {
+    const contract = this.getContract();
+    const provider = BlockchainService.getProvider();
+    const { action, args, value, data } = this.resolveCall(request);
+
+    const isLatest = request.blockTag === undefined || request.blockTag === 'latest';
+    // Pin "latest" so the call and the state reads see the same block
+    const blockNumber = isLatest ? await provider.getBlockNumber() : request.blockTag;
+    const tx = { from: request.from, to: await contract.getAddress(), data, value };
+
+    const result = {
+      action,
+      blockTag: isLatest ? 'latest' : blockNumber,
+      blockNumber,
+      call: { ...tx, value: value.toString() },
+      success: false,
+      returnValue: null,
+      revert: null,
+      gasEstimate: null,
+      stateChanges: null
+    };
+
+    try {
+      const raw = await provider.call({ ...tx, blockTag: blockNumber });
+      const decoded = contract.interface.decodeFunctionResult(action, raw);
+      result.success = true;
+      result.returnValue = decoded.length === 1 ? decoded[0] : Array.from(decoded);
+    } catch (error) {
+      if (!ethers.isError(error, 'CALL_EXCEPTION')) throw error;
+      result.revert = this.decodeRevert(error, tx);
+      return result;
+    }
+
+    // eth_estimateGas has no block parameter in ethers, so only for the head block
+    if (isLatest) {
+      try {
+        result.gasEstimate = (await provider.estimateGas(tx)).toString();
+      } catch (error) {
+        this.logger.debug(`Gas estimation failed for ${action}:`, error.shortMessage || error.message);
+      }
+    }
+
+    result.stateChanges = await this.predictStateChanges(action, args, { from: request.from, value, blockNumber });
+    return result;
+  }
+
+  /**
+   * Revert string, panic code or ABI custom error behind a failed call
+   */
+  decodeRevert(error, tx) {
+    const data = error.data || null;
+
+    if (!data || data === '0x') {
+      return { reason: error.reason || null, name: null, signature: null, args: [], selector: null, data };
+    }
+
+    // makeError decodes Error(string), Panic(uint256) and custom errors from the ABI
+    const decoded = this.getContract().interface.makeError(data, tx);
+
+    return {
+      reason: decoded.reason,
+      name: decoded.revert?.name || null,
+      signature: decoded.revert?.signature || null,
+      args: decoded.revert ? Array.from(decoded.revert.args).map(arg => arg.toString()) : [],
+      selector: data.slice(0, 10),
+      data
+    };
+  }
+
+  /**
+   * State before the call at `blockNumber` and as it will be after a successful call
+   */
+  async predictStateChanges(action, args, { from, value, blockNumber }) {
+    try {
+      if (STAKER_ACTIONS.includes(action)) {
+        return await this.predictStakerChanges(action, args[0], { from, value, blockNumber });
+      }
+      if (action === 'withdrawRewards') {
+        return await this.predictRewardWithdrawal(args[0], blockNumber);
+      }
+      if (action === 'create' || action === 'edit') {
+        return await this.predictValidatorChanges(action, args, { from, value, blockNumber });
+      }
+      return null;
+
+    } catch (error) {
+      this.logger.warn(`Could not read state for ${action} at block ${blockNumber}:`, error.shortMessage || error.message);
+      return null;
+    }
+  }
+
+  async predictStakerChanges(action, validator, { from, value, blockNumber }) {
+    const contract = this.getContract();
+    const overrides = { blockTag: blockNumber };
+
+    const [stakerInfo, info, pending, lockPeriod] = await Promise.all([
+      contract.stakerInfo(from, validator, overrides),
+      contract.validatorInfo(validator, overrides),
+      contract.getPendingDelegatorRewards(from, validator, overrides),
+      contract.StakingLockPeriod(overrides)
+    ]);
+
+    const before = {
+      stakingAmount: stakerInfo.amount,
+      unstakeBlock: Number(stakerInfo.unstakeBlock),
+      pendingRewards: pending,
+      validatorStakingAmount: info.stakingAmount
+    };
+    const after = { ...before };
+    let balanceChange = 0n;
+
+    switch (action) {
+      case 'stake':
+        after.stakingAmount += value;
+        after.validatorStakingAmount += value;
+        balanceChange = -value;
+        break;
+      case 'unstake':
+        // Same unlock height estimate as the tx builder
+        after.unstakeBlock = blockNumber + Number(lockPeriod);
+        break;
+      case 'withdrawStaking':
+        after.stakingAmount = 0n;
+        after.unstakeBlock = 0;
+        balanceChange = before.stakingAmount;
+        break;
+      case 'claimDelegatorRewards':
+        after.pendingRewards = 0n;
+        balanceChange = before.pendingRewards;
+        break;
+    }
+
+    return {
+      delegator: from,
+      validator,
+      before: this.formatState(before),
+      after: this.formatState(after),
+      balanceChange: ethers.formatEther(balanceChange)
+    };
+  }
+
+  async predictRewardWithdrawal(validator, blockNumber) {
+    const info = await this.getContract().validatorInfo(validator, { blockTag: blockNumber });
+
+    return {
+      validator,
+      rewardAddress: info.rewardAddr,
+      before: { rewardAmount: ethers.formatEther(info.rewardAmount) },
+      after: { rewardAmount: '0.0' },
+      balanceChange: ethers.formatEther(info.rewardAmount)
+    };
+  }
+
+  async predictValidatorChanges(action, args, { from, value, blockNumber }) {
+    const contract = this.getContract();
+    const overrides = { blockTag: blockNumber };
+    const [rewardAddr, moniker, website, email, details] = args;
+
+    const [info, description] = await Promise.all([
+      contract.validatorInfo(from, overrides),
+      contract.getValidatorDescription(from, overrides)
+    ]);
+
+    const before = {
+      rewardAddr: info.rewardAddr,
+      stakingAmount: info.stakingAmount,
+      description: { moniker: description[0], website: description[1], email: description[2], details: description[3] }
+    };
+    const after = {
+      rewardAddr,
+      stakingAmount: action === 'create' ? info.stakingAmount + value : info.stakingAmount,
+      description: { moniker, website, email, details }
+    };
+
+    return {
+      validator: from,
+      before: this.formatState(before),
+      after: this.formatState(after),
+      balanceChange: ethers.formatEther(-value)
+    };
+  }
+
+  formatState(state) {
+    return Object.fromEntries(Object.entries(state).map(([key, value]) => [
+      key,
+      typeof value === 'bigint' ? ethers.formatEther(value) : value
+    ]));
+  }
+}
@@ -0,0 +1,285 @@
+import { EventEmitter } from "events";
+import { BlockchainService } from "./blockchain.js";
+import { EventIndexer } from "./eventIndexer.js";
+import { config } from "../config/index.js";
+import { Logger } from "../utils/logger.js";
+
+export const TX_STATUSES = ['pending', 'mined', 'confirmed', 'reverted', 'dropped'];
+
+// Terminal states, no longer polled
+export const FINAL_STATUSES = ['confirmed', 'reverted', 'dropped'];
+
+const TX_HASH_PATTERN = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Client IP a tracked transaction is counted against. Proxy headers are
+ * client-controlled, they are only used when the server sits behind a trusted proxy.
+ */
+export function clientIp(request, server, trustProxy = config.server.trustProxy) {
+  if (trustProxy) {
+    const forwarded = request.headers.get('x-forwarded-for')?.split(',')[0].trim()
+      || request.headers.get('x-real-ip');
+    if (forwarded) return forwarded;
+  }
+  return server?.requestIP(request)?.address || 'unknown';
+}
+
+/**
+ * Rejected track request: INVALID_HASH, INVALID_CONFIRMATIONS or TRACKING_LIMIT
+ */
+export class TxTrackingError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'TxTrackingError';
+    this.code = code;
+  }
+}
+
+/**
+ * Follows submitted transactions through pending -> mined -> confirmed (or
+ * reverted / dropped). Emits 'status' with the entry on every change.
+ */
+class TxTrackerClass extends EventEmitter {
+  constructor() {
+    super();
+    this.logger = new Logger('TxTracker');
+    this.config = { ...config.txTracker };
+    this.contractAddress = BlockchainService.config.contractAddress.toLowerCase();
+    // Transaction hash -> entry
+    this.transactions = new Map();
+    // Transaction hash -> client (IP or connection) that registered it
+    this.owners = new Map();
+    this.timer = null;
+    this.isPolling = false;
+  }
+
+  /**
+   * Start tracking a transaction hash; tracking the same hash again returns the existing entry
+   * @param {string} hash - Transaction hash
+   * @param {Object} options - { confirmations, owner (client IP or connection id, for the per-client limit) }
+   */
+  track(hash, options = {}) {
+    if (typeof hash !== 'string' || !TX_HASH_PATTERN.test(hash)) {
+      throw new TxTrackingError('Invalid transaction hash', 'INVALID_HASH');
+    }
+
+    // Deeper than the reorg window would keep entries polling for no benefit
+    const maxConfirmations = config.websocket.reorgDepth;
+    const { confirmations, owner } = options;
+    if (confirmations !== undefined && (!Number.isInteger(confirmations) || confirmations < 1 || confirmations > maxConfirmations)) {
+      throw new TxTrackingError(`confirmations must be an integer between 1 and ${maxConfirmations}`, 'INVALID_CONFIRMATIONS');
+    }
+
+    const key = hash.toLowerCase();
+    const existing = this.transactions.get(key);
+    if (existing) return existing;
+
+    this.prune();
+    if (this.activeCount() >= this.config.maxTracked) {
+      throw new TxTrackingError(`Tracking limit of ${this.config.maxTracked} transactions reached`, 'TRACKING_LIMIT');
+    }
+    if (owner !== undefined && this.activeCount(owner) >= this.config.maxPerClient) {
+      throw new TxTrackingError(`Tracking limit of ${this.config.maxPerClient} transactions per client reached`, 'TRACKING_LIMIT');
+    }
+
+    const entry = {
+      hash: key,
+      status: 'pending',
+      seen: false,
+      confirmationsRequired: confirmations ?? Math.min(this.config.confirmations, maxConfirmations),
+      confirmations: 0,
+      blockNumber: null,
+      blockHash: null,
+      from: null,
+      to: null,
+      gasUsed: null,
+      events: [],
+      registeredAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString()
+    };
+
+    this.transactions.set(key, entry);
+    if (owner !== undefined) {
+      this.owners.set(key, owner);
+    }
+    this.logger.info(`Tracking transaction ${key}`);
+    this.startPolling();
+    this.check(entry);
+
+    return entry;
+  }
+
+  get(hash) {
+    return this.transactions.get(hash.toLowerCase()) || null;
+  }
+
+  /**
+   * Transactions still being polled, optionally only those `owner` registered
+   */
+  activeCount(owner) {
+    let count = 0;
+    this.transactions.forEach((entry, hash) => {
+      if (FINAL_STATUSES.includes(entry.status)) return;
+      if (owner === undefined || this.owners.get(hash) === owner) count++;
+    });
+    return count;
+  }
+
+  startPolling() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.poll(), this.config.pollInterval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  async poll() {
+    if (this.isPolling) return;
+    this.isPolling = true;
+
+    try {
+      // Keeps running until the finished transactions are pruned too
+      this.prune();
+      if (this.transactions.size === 0) {
+        this.stop();
+        return;
+      }
+
+      const active = Array.from(this.transactions.values())
+        .filter(entry => !FINAL_STATUSES.includes(entry.status));
+      if (active.length === 0) return;
+
+      const headBlock = await BlockchainService.getProvider().getBlockNumber();
+      await Promise.all(active.map(entry => this.check(entry, headBlock)));
+
+    } catch (error) {
+      this.logger.error('Transaction tracker poll failed:', error.message);
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  async check(entry, headBlock = null) {
+    try {
+      const provider = BlockchainService.getProvider();
+      const receipt = await provider.getTransactionReceipt(entry.hash);
+
+      if (!receipt) {
+        // Mined before but no receipt now: the block was reorged out
+        if (entry.blockNumber !== null) {
+          this.logger.warn(`Transaction ${entry.hash} left block ${entry.blockNumber}, back to pending`);
+          Object.assign(entry, { blockNumber: null, blockHash: null, confirmations: 0, gasUsed: null, events: [] });
+          this.update(entry, 'pending');
+          return;
+        }
+
+        const tx = await provider.getTransaction(entry.hash);
+        if (tx) {
+          entry.seen = true;
+          entry.from = tx.from;
+          entry.to = tx.to;
+        } else if (Date.now() - new Date(entry.registeredAt).getTime() > (entry.seen ? this.config.dropTimeout : this.config.unseenTimeout)) {
+          // Hashes the node never knew are most likely made up, they expire sooner
+          this.update(entry, 'dropped');
+        }
+        return;
+      }
+
+      const head = headBlock ?? await provider.getBlockNumber();
+      const confirmations = Math.max(0, head - receipt.blockNumber + 1);
+      const progressed = confirmations !== entry.confirmations;
+
+      if (entry.blockHash !== receipt.blockHash) {
+        Object.assign(entry, {
+          seen: true,
+          blockNumber: receipt.blockNumber,
+          blockHash: receipt.blockHash,
+          from: receipt.from,
+          to: receipt.to,
+          gasUsed: receipt.gasUsed.toString(),
+          events: this.decodeEvents(receipt.logs)
+        });
+      }
+      entry.confirmations = confirmations;
+
+      if (receipt.status === 0) {
+        this.update(entry, 'reverted');
+      } else if (confirmations >= entry.confirmationsRequired) {
+        this.update(entry, 'confirmed');
+      } else {
+        // Confirmation progress of mined transactions is reported too
+        this.update(entry, 'mined', progressed);
+      }
+
+    } catch (error) {
+      this.logger.debug(`Status check failed for ${entry.hash}:`, error.message);
+    }
+  }
+
+  /**
+   * Validators contract events of the receipt (Staking, Unstake, DelegatorRewardsClaimed, ...)
+   */
+  decodeEvents(logs) {
+    return logs
+      .filter(log => log.address.toLowerCase() === this.contractAddress)
+      .map(log => EventIndexer.decodeLog(log))
+      .filter(event => event !== null)
+      .map(({ eventName, validator, account, amount, args, logIndex }) => ({
+        eventName,
+        validator,
+        account,
+        amount,
+        args,
+        logIndex
+      }));
+  }
+
+  update(entry, status, force = false) {
+    if (entry.status === status && !force) return;
+
+    entry.status = status;
+    entry.updatedAt = new Date().toISOString();
+    this.emit('status', entry);
+
+    if (FINAL_STATUSES.includes(status)) {
+      this.logger.info(`Transaction ${entry.hash} ${status}`);
+    }
+  }
+
+  /**
+   * Forget finished transactions past the retention window; never-seen ones
+   * are kept for unseenTimeout only
+   */
+  prune() {
+    const now = Date.now();
+    this.transactions.forEach((entry, hash) => {
+      const retention = entry.seen ? this.config.retention : this.config.unseenTimeout;
+      if (FINAL_STATUSES.includes(entry.status) && new Date(entry.updatedAt).getTime() < now - retention) {
+        this.transactions.delete(hash);
+        this.owners.delete(hash);
+      }
+    });
+  }
+
+  getStatus() {
+    const byStatus = {};
+    this.transactions.forEach(entry => {
+      byStatus[entry.status] = (byStatus[entry.status] || 0) + 1;
+    });
+
+    return {
+      tracked: this.transactions.size,
+      active: this.activeCount(),
+      byStatus,
+      confirmations: this.config.confirmations,
+      pollInterval: this.config.pollInterval
+    };
+  }
+}
+
+// Export singleton instance
+export const TxTracker = new TxTrackerClass();
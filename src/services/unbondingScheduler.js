@@ -0,0 +1,407 @@
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import { BlockchainService } from "./blockchain.js";
+import { DatabaseService } from "./database.js";
+import { EventIndexer } from "./eventIndexer.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS unbondings (
+    staker TEXT NOT NULL,
+    validator TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    unlock_block INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    transaction_hash TEXT,
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    ready_block INTEGER,
+    withdrawn_block INTEGER,
+    withdrawn_log_index INTEGER,
+    PRIMARY KEY (staker, validator)
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_unbondings_unlock ON unbondings (status, unlock_block)'
+];
+
+// pending: locked, ready: head passed unlock_block, withdrawn: WithdrawStaking seen.
+// block_number/log_index locate the Unstake, withdrawn_block/withdrawn_log_index the WithdrawStaking.
+export const UNBONDING_STATUSES = ['pending', 'ready', 'withdrawn'];
+
+const UNBONDING_EVENTS = ['Unstake', 'WithdrawStaking'];
+
+const DEFAULT_BUCKET_SIZE = 1000;
+
+/**
+ * Tracks open unstakes (one per delegator/validator pair, as in the contract)
+ * from live and indexed events. Emits 'withdrawalReady' when the chain head
+ * crosses an unlock block.
+ */
+class UnbondingSchedulerClass extends EventEmitter {
+  constructor() {
+    super();
+    this.logger = new Logger('Unbonding');
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.headBlock = 0;
+    this.wsService = null;
+    this.onIndexedEvents = (events) => events.forEach(event => this.apply(this.fromIndexedEvent(event)));
+    this.onContractEvent = (eventData) => this.apply(this.fromLiveEvent(eventData));
+    this.onNewBlock = (blockNumber) => this.advance(blockNumber);
+    this.onEventRemoved = (message) => this.retract(message);
+    this.onRewind = (range) => this.rewind(range);
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      // Older events (indexer catching up after a live event) never overwrite newer state
+      unstake: db.prepare(`
+        INSERT INTO unbondings
+          (staker, validator, amount, unlock_block, status, transaction_hash, block_number, log_index, ready_block)
+        VALUES
+          ($staker, $validator, $amount, $unlockBlock, $status, $transactionHash, $blockNumber, $logIndex, $readyBlock)
+        ON CONFLICT (staker, validator) DO UPDATE SET
+          amount = excluded.amount, unlock_block = excluded.unlock_block, status = excluded.status,
+          transaction_hash = excluded.transaction_hash, block_number = excluded.block_number,
+          log_index = excluded.log_index, ready_block = excluded.ready_block,
+          withdrawn_block = NULL, withdrawn_log_index = NULL
+        WHERE (excluded.block_number, excluded.log_index) >
+          (COALESCE(unbondings.withdrawn_block, unbondings.block_number), COALESCE(unbondings.withdrawn_log_index, unbondings.log_index))
+      `),
+      withdraw: db.prepare(`
+        UPDATE unbondings
+        SET status = 'withdrawn', withdrawn_block = $blockNumber, withdrawn_log_index = $logIndex
+        WHERE staker = $staker AND validator = $validator
+          AND ($blockNumber, $logIndex) > (block_number, log_index)
+      `),
+      // A removed Unstake takes its unbonding with it, a removed WithdrawStaking opens it again
+      removeUnstake: db.prepare('DELETE FROM unbondings WHERE block_number = $blockNumber AND log_index = $logIndex'),
+      removeWithdraw: db.prepare(`
+        UPDATE unbondings
+        SET status = CASE WHEN ready_block IS NULL THEN 'pending' ELSE 'ready' END,
+          withdrawn_block = NULL, withdrawn_log_index = NULL
+        WHERE withdrawn_block = $blockNumber AND withdrawn_log_index = $logIndex
+      `),
+      rewindUnstakes: db.prepare('DELETE FROM unbondings WHERE block_number >= ?'),
+      rewindWithdrawals: db.prepare(`
+        UPDATE unbondings
+        SET status = CASE WHEN ready_block IS NULL THEN 'pending' ELSE 'ready' END,
+          withdrawn_block = NULL, withdrawn_log_index = NULL
+        WHERE withdrawn_block >= ?
+      `),
+      due: db.prepare(`
+        SELECT * FROM unbondings
+        WHERE status = 'pending' AND unlock_block <= ?
+        ORDER BY unlock_block ASC
+      `),
+      markReady: db.prepare(`
+        UPDATE unbondings SET status = 'ready', ready_block = $readyBlock
+        WHERE staker = $staker AND validator = $validator AND status = 'pending'
+      `),
+      open: db.prepare(`
+        SELECT * FROM unbondings
+        WHERE status IN ('pending', 'ready')
+          AND ($staker IS NULL OR staker = $staker)
+          AND ($validator IS NULL OR validator = $validator)
+        ORDER BY unlock_block ASC
+      `),
+      lastEventBlock: db.prepare('SELECT MAX(COALESCE(withdrawn_block, block_number)) AS blockNumber FROM unbondings'),
+      counts: db.prepare('SELECT status, COUNT(*) AS count FROM unbondings GROUP BY status')
+    };
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Catch up from the event index, then follow indexed and live events
+   */
+  start(wsService) {
+    if (this.isRunning) return;
+
+    try {
+      this.initialize();
+      this.seedFromIndex();
+    } catch (error) {
+      this.logger.error('Failed to initialize unbonding scheduler:', error.message);
+      return;
+    }
+
+    this.wsService = wsService;
+    EventIndexer.on('events', this.onIndexedEvents);
+    EventIndexer.on('rewind', this.onRewind);
+    wsService.on('contractEvent', this.onContractEvent);
+    wsService.on('newBlock', this.onNewBlock);
+    wsService.on('eventRemoved', this.onEventRemoved);
+
+    this.isRunning = true;
+    this.logger.success('Unbonding scheduler started');
+  }
+
+  stop() {
+    this.isRunning = false;
+    EventIndexer.off('events', this.onIndexedEvents);
+    EventIndexer.off('rewind', this.onRewind);
+    if (this.wsService) {
+      this.wsService.off('contractEvent', this.onContractEvent);
+      this.wsService.off('newBlock', this.onNewBlock);
+      this.wsService.off('eventRemoved', this.onEventRemoved);
+      this.wsService = null;
+    }
+  }
+
+  /**
+   * Replay indexed Unstake/WithdrawStaking events past the newest one already applied
+   */
+  seedFromIndex() {
+    const { blockNumber } = this.statements.lastEventBlock.get();
+    const events = EventIndexer.getAllEvents({
+      eventNames: UNBONDING_EVENTS,
+      ...(blockNumber !== null && { fromBlock: blockNumber })
+    });
+
+    events.forEach(event => this.apply(this.fromIndexedEvent(event)));
+    if (events.length > 0) {
+      this.logger.info(`Applied ${events.length} indexed unbonding events`);
+    }
+  }
+
+  // Indexer events carry raw args (amount in wei)
+  fromIndexedEvent(event) {
+    if (!UNBONDING_EVENTS.includes(event.eventName)) return null;
+
+    return {
+      eventName: event.eventName,
+      staker: event.args.staker,
+      validator: event.args.validator,
+      amount: event.args.amount,
+      unlockBlock: parseInt(event.args.unLockHeight),
+      transactionHash: event.transactionHash,
+      blockNumber: event.blockNumber,
+      logIndex: event.logIndex
+    };
+  }
+
+  // WebSocket events carry parsed data (amount in OXT)
+  fromLiveEvent(eventData) {
+    if (!UNBONDING_EVENTS.includes(eventData.eventName) || eventData.data.error) return null;
+
+    const { staker, validator, amount, unlockHeight } = eventData.data;
+    return {
+      eventName: eventData.eventName,
+      staker,
+      validator,
+      amount: ethers.parseEther(amount).toString(),
+      unlockBlock: parseInt(unlockHeight),
+      transactionHash: eventData.transactionHash,
+      blockNumber: eventData.blockNumber,
+      logIndex: eventData.logIndex
+    };
+  }
+
+  apply(event) {
+    if (!event) return;
+
+    try {
+      const key = {
+        $staker: event.staker.toLowerCase(),
+        $validator: event.validator.toLowerCase(),
+        $blockNumber: event.blockNumber,
+        $logIndex: event.logIndex
+      };
+
+      if (event.eventName === 'WithdrawStaking') {
+        this.statements.withdraw.run(key);
+        return;
+      }
+
+      // Unlocks already behind the head did not cross it now, they are stored as ready without notice
+      const alreadyReady = this.headBlock > 0 && event.unlockBlock <= this.headBlock;
+      this.statements.unstake.run({
+        ...key,
+        $amount: event.amount,
+        $unlockBlock: event.unlockBlock,
+        $status: alreadyReady ? 'ready' : 'pending',
+        $transactionHash: event.transactionHash,
+        $readyBlock: alreadyReady ? this.headBlock : null
+      });
+
+    } catch (error) {
+      this.logger.warn(`Could not apply ${event.eventName} at block ${event.blockNumber}:`, error.message);
+    }
+  }
+
+  /**
+   * Undo a live event a reorg removed; the event of the new chain, if any, is applied when it is re-published
+   * @param {Object} message - websocket `eventRemoved` message
+   */
+  retract(message) {
+    if (!UNBONDING_EVENTS.includes(message.eventName)) return;
+
+    const statement = message.eventName === 'Unstake' ? this.statements.removeUnstake : this.statements.removeWithdraw;
+    const { changes } = statement.run({ $blockNumber: message.blockNumber, $logIndex: message.logIndex });
+    if (changes > 0) {
+      this.logger.info(`Reorg removed ${message.eventName} at block ${message.blockNumber}, unbonding ${message.eventName === 'Unstake' ? 'dropped' : 'reopened'}`);
+    }
+  }
+
+  /**
+   * Undo every Unstake and WithdrawStaking from `fromBlock` on, including those
+   * only seen live; the new chain's events are applied again
+   */
+  rewind({ fromBlock }) {
+    const reopened = this.statements.rewindWithdrawals.run(fromBlock).changes;
+    const dropped = this.statements.rewindUnstakes.run(fromBlock).changes;
+    if (reopened + dropped > 0) {
+      this.logger.info(`Reorg from block ${fromBlock}: ${dropped} unbondings dropped, ${reopened} reopened`);
+    }
+  }
+
+  /**
+   * Move unbondings whose unlock block the head reached to ready and notify.
+   * The first block seen only sets the baseline.
+   */
+  advance(blockNumber) {
+    if (blockNumber <= this.headBlock) return;
+
+    const notify = this.headBlock > 0;
+    this.headBlock = blockNumber;
+
+    try {
+      const due = this.statements.due.all(blockNumber);
+
+      due.forEach(row => {
+        this.statements.markReady.run({ $staker: row.staker, $validator: row.validator, $readyBlock: blockNumber });
+
+        if (notify) {
+          this.emit('withdrawalReady', {
+            ...this.formatUnbonding(row),
+            status: 'ready',
+            blockNumber,
+            timestamp: new Date().toISOString()
+          });
+        }
+      });
+
+      if (notify && due.length > 0) {
+        this.logger.info(`${due.length} unbonding(s) became withdrawable at block ${blockNumber}`);
+      }
+
+    } catch (error) {
+      this.logger.error('Failed to check unlocks:', error.message);
+    }
+  }
+
+  /**
+   * Open unbondings bucketed by unlock block range and by estimated unlock day
+   * @param {Object} options - { fromBlock, toBlock, bucketSize, staker, validator, limit }
+   */
+  async getQueue(options = {}) {
+    this.initialize();
+
+    const [currentBlock, { blockTime }] = await Promise.all([
+      this.headBlock || BlockchainService.getCurrentBlock(),
+      BlockchainService.getBlockTimeEstimate()
+    ]);
+
+    const {
+      fromBlock = currentBlock + 1,
+      toBlock = null,
+      bucketSize = DEFAULT_BUCKET_SIZE,
+      staker = null,
+      validator = null,
+      limit = 100
+    } = options;
+
+    const rows = this.statements.open.all({
+      $staker: staker?.toLowerCase() ?? null,
+      $validator: validator?.toLowerCase() ?? null
+    });
+
+    const ready = rows.filter(row => row.status === 'ready' || row.unlock_block <= currentBlock);
+    const upcoming = rows.filter(row =>
+      row.status === 'pending' &&
+      row.unlock_block > currentBlock &&
+      row.unlock_block >= fromBlock &&
+      (toBlock === null || row.unlock_block <= toBlock)
+    );
+
+    const ranges = new Map();
+    const daily = new Map();
+    const now = Date.now();
+
+    upcoming.forEach(row => {
+      const amount = BigInt(row.amount);
+
+      const start = fromBlock + Math.floor((row.unlock_block - fromBlock) / bucketSize) * bucketSize;
+      const range = ranges.get(start) || { fromBlock: start, toBlock: start + bucketSize - 1, count: 0, amount: 0n };
+      range.count++;
+      range.amount += amount;
+      ranges.set(start, range);
+
+      const date = this.estimateUnlockTime(row.unlock_block, currentBlock, blockTime, now).slice(0, 10);
+      const day = daily.get(date) || { date, count: 0, amount: 0n };
+      day.count++;
+      day.amount += amount;
+      daily.set(date, day);
+    });
+
+    const sum = (list) => ethers.formatEther(list.reduce((total, row) => total + BigInt(row.amount), 0n));
+    const formatBucket = ({ amount, ...bucket }) => ({ ...bucket, totalAmount: ethers.formatEther(amount) });
+
+    return {
+      currentBlock,
+      blockTime,
+      fromBlock,
+      toBlock,
+      bucketSize,
+      ready: { count: ready.length, totalAmount: sum(ready) },
+      upcoming: { count: upcoming.length, totalAmount: sum(upcoming) },
+      ranges: Array.from(ranges.values()).map(formatBucket),
+      daily: Array.from(daily.values()).map(formatBucket),
+      unbondings: upcoming.slice(0, limit).map(row => ({
+        ...this.formatUnbonding(row),
+        blocksRemaining: row.unlock_block - currentBlock,
+        estimatedTime: this.estimateUnlockTime(row.unlock_block, currentBlock, blockTime, now)
+      }))
+    };
+  }
+
+  estimateUnlockTime(unlockBlock, currentBlock, blockTime, now = Date.now()) {
+    return new Date(now + (unlockBlock - currentBlock) * blockTime * 1000).toISOString();
+  }
+
+  formatUnbonding(row) {
+    return {
+      staker: row.staker,
+      validator: row.validator,
+      amount: ethers.formatEther(row.amount),
+      amountWei: row.amount,
+      unlockBlock: row.unlock_block,
+      status: row.status,
+      unstakeTransaction: row.transaction_hash
+    };
+  }
+
+  getStatus() {
+    const counts = {};
+    if (this.isInitialized) {
+      this.statements.counts.all().forEach(({ status, count }) => {
+        counts[status] = count;
+      });
+    }
+
+    return {
+      isRunning: this.isRunning,
+      headBlock: this.headBlock,
+      unbondings: counts
+    };
+  }
+}
+
+// Export singleton instance
+export const UnbondingScheduler = new UnbondingSchedulerClass();
@@ -0,0 +1,414 @@
+import { BlockchainService } from "./blockchain.js";
+import { DatabaseService } from "./database.js";
+import { config } from "../config/index.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS block_producers (
+    number INTEGER PRIMARY KEY,
+    miner TEXT NOT NULL,
+    expected TEXT,
+    in_turn INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_block_producers_expected ON block_producers (expected, number)',
+  `CREATE TABLE IF NOT EXISTS epoch_validators (
+    checkpoint INTEGER PRIMARY KEY,
+    validators TEXT NOT NULL,
+    exact INTEGER NOT NULL
+  )`
+];
+
+// Blocks fetched in parallel while catching up
+const BLOCK_FETCH_CONCURRENCY = 10;
+
+// Score points lost per consecutive missed slot at the head of the window
+const STREAK_PENALTY = 5;
+
+/**
+ * Compares block producers (header `miner`) with the in-turn validator of the
+ * rotation: the activated set of the epoch, sorted by address, indexed by
+ * `blockNumber % setSize`. Out-of-turn blocks count as produced but do not
+ * fill the in-turn slot.
+ */
+class UptimeTrackerClass {
+  constructor() {
+    this.logger = new Logger('Uptime');
+    this.config = { ...config.uptime };
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.isSyncing = false;
+    this.lastProcessedBlock = null;
+    this.headBlock = 0;
+    this.epoch = null;
+    // Checkpoint block -> sorted validator set
+    this.epochSets = new Map();
+    // Window -> { toBlock, stats }, for the configured windows only
+    this.statsCache = new Map();
+    this.timer = null;
+    this.wsService = null;
+    // Bumped by every reorg, blocks fetched before one are dropped
+    this.reorgs = 0;
+    this.onReorg = (reorg) => this.handleReorg(reorg);
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      insertBlock: db.prepare(`
+        INSERT OR REPLACE INTO block_producers (number, miner, expected, in_turn, timestamp)
+        VALUES ($number, $miner, $expected, $inTurn, $timestamp)
+      `),
+      lastBlock: db.prepare('SELECT MAX(number) AS number FROM block_producers'),
+      firstBlock: db.prepare('SELECT MIN(number) AS number FROM block_producers'),
+      range: db.prepare(`
+        SELECT number, miner, expected, in_turn FROM block_producers
+        WHERE number BETWEEN $fromBlock AND $toBlock
+        ORDER BY number ASC
+      `),
+      prune: db.prepare('DELETE FROM block_producers WHERE number < ?'),
+      rewind: db.prepare('DELETE FROM block_producers WHERE number >= ?'),
+      rewindEpochSets: db.prepare('DELETE FROM epoch_validators WHERE checkpoint >= ?'),
+      getEpochSet: db.prepare('SELECT validators, exact FROM epoch_validators WHERE checkpoint = ?'),
+      insertEpochSet: db.prepare(`
+        INSERT OR REPLACE INTO epoch_validators (checkpoint, validators, exact)
+        VALUES ($checkpoint, $validators, $exact)
+      `)
+    };
+
+    this.lastProcessedBlock = this.statements.lastBlock.get().number;
+    this.isInitialized = true;
+  }
+
+  /**
+   * Record block producers from the head on, dropping the blocks of reorgs the WebSocket service detects
+   */
+  start(wsService) {
+    if (!this.config.enabled) {
+      this.logger.info('Uptime tracking disabled (UPTIME_ENABLED=false)');
+      return;
+    }
+    if (this.isRunning) return;
+
+    try {
+      this.initialize();
+    } catch (error) {
+      this.logger.error('Failed to initialize uptime tracker:', error.message);
+      return;
+    }
+
+    if (wsService) {
+      this.wsService = wsService;
+      wsService.on('reorg', this.onReorg);
+    }
+
+    this.isRunning = true;
+    this.logger.success(`Uptime tracker started (windows: ${this.config.windows.join(', ')} blocks)`);
+    this._scheduleNext(0);
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.wsService) {
+      this.wsService.off('reorg', this.onReorg);
+      this.wsService = null;
+    }
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _scheduleNext(delay) {
+    if (!this.isRunning) return;
+
+    this.timer = setTimeout(async () => {
+      await this.sync();
+      this._scheduleNext(this.config.pollInterval);
+    }, delay);
+  }
+
+  /**
+   * Record producers up to the head; a fresh database starts UPTIME_BACKFILL_BLOCKS back
+   */
+  async sync() {
+    if (this.isSyncing) return;
+    this.isSyncing = true;
+
+    try {
+      const provider = BlockchainService.getProvider();
+      this.headBlock = await provider.getBlockNumber();
+
+      let next = Math.max(
+        (this.lastProcessedBlock ?? -1) + 1,
+        this.headBlock - this.config.backfillBlocks + 1,
+        1
+      );
+
+      const reorgs = this.reorgs;
+      while (this.isRunning && next <= this.headBlock) {
+        const numbers = [];
+        for (let n = next; n <= this.headBlock && numbers.length < BLOCK_FETCH_CONCURRENCY; n++) {
+          numbers.push(n);
+        }
+
+        const blocks = await Promise.all(numbers.map(number => provider.getBlock(number)));
+        const rows = [];
+        for (const block of blocks) {
+          if (!block) break;
+          rows.push(await this.describeBlock(block));
+        }
+        // Fetched before a reorg, the next sync reads the new chain
+        if (rows.length === 0 || this.reorgs !== reorgs) break;
+
+        this.storeBlocks(rows);
+        next = rows[rows.length - 1].number + 1;
+      }
+
+      this.statements.prune.run(this.headBlock - this.config.retentionBlocks);
+
+    } catch (error) {
+      this.logger.error('Uptime sync failed:', error.message);
+    } finally {
+      this.isSyncing = false;
+    }
+  }
+
+  /**
+   * Forget producers and checkpoint sets from `fromBlock` on, the next sync records the new chain's
+   */
+  handleReorg({ fromBlock }) {
+    this.reorgs++;
+    if (!this.isInitialized) return;
+
+    this.statements.rewind.run(fromBlock);
+    this.statements.rewindEpochSets.run(fromBlock);
+    for (const checkpoint of this.epochSets.keys()) {
+      if (checkpoint >= fromBlock) this.epochSets.delete(checkpoint);
+    }
+    if (this.lastProcessedBlock !== null && this.lastProcessedBlock >= fromBlock) {
+      this.lastProcessedBlock = this.statements.lastBlock.get().number;
+    }
+    this.statsCache.clear();
+  }
+
+  async describeBlock(block) {
+    const validators = await this.getEpochValidators(block.number);
+    const miner = block.miner.toLowerCase();
+    const expected = validators.length > 0 ? validators[block.number % validators.length] : null;
+
+    return {
+      number: block.number,
+      miner,
+      expected,
+      inTurn: miner === expected,
+      timestamp: block.timestamp
+    };
+  }
+
+  storeBlocks(rows) {
+    const db = DatabaseService.getDatabase();
+    db.transaction(() => {
+      rows.forEach(row => {
+        this.statements.insertBlock.run({
+          $number: row.number,
+          $miner: row.miner,
+          $expected: row.expected,
+          $inTurn: row.inTurn ? 1 : 0,
+          $timestamp: row.timestamp
+        });
+      });
+    })();
+
+    this.lastProcessedBlock = rows[rows.length - 1].number;
+  }
+
+  async getEpoch() {
+    if (this.epoch === null) {
+      this.epoch = Number(await BlockchainService.getContract().BlockEpoch());
+    }
+    return this.epoch;
+  }
+
+  /**
+   * Sorted validator set producing `blockNumber`: the set activated at the
+   * preceding epoch checkpoint. Without archive state the current set is used.
+   */
+  async getEpochValidators(blockNumber) {
+    const epoch = await this.getEpoch();
+    const checkpoint = (blockNumber - 1) - ((blockNumber - 1) % epoch);
+
+    if (this.epochSets.has(checkpoint)) {
+      return this.epochSets.get(checkpoint);
+    }
+
+    const stored = this.statements.getEpochSet.get(checkpoint);
+    if (stored) {
+      const validators = JSON.parse(stored.validators);
+      this.epochSets.set(checkpoint, validators);
+      return validators;
+    }
+
+    const contract = BlockchainService.getContract();
+    let validators;
+    let exact = true;
+    try {
+      validators = await contract.getActivatedValidators({ blockTag: checkpoint });
+    } catch (error) {
+      this.logger.warn(`Validator set at checkpoint ${checkpoint} unavailable (${error.shortMessage || error.message}), using the current set`);
+      validators = await contract.getActivatedValidators();
+      exact = false;
+    }
+
+    const sorted = Array.from(validators, address => address.toLowerCase()).sort();
+    this.statements.insertEpochSet.run({
+      $checkpoint: checkpoint,
+      $validators: JSON.stringify(sorted),
+      $exact: exact ? 1 : 0
+    });
+
+    // Keep the in-memory map to the last few epochs
+    this.epochSets.set(checkpoint, sorted);
+    if (this.epochSets.size > 16) {
+      this.epochSets.delete(this.epochSets.keys().next().value);
+    }
+
+    return sorted;
+  }
+
+  /**
+   * Per-validator slot statistics over the last `window` recorded blocks, ranked by score
+   * @returns {Object} { fromBlock, toBlock, coverage, validators: Map(address -> stats) }
+   */
+  getWindowStats(window = this.config.windows[0]) {
+    this.initialize();
+
+    const toBlock = this.lastProcessedBlock;
+    if (toBlock === null) return null;
+
+    const cached = this.statsCache.get(window);
+    if (cached && cached.toBlock === toBlock) return cached;
+
+    const fromBlock = Math.max(toBlock - window + 1, 0);
+    const rows = this.statements.range.all({ $fromBlock: fromBlock, $toBlock: toBlock });
+    const validators = new Map();
+
+    const statsFor = (address) => {
+      if (!validators.has(address)) {
+        validators.set(address, {
+          expectedBlocks: 0,
+          inTurnBlocks: 0,
+          producedBlocks: 0,
+          missedBlocks: 0,
+          currentMissedStreak: 0,
+          longestMissedStreak: 0,
+          lastProducedBlock: null,
+          lastMissedBlock: null
+        });
+      }
+      return validators.get(address);
+    };
+
+    rows.forEach(row => {
+      const producer = statsFor(row.miner);
+      producer.producedBlocks++;
+      producer.lastProducedBlock = row.number;
+
+      if (!row.expected) return;
+      const expected = statsFor(row.expected);
+      expected.expectedBlocks++;
+
+      if (row.in_turn) {
+        expected.inTurnBlocks++;
+        expected.currentMissedStreak = 0;
+      } else {
+        expected.missedBlocks++;
+        expected.lastMissedBlock = row.number;
+        expected.currentMissedStreak++;
+        expected.longestMissedStreak = Math.max(expected.longestMissedStreak, expected.currentMissedStreak);
+      }
+    });
+
+    validators.forEach(stats => {
+      stats.uptime = stats.expectedBlocks > 0
+        ? Math.round(stats.inTurnBlocks / stats.expectedBlocks * 10000) / 100
+        : null;
+      stats.performanceScore = stats.uptime !== null
+        ? Math.max(0, Math.round((stats.uptime - stats.currentMissedStreak * STREAK_PENALTY) * 100) / 100)
+        : null;
+    });
+
+    // Rank validators with in-turn slots by score, fewer missed blocks first on ties
+    const ranked = Array.from(validators.entries())
+      .filter(([, stats]) => stats.performanceScore !== null)
+      .sort(([, a], [, b]) => b.performanceScore - a.performanceScore || a.missedBlocks - b.missedBlocks);
+    ranked.forEach(([, stats], index) => {
+      stats.rank = index + 1;
+    });
+
+    const result = {
+      window,
+      fromBlock,
+      toBlock,
+      coverage: rows.length / (toBlock - fromBlock + 1),
+      rankedValidators: ranked.length,
+      validators
+    };
+    if (this.config.windows.includes(window)) {
+      this.statsCache.set(window, result);
+    }
+    return result;
+  }
+
+  /**
+   * Uptime, missed blocks, streaks, score and rank of one validator
+   */
+  getValidatorPerformance(address, window = this.config.windows[0]) {
+    const windowStats = this.getWindowStats(window);
+    if (!windowStats) return null;
+
+    const stats = windowStats.validators.get(address.toLowerCase()) || {
+      expectedBlocks: 0,
+      inTurnBlocks: 0,
+      producedBlocks: 0,
+      missedBlocks: 0,
+      currentMissedStreak: 0,
+      longestMissedStreak: 0,
+      lastProducedBlock: null,
+      lastMissedBlock: null,
+      uptime: null,
+      performanceScore: null
+    };
+
+    return {
+      window,
+      fromBlock: windowStats.fromBlock,
+      toBlock: windowStats.toBlock,
+      coverage: Math.round(windowStats.coverage * 10000) / 100,
+      rankedValidators: windowStats.rankedValidators,
+      rank: null,
+      ...stats
+    };
+  }
+
+  getStatus() {
+    return {
+      enabled: this.config.enabled,
+      isRunning: this.isRunning,
+      isSyncing: this.isSyncing,
+      windows: this.config.windows,
+      firstBlock: this.isInitialized ? this.statements.firstBlock.get().number : null,
+      lastProcessedBlock: this.lastProcessedBlock,
+      headBlock: this.headBlock,
+      epoch: this.epoch
+    };
+  }
+}
+
+// Export singleton instance
+export const UptimeTracker = new UptimeTrackerClass();
@@ -1,37 +1,39 @@
 import { BlockchainService } from "./blockchain.js";
-import { CacheService } from "./cache.js";
+import { cacheManager } from "./cache.js";
+import { HISTORICAL_CACHE_TTL, blockTagKey, historicalReadError } from "../utils/pointInTime.js";
 
+/**
+ * Validator reads take an optional `blockTag` (block number) for state at a past
+ * block; failures there are thrown instead of falling back to defaults.
+ */
 export class ValidatorService {
   constructor() {
-    this.cache = new CacheService('validators');
+    this.cache = cacheManager.getCache('validators');
   }
 
-  async getValidatorInfo(validatorAddress) {
-    const cacheKey = `validator_info_${validatorAddress}`;
+  async getValidatorInfo(validatorAddress, blockTag) {
+    const cacheKey = blockTagKey(`validator_info_${validatorAddress}`, blockTag);
 
     try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      const contract = BlockchainService.getContract();
-      const info = await contract.getValidatorInfo(validatorAddress);
-
-      const result = {
-        rewardAddress: info[0],
-        status: Number(info[1]),
-        stakingAmount: BlockchainService.formatEther(info[2]),
-        commissionRate: BlockchainService.formatEther(info[3]),
-        rewardAmount: BlockchainService.formatEther(info[4]),
-        slashAmount: BlockchainService.formatEther(info[5]),
-        stakers: info[6] || []
-      };
-
-      // Cache result
-      this.cache.set(cacheKey, result);
-      return result;
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const info = await contract.getValidatorInfo(validatorAddress, { blockTag });
+
+        const result = {
+          rewardAddress: info[0],
+          status: Number(info[1]),
+          stakingAmount: BlockchainService.formatEther(info[2]),
+          commissionRate: BlockchainService.formatEther(info[3]),
+          rewardAmount: BlockchainService.formatEther(info[4]),
+          slashAmount: BlockchainService.formatEther(info[5]),
+          stakers: info[6] || []
+        };
+
+        return result;
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : undefined });
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error(`Failed to get validator info for ${validatorAddress}:`, error);
       return {
         rewardAddress: '0x0000000000000000000000000000000000000000',
@@ -45,27 +47,26 @@ export class ValidatorService {
     }
   }
 
-  async getValidatorDescription(validatorAddress) {
-    const cacheKey = `validator_desc_${validatorAddress}`;
+  async getValidatorDescription(validatorAddress, blockTag) {
+    const cacheKey = blockTagKey(`validator_desc_${validatorAddress}`, blockTag);
 
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      const contract = BlockchainService.getContract();
-      const desc = await contract.getValidatorDescription(validatorAddress);
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const desc = await contract.getValidatorDescription(validatorAddress, { blockTag });
 
-      const result = {
-        moniker: desc[0] || 'Unknown',
-        website: desc[1] || '',
-        email: desc[2] || '',
-        details: desc[3] || ''
-      };
+        const result = {
+          moniker: desc[0] || 'Unknown',
+          website: desc[1] || '',
+          email: desc[2] || '',
+          details: desc[3] || ''
+        };
 
-      this.cache.set(cacheKey, result);
-      return result;
+        return result;
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : undefined });
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error(`Failed to get validator description for ${validatorAddress}:`, error);
       return {
         moniker: 'Unknown',
@@ -76,21 +77,18 @@ export class ValidatorService {
     }
   }
 
-  async getActivatedValidators() {
-    const cacheKey = 'activated_validators';
+  async getActivatedValidators(blockTag) {
+    const cacheKey = blockTagKey('activated_validators', blockTag);
 
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      const contract = BlockchainService.getContract();
-      const validators = await contract.getActivatedValidators();
-      const result = validators.map(addr => BlockchainService.parseAddress(addr));
-
-      this.cache.set(cacheKey, result);
-      return result;
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const validators = await contract.getActivatedValidators({ blockTag });
+        return validators.map(addr => BlockchainService.parseAddress(addr));
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : undefined });
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error('Failed to get activated validators:', error);
       // Return mock data for development
       return [
@@ -100,48 +98,45 @@ export class ValidatorService {
     }
   }
 
-  async getValidatorDetails(validatorAddress) {
-    const cacheKey = `validator_details_${validatorAddress}`;
+  async getValidatorDetails(validatorAddress, blockTag) {
+    const cacheKey = blockTagKey(`validator_details_${validatorAddress}`, blockTag);
 
     try {
-      // Check cache first
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      // Get all validator information
-      const [info, description, isJailed, isActivated] = await Promise.all([
-        this.getValidatorInfo(validatorAddress),
-        this.getValidatorDescription(validatorAddress),
-        this.isValidatorJailed(validatorAddress),
-        this.isValidatorActivated(validatorAddress)
-      ]);
-
-      const result = {
-        address: validatorAddress,
-        rewardAddr: info.rewardAddress,
-        status: info.status,
-        stakingAmount: info.stakingAmount,
-        commissionRate: info.commissionRate,
-        rewardAmount: info.rewardAmount,
-        slashAmount: info.slashAmount,
-        lastWithdrawRewardBlock: this.extractLastWithdrawBlock(info),
-        stakers: info.stakers || [],
-        isJailed,
-        isActivated,
-        description: {
-          moniker: description.moniker,
-          website: description.website,
-          email: description.email,
-          details: description.details
-        },
-        totalStakers: info.stakers ? info.stakers.length : 0
-      };
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        // Get all validator information
+        const [info, description, isJailed, isActivated] = await Promise.all([
+          this.getValidatorInfo(validatorAddress, blockTag),
+          this.getValidatorDescription(validatorAddress, blockTag),
+          this.isValidatorJailed(validatorAddress, blockTag),
+          this.isValidatorActivated(validatorAddress, blockTag)
+        ]);
 
-      // Cache result for 30 seconds
-      this.cache.set(cacheKey, result, 30000);
-      return result;
+        const result = {
+          address: validatorAddress,
+          rewardAddr: info.rewardAddress,
+          status: info.status,
+          stakingAmount: info.stakingAmount,
+          commissionRate: info.commissionRate,
+          rewardAmount: info.rewardAmount,
+          slashAmount: info.slashAmount,
+          lastWithdrawRewardBlock: this.extractLastWithdrawBlock(info),
+          stakers: info.stakers || [],
+          isJailed,
+          isActivated,
+          description: {
+            moniker: description.moniker,
+            website: description.website,
+            email: description.email,
+            details: description.details
+          },
+          totalStakers: info.stakers ? info.stakers.length : 0
+        };
+
+        return result;
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : 30000 }); // 30 seconds
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error(`Failed to get validator details for ${validatorAddress}:`, error);
       throw new Error(`Failed to get validator details: ${error.message}`);
     }
@@ -152,7 +147,6 @@ export class ValidatorService {
     // Contract getValidatorInfo returns array, last withdraw block might be in different position
     // Adjust based on your contract structure
     try {
-      const contract = BlockchainService.getContract();
       // This might need to be adjusted based on actual contract response structure
       return Number(info.lastWithdrawRewardBlock) || 0;
     } catch (error) {
@@ -160,26 +154,25 @@ export class ValidatorService {
     }
   }
 
-  async getValidatorCandidates() {
-    const cacheKey = 'validator_candidates';
+  async getValidatorCandidates(blockTag) {
+    const cacheKey = blockTagKey('validator_candidates', blockTag);
 
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      const contract = BlockchainService.getContract();
-      const candidates = await contract.getValidatorCandidate();
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const candidates = await contract.getValidatorCandidate({ blockTag });
 
-      const result = {
-        validators: candidates[0].map(addr => BlockchainService.parseAddress(addr)),
-        stakingAmounts: candidates[1].map(amount => BlockchainService.formatEther(amount)),
-        totalCount: Number(candidates[2])
-      };
+        const result = {
+          validators: candidates[0].map(addr => BlockchainService.parseAddress(addr)),
+          stakingAmounts: candidates[1].map(amount => BlockchainService.formatEther(amount)),
+          totalCount: Number(candidates[2])
+        };
 
-      this.cache.set(cacheKey, result);
-      return result;
+        return result;
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : undefined });
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error('Failed to get validator candidates:', error);
       return {
         validators: [],
@@ -189,85 +182,83 @@ export class ValidatorService {
     }
   }
 
-  async getTotalStaking() {
-    const cacheKey = 'total_staking';
+  async getTotalStaking(blockTag) {
+    const cacheKey = blockTagKey('total_staking', blockTag);
 
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      const contract = BlockchainService.getContract();
-      const total = await contract.totalStaking();
-      const result = BlockchainService.formatEther(total);
-
-      this.cache.set(cacheKey, result);
-      return result;
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+        const total = await contract.totalStaking({ blockTag });
+        return BlockchainService.formatEther(total);
+      }, { ttl: blockTag !== undefined ? HISTORICAL_CACHE_TTL : undefined });
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error('Failed to get total staking:', error);
       return '1000000'; // Mock data
     }
   }
 
-  async isValidatorJailed(validatorAddress) {
+  async isValidatorJailed(validatorAddress, blockTag) {
     try {
       const contract = BlockchainService.getContract();
-      return await contract.isJailed(validatorAddress);
+      return await contract.isJailed(validatorAddress, { blockTag });
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error(`Failed to check if validator is jailed ${validatorAddress}:`, error);
       return false;
     }
   }
 
-  async isValidatorActivated(validatorAddress) {
+  async isValidatorActivated(validatorAddress, blockTag) {
     try {
       const contract = BlockchainService.getContract();
-      return await contract.isValidatorActivated(validatorAddress);
+      return await contract.isValidatorActivated(validatorAddress, { blockTag });
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error(`Failed to check if validator is activated ${validatorAddress}:`, error);
       return false;
     }
   }
 
-  async getContractConstants() {
-    const cacheKey = 'contract_constants';
+  async getContractConstants(blockTag) {
+    const cacheKey = blockTagKey('contract_constants', blockTag);
 
     try {
-      const cached = this.cache.get(cacheKey);
-      if (cached) return cached;
-
-      const contract = BlockchainService.getContract();
+      return await this.cache.getOrLoad(cacheKey, async () => {
+        const contract = BlockchainService.getContract();
+
+        // Get actual constants from contract
+        const [
+          withdrawRewardPeriod,
+          stakingLockPeriod,
+          minimalStaking,
+          maxValidatorNum,
+          defaultCommissionRate,
+          maxCommissionRate
+        ] = await Promise.all([
+          contract.WithdrawRewardPeriod({ blockTag }),
+          contract.StakingLockPeriod({ blockTag }),
+          contract.MinimalOfStaking({ blockTag }),
+          contract.MaxValidatorNum({ blockTag }),
+          contract.DEFAULT_COMMISSION_RATE({ blockTag }),
+          contract.MAX_COMMISSION_RATE({ blockTag })
+        ]);
 
-      // Get actual constants from contract
-      const [
-        withdrawRewardPeriod,
-        stakingLockPeriod,
-        minimalStaking,
-        maxValidatorNum,
-        defaultCommissionRate,
-        maxCommissionRate
-      ] = await Promise.all([
-        contract.WithdrawRewardPeriod(),
-        contract.StakingLockPeriod(),
-        contract.MinimalOfStaking(),
-        contract.MaxValidatorNum(),
-        contract.DEFAULT_COMMISSION_RATE(),
-        contract.MAX_COMMISSION_RATE()
-      ]);
-
-      const result = {
-        withdrawRewardPeriod: Number(withdrawRewardPeriod),
-        stakingLockPeriod: Number(stakingLockPeriod),
-        minimalStaking: BlockchainService.formatEther(minimalStaking),
-        maxValidatorNum: Number(maxValidatorNum),
-        defaultCommissionRate: Number(defaultCommissionRate),
-        maxCommissionRate: Number(maxCommissionRate)
-      };
+        const result = {
+          withdrawRewardPeriod: Number(withdrawRewardPeriod),
+          stakingLockPeriod: Number(stakingLockPeriod),
+          minimalStaking: BlockchainService.formatEther(minimalStaking),
+          maxValidatorNum: Number(maxValidatorNum),
+          defaultCommissionRate: Number(defaultCommissionRate),
+          maxCommissionRate: Number(maxCommissionRate)
+        };
 
-      this.cache.set(cacheKey, result, 300000); // Cache for 5 minutes
-      return result;
+        return result;
+      }, { ttl: 300000 }); // Cache for 5 minutes
 
     } catch (error) {
+      if (blockTag !== undefined) throw historicalReadError(error, blockTag);
       console.error('Failed to get contract constants:', error);
       // Fallback to default values if contract call fails
       return {
@@ -286,20 +277,21 @@ export class ValidatorService {
       page = 1,
       limit = 20,
       sortBy = 'stakingAmount',
-      sortOrder = 'desc'
+      sortOrder = 'desc',
+      blockTag
     } = options;
 
     try {
-      const validators = await this.getActivatedValidators();
+      const validators = await this.getActivatedValidators(blockTag);
 
       // Get details for validators (limit to avoid too many calls)
       const limitedValidators = validators.slice(0, Math.min(validators.length, 50));
       const validatorDetails = await Promise.all(
         limitedValidators.map(async (address) => {
           const [info, description, isJailed] = await Promise.all([
-            this.getValidatorInfo(address),
-            this.getValidatorDescription(address),
-            this.isValidatorJailed(address)
+            this.getValidatorInfo(address, blockTag),
+            this.getValidatorDescription(address, blockTag),
+            this.isValidatorJailed(address, blockTag)
           ]);
 
           return {
@@ -348,13 +340,13 @@ export class ValidatorService {
     }
   }
 
-  async searchValidators(searchTerm) {
+  async searchValidators(searchTerm, blockTag) {
     if (!searchTerm || searchTerm.length < 2) {
       throw new Error('Search term must be at least 2 characters long');
     }
 
     try {
-      const validators = await this.getActivatedValidators();
+      const validators = await this.getActivatedValidators(blockTag);
       const searchResults = [];
       const term = searchTerm.toLowerCase();
 
@@ -363,8 +355,8 @@ export class ValidatorService {
 
       for (const address of limitedValidators) {
         const [info, description] = await Promise.all([
-          this.getValidatorInfo(address),
-          this.getValidatorDescription(address)
+          this.getValidatorInfo(address, blockTag),
+          this.getValidatorDescription(address, blockTag)
         ]);
 
         if (
@@ -392,11 +384,11 @@ export class ValidatorService {
   }
 
   // Clear cache methods
-  clearCache(key) {
-    this.cache.delete(key);
+  async clearCache(key) {
+    await this.cache.delete(key);
   }
 
-  clearAllCache() {
-    this.cache.clear();
+  async clearAllCache() {
+    await this.cache.clear();
   }
 }
\ No newline at end of file
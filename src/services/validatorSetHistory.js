@@ -0,0 +1,329 @@
+import { BlockchainService } from "./blockchain.js";
+import { DatabaseService } from "./database.js";
+import { EventIndexer } from "./eventIndexer.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS validator_set_updates (
+    block_number INTEGER PRIMARY KEY,
+    log_index INTEGER NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    timestamp INTEGER,
+    validators TEXT NOT NULL,
+    joined TEXT NOT NULL,
+    left_set TEXT NOT NULL
+  )`
+];
+
+const CANDIDATE_EVENTS = ['AddToValidatorCandidate', 'RemoveFromValidatorCandidate'];
+
+/**
+ * Active validator set transitions from indexed ValidatorSetUpdated events.
+ * The set emitted at block B is the one producing blocks from B + 1 on.
+ */
+class ValidatorSetHistoryClass {
+  constructor() {
+    this.logger = new Logger('ValidatorSet');
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.epoch = null;
+    this.onIndexedEvents = (events) => this.handleIndexedEvents(events);
+    this.onRewind = (range) => this.handleRewind(range);
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      insert: db.prepare(`
+        INSERT OR IGNORE INTO validator_set_updates
+          (block_number, log_index, transaction_hash, timestamp, validators, joined, left_set)
+        VALUES
+          ($blockNumber, $logIndex, $transactionHash, $timestamp, $validators, $joined, $left)
+      `),
+      latest: db.prepare('SELECT * FROM validator_set_updates ORDER BY block_number DESC LIMIT 1'),
+      before: db.prepare(`
+        SELECT * FROM validator_set_updates
+        WHERE block_number < ?
+        ORDER BY block_number DESC LIMIT 1
+      `),
+      after: db.prepare(`
+        SELECT * FROM validator_set_updates
+        WHERE block_number >= ?
+        ORDER BY block_number ASC LIMIT 1
+      `),
+      count: db.prepare(`
+        SELECT COUNT(*) AS count FROM validator_set_updates
+        WHERE ($changesOnly = 0 OR joined != '[]' OR left_set != '[]')
+      `),
+      page: db.prepare(`
+        SELECT * FROM validator_set_updates
+        WHERE ($changesOnly = 0 OR joined != '[]' OR left_set != '[]')
+        ORDER BY block_number DESC
+        LIMIT $limit OFFSET $offset
+      `),
+      transitions: db.prepare(`
+        SELECT block_number, validators, joined, left_set FROM validator_set_updates
+        ORDER BY block_number ASC
+      `),
+      rewind: db.prepare('DELETE FROM validator_set_updates WHERE block_number >= ?')
+    };
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Catch up from already indexed events, then follow the indexer
+   */
+  start() {
+    if (this.isRunning) return;
+
+    try {
+      this.initialize();
+      const latest = this.statements.latest.get();
+      this.handleIndexedEvents(EventIndexer.getAllEvents({
+        eventNames: ['ValidatorSetUpdated'],
+        ...(latest && { fromBlock: latest.block_number + 1 })
+      }));
+    } catch (error) {
+      this.logger.error('Failed to initialize validator set history:', error.message);
+      return;
+    }
+
+    EventIndexer.on('events', this.onIndexedEvents);
+    EventIndexer.on('rewind', this.onRewind);
+    this.isRunning = true;
+    this.logger.success('Validator set history started');
+  }
+
+  stop() {
+    this.isRunning = false;
+    EventIndexer.off('events', this.onIndexedEvents);
+    EventIndexer.off('rewind', this.onRewind);
+  }
+
+  /**
+   * Drop updates from blocks a reorg replaced, the indexer records the new chain's again
+   */
+  handleRewind({ fromBlock }) {
+    this.initialize();
+    this.statements.rewind.run(fromBlock);
+  }
+
+  handleIndexedEvents(events) {
+    const updates = events.filter(event => event.eventName === 'ValidatorSetUpdated');
+    if (updates.length === 0) return;
+
+    const db = DatabaseService.getDatabase();
+    db.transaction(() => {
+      updates.forEach(event => this.recordUpdate(event));
+    })();
+
+    this.logger.debug(`Recorded ${updates.length} validator set update(s)`);
+  }
+
+  recordUpdate(event) {
+    const validators = event.args.validators.map(address => address.toLowerCase());
+    const previous = this.statements.before.get(event.blockNumber);
+    const previousSet = previous ? JSON.parse(previous.validators) : [];
+
+    // The first recorded set has no predecessor, it is not reported as joins
+    const joined = previous ? validators.filter(address => !previousSet.includes(address)) : [];
+    const left = previousSet.filter(address => !validators.includes(address));
+
+    // Indexer events carry an ISO timestamp when read back, a unix one when fresh
+    const timestamp = typeof event.timestamp === 'string'
+      ? Math.floor(new Date(event.timestamp).getTime() / 1000)
+      : event.timestamp;
+
+    this.statements.insert.run({
+      $blockNumber: event.blockNumber,
+      $logIndex: event.logIndex,
+      $transactionHash: event.transactionHash,
+      $timestamp: timestamp ?? null,
+      $validators: JSON.stringify(validators),
+      $joined: JSON.stringify(joined),
+      $left: JSON.stringify(left)
+    });
+  }
+
+  async getEpochLength() {
+    if (this.epoch === null) {
+      try {
+        this.epoch = Number(await BlockchainService.getContract().BlockEpoch());
+      } catch (error) {
+        this.logger.warn('Could not read BlockEpoch:', error.message);
+        return null;
+      }
+    }
+    return this.epoch;
+  }
+
+  /**
+   * Recorded set updates, newest first, with candidate additions/removals since the previous update
+   * @param {Object} options - { page, limit, changesOnly }
+   */
+  async getEpochs({ page = 1, limit = 50, changesOnly = false } = {}) {
+    this.initialize();
+
+    const params = { $changesOnly: changesOnly ? 1 : 0 };
+    const { count } = this.statements.count.get(params);
+    const rows = this.statements.page.all({ ...params, $limit: limit, $offset: (page - 1) * limit });
+    const epochLength = await this.getEpochLength();
+
+    let candidateEvents = [];
+    if (rows.length > 0) {
+      const oldest = rows[rows.length - 1];
+      const previous = this.statements.before.get(oldest.block_number);
+      candidateEvents = EventIndexer.getAllEvents({
+        eventNames: CANDIDATE_EVENTS,
+        fromBlock: previous ? previous.block_number + 1 : 0,
+        toBlock: rows[0].block_number
+      });
+    }
+
+    const epochs = rows.map(row => {
+      const previous = this.statements.before.get(row.block_number);
+      const fromBlock = previous ? previous.block_number + 1 : 0;
+
+      return {
+        ...this.formatUpdate(row, epochLength),
+        candidateChanges: candidateEvents
+          .filter(event => event.blockNumber >= fromBlock && event.blockNumber <= row.block_number)
+          .map(event => ({
+            type: event.eventName === 'AddToValidatorCandidate' ? 'added' : 'removed',
+            validator: event.validator,
+            blockNumber: event.blockNumber,
+            transactionHash: event.transactionHash
+          }))
+      };
+    });
+
+    return {
+      epochLength,
+      epochs,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(count / limit),
+        totalItems: count,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  /**
+   * Active set at `blockNumber`; falls back to contract state (archive node) before the first recorded update
+   */
+  async getSetAt(blockNumber) {
+    this.initialize();
+
+    const epochLength = await this.getEpochLength();
+    const row = this.statements.before.get(blockNumber);
+    const next = this.statements.after.get(blockNumber);
+
+    if (row) {
+      return {
+        blockNumber,
+        epoch: epochLength ? Math.floor(blockNumber / epochLength) : null,
+        validators: JSON.parse(row.validators),
+        activeFromBlock: row.block_number + 1,
+        activeUntilBlock: next ? next.block_number : null,
+        updateTransaction: row.transaction_hash,
+        source: 'index'
+      };
+    }
+
+    try {
+      const validators = await BlockchainService.getContract().getActivatedValidators({ blockTag: Math.max(blockNumber - 1, 0) });
+      return {
+        blockNumber,
+        epoch: epochLength ? Math.floor(blockNumber / epochLength) : null,
+        validators: Array.from(validators, address => address.toLowerCase()),
+        activeFromBlock: null,
+        activeUntilBlock: next ? next.block_number : null,
+        updateTransaction: null,
+        source: 'contract'
+      };
+    } catch (error) {
+      this.logger.debug(`Validator set at block ${blockNumber} unavailable:`, error.shortMessage || error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Continuous active-set memberships per validator and their total length in blocks
+   */
+  async getTenure(validatorAddress = null) {
+    this.initialize();
+
+    const currentBlock = await BlockchainService.getCurrentBlock();
+    const rows = this.statements.transitions.all();
+    const open = new Map();
+    const tenure = new Map();
+
+    const periodsOf = (address) => {
+      if (!tenure.has(address)) tenure.set(address, []);
+      return tenure.get(address);
+    };
+
+    rows.forEach((row, index) => {
+      // Memberships start at the first recorded update, earlier history is unknown
+      const joined = JSON.parse(index === 0 ? row.validators : row.joined);
+
+      JSON.parse(row.left_set).forEach(address => {
+        const period = open.get(address);
+        if (!period) return;
+        period.toBlock = row.block_number;
+        period.blocks = period.toBlock - period.fromBlock + 1;
+        period.ongoing = false;
+        open.delete(address);
+      });
+
+      joined.forEach(address => {
+        const period = { fromBlock: row.block_number + 1, toBlock: null, blocks: null, ongoing: true, sinceFirstRecord: index === 0 };
+        periodsOf(address).push(period);
+        open.set(address, period);
+      });
+    });
+
+    open.forEach(period => {
+      period.blocks = Math.max(0, currentBlock - period.fromBlock + 1);
+    });
+
+    const filter = validatorAddress?.toLowerCase();
+    const validators = Array.from(tenure.entries())
+      .filter(([address]) => !filter || address === filter)
+      .map(([address, periods]) => ({
+        validator: address,
+        active: periods.some(period => period.ongoing),
+        totalBlocks: periods.reduce((sum, period) => sum + period.blocks, 0),
+        periods
+      }))
+      .sort((a, b) => b.totalBlocks - a.totalBlocks);
+
+    return {
+      currentBlock,
+      firstRecordedBlock: rows[0]?.block_number ?? null,
+      validators
+    };
+  }
+
+  formatUpdate(row, epochLength) {
+    return {
+      blockNumber: row.block_number,
+      epoch: epochLength ? Math.floor(row.block_number / epochLength) : null,
+      timestamp: row.timestamp ? new Date(row.timestamp * 1000).toISOString() : null,
+      transactionHash: row.transaction_hash,
+      validators: JSON.parse(row.validators),
+      joined: JSON.parse(row.joined),
+      left: JSON.parse(row.left_set)
+    };
+  }
+}
+
+// Export singleton instance
+export const ValidatorSetHistory = new ValidatorSetHistoryClass();
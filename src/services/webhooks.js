@@ -0,0 +1,707 @@
+import { createHash, createHmac, randomBytes, randomUUID, timingSafeEqual } from "crypto";
+import { lookup } from "dns/promises";
+import http from "http";
+import https from "https";
+import { BlockList, isIP } from "net";
+import { BlockchainService } from "./blockchain.js";
+import { DatabaseService } from "./database.js";
+import { UnbondingScheduler } from "./unbondingScheduler.js";
+import { EVENT_TOPICS, extractEventAddresses } from "./subscriptions.js";
+import { config } from "../config/index.js";
+import { Logger } from "../utils/logger.js";
+
+const SCHEMA = [
+  `CREATE TABLE IF NOT EXISTS webhooks (
+    id TEXT PRIMARY KEY,
+    url TEXT NOT NULL,
+    secret TEXT NOT NULL,
+    event_types TEXT NOT NULL,
+    addresses TEXT NOT NULL,
+    description TEXT,
+    active INTEGER NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`,
+  `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    webhook_id TEXT NOT NULL,
+    event_type TEXT NOT NULL,
+    payload TEXT NOT NULL,
+    status TEXT NOT NULL,
+    cursor TEXT,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at INTEGER,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TEXT NOT NULL,
+    delivered_at TEXT
+  )`,
+  'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries (status, next_attempt_at)',
+  'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries (webhook_id, id)',
+  'CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_cursor ON webhook_deliveries (cursor)'
+];
+
+// Derived from contract events: a slash that left the validator jailed, an unbonding that reached its unlock block
+export const DERIVED_WEBHOOK_EVENTS = ['ValidatorJailed', 'withdrawalReady'];
+
+export const WEBHOOK_EVENTS = [...EVENT_TOPICS, ...DERIVED_WEBHOOK_EVENTS];
+
+// `retracted`: the event was removed by a reorg before it was delivered
+export const DELIVERY_STATUSES = ['pending', 'delivered', 'dead', 'retracted'];
+
+// Deliveries sent per queue run
+const DELIVERY_BATCH_SIZE = 20;
+
+// Loopback, private, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const PRIVATE_RANGES = new BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP literal is not publicly routable; IPv4-mapped IPv6 addresses count as their IPv4 address
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_RANGES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Compares digests so the time taken does not depend on the token
+const safeEqual = (value, expected) => {
+  const digest = (text) => createHash('sha256').update(String(text)).digest();
+  return timingSafeEqual(digest(value), digest(expected));
+};
+
+/**
+ * POST `body` to `url` over a connection to `address`, which must be the
+ * address the host was checked at; Host and TLS server name stay the url's.
+ * Redirects are not followed.
+ * @returns {Promise<number>} HTTP status
+ */
+function postTo(url, address, { headers, body, timeout }) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request({
+      host: address,
+      port: target.port || undefined,
+      path: `${target.pathname}${target.search}`,
+      method: 'POST',
+      servername: isIP(target.hostname) ? undefined : target.hostname,
+      headers: { ...headers, host: target.host, 'content-length': Buffer.byteLength(body) },
+      signal: AbortSignal.timeout(timeout)
+    }, (response) => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", sent as `x-webhook-signature: sha256=<hex>`
+ */
+export function signPayload(secret, timestamp, body) {
+  return `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+class WebhookServiceClass {
+  constructor() {
+    this.logger = new Logger('Webhooks');
+    this.config = { ...config.webhooks };
+    this.statements = null;
+    this.isInitialized = false;
+    this.isRunning = false;
+    this.isProcessing = false;
+    this.timer = null;
+    this.wsService = null;
+    // Deliveries whose request is on its way, a reorg may retract them meanwhile
+    this.inFlight = new Set();
+    this.onContractEvent = (eventData, addresses) => this.handleContractEvent(eventData, addresses);
+    this.onEventRemoved = (message) => this.handleEventRemoved(message);
+    this.onWithdrawalReady = (unbonding) => this.dispatch('withdrawalReady', { type: 'withdrawalReady', ...unbonding }, [unbonding.staker, unbonding.validator]);
+  }
+
+  initialize() {
+    if (this.isInitialized) return;
+
+    DatabaseService.ensureSchema(SCHEMA);
+    const db = DatabaseService.getDatabase();
+
+    this.statements = {
+      list: db.prepare('SELECT * FROM webhooks ORDER BY created_at ASC'),
+      listActive: db.prepare('SELECT * FROM webhooks WHERE active = 1'),
+      get: db.prepare('SELECT * FROM webhooks WHERE id = ?'),
+      insert: db.prepare(`
+        INSERT INTO webhooks (id, url, secret, event_types, addresses, description, active, created_at, updated_at)
+        VALUES ($id, $url, $secret, $eventTypes, $addresses, $description, $active, $createdAt, $createdAt)
+      `),
+      update: db.prepare(`
+        UPDATE webhooks
+        SET url = $url, event_types = $eventTypes, addresses = $addresses, description = $description,
+            active = $active, updated_at = $updatedAt
+        WHERE id = $id
+      `),
+      delete: db.prepare('DELETE FROM webhooks WHERE id = ?'),
+      deleteDeliveries: db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?'),
+      insertDelivery: db.prepare(`
+        INSERT INTO webhook_deliveries (webhook_id, event_type, payload, status, cursor, next_attempt_at, created_at)
+        VALUES ($webhookId, $eventType, $payload, 'pending', $cursor, $nextAttemptAt, $createdAt)
+      `),
+      getDelivery: db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?'),
+      dueDeliveries: db.prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE status = 'pending' AND next_attempt_at <= $now
+        ORDER BY next_attempt_at ASC LIMIT $limit
+      `),
+      // Only pending deliveries: one retracted while its request was in flight stays retracted
+      updateDelivery: db.prepare(`
+        UPDATE webhook_deliveries
+        SET status = $status, attempts = $attempts, next_attempt_at = $nextAttemptAt,
+            response_status = $responseStatus, last_error = $lastError, delivered_at = $deliveredAt
+        WHERE id = $id AND status = 'pending'
+      `),
+      requeueDelivery: db.prepare(`
+        UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = $now, delivered_at = NULL
+        WHERE id = $id AND status = 'dead'
+      `),
+      cursorDeliveries: db.prepare('SELECT id, webhook_id, status, attempts FROM webhook_deliveries WHERE cursor = $cursor'),
+      retractDeliveries: db.prepare(`
+        UPDATE webhook_deliveries SET status = 'retracted', next_attempt_at = NULL
+        WHERE cursor = $cursor AND status IN ('pending', 'dead')
+      `),
+      deliveries: db.prepare(`
+        SELECT * FROM webhook_deliveries
+        WHERE ($webhookId IS NULL OR webhook_id = $webhookId) AND ($status IS NULL OR status = $status)
+        ORDER BY id DESC LIMIT $limit
+      `)
+    };
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Deliver webhooks for the contract events parsed by the WebSocket service
+   */
+  start(wsService) {
+    if (!this.config.enabled) {
+      this.logger.info('Webhooks disabled (WEBHOOKS_ENABLED=false)');
+      return;
+    }
+    if (this.isRunning) return;
+    if (!this.config.adminKey) {
+      this.logger.warn('WEBHOOK_ADMIN_KEY is not set, webhooks cannot be created');
+    }
+
+    try {
+      this.initialize();
+    } catch (error) {
+      this.logger.error('Failed to initialize webhooks:', error.message);
+      return;
+    }
+
+    this.wsService = wsService;
+    wsService.on('contractEvent', this.onContractEvent);
+    wsService.on('eventRemoved', this.onEventRemoved);
+    UnbondingScheduler.on('withdrawalReady', this.onWithdrawalReady);
+
+    this.isRunning = true;
+    this.timer = setInterval(() => this.processQueue(), this.config.pollInterval);
+    this.logger.success('Webhook delivery started');
+  }
+
+  stop() {
+    this.isRunning = false;
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.wsService) {
+      this.wsService.off('contractEvent', this.onContractEvent);
+      this.wsService.off('eventRemoved', this.onEventRemoved);
+      this.wsService = null;
+    }
+    UnbondingScheduler.off('withdrawalReady', this.onWithdrawalReady);
+  }
+
+  // ========================================
+  // SUBSCRIPTIONS
+  // ========================================
+
+  /**
+   * @param {Object} input - { url, eventTypes, addresses, description, active }
+   * @param {boolean} partial - Only validate the fields present (updates)
+   * @returns {Promise<string[]>} Validation errors
+   */
+  async validate(input, partial = false) {
+    const errors = [];
+
+    if (!partial || input.url !== undefined) {
+      const error = await this.checkTarget(input.url);
+      if (error) errors.push(error);
+    }
+
+    if (input.eventTypes !== undefined) {
+      if (!Array.isArray(input.eventTypes)) {
+        errors.push('eventTypes must be an array');
+      } else {
+        input.eventTypes
+          .filter(type => !WEBHOOK_EVENTS.includes(type))
+          .forEach(type => errors.push(`Unknown event type: ${type}`));
+      }
+    }
+
+    if (input.addresses !== undefined) {
+      if (!Array.isArray(input.addresses)) {
+        errors.push('addresses must be an array');
+      } else {
+        input.addresses
+          .filter(address => typeof address !== 'string' || !/^0x[a-fA-F0-9]{40}$/.test(address))
+          .forEach(address => errors.push(`Invalid address: ${address}`));
+      }
+    }
+
+    if (input.secret !== undefined && (typeof input.secret !== 'string' || input.secret.length < 16)) {
+      errors.push('secret must be a string of at least 16 characters');
+    }
+
+    if (input.active !== undefined && typeof input.active !== 'boolean') {
+      errors.push('active must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Error for a url deliveries must not go to, null when it is a public http(s) host.
+   * The host is resolved, so names pointing at internal addresses are caught too.
+   */
+  async checkTarget(url) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch {
+      // Reported below
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+      return 'url must be an http(s) URL';
+    }
+
+    let addresses;
+    try {
+      addresses = await this.resolveHost(parsed.hostname);
+    } catch {
+      return `url host ${parsed.hostname} does not resolve`;
+    }
+
+    const address = this.findPrivateAddress(addresses);
+    return address ? `url host ${parsed.hostname} resolves to a private address (${address})` : null;
+  }
+
+  /**
+   * Addresses `hostname` resolves to, the address itself for IP literals; throws when it does not resolve
+   */
+  async resolveHost(hostname) {
+    const host = hostname.replace(/^\[|\]$/g, '');
+    if (isIP(host)) return [host];
+
+    const addresses = await lookup(host, { all: true });
+    return addresses.map(({ address }) => address);
+  }
+
+  /**
+   * First non-public address of `addresses`, null if there is none or WEBHOOK_ALLOW_PRIVATE_TARGETS is set
+   */
+  findPrivateAddress(addresses) {
+    if (this.config.allowPrivateTargets) return null;
+    return addresses.find(address => isPrivateAddress(address)) ?? null;
+  }
+
+  // ========================================
+  // ACCESS
+  // ========================================
+
+  isAdmin(token) {
+    return Boolean(this.config.adminKey && token) && safeEqual(token, this.config.adminKey);
+  }
+
+  /**
+   * Whether `token` is the signing secret of webhook `id`
+   */
+  isOwner(id, token) {
+    this.initialize();
+    const row = this.statements.get.get(id);
+    return Boolean(row && token) && safeEqual(token, row.secret);
+  }
+
+  getDeliveryWebhookId(deliveryId) {
+    this.initialize();
+    return this.statements.getDelivery.get(deliveryId)?.webhook_id ?? null;
+  }
+
+  /**
+   * Create a subscription; the signing secret is only returned here
+   */
+  create(input) {
+    this.initialize();
+
+    const webhook = {
+      id: randomUUID(),
+      url: input.url,
+      secret: input.secret || randomBytes(32).toString('hex'),
+      eventTypes: input.eventTypes || [],
+      addresses: (input.addresses || []).map(address => address.toLowerCase()),
+      description: input.description || null,
+      active: input.active ?? true,
+      createdAt: new Date().toISOString()
+    };
+
+    this.statements.insert.run({
+      $id: webhook.id,
+      $url: webhook.url,
+      $secret: webhook.secret,
+      $eventTypes: JSON.stringify(webhook.eventTypes),
+      $addresses: JSON.stringify(webhook.addresses),
+      $description: webhook.description,
+      $active: webhook.active ? 1 : 0,
+      $createdAt: webhook.createdAt
+    });
+
+    this.logger.info(`Webhook ${webhook.id} created for ${new URL(webhook.url).host}`);
+    return { ...this.get(webhook.id), secret: webhook.secret };
+  }
+
+  list() {
+    this.initialize();
+    return this.statements.list.all().map(row => this.formatWebhook(row));
+  }
+
+  get(id) {
+    this.initialize();
+    const row = this.statements.get.get(id);
+    return row ? this.formatWebhook(row) : null;
+  }
+
+  update(id, input) {
+    const current = this.get(id);
+    if (!current) return null;
+
+    this.statements.update.run({
+      $id: id,
+      $url: input.url ?? current.url,
+      $eventTypes: JSON.stringify(input.eventTypes ?? current.eventTypes),
+      $addresses: JSON.stringify((input.addresses ?? current.addresses).map(address => address.toLowerCase())),
+      $description: input.description !== undefined ? input.description : current.description,
+      $active: (input.active ?? current.active) ? 1 : 0,
+      $updatedAt: new Date().toISOString()
+    });
+
+    return this.get(id);
+  }
+
+  delete(id) {
+    this.initialize();
+
+    const db = DatabaseService.getDatabase();
+    let deleted = false;
+    db.transaction(() => {
+      deleted = this.statements.delete.run(id).changes > 0;
+      this.statements.deleteDeliveries.run(id);
+    })();
+
+    return deleted;
+  }
+
+  formatWebhook(row) {
+    return {
+      id: row.id,
+      url: row.url,
+      eventTypes: JSON.parse(row.event_types),
+      addresses: JSON.parse(row.addresses),
+      description: row.description,
+      active: row.active === 1,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+
+  matches(webhook, eventType, addresses) {
+    if (webhook.eventTypes.length > 0 && !webhook.eventTypes.includes(eventType)) return false;
+    if (webhook.addresses.length === 0) return true;
+    return addresses.some(address => webhook.addresses.includes(address));
+  }
+
+  // ========================================
+  // EVENT SOURCES
+  // ========================================
+
+  handleContractEvent(eventData, addresses) {
+    this.dispatch(eventData.eventName, eventData, addresses);
+
+    if (eventData.eventName === 'ValidatorSlash') {
+      this.checkJailed(eventData);
+    }
+  }
+
+  async checkJailed(eventData) {
+    const { validator } = eventData.data;
+
+    try {
+      const jailed = await BlockchainService.getContract().isJailed(validator);
+      if (!jailed) return;
+
+      this.dispatch('ValidatorJailed', {
+        type: 'ValidatorJailed',
+        validator,
+        slashAmount: eventData.data.amount,
+        cursor: eventData.cursor,
+        blockNumber: eventData.blockNumber,
+        transactionHash: eventData.transactionHash,
+        timestamp: new Date().toISOString()
+      }, [validator.toLowerCase()]);
+
+    } catch (error) {
+      this.logger.warn(`Jail check failed for ${validator}:`, error.message);
+    }
+  }
+
+  /**
+   * A reorg removed the event at `message.cursor`: retract its queued deliveries and
+   * send `eventRemoved` to the webhooks that were sent the event
+   */
+  handleEventRemoved(message) {
+    const deliveries = this.statements.cursorDeliveries.all({ $cursor: message.cursor });
+    if (deliveries.length === 0) return 0;
+
+    const { changes } = this.statements.retractDeliveries.run({ $cursor: message.cursor });
+
+    // Failed attempts may still have reached the receiver
+    const notified = new Set(deliveries
+      .filter(delivery => delivery.attempts > 0 || this.inFlight.has(delivery.id))
+      .map(delivery => delivery.webhook_id));
+
+    const now = Date.now();
+    notified.forEach(webhookId => this.enqueue(webhookId, 'eventRemoved', message, now));
+
+    this.logger.info(`Reorg removed ${message.eventName} at ${message.cursor}: ${changes} delivery(ies) retracted, ${notified.size} webhook(s) notified`);
+    if (notified.size > 0) {
+      this.processQueue();
+    }
+    return notified.size;
+  }
+
+  // ========================================
+  // DELIVERY
+  // ========================================
+
+  /**
+   * Queue a delivery for every active webhook matching the event
+   */
+  dispatch(eventType, data, addresses = extractEventAddresses(data.data)) {
+    const webhooks = this.statements.listActive.all()
+      .map(row => this.formatWebhook(row))
+      .filter(webhook => this.matches(webhook, eventType, addresses));
+
+    if (webhooks.length === 0) return 0;
+
+    const now = Date.now();
+    webhooks.forEach(webhook => this.enqueue(webhook.id, eventType, data, now, data.cursor));
+
+    this.processQueue();
+    return webhooks.length;
+  }
+
+  /**
+   * @param {string|null} cursor - Contract event the delivery is for, so a reorg can retract it
+   */
+  enqueue(webhookId, eventType, data, nextAttemptAt = Date.now(), cursor = null) {
+    const createdAt = new Date().toISOString();
+    const { lastInsertRowid } = this.statements.insertDelivery.run({
+      $webhookId: webhookId,
+      $eventType: eventType,
+      $payload: JSON.stringify({ event: eventType, webhookId, createdAt, data }),
+      $cursor: cursor ?? null,
+      $nextAttemptAt: nextAttemptAt,
+      $createdAt: createdAt
+    });
+    return Number(lastInsertRowid);
+  }
+
+  async processQueue() {
+    if (this.isProcessing) return;
+    this.isProcessing = true;
+
+    try {
+      const due = this.statements.dueDeliveries.all({ $now: Date.now(), $limit: DELIVERY_BATCH_SIZE });
+      await Promise.all(due.map(delivery => this.attempt(delivery)));
+    } catch (error) {
+      this.logger.error('Webhook queue run failed:', error.message);
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
+  /**
+   * One delivery attempt; failures are retried with exponential backoff,
+   * after maxAttempts the delivery moves to the dead-letter log
+   * @returns {Promise<Object|null>} The delivery, null when it was deleted meanwhile
+   */
+  async attempt(delivery) {
+    // Read again for every attempt: the webhook may have been deleted, paused or pointed elsewhere
+    const row = this.statements.get.get(delivery.webhook_id);
+    const attempts = delivery.attempts + 1;
+    let responseStatus = null;
+    let error = null;
+    // Not worth retrying
+    let permanent = true;
+    let address = null;
+
+    if (!row) {
+      error = 'Webhook no longer exists';
+    } else if (row.active !== 1) {
+      error = 'Webhook is inactive';
+    } else {
+      ({ address, error, permanent } = await this.checkDeliveryTarget(row.url));
+    }
+
+    if (error === null) {
+      const body = JSON.stringify({ id: delivery.id, ...JSON.parse(delivery.payload) });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      this.inFlight.add(delivery.id);
+
+      try {
+        responseStatus = await postTo(row.url, address, {
+          headers: {
+            'content-type': 'application/json',
+            'user-agent': 'adera-validator-dashboard-webhooks',
+            'x-webhook-id': row.id,
+            'x-webhook-event': delivery.event_type,
+            'x-webhook-delivery': delivery.id.toString(),
+            'x-webhook-timestamp': timestamp,
+            'x-webhook-signature': signPayload(row.secret, timestamp, body)
+          },
+          body,
+          timeout: this.config.timeout
+        });
+
+        // A redirect could point at an internal address, it counts as a failure
+        if (responseStatus < 200 || responseStatus > 299) {
+          error = `HTTP ${responseStatus}`;
+        }
+      } catch (requestError) {
+        error = requestError.message;
+      } finally {
+        this.inFlight.delete(delivery.id);
+      }
+    }
+
+    const delivered = error === null;
+    const dead = !delivered && (permanent || attempts >= this.config.maxAttempts);
+    const backoff = Math.min(this.config.retryBaseDelay * 2 ** (attempts - 1), this.config.retryMaxDelay);
+
+    this.statements.updateDelivery.run({
+      $id: delivery.id,
+      $status: delivered ? 'delivered' : dead ? 'dead' : 'pending',
+      $attempts: attempts,
+      $nextAttemptAt: delivered || dead ? null : Date.now() + backoff,
+      $responseStatus: responseStatus,
+      $lastError: error,
+      $deliveredAt: delivered ? new Date().toISOString() : null
+    });
+
+    if (dead) {
+      this.logger.warn(`Webhook delivery ${delivery.id} (${delivery.event_type}) moved to dead letters after ${attempts} attempt(s): ${error}`);
+    } else if (!delivered) {
+      this.logger.debug(`Webhook delivery ${delivery.id} failed (${error}), retry in ${backoff}ms`);
+    }
+
+    const updated = this.statements.getDelivery.get(delivery.id);
+    return updated ? this.formatDelivery(updated) : null;
+  }
+
+  /**
+   * checkTarget for a stored url, resolved once per attempt: the delivery connects
+   * to the returned `address`, so a second lookup can't point it elsewhere.
+   * A host that now resolves to a private address is refused for good, one
+   * that does not resolve is retried.
+   * @returns {Promise<Object>} { address, error, permanent }
+   */
+  async checkDeliveryTarget(url) {
+    const { hostname } = new URL(url);
+    let addresses;
+    try {
+      addresses = await this.resolveHost(hostname);
+    } catch {
+      return { address: null, error: `Host ${hostname} does not resolve`, permanent: false };
+    }
+
+    const privateAddress = this.findPrivateAddress(addresses);
+    if (privateAddress) {
+      return { address: null, error: `Host ${hostname} resolves to a private address (${privateAddress})`, permanent: true };
+    }
+    return { address: addresses[0], error: null, permanent: false };
+  }
+
+  /**
+   * Send a `test` event to one webhook right away and report the outcome
+   */
+  async testFire(id) {
+    const webhook = this.get(id);
+    if (!webhook) return null;
+
+    const deliveryId = this.enqueue(id, 'test', {
+      type: 'test',
+      message: 'Test delivery from the Validator Dashboard API',
+      timestamp: new Date().toISOString()
+    }, null);
+
+    return this.attempt(this.statements.getDelivery.get(deliveryId));
+  }
+
+  /**
+   * Put a dead-lettered delivery back in the queue
+   */
+  retry(deliveryId) {
+    this.initialize();
+
+    const { changes } = this.statements.requeueDelivery.run({ $id: deliveryId, $now: Date.now() });
+    if (changes === 0) return null;
+
+    this.processQueue();
+    return this.formatDelivery(this.statements.getDelivery.get(deliveryId));
+  }
+
+  getDeliveries({ webhookId = null, status = null, limit = 50 } = {}) {
+    this.initialize();
+    return this.statements.deliveries
+      .all({ $webhookId: webhookId, $status: status, $limit: limit })
+      .map(row => this.formatDelivery(row));
+  }
+
+  formatDelivery(row) {
+    return {
+      id: row.id,
+      webhookId: row.webhook_id,
+      eventType: row.event_type,
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: row.next_attempt_at ? new Date(row.next_attempt_at).toISOString() : null,
+      responseStatus: row.response_status,
+      lastError: row.last_error,
+      createdAt: row.created_at,
+      deliveredAt: row.delivered_at,
+      payload: JSON.parse(row.payload)
+    };
+  }
+}
+
+// Export singleton instance
+export const WebhookService = new WebhookServiceClass();
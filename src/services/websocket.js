@@ -1,25 +1,75 @@
+import { EventEmitter } from "events";
 import { ethers } from "ethers";
 import ValidatorsABI from "../abi/Validators.abi.json";
+import { BlockchainService } from "./blockchain.js";
+import { ClientSubscription, EVENT_TOPICS, extractEventAddresses } from "./subscriptions.js";
+import { EventReplayBuffer, formatCursor, parseCursor } from "./replayBuffer.js";
+import { aprWebSocketEvents } from "./index.js";
+import { cacheManager } from "./cache.js";
+import { TxTracker, FINAL_STATUSES } from "./txTracker.js";
+import { UnbondingScheduler } from "./unbondingScheduler.js";
+import { config } from "../config/index.js";
 import { Logger } from "../utils/logger.js";
 
-export class WebSocketService {
-  constructor(rpcUrl, contractAddress) {
-    this.rpcUrl = rpcUrl;
+// Stake changes that trigger a per-delegator aprUpdate
+const APR_EVENTS = ['Staking', 'Unstake'];
+
+// Contract events forwarded to clients
+const LIVE_EVENTS = [
+  'ValidatorCreated',
+  'ValidatorUpdated',
+  'Staking',
+  'Unstake',
+  'ValidatorSlash',
+  'ValidatorUnjailed',
+  'DelegatorRewardsClaimed',
+  'WithdrawStaking',
+  'WithdrawRewards',
+  'RewardDistributed',
+  'ValidatorSetUpdated',
+  'AddToValidatorCandidate',
+  'RemoveFromValidatorCandidate'
+];
+
+export class WebSocketService extends EventEmitter {
+  constructor(contractAddress) {
+    super();
     this.contractAddress = contractAddress;
     this.provider = null;
     this.contract = null;
-    this.clients = new Set();
+    // Connection id -> { ws, subscription }
+    this.clients = new Map();
     this.eventFilters = new Map();
+    this.replayBuffer = new EventReplayBuffer(config.websocket.replayBufferSize);
+    // Block number -> hash of the last reorgDepth blocks, for reorg detection
+    this.blockHashes = new Map();
+    this.headBlock = null;
+    // Blocks are checked one at a time, in the order they arrive
+    this.blockQueue = Promise.resolve();
+    this.reorgStats = { detected: 0, deepest: 0, removedEvents: 0, lastReorg: null };
+    this.aprService = null;
+    this.aprTimer = null;
     this.isInitialized = false;
     this.logger = new Logger('WebSocket');
     this.blockLogging = process.env.LOG_BLOCKS === 'true';
+    this.onBlock = (blockNumber) => this.handleNewBlock(blockNumber);
+    this.onTxStatus = (entry) => this.handleTxStatus(entry);
+    this.onWithdrawalReady = (unbonding) => this.publish('withdrawalReady', {
+      type: 'withdrawalReady',
+      data: unbonding,
+      timestamp: new Date().toISOString()
+    }, [unbonding.staker, unbonding.validator]);
+
+    TxTracker.on('status', this.onTxStatus);
+    UnbondingScheduler.on('withdrawalReady', this.onWithdrawalReady);
 
     this.initialize();
   }
 
   async initialize() {
     try {
-      this.provider = new ethers.JsonRpcProvider(this.rpcUrl);
+      // Share the RPC pool so failover applies to event polling too
+      this.provider = BlockchainService.getProvider();
       this.contract = new ethers.Contract(
         this.contractAddress,
         ValidatorsABI,
@@ -37,36 +87,87 @@ export class WebSocketService {
     }
   }
 
-  addClient(ws) {
-    this.clients.add(ws);
-    this.logger.info(`Client connected (${this.clients.size} total)`);
+  // Elysia wraps the same socket in a new object per callback, the id is stable
+  getClientId(ws) {
+    return ws.id ?? ws;
+  }
 
-    ws.onclose = () => {
-      this.clients.delete(ws);
-      this.logger.info(`Client disconnected (${this.clients.size} remaining)`);
-    };
+  /**
+   * @param {Object} ws - WebSocket, or an EventStreamClient for SSE connections
+   * @param {ClientSubscription} subscription - Initial subscription, everything by default
+   */
+  addClient(ws, subscription = new ClientSubscription()) {
+    this.clients.set(this.getClientId(ws), { ws, subscription });
+    this.startConfirmedDelivery(subscription);
+    this.logger.info(`${ws.isEventStream ? 'Event stream' : 'Client'} connected (${this.clients.size} total)`);
+
+    ws.onclose = () => this.removeClient(ws);
 
     ws.onerror = (error) => {
       this.logger.error('WebSocket client error:', error);
-      this.clients.delete(ws);
+      this.removeClient(ws);
     };
 
     this.sendToClient(ws, {
       type: 'connection',
       message: 'Connected to Validator Dashboard WebSocket',
       timestamp: new Date().toISOString(),
-      clientCount: this.clients.size
+      clientCount: this.clients.size,
+      cursor: this.replayBuffer.latestCursor
     });
   }
 
   sendToClient(ws, data) {
     try {
       if (ws.readyState === 1) {
-        ws.send(JSON.stringify(data, null, 2));
+        // Event streams frame messages themselves
+        if (ws.isEventStream) {
+          ws.write(data);
+        } else {
+          ws.send(JSON.stringify(data, null, 2));
+        }
       }
     } catch (error) {
       this.logger.error('Error sending to client:', error);
-      this.clients.delete(ws);
+      this.removeClient(ws);
+    }
+  }
+
+  removeClient(ws) {
+    const id = this.getClientId(ws);
+    const client = this.clients.get(id);
+    if (!client) return;
+
+    client.subscription.dispose();
+    if (client.ws.isEventStream) {
+      client.ws.close();
+    }
+    this.clients.delete(id);
+    this.logger.info(`Client disconnected (${this.clients.size} remaining)`);
+  }
+
+  /**
+   * Send a topic message to the clients whose subscription matches it
+   * @param {string} topic - Event name, 'newBlock' or 'aprUpdate'
+   * @param {Object} data - Message payload
+   * @param {string[]} addresses - Lowercased addresses the message concerns
+   */
+  publish(topic, data, addresses = []) {
+    let delivered = 0;
+
+    this.clients.forEach(({ ws, subscription }) => {
+      if (!subscription.matches(topic, addresses)) return;
+      // Confirmation-depth clients get contract events from deliverConfirmed
+      if (subscription.confirmations > 0 && EVENT_TOPICS.includes(topic)) return;
+
+      delivered++;
+      subscription.dispatch(topic, data, (message, skipped) => {
+        this.sendToClient(ws, skipped > 0 ? { ...message, throttled: { skipped } } : message);
+      });
+    });
+
+    if (topic !== 'newBlock' && delivered > 0) {
+      this.logger.debug(`Published ${topic} to ${delivered} of ${this.clients.size} clients`);
     }
   }
 
@@ -76,20 +177,24 @@ export class WebSocketService {
     const message = JSON.stringify(data, null, 2);
     const clientsToRemove = [];
 
-    this.clients.forEach(client => {
+    this.clients.forEach(({ ws }) => {
       try {
-        if (client.readyState === 1) {
-          client.send(message);
+        if (ws.readyState === 1) {
+          if (ws.isEventStream) {
+            ws.write(data);
+          } else {
+            ws.send(message);
+          }
         } else {
-          clientsToRemove.push(client);
+          clientsToRemove.push(ws);
         }
       } catch (error) {
-        clientsToRemove.push(client);
+        clientsToRemove.push(ws);
       }
     });
 
-    clientsToRemove.forEach(client => {
-      this.clients.delete(client);
+    clientsToRemove.forEach(ws => {
+      this.removeClient(ws);
     });
 
     if (data.type !== 'newBlock') {
@@ -99,21 +204,7 @@ export class WebSocketService {
 
   setupEventListeners() {
     try {
-      const importantEvents = [
-        'ValidatorCreated',
-        'ValidatorUpdated',
-        'Staking',
-        'Unstake',
-        'ValidatorSlash',
-        'DelegatorRewardsClaimed',
-        'WithdrawRewards',
-        'RewardDistributed',
-        'ValidatorSetUpdated',
-        'AddToValidatorCandidate',
-        'RemoveFromValidatorCandidate'
-      ];
-
-      importantEvents.forEach(eventName => {
+      LIVE_EVENTS.forEach(eventName => {
         try {
           // FIX: Gunakan langsung event name tanpa filter
           this.contract.on(eventName, (...args) => {
@@ -129,9 +220,7 @@ export class WebSocketService {
       });
 
       if (this.provider) {
-        this.provider.on('block', (blockNumber) => {
-          this.handleNewBlock(blockNumber);
-        });
+        this.provider.on('block', this.onBlock);
       }
 
       this.logger.success('Event listeners setup completed');
@@ -140,7 +229,10 @@ export class WebSocketService {
     }
   }
 
-  handleContractEvent(eventName, event, args) {
+  handleContractEvent(eventName, payload, args) {
+    // ethers v6 passes a ContractEventPayload, the log itself sits under `.log`
+    const event = payload?.log ?? payload;
+
     try {
       // Log raw args untuk debugging
       this.logger.debug(`Raw event args for ${eventName}:`, {
@@ -149,12 +241,28 @@ export class WebSocketService {
         eventTx: event?.transactionHash
       });
 
+      const sequence = { blockNumber: event.blockNumber, logIndex: event.index };
+
+      // Logs of a block that left the canonical chain
+      if (event.removed) {
+        this.retractEvents(entry => formatCursor(entry.cursor) === formatCursor(sequence));
+        return;
+      }
+      const knownHash = this.blockHashes.get(event.blockNumber);
+      if (knownHash && event.blockHash && knownHash !== event.blockHash) {
+        this.logger.debug(`${eventName} at ${formatCursor(sequence)} is from a replaced block, ignored`);
+        return;
+      }
+
       const parsedData = this.parseEventData(eventName, args);
 
       const eventData = {
         type: 'contractEvent',
         eventName,
+        cursor: formatCursor(sequence),
         blockNumber: event.blockNumber,
+        blockHash: event.blockHash,
+        logIndex: event.index,
         transactionHash: event.transactionHash,
         timestamp: new Date().toISOString(),
         data: parsedData
@@ -175,7 +283,25 @@ export class WebSocketService {
         });
       }
 
-      this.broadcast(eventData);
+      const addresses = extractEventAddresses(parsedData);
+
+      // Polling can deliver the same log twice; replayed clients must not see it again
+      if (!this.replayBuffer.add({ cursor: sequence, topic: eventName, addresses, message: eventData })) {
+        this.logger.debug(`Duplicate ${eventName} at ${eventData.cursor} ignored`);
+        return;
+      }
+
+      this.publish(eventName, eventData, addresses);
+      // In-process consumers (webhooks)
+      this.emit('contractEvent', eventData, addresses);
+
+      if (APR_EVENTS.includes(eventName) && this.aprService && this.hasExplicitSubscribers('aprUpdate')) {
+        aprWebSocketEvents.broadcastAPRUpdate(
+          this.topicPublisher('aprUpdate', addresses),
+          { ...parsedData, eventType: eventName },
+          this.aprService
+        );
+      }
 
     } catch (error) {
       this.logger.error(`Error handling contract event ${eventName}:`, {
@@ -198,7 +324,12 @@ export class WebSocketService {
         this.logger.debug(`New block: ${blockNumber}`);
       }
 
-      this.broadcast(blockData);
+      this.publish('newBlock', blockData);
+      this.emit('newBlock', blockNumber);
+
+      this.blockQueue = this.blockQueue
+        .then(() => this.trackBlock(blockNumber))
+        .catch(error => this.logger.warn(`Reorg check for block ${blockNumber} failed:`, error.message));
 
     } catch (error) {
       if (this.blockLogging) {
@@ -207,6 +338,228 @@ export class WebSocketService {
     }
   }
 
+  /**
+   * Record the block hash, handle a reorg when it does not extend the known
+   * chain, then release events that reached each client's confirmation depth
+   */
+  async trackBlock(blockNumber) {
+    const block = await this.provider.getBlock(blockNumber);
+    if (!block) return;
+
+    const knownHash = this.blockHashes.get(block.number);
+    const parentHash = this.blockHashes.get(block.number - 1);
+
+    if ((knownHash && knownHash !== block.hash) || (parentHash && parentHash !== block.parentHash)) {
+      const oldHead = this.headBlock;
+      const forkBlock = await this.findForkBlock(block);
+      await this.handleReorg({ forkBlock, oldHead: Math.max(oldHead, forkBlock), newHead: block.number });
+    } else if (this.headBlock !== null && block.number <= this.headBlock) {
+      // Repeated notification for a block already seen
+      return;
+    }
+
+    this.blockHashes.set(block.number, block.hash);
+    this.headBlock = block.number;
+    this.blockHashes.forEach((_, number) => {
+      if (number <= block.number - config.websocket.reorgDepth || number > block.number) {
+        this.blockHashes.delete(number);
+      }
+    });
+
+    this.deliverConfirmed(block.number);
+  }
+
+  /**
+   * First block of the new chain that differs from the tracked one. Walks back
+   * through parent hashes; beyond the tracked depth the oldest tracked block is assumed.
+   */
+  async findForkBlock(block) {
+    const newBlocks = [];
+    let current = block;
+
+    for (;;) {
+      const knownParent = this.blockHashes.get(current.number - 1);
+      if (!knownParent || knownParent === current.parentHash) break;
+
+      const parent = await this.provider.getBlock(current.parentHash);
+      if (!parent) break;
+      newBlocks.push(parent);
+      current = parent;
+    }
+
+    const forkBlock = current.number;
+    if (newBlocks.length > 0 && this.blockHashes.get(forkBlock - 1) !== current.parentHash) {
+      this.logger.warn(`Reorg fork point not found within the ${config.websocket.reorgDepth} tracked blocks, assuming block ${forkBlock}`);
+    }
+
+    this.blockHashes.forEach((_, number) => {
+      if (number >= forkBlock) this.blockHashes.delete(number);
+    });
+    newBlocks.forEach(newBlock => this.blockHashes.set(newBlock.number, newBlock.hash));
+
+    return forkBlock;
+  }
+
+  /**
+   * Retract events of the replaced blocks, tell clients about the reorg,
+   * invalidate caches and re-read the contract logs of the new chain
+   */
+  async handleReorg({ forkBlock, oldHead, newHead }) {
+    const removed = this.retractEvents(entry => entry.cursor.blockNumber >= forkBlock);
+    const depth = oldHead - forkBlock + 1;
+    const invalidated = await cacheManager.invalidateFromBlock(forkBlock);
+
+    // Confirmed delivery restarts from the fork, for the events of the new chain
+    this.clients.forEach(({ subscription }) => {
+      if (subscription.confirmedBlock !== null && subscription.confirmedBlock >= forkBlock) {
+        subscription.confirmedBlock = forkBlock - 1;
+      }
+    });
+
+    const reorg = {
+      fromBlock: forkBlock,
+      toBlock: oldHead,
+      newHead,
+      depth,
+      removedEvents: removed.length
+    };
+
+    this.reorgStats.detected++;
+    this.reorgStats.deepest = Math.max(this.reorgStats.deepest, depth);
+    this.reorgStats.removedEvents += removed.length;
+    this.reorgStats.lastReorg = { ...reorg, detectedAt: new Date().toISOString() };
+
+    this.logger.warn(`Chain reorg: blocks ${forkBlock}-${oldHead} replaced (depth ${depth}), ${removed.length} event(s) removed`);
+
+    this.publish('reorg', {
+      type: 'reorg',
+      data: reorg,
+      timestamp: new Date().toISOString()
+    });
+    this.emit('reorg', { ...reorg, invalidated });
+
+    await this.refetchEvents(forkBlock, newHead);
+  }
+
+  /**
+   * Remove buffered events and send `eventRemoved` to the clients that received them
+   * @returns {Object[]} The removed replay buffer entries
+   */
+  retractEvents(predicate) {
+    const removed = this.replayBuffer.remove(predicate);
+
+    removed.forEach(entry => {
+      const cursor = formatCursor(entry.cursor);
+      const message = {
+        type: 'eventRemoved',
+        eventName: entry.topic,
+        cursor,
+        blockNumber: entry.cursor.blockNumber,
+        blockHash: entry.message.blockHash,
+        logIndex: entry.cursor.logIndex,
+        transactionHash: entry.message.transactionHash,
+        reason: 'reorg',
+        timestamp: new Date().toISOString()
+      };
+
+      this.clients.forEach(({ ws, subscription }) => {
+        if (!subscription.matches(entry.topic, entry.addresses)) return;
+        if (subscription.confirmations > 0) {
+          // Not delivered yet at this depth
+          if (subscription.confirmedBlock === null || entry.cursor.blockNumber > subscription.confirmedBlock) return;
+        } else if (subscription.dropPending(entry.topic, pending => pending.cursor === cursor)) {
+          // Still held back by the throttle, the client never saw it
+          return;
+        }
+
+        this.sendToClient(ws, message);
+      });
+
+      this.emit('eventRemoved', message);
+    });
+
+    return removed;
+  }
+
+  /**
+   * Publish the contract events of blocks `fromBlock`..`toBlock` on the current chain
+   */
+  async refetchEvents(fromBlock, toBlock) {
+    try {
+      const logs = await this.provider.getLogs({ address: this.contractAddress, fromBlock, toBlock });
+
+      logs.forEach(log => {
+        let parsed = null;
+        try {
+          parsed = this.contract.interface.parseLog(log);
+        } catch {
+          // Not a Validators event
+        }
+        if (!parsed || !LIVE_EVENTS.includes(parsed.name)) return;
+
+        this.handleContractEvent(parsed.name, log, [...parsed.args, log]);
+      });
+    } catch (error) {
+      this.logger.error(`Failed to refetch events for blocks ${fromBlock}-${toBlock} after reorg:`, error.message);
+    }
+  }
+
+  /**
+   * Start a confirmation-depth client at the events already confirmed, so
+   * only events confirmed from now on are delivered
+   */
+  startConfirmedDelivery(subscription) {
+    if (subscription.confirmations === 0 || subscription.confirmedBlock !== null) return;
+    subscription.confirmedBlock = this.headBlock !== null
+      ? this.headBlock - subscription.confirmations + 1
+      : 0;
+  }
+
+  /**
+   * Send confirmation-depth clients the buffered events that reached their
+   * depth at `headBlock`; an event in block B has headBlock - B + 1 confirmations
+   */
+  deliverConfirmed(headBlock) {
+    this.clients.forEach(({ ws, subscription }) => {
+      if (subscription.confirmations === 0 || subscription.confirmedBlock === null) return;
+
+      const confirmedBlock = headBlock - subscription.confirmations + 1;
+      if (confirmedBlock <= subscription.confirmedBlock) return;
+
+      this.replayBuffer.entries
+        .filter(entry => entry.cursor.blockNumber > subscription.confirmedBlock && entry.cursor.blockNumber <= confirmedBlock)
+        .filter(entry => subscription.matches(entry.topic, entry.addresses))
+        .forEach(entry => {
+          const message = { ...entry.message, confirmations: headBlock - entry.cursor.blockNumber + 1 };
+          subscription.dispatch(entry.topic, message, (latest, skipped) => {
+            this.sendToClient(ws, skipped > 0 ? { ...latest, throttled: { skipped } } : latest);
+          });
+        });
+
+      subscription.confirmedBlock = confirmedBlock;
+    });
+  }
+
+  /**
+   * Push a tracked transaction's status to the clients watching it
+   */
+  handleTxStatus(entry) {
+    const message = {
+      type: 'txStatus',
+      data: entry,
+      timestamp: new Date().toISOString()
+    };
+
+    this.clients.forEach(({ ws, subscription }) => {
+      if (!subscription.watchedTxs.has(entry.hash)) return;
+
+      this.sendToClient(ws, message);
+      if (FINAL_STATUSES.includes(entry.status)) {
+        subscription.watchedTxs.delete(entry.hash);
+      }
+    });
+  }
+
   /**
    * Enhanced event data parser dengan better error handling
    */
@@ -417,7 +770,8 @@ export class WebSocketService {
 
   handleMessage(ws, message) {
     try {
-      const data = JSON.parse(message);
+      // Elysia already parses JSON messages
+      const data = typeof message === 'string' ? JSON.parse(message) : message;
 
       this.logger.debug('WebSocket message received:', { type: data.type });
 
@@ -433,11 +787,90 @@ export class WebSocketService {
           this.sendStats(ws);
           break;
 
-        case 'subscribe':
-          this.logger.info('Client subscribed to events:', data.events);
+        case 'subscribe': {
+          const subscription = this.getSubscription(ws);
+          const errors = subscription.subscribe({
+            // `events` is accepted for clients written against the old protocol
+            topics: data.topics || data.events || [],
+            addresses: data.addresses || [],
+            throttle: data.throttle || {},
+            confirmations: data.confirmations
+          });
+
+          if (errors.length > 0) {
+            this.sendToClient(ws, {
+              type: 'error',
+              message: 'Invalid subscription',
+              errors,
+              timestamp: new Date().toISOString()
+            });
+            break;
+          }
+
+          if (subscription.confirmations === 0) {
+            subscription.confirmedBlock = null;
+          }
+          this.startConfirmedDelivery(subscription);
+
+          this.logger.info('Client subscribed:', subscription.toJSON());
           this.sendToClient(ws, {
             type: 'subscribed',
-            events: data.events,
+            subscription: subscription.toJSON(),
+            timestamp: new Date().toISOString()
+          });
+          break;
+        }
+
+        case 'unsubscribe': {
+          const subscription = this.getSubscription(ws);
+          subscription.unsubscribe({
+            topics: data.topics || data.events || [],
+            addresses: data.addresses || []
+          });
+
+          this.sendToClient(ws, {
+            type: 'unsubscribed',
+            subscription: subscription.toJSON(),
+            timestamp: new Date().toISOString()
+          });
+          break;
+        }
+
+        case 'resume':
+          this.resumeClient(ws, data.cursor);
+          break;
+
+        case 'watchTx': {
+          try {
+            const entry = TxTracker.track(data.hash, {
+              confirmations: data.confirmations === undefined ? undefined : Number(data.confirmations),
+              owner: `ws:${this.getClientId(ws)}`
+            });
+            if (!FINAL_STATUSES.includes(entry.status)) {
+              this.getSubscription(ws).watchedTxs.add(entry.hash);
+            }
+
+            // Current state right away, later changes arrive as they happen
+            this.sendToClient(ws, {
+              type: 'txStatus',
+              data: entry,
+              timestamp: new Date().toISOString()
+            });
+          } catch (error) {
+            this.sendToClient(ws, {
+              type: 'error',
+              message: error.message,
+              timestamp: new Date().toISOString()
+            });
+          }
+          break;
+        }
+
+        case 'unwatchTx':
+          this.getSubscription(ws).watchedTxs.delete(String(data.hash).toLowerCase());
+          this.sendToClient(ws, {
+            type: 'unwatchedTx',
+            hash: data.hash,
             timestamp: new Date().toISOString()
           });
           break;
@@ -461,13 +894,149 @@ export class WebSocketService {
     }
   }
 
+  /**
+   * Replay buffered contract events after `cursor` that match the client's
+   * subscription. Replay runs synchronously, so live events can only follow it.
+   */
+  resumeClient(ws, cursor) {
+    const position = parseCursor(cursor);
+    if (!position) {
+      this.sendToClient(ws, {
+        type: 'error',
+        message: 'Invalid cursor, expected "blockNumber:logIndex"',
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const subscription = this.getSubscription(ws);
+    const { entries, gap } = this.replayBuffer.since(position);
+    // Confirmation-depth clients only get events that already reached their depth
+    const confirmedBlock = subscription.confirmations > 0 && this.headBlock !== null
+      ? this.headBlock - subscription.confirmations + 1
+      : null;
+    const matching = entries
+      .filter(entry => subscription.matches(entry.topic, entry.addresses))
+      .filter(entry => confirmedBlock === null || entry.cursor.blockNumber <= confirmedBlock);
+
+    matching.forEach(entry => {
+      const confirmations = confirmedBlock === null ? {} : { confirmations: this.headBlock - entry.cursor.blockNumber + 1 };
+      this.sendToClient(ws, { ...entry.message, ...confirmations, replayed: true });
+    });
+    if (confirmedBlock !== null) {
+      subscription.confirmedBlock = confirmedBlock;
+    }
+
+    this.logger.info(`Client resumed from ${cursor}, replayed ${matching.length} event(s)${gap ? ' (buffer exceeded)' : ''}`);
+
+    this.sendToClient(ws, {
+      type: 'resumed',
+      fromCursor: formatCursor(position),
+      cursor: confirmedBlock === null
+        ? this.replayBuffer.latestCursor ?? formatCursor(position)
+        : matching[matching.length - 1]?.message.cursor ?? formatCursor(position),
+      replayed: matching.length,
+      // Events between the cursor and the oldest buffered one are lost; refetch via REST
+      complete: !gap,
+      oldestCursor: this.replayBuffer.getStats().oldestCursor,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  getSubscription(ws) {
+    const id = this.getClientId(ws);
+    if (!this.clients.has(id)) {
+      this.clients.set(id, { ws, subscription: new ClientSubscription() });
+    }
+    return this.clients.get(id).subscription;
+  }
+
+  /**
+   * Periodically publish network APR to clients subscribed to `aprUpdate` or `averageAPRUpdate`
+   */
+  startAPRUpdates(aprService) {
+    this.aprService = aprService;
+    if (!aprService || this.aprTimer) return;
+
+    this.aprTimer = setInterval(() => this.publishAPRUpdate(), config.websocket.aprUpdateInterval);
+  }
+
+  /**
+   * Whether any client asked for `topic` by name; APR topics are only computed for them
+   */
+  hasExplicitSubscribers(topic) {
+    return Array.from(this.clients.values())
+      .some(({ subscription }) => subscription.topics?.has(topic));
+  }
+
+  /**
+   * Socket-like target for the helpers in services/index.js, which send serialized
+   * messages to a single socket; here the message is published to every subscriber
+   */
+  topicPublisher(topic, addresses = []) {
+    return {
+      send: (message) => this.publish(topic, JSON.parse(message), addresses)
+    };
+  }
+
+  async publishAPRUpdate() {
+    if (this.hasExplicitSubscribers('averageAPRUpdate')) {
+      await aprWebSocketEvents.broadcastAverageAPRUpdate(this.topicPublisher('averageAPRUpdate'), this.aprService);
+    }
+
+    // Only explicit subscribers get APR updates, so skip the work when there are none
+    if (!this.hasExplicitSubscribers('aprUpdate')) return;
+
+    try {
+      const [average, top] = await Promise.all([
+        this.aprService.calculateAverageAPR('auto'),
+        this.aprService.getTopValidatorsByAPR('auto', { limit: 10 })
+      ]);
+
+      this.publish('aprUpdate', {
+        type: 'aprUpdate',
+        data: {
+          averageAPR: average.success ? average.data.averageAPR : null,
+          topValidators: top.success ? top.data.validators.map(({ rank, validator, moniker, apr }) => ({ rank, validator, moniker, apr })) : [],
+          blockTime: average.success ? average.data.blockConfiguration : null
+        },
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      this.logger.error('Failed to publish APR update:', error.message);
+    }
+  }
+
+  getSubscriptionStats() {
+    const byTopic = {};
+    let filtered = 0;
+    let eventStreams = 0;
+
+    this.clients.forEach(({ ws, subscription }) => {
+      if (ws.isEventStream) eventStreams++;
+      if (!subscription.topics) return;
+      filtered++;
+      subscription.topics.forEach(topic => {
+        byTopic[topic] = (byTopic[topic] || 0) + 1;
+      });
+    });
+
+    return {
+      filteredClients: filtered,
+      allTopicsClients: this.clients.size - filtered,
+      eventStreams,
+      byTopic
+    };
+  }
+
   sendStats(ws) {
     const stats = {
       type: 'stats',
       data: {
         connectedClients: this.clients.size,
         activeListeners: this.eventFilters.size,
-        isInitialized: this.isInitialized
+        isInitialized: this.isInitialized,
+        subscription: this.getSubscription(ws).toJSON()
       },
       timestamp: new Date().toISOString()
     };
@@ -481,16 +1050,34 @@ export class WebSocketService {
       activeListeners: this.eventFilters.size,
       isInitialized: this.isInitialized,
       contractAddress: this.contractAddress,
-      rpcUrl: this.rpcUrl
+      rpcEndpoint: this.provider?.getStatus().activeEndpoint ?? null,
+      subscriptions: this.getSubscriptionStats(),
+      replayBuffer: this.replayBuffer.getStats(),
+      reorgs: {
+        ...this.reorgStats,
+        headBlock: this.headBlock,
+        trackedBlocks: this.blockHashes.size,
+        maxDepth: config.websocket.reorgDepth
+      },
+      txTracker: TxTracker.getStatus()
     };
   }
 
   destroy() {
     this.logger.info('Destroying WebSocket service...');
 
-    this.clients.forEach(client => {
+    if (this.aprTimer) {
+      clearInterval(this.aprTimer);
+      this.aprTimer = null;
+    }
+
+    TxTracker.off('status', this.onTxStatus);
+    UnbondingScheduler.off('withdrawalReady', this.onWithdrawalReady);
+
+    this.clients.forEach(({ ws, subscription }) => {
+      subscription.dispose();
       try {
-        client.close();
+        ws.close();
       } catch (error) {
         // Ignore errors when closing
       }
@@ -508,7 +1095,8 @@ export class WebSocketService {
 
     if (this.provider) {
       try {
-        this.provider.removeAllListeners();
+        // The provider is shared, only detach our own block listener
+        this.provider.off('block', this.onBlock);
       } catch (error) {
         this.logger.error('Error removing provider listeners:', error);
       }
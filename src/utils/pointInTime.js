@@ -0,0 +1,73 @@
+import { responseWrapper } from "./response.js";
+
+// Reads at a fixed past block never change, they are cached longer than latest state
+export const HISTORICAL_CACHE_TTL = 600000;
+
+// Node errors for state that was pruned or never kept (geth, erigon, nethermind, besu)
+const MISSING_STATE_PATTERN = /missing trie node|header not found|historical state|state (is )?not available|state unavailable|pruned|unknown block|block not found/i;
+
+/**
+ * Invalid atBlock / atTime parameter
+ */
+export class BlockTagError extends Error {
+  constructor(message, details = null) {
+    super(message);
+    this.name = 'BlockTagError';
+    this.code = 'INVALID_BLOCK_TAG';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * The RPC endpoint no longer has state for the requested block (not an archive node)
+ */
+export class ArchiveNodeError extends Error {
+  constructor(blockNumber, reason) {
+    super(`State at block ${blockNumber} is not available from the RPC endpoint; historical queries (atBlock/atTime) need an archive node`);
+    this.name = 'ArchiveNodeError';
+    this.code = 'ARCHIVE_NODE_REQUIRED';
+    this.status = 501;
+    this.details = { blockNumber, reason };
+  }
+}
+
+export function isMissingStateError(error) {
+  return [error?.message, error?.shortMessage, error?.info?.error?.message, error?.error?.message]
+    .some(message => typeof message === 'string' && MISSING_STATE_PATTERN.test(message));
+}
+
+/**
+ * Error to rethrow for a failed read at `blockTag`; pruned state becomes ArchiveNodeError
+ */
+export function historicalReadError(error, blockTag) {
+  if (error instanceof ArchiveNodeError || error instanceof BlockTagError) return error;
+  if (isMissingStateError(error)) {
+    return new ArchiveNodeError(blockTag, error.info?.error?.message || error.shortMessage || error.message);
+  }
+  return error;
+}
+
+/**
+ * Cache key of a read at `blockTag`; latest reads keep their plain key
+ */
+export function blockTagKey(key, blockTag) {
+  return blockTag === undefined ? key : `${key}@${blockTag}`;
+}
+
+/**
+ * Response meta describing the resolved block of a point-in-time request
+ */
+export function pointInTimeMeta(pointInTime) {
+  return pointInTime ? { pointInTime } : {};
+}
+
+/**
+ * Error response for BlockTagError / ArchiveNodeError; null for any other error
+ */
+export function pointInTimeError(error, set) {
+  if (!(error instanceof BlockTagError) && !(error instanceof ArchiveNodeError)) return null;
+
+  set.status = error.status;
+  return responseWrapper.error(error.message, error.code, error.details);
+}
@@ -0,0 +1,31 @@
+/**
+ * Gini coefficient of a list of values (0 = equal, 1 = concentrated)
+ */
+export function calculateGini(values) {
+  if (values.length === 0) return 0;
+  
+  const sorted = values.slice().sort((a, b) => a - b);
+  const n = sorted.length;
+  const sum = sorted.reduce((acc, val) => acc + val, 0);
+  
+  if (sum === 0) return 0;
+  
+  let gini = 0;
+  for (let i = 0; i < n; i++) {
+    gini += (2 * (i + 1) - n - 1) * sorted[i];
+  }
+  
+  return gini / (n * sum);
+}
+
+/**
+ * Median of a list of numbers (0 for an empty list)
+ */
+export function calculateMedian(values) {
+  if (values.length === 0) return 0;
+
+  const sorted = values.slice().sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+}
@@ -0,0 +1,192 @@
+import { ethers } from "ethers";
+import { createServer } from "net";
+import ValidatorsABI from "../src/abi/Validators.abi.json";
+
+export const validatorsInterface = new ethers.Interface(ValidatorsABI);
+export const CONTRACT_ADDRESS = '0x1234567890123456789012345678901234567890';
+
+export const address = (n) => ethers.getAddress(`0x${n.toString(16).padStart(40, '0')}`);
+export const blockHash = (number, fork = 0) => ethers.zeroPadValue(ethers.toBeHex(number * 1000 + fork), 32);
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Raw log of a validators contract event, as returned by eth_getLogs
+ */
+export function contractLog(eventName, args, { blockNumber = 1, index = 0, fork = 0, transactionHash } = {}) {
+  const fragment = validatorsInterface.getEvent(eventName);
+  const { topics, data } = validatorsInterface.encodeEventLog(fragment, args);
+
+  return {
+    address: CONTRACT_ADDRESS,
+    topics,
+    data,
+    blockNumber,
+    blockHash: blockHash(blockNumber, fork),
+    index,
+    transactionHash: transactionHash ?? ethers.zeroPadValue(ethers.toBeHex(blockNumber * 100 + index), 32),
+    removed: false
+  };
+}
+
+/**
+ * Provider stand-in serving a fixed set of logs and blocks 12s apart
+ */
+export function fakeProvider({ logs = [], head = 100 } = {}) {
+  return {
+    head,
+    logs,
+    getBlockNumber: async function () { return this.head; },
+    getBlock: async function (tag) {
+      const number = tag === 'latest' ? this.head : Number(tag);
+      if (number > this.head) return null;
+      return { number, hash: blockHash(number), parentHash: number > 0 ? blockHash(number - 1) : ethers.ZeroHash, timestamp: 1700000000 + number * 12 };
+    },
+    getLogs: async function ({ fromBlock, toBlock }) {
+      return this.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    }
+  };
+}
+
+/**
+ * RESP encoding of a reply: strings as bulk strings, `{ status }` as a simple
+ * string, Errors as error replies
+ */
+export function respReply(value) {
+  if (value === null) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (value instanceof Error) return `-${value.message}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(respReply).join('')}`;
+  if (typeof value === 'object') return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+// One command (array of bulk strings) from the start of `buffer`, undefined while incomplete
+function parseCommand(buffer) {
+  const text = buffer.toString('latin1');
+  let position = text.indexOf('\r\n');
+  if (position === -1) return undefined;
+  const count = Number(text.slice(1, position));
+  position += 2;
+
+  const args = [];
+  for (let i = 0; i < count; i++) {
+    const lineEnd = text.indexOf('\r\n', position);
+    if (lineEnd === -1) return undefined;
+    const length = Number(text.slice(position + 1, lineEnd));
+    if (text.length < lineEnd + 2 + length + 2) return undefined;
+    args.push(buffer.toString('utf8', lineEnd + 2, lineEnd + 2 + length));
+    position = lineEnd + 2 + length + 2;
+  }
+  return { args, length: position };
+}
+
+// SCAN MATCH glob as a RegExp: `*`, `?` and backslash escapes
+function globPattern(glob) {
+  let source = '';
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if (char === '\\') source += glob[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    else if (char === '*') source += '.*';
+    else if (char === '?') source += '.';
+    else source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * Redis stand-in on localhost speaking RESP2: GET, SET [PX], DEL, SCAN (two
+ * keys per page), PING, AUTH and SELECT. `handlers[COMMAND]` overrides a
+ * command with a raw reply, or no reply when it returns undefined.
+ * `chunkSize` splits replies into pieces written a few ms apart.
+ */
+export async function fakeRedis({ password = null } = {}) {
+  const store = new Map();
+  const sockets = new Set();
+  const redis = { commands: [], connections: 0, handlers: {}, chunkSize: 0, store };
+
+  const execute = (args, session) => {
+    const name = args[0].toUpperCase();
+    if (redis.handlers[name]) return redis.handlers[name](args);
+
+    if (name === 'AUTH') {
+      if (args.at(-1) !== password) return respReply(new Error('WRONGPASS invalid username-password pair'));
+      session.authenticated = true;
+      return respReply({ status: 'OK' });
+    }
+    if (password && !session.authenticated) return respReply(new Error('NOAUTH Authentication required.'));
+
+    const now = Date.now();
+    for (const [key, item] of store) {
+      if (item.expiresAt <= now) store.delete(key);
+    }
+
+    switch (name) {
+      case 'PING':
+        return respReply({ status: 'PONG' });
+      case 'SELECT':
+        return respReply({ status: 'OK' });
+      case 'GET':
+        return respReply(store.get(args[1])?.value ?? null);
+      case 'SET': {
+        const px = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        store.set(args[1], { value: args[2], expiresAt: px === -1 ? Infinity : now + Number(args[px + 1]) });
+        return respReply({ status: 'OK' });
+      }
+      case 'DEL':
+        return respReply(args.slice(1).filter(key => store.delete(key)).length);
+      case 'SCAN': {
+        const match = args.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const pattern = match === -1 ? /^/ : globPattern(args[match + 1]);
+        const keys = Array.from(store.keys());
+        const start = Number(args[1]);
+        const next = start + 2 >= keys.length ? '0' : String(start + 2);
+        return respReply([next, keys.slice(start, start + 2).filter(key => pattern.test(key))]);
+      }
+      default:
+        return respReply(new Error(`ERR unknown command '${args[0]}'`));
+    }
+  };
+
+  const write = async (socket, reply) => {
+    if (!redis.chunkSize) {
+      socket.write(reply);
+      return;
+    }
+    const bytes = Buffer.from(reply);
+    for (let offset = 0; offset < bytes.length; offset += redis.chunkSize) {
+      socket.write(bytes.subarray(offset, offset + redis.chunkSize));
+      await sleep(2);
+    }
+  };
+
+  const server = createServer((socket) => {
+    const session = { authenticated: false, buffer: Buffer.alloc(0), replies: Promise.resolve() };
+    redis.connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+
+    socket.on('data', (chunk) => {
+      session.buffer = Buffer.concat([session.buffer, chunk]);
+      let command;
+      while ((command = parseCommand(session.buffer)) !== undefined) {
+        session.buffer = session.buffer.subarray(command.length);
+        redis.commands.push(command.args);
+        const reply = execute(command.args, session);
+        // Replies keep command order, also when written in chunks
+        if (reply !== undefined) session.replies = session.replies.then(() => write(socket, reply));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  redis.port = server.address().port;
+  redis.url = (auth = '', database = '') => `redis://${auth}127.0.0.1:${redis.port}/${database}`;
+  redis.dropConnections = () => sockets.forEach(socket => socket.destroy());
+  redis.stop = () => {
+    redis.dropConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return redis;
+}
@@ -0,0 +1,118 @@
+import { describe, test, expect, beforeAll } from "bun:test";
+import { ethers } from "ethers";
+import ValidatorsABI from "../../src/abi/Validators.abi.json";
+import APRCalculatorService from "../../src/services/aprCalculator.js";
+import { EventIndexer } from "../../src/services/eventIndexer.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { DatabaseService } from "../../src/services/database.js";
+import { CONTRACT_ADDRESS, address, contractLog, fakeProvider } from "../helpers.js";
+
+const validatorA = address(0x7a1);
+const validatorB = address(0x7a2);
+const HEAD = 60000;
+// Blocks are 12s apart in fakeProvider: 7 days end at HEAD and start at HEAD - 50400
+const WINDOW_START = HEAD - 50400;
+
+const reward = (validators, rewards, blockNumber) =>
+  contractLog('RewardDistributed', [validators, rewards.map(amount => ethers.parseEther(amount)), validators.length], { blockNumber });
+
+describe('validator reward sums', () => {
+  beforeAll(async () => {
+    BlockchainService.provider = fakeProvider({
+      head: HEAD,
+      logs: [
+        reward([validatorA, validatorB], ['1', '2'], WINDOW_START - 10),
+        reward([validatorA, validatorB], ['3', '4'], WINDOW_START + 10),
+        reward([validatorB, validatorA, validatorA], ['5', '6', '0.5'], HEAD - 10)
+      ]
+    });
+    await EventIndexer.indexRange(WINDOW_START - 20, HEAD);
+  });
+
+  test('sum only the requested validator within the block range', () => {
+    expect(EventIndexer.getValidatorRewards(validatorA, { fromBlock: WINDOW_START + 1, toBlock: HEAD })).toEqual({
+      total: ethers.parseEther('9.5'),
+      count: 2
+    });
+    expect(EventIndexer.getValidatorRewards(validatorB.toLowerCase(), { fromBlock: 0, toBlock: HEAD })).toEqual({
+      total: ethers.parseEther('11'),
+      count: 3
+    });
+    expect(EventIndexer.getValidatorRewards(address(0x7a3), { fromBlock: 0, toBlock: HEAD }).count).toBe(0);
+  });
+
+  test('backfill covers events indexed before the rewards table', () => {
+    const db = DatabaseService.getDatabase();
+    db.query('DELETE FROM validator_rewards').run();
+
+    EventIndexer.backfillValidatorRewards();
+
+    expect(EventIndexer.getValidatorRewards(validatorA, { fromBlock: 0, toBlock: HEAD }).total).toBe(ethers.parseEther('10.5'));
+  });
+
+  test('empirical APR reads the validator reward sum instead of every event', async () => {
+    const service = new APRCalculatorService(BlockchainService.provider, CONTRACT_ADDRESS, ValidatorsABI);
+    service.contract = {
+      validatorInfo: async (validator, { blockTag }) => {
+        // Start of the window is pruned: the APR comes from reward events
+        if (blockTag !== HEAD) throw new Error('missing trie node');
+        return {
+          stakingAmount: ethers.parseEther('1000'),
+          commissionRate: 1000n,
+          accRewardPerStake: 0n,
+          accSlashPerStake: 0n
+        };
+      }
+    };
+
+    const getAllEvents = EventIndexer.getAllEvents;
+    EventIndexer.getAllEvents = () => { throw new Error('full event scan'); };
+    try {
+      const result = await service.calculateEmpiricalAPR(validatorA, '7d');
+
+      expect(result).toMatchObject({ success: true });
+      expect(result.data).toMatchObject({
+        method: 'rewardEvents',
+        window: { fromBlock: WINDOW_START, toBlock: HEAD },
+        rewardEvents: { sampleSize: 2, totalRewards: '9.5', delegatorRewards: '8.55' }
+      });
+      // 8.55 on 1000 staked over 7 days
+      expect(Number(result.data.apr)).toBeCloseTo(8.55 / 1000 * 365 / 7 * 100, 1);
+    } finally {
+      EventIndexer.getAllEvents = getAllEvents;
+    }
+  });
+
+  const serviceWith = (validatorInfo) => {
+    const service = new APRCalculatorService(BlockchainService.provider, CONTRACT_ADDRESS, ValidatorsABI);
+    service.contract = { validatorInfo };
+    return service;
+  };
+  const info = (accRewardPerStake) => ({
+    stakingAmount: ethers.parseEther('1000'),
+    commissionRate: 1000n,
+    accRewardPerStake,
+    accSlashPerStake: 0n
+  });
+
+  test('the accumulator is used when the window start is readable', async () => {
+    const service = serviceWith(async (validator, { blockTag }) => info(blockTag === HEAD ? 10n ** 16n : 0n));
+
+    const result = await service.calculateEmpiricalAPR(validatorB, '7d');
+
+    expect(result.data).toMatchObject({ method: 'accRewardPerStake', accRewardPerStake: { rewardDelta: (10n ** 16n).toString(), precision: (10n ** 18n).toString() } });
+    // 1% over 7 days
+    expect(Number(result.data.apr)).toBeCloseTo(0.01 * 365 / 7 * 100, 1);
+  });
+
+  test('only pruned state falls back to reward events, other RPC failures are errors', async () => {
+    const service = serviceWith(async (validator, { blockTag }) => {
+      if (blockTag !== HEAD) throw new Error('429 Too Many Requests');
+      return info(0n);
+    });
+
+    const result = await service.calculateEmpiricalAPR(address(0x7a3), '7d');
+
+    expect(result).toMatchObject({ success: false, error: 'EMPIRICAL_APR_ERROR', message: '429 Too Many Requests' });
+  });
+});
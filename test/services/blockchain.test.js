@@ -0,0 +1,206 @@
+import { describe, test, expect, beforeEach, afterAll } from "bun:test";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { config } from "../../src/config/index.js";
+import { BlockTagError, ArchiveNodeError, historicalReadError, pointInTimeError } from "../../src/utils/pointInTime.js";
+import { fakeProvider, sleep } from "../helpers.js";
+
+/**
+ * Provider whose block `n` has timestamp `timestampOf(n)`; counts getBlock calls in flight
+ */
+function timedChain(head, timestampOf) {
+  const chain = {
+    calls: 0,
+    inFlight: 0,
+    maxInFlight: 0,
+    getBlockNumber: async () => head,
+    async getBlock(tag) {
+      const number = tag === 'latest' ? head : Number(tag);
+      chain.calls++;
+      chain.inFlight++;
+      chain.maxInFlight = Math.max(chain.maxInFlight, chain.inFlight);
+      await sleep(1);
+      chain.inFlight--;
+      return number > head ? null : { number, timestamp: timestampOf(number) };
+    }
+  };
+  return chain;
+}
+
+describe('BlockchainService.sampleBlockTime', () => {
+  const saved = { provider: BlockchainService.provider, blockTimeEstimate: BlockchainService.blockTimeEstimate };
+  const { sampleSize } = config.blockTime;
+
+  beforeEach(() => {
+    BlockchainService.blockTimeEstimate = null;
+  });
+
+  afterAll(() => {
+    Object.assign(BlockchainService, saved);
+    BlockchainService.blockTimeMeasuredAt = 0;
+  });
+
+  test('uses the median interval, so a few slow blocks do not skew it', async () => {
+    // 3s blocks, every tenth one took 30s
+    const timestampOf = (n) => 1700000000 + n * 3 + Math.floor(n / 10) * 27;
+    BlockchainService.provider = timedChain(1000, timestampOf);
+
+    const estimate = await BlockchainService.sampleBlockTime();
+
+    expect(estimate).toMatchObject({ blockTime: 3, sampleSize, fromBlock: 1000 - sampleSize, toBlock: 1000, source: 'measured' });
+    expect(estimate.averageBlockTime).toBeGreaterThan(5);
+    expect(estimate.drift.detected).toBe(false);
+  });
+
+  test('falls back to the average when repeated timestamps make the median 0', async () => {
+    // Three blocks per second
+    BlockchainService.provider = timedChain(1000, (n) => 1700000000 + Math.floor(n / 3));
+
+    const estimate = await BlockchainService.sampleBlockTime();
+
+    expect(estimate.blockTime).toBeCloseTo(1 / 3, 1);
+    expect(estimate.blockTime).toBe(estimate.recentBlockTime);
+  });
+
+  test('reports drift of the recent blocks and against the previous measurement', async () => {
+    // 3s blocks that slowed down to 6s for the last 20 blocks
+    BlockchainService.provider = timedChain(1000, (n) => 1700000000 + n * 3 + Math.max(0, n - 980) * 3);
+
+    const slowing = await BlockchainService.sampleBlockTime();
+    expect(slowing).toMatchObject({ blockTime: 3, recentBlockTime: 6, drift: { detected: true, recentChange: 1, previousBlockTime: null } });
+
+    BlockchainService.provider = timedChain(1000, (n) => 1700000000 + n * 5);
+    const changed = await BlockchainService.sampleBlockTime();
+    expect(changed).toMatchObject({ blockTime: 5, drift: { detected: true, recentChange: 0, previousBlockTime: 3 } });
+    expect(changed.drift.previousChange).toBeCloseTo(2 / 3, 3);
+  });
+
+  test('fetches the sample a few blocks at a time', async () => {
+    const chain = timedChain(1000, (n) => 1700000000 + n * 3);
+    BlockchainService.provider = chain;
+
+    await BlockchainService.sampleBlockTime();
+
+    expect(chain.calls).toBe(sampleSize + 1);
+    expect(chain.maxInFlight).toBeLessThanOrEqual(10);
+  });
+
+  test('blocks that fail to load are skipped', async () => {
+    const chain = timedChain(1000, (n) => 1700000000 + n * 2);
+    const getBlock = chain.getBlock;
+    chain.getBlock = (number) => (number % 7 === 0 ? Promise.resolve(null) : getBlock(number));
+    BlockchainService.provider = chain;
+
+    const estimate = await BlockchainService.sampleBlockTime();
+
+    expect(estimate.blockTime).toBe(2);
+    expect(estimate.sampleSize).toBeLessThan(sampleSize);
+  });
+});
+
+describe('BlockchainService.resolveBlockTag', () => {
+  const saved = BlockchainService.provider;
+  // Blocks 0..100, 12s apart from 1700000000
+  const genesisTime = 1700000000;
+
+  const rejection = async (tag) => {
+    try {
+      await BlockchainService.resolveBlockTag(tag);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('resolveBlockTag did not throw');
+  };
+
+  beforeEach(() => {
+    BlockchainService.provider = fakeProvider({ head: 100 });
+  });
+
+  afterAll(() => {
+    BlockchainService.provider = saved;
+  });
+
+  test('no tag means latest state', async () => {
+    expect(await BlockchainService.resolveBlockTag({})).toBeNull();
+    expect(await BlockchainService.resolveBlockTag()).toBeNull();
+  });
+
+  test('atBlock resolves to the block and its time', async () => {
+    expect(await BlockchainService.resolveBlockTag({ atBlock: '42' })).toEqual({
+      blockNumber: 42,
+      timestamp: new Date((genesisTime + 42 * 12) * 1000).toISOString(),
+      requested: { atBlock: 42 }
+    });
+    expect((await BlockchainService.resolveBlockTag({ atBlock: 0 })).blockNumber).toBe(0);
+    expect((await BlockchainService.resolveBlockTag({ atBlock: '100' })).blockNumber).toBe(100);
+  });
+
+  test('atBlock must be a plain block number at or below the head', async () => {
+    for (const atBlock of ['', ' ', '-1', '1.5', '0x10', '1e3', 'latest', '99999999999999999999']) {
+      const error = await rejection({ atBlock });
+      expect(error).toBeInstanceOf(BlockTagError);
+      expect(error.message).toBe('atBlock must be a non-negative integer');
+    }
+
+    expect(await rejection({ atBlock: '101' })).toMatchObject({ status: 400, details: { headBlock: 100 } });
+    expect((await rejection({ atBlock: 1, atTime: 1 })).message).toBe('Use either atBlock or atTime, not both');
+  });
+
+  test('atTime resolves to the last block at or before it', async () => {
+    const between = genesisTime + 50 * 12 + 5;
+
+    expect(await BlockchainService.resolveBlockTag({ atTime: String(between) })).toEqual({
+      blockNumber: 50,
+      timestamp: new Date((genesisTime + 50 * 12) * 1000).toISOString(),
+      requested: { atTime: new Date(between * 1000).toISOString() }
+    });
+    expect((await BlockchainService.resolveBlockTag({ atTime: new Date((genesisTime + 60 * 12) * 1000).toISOString() })).blockNumber).toBe(60);
+    // Later than the head but not in the future: the head
+    expect((await BlockchainService.resolveBlockTag({ atTime: genesisTime + 5000 })).blockNumber).toBe(100);
+  });
+
+  test('atTime in the future, before genesis or malformed is refused', async () => {
+    expect((await rejection({ atTime: Math.floor(Date.now() / 1000) + 3600 })).message).toBe('atTime is in the future');
+    expect(await rejection({ atTime: genesisTime - 1 })).toMatchObject({
+      message: 'atTime is before the first block',
+      details: { genesisTime: new Date(genesisTime * 1000).toISOString() }
+    });
+    for (const atTime of ['', 'yesterday']) {
+      expect((await rejection({ atTime })).message).toBe('atTime must be unix seconds or an ISO 8601 date');
+    }
+  });
+
+  test('findBlockByTimestamp bounds: genesis, exact blocks and the head', async () => {
+    expect((await BlockchainService.findBlockByTimestamp(genesisTime)).number).toBe(0);
+    expect((await BlockchainService.findBlockByTimestamp(genesisTime - 100)).number).toBe(0);
+    expect((await BlockchainService.findBlockByTimestamp(genesisTime + 12)).number).toBe(1);
+    expect((await BlockchainService.findBlockByTimestamp(genesisTime + 99 * 12 + 11)).number).toBe(99);
+    expect((await BlockchainService.findBlockByTimestamp(genesisTime + 100 * 12)).number).toBe(100);
+  });
+});
+
+describe('historical read errors', () => {
+  test('pruned state becomes ArchiveNodeError, answered with 501', () => {
+    const nodeError = Object.assign(new Error('could not coalesce error'), { info: { error: { message: 'missing trie node abc (path )' } } });
+    const error = historicalReadError(nodeError, 42);
+    const set = {};
+
+    expect(error).toBeInstanceOf(ArchiveNodeError);
+    expect(error.details).toEqual({ blockNumber: 42, reason: 'missing trie node abc (path )' });
+    expect(pointInTimeError(error, set)).toMatchObject({ success: false, error: { code: 'ARCHIVE_NODE_REQUIRED', details: { blockNumber: 42 } } });
+    expect(set.status).toBe(501);
+  });
+
+  test('other errors pass through and are left to the route', () => {
+    const timeout = new Error('request timeout');
+    const set = {};
+
+    expect(historicalReadError(timeout, 42)).toBe(timeout);
+    expect(pointInTimeError(timeout, set)).toBeNull();
+    expect(set.status).toBeUndefined();
+
+    const tagError = new BlockTagError('atTime is in the future');
+    expect(historicalReadError(tagError, 42)).toBe(tagError);
+    expect(pointInTimeError(tagError, set).error.code).toBe('INVALID_BLOCK_TAG');
+    expect(set.status).toBe(400);
+  });
+});
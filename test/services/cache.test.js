@@ -0,0 +1,158 @@
+import { describe, test, expect, afterEach } from "bun:test";
+import { CacheService } from "../../src/services/cache.js";
+import { MemoryCacheBackend } from "../../src/services/cacheBackends.js";
+import { sleep } from "../helpers.js";
+
+/**
+ * Loader that counts its calls and resolves (or rejects) after `delay` ms
+ */
+function loader(results, delay = 10) {
+  const fn = async () => {
+    const result = results[Math.min(fn.calls++, results.length - 1)];
+    await sleep(delay);
+    if (result instanceof Error) throw result;
+    return result;
+  };
+  fn.calls = 0;
+  return fn;
+}
+
+describe('CacheService.getOrLoad', () => {
+  let cache;
+  const create = () => {
+    cache = new CacheService('getOrLoad-test', new MemoryCacheBackend());
+    return cache;
+  };
+
+  afterEach(() => cache?.destroy());
+
+  test('concurrent misses share one load', async () => {
+    create();
+    const load = loader(['value']);
+
+    const results = await Promise.all(Array.from({ length: 5 }, () => cache.getOrLoad('key', load, { ttl: 1000 })));
+
+    expect(results).toEqual(Array(5).fill('value'));
+    expect(load.calls).toBe(1);
+    expect(cache.stats).toMatchObject({ misses: 5, loads: 1, coalesced: 4 });
+    expect(cache.inflight.size).toBe(0);
+
+    expect(await cache.getOrLoad('key', load, { ttl: 1000 })).toBe('value');
+    expect(cache.stats.hits).toBe(1);
+  });
+
+  test('expired values are served while one background load refreshes them', async () => {
+    create();
+    const load = loader(['v1', 'v2'], 20);
+    const options = { ttl: 20, staleWindow: 1000 };
+
+    expect(await cache.getOrLoad('key', load, options)).toBe('v1');
+    await sleep(30);
+
+    // Both stale reads answer at once with the old value, one refresh runs
+    expect(await Promise.all([cache.getOrLoad('key', load, options), cache.getOrLoad('key', load, options)])).toEqual(['v1', 'v1']);
+    expect(cache.stats.staleHits).toBe(2);
+    expect(load.calls).toBe(2);
+
+    await sleep(50);
+    expect(await cache.getOrLoad('key', load, options)).toBe('v2');
+  });
+
+  test('past the stale window the caller waits for a fresh value', async () => {
+    create();
+    const load = loader(['v1', 'v2']);
+
+    await cache.getOrLoad('key', load, { ttl: 10, staleWindow: 10 });
+    await sleep(30);
+
+    expect(await cache.getOrLoad('key', load, { ttl: 10, staleWindow: 10 })).toBe('v2');
+    expect(cache.stats.misses).toBe(2);
+  });
+
+  test('failed loads are remembered for errorTTL', async () => {
+    create();
+    const error = new Error('rpc down');
+    const load = loader([error, 'recovered']);
+    const options = { ttl: 1000, errorTTL: 40 };
+
+    await expect(cache.getOrLoad('key', load, options)).rejects.toBe(error);
+    await expect(cache.getOrLoad('key', load, options)).rejects.toBe(error);
+    expect(load.calls).toBe(1);
+
+    await sleep(50);
+    expect(await cache.getOrLoad('key', load, options)).toBe('recovered');
+    expect(cache.stats.errors).toBe(1);
+  });
+
+  test('errorTTL 0 disables negative caching', async () => {
+    create();
+    const load = loader([new Error('rpc down'), 'recovered']);
+
+    await expect(cache.getOrLoad('key', load, { errorTTL: 0 })).rejects.toThrow('rpc down');
+    expect(await cache.getOrLoad('key', load, { errorTTL: 0 })).toBe('recovered');
+  });
+
+  test('a failed refresh keeps serving the stale value', async () => {
+    create();
+    const load = loader(['v1', new Error('rpc down'), 'v2']);
+    const options = { ttl: 10, staleWindow: 5000, errorTTL: 200 };
+
+    await cache.getOrLoad('key', load, options);
+    await sleep(20);
+
+    expect(await cache.getOrLoad('key', load, options)).toBe('v1');
+    await sleep(20);
+    // The refresh failed: no retry within errorTTL, the stale value is still served
+    expect(await cache.getOrLoad('key', load, options)).toBe('v1');
+    expect(load.calls).toBe(2);
+
+    await sleep(200);
+    await cache.getOrLoad('key', load, options);
+    await sleep(50);
+    expect(await cache.getOrLoad('key', load, options)).toBe('v2');
+  });
+
+  test('set() and delete() clear a remembered failure', async () => {
+    create();
+    const load = loader([new Error('rpc down')]);
+
+    await expect(cache.getOrLoad('key', load, { errorTTL: 60000 })).rejects.toThrow('rpc down');
+    await cache.set('key', 'manual');
+    expect(await cache.getOrLoad('key', load)).toBe('manual');
+
+    await cache.delete('key');
+    await expect(cache.getOrLoad('other', load, { errorTTL: 60000 })).rejects.toThrow('rpc down');
+    await cache.delete('other');
+    expect(cache.failures.size).toBe(0);
+  });
+
+  test('a load in progress does not overwrite a later set() or delete()', async () => {
+    create();
+    const slow = loader(['old'], 30);
+
+    const overwritten = cache.getOrLoad('set', slow);
+    const deleted = cache.getOrLoad('deleted', slow);
+    await sleep(5);
+    await cache.set('set', 'new');
+    await cache.delete('deleted');
+
+    expect(await overwritten).toBe('old');
+    expect(await deleted).toBe('old');
+    expect(await cache.get('set')).toBe('new');
+    expect(await cache.get('deleted')).toBeNull();
+  });
+
+  test('an unavailable backend behaves like an empty cache', async () => {
+    const backend = new MemoryCacheBackend();
+    backend.get = async () => { throw new Error('connection refused'); };
+    backend.set = async () => { throw new Error('connection refused'); };
+    cache = new CacheService('getOrLoad-test', backend);
+    const load = loader(['value']);
+
+    expect(await cache.getOrLoad('key', load)).toBe('value');
+    expect(await cache.getOrLoad('key', load)).toBe('value');
+    expect(load.calls).toBe(2);
+    expect(cache.stats.backendErrors).toBeGreaterThan(0);
+    expect(cache.backendFailing).toBe(true);
+  });
+});
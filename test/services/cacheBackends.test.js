@@ -0,0 +1,171 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { rmSync } from "fs";
+import { tmpdir } from "os";
+import { join } from "path";
+import { CacheService } from "../../src/services/cache.js";
+import {
+  MemoryCacheBackend,
+  RedisCacheBackend,
+  FileCacheBackend,
+  serializeEntry,
+  deserializeEntry
+} from "../../src/services/cacheBackends.js";
+import { RedisClient } from "../../src/services/redisClient.js";
+import { fakeRedis, sleep } from "../helpers.js";
+
+const stake = {
+  amount: 1234567890123456789012345n,
+  rewards: [0n, -5n],
+  formatted: '1234567.890123456789012345',
+  nested: { total: 10n ** 30n, count: 3 }
+};
+
+describe('cache entry serialization', () => {
+  test('BigInts round-trip, strings stay strings', () => {
+    const entry = { value: stake, ttl: 1000, staleWindow: 0, timestamp: 1 };
+
+    expect(deserializeEntry(serializeEntry(entry))).toEqual(entry);
+    expect(deserializeEntry(serializeEntry({ value: '42' })).value).toBe('42');
+    expect(deserializeEntry(serializeEntry({ value: 42n })).value).toBe(42n);
+  });
+
+  test('the app-wide BigInt toJSON does not turn values into strings', () => {
+    const toJSON = BigInt.prototype.toJSON;
+    BigInt.prototype.toJSON = function () { return this.toString(); };
+
+    try {
+      expect(deserializeEntry(serializeEntry({ value: stake })).value).toEqual(stake);
+    } finally {
+      if (toJSON) BigInt.prototype.toJSON = toJSON;
+      else delete BigInt.prototype.toJSON;
+    }
+  });
+});
+
+describe('cache backends', () => {
+  let redis;
+  const filePath = join(tmpdir(), `cache-backends-${process.pid}-${Date.now()}.db`);
+  const backends = {};
+
+  beforeAll(async () => {
+    redis = await fakeRedis();
+    backends.memory = new MemoryCacheBackend();
+    backends.redis = new RedisCacheBackend(new RedisClient(redis.url(), { reconnectDelay: 0 }), { prefix: 'app:' });
+    backends.file = new FileCacheBackend(filePath);
+  });
+
+  afterAll(async () => {
+    Object.values(backends).forEach(backend => backend.destroy());
+    await redis.stop();
+    for (const suffix of ['', '-wal', '-shm']) rmSync(`${filePath}${suffix}`, { force: true });
+  });
+
+  for (const type of ['memory', 'redis', 'file']) {
+    test(`${type}: cached values read back like the loaded ones`, async () => {
+      const cache = new CacheService(`bigint-${type}`, backends[type]);
+      const load = () => stake;
+
+      const loaded = await cache.getOrLoad('stake', load, { ttl: 60000 });
+      const cached = await cache.getOrLoad('stake', () => { throw new Error('not cached'); }, { ttl: 60000 });
+
+      expect(cached).toEqual(loaded);
+      expect(typeof cached.amount).toBe('bigint');
+      expect(cache.stats.hits).toBe(1);
+      cache.destroy();
+    });
+
+    test(`${type}: entries expire and list by prefix`, async () => {
+      const backend = backends[type];
+      await backend.set('ttl:short', { value: 1 }, 20);
+      await backend.set('ttl:long', { value: 2 }, 60000);
+      await backend.set('ttl_other', { value: 3 }, 60000);
+
+      expect((await backend.keys('ttl:')).sort()).toEqual(['ttl:long', 'ttl:short']);
+      await sleep(30);
+
+      expect(await backend.get('ttl:short')).toBeNull();
+      expect(await backend.get('ttl:long')).toEqual({ value: 2 });
+      expect(await backend.keys('ttl:')).toEqual(['ttl:long']);
+      expect(await backend.size('ttl:')).toBe(1);
+
+      expect(await backend.delete('ttl:long')).toBe(true);
+      expect(await backend.delete('ttl:long')).toBe(false);
+    });
+  }
+
+  test('memory: callers get a copy of the cached entry', () => {
+    const backend = backends.memory;
+    backend.set('copy', { value: { amount: 1n } }, 60000);
+
+    backend.get('copy').value.amount = 2n;
+
+    expect(backend.get('copy').value.amount).toBe(1n);
+  });
+
+  test('redis: expiry is passed to the server in whole milliseconds', async () => {
+    redis.commands.length = 0;
+    await backends.redis.set('px:fraction', { value: 1 }, 1500.2);
+    await backends.redis.set('px:zero', { value: 1 }, 0);
+
+    expect(redis.commands.map(args => [args[0], args[1], ...args.slice(3)])).toEqual([
+      ['SET', 'app:px:fraction', 'PX', '1501'],
+      ['SET', 'app:px:zero', 'PX', '1']
+    ]);
+  });
+
+  test('redis: keys are prefixed, and glob characters in a prefix match literally', async () => {
+    const backend = backends.redis;
+    for (const key of ['glob:a*b', 'glob:ab', 'glob:a?', 'glob:[x]']) {
+      await backend.set(key, { value: key }, 60000);
+    }
+
+    expect(Array.from(redis.store.keys()).filter(key => key.includes('glob:')).every(key => key.startsWith('app:'))).toBe(true);
+    expect(await backend.keys('glob:a*')).toEqual(['glob:a*b']);
+    expect(await backend.keys('glob:[')).toEqual(['glob:[x]']);
+    // SCAN pages through the whole keyspace
+    expect((await backend.keys('glob:')).sort()).toEqual(['glob:[x]', 'glob:a*b', 'glob:a?', 'glob:ab']);
+  });
+
+  test('redis: an unreachable server fails the call', async () => {
+    const backend = new RedisCacheBackend(new RedisClient('redis://127.0.0.1:1', { reconnectDelay: 0 }));
+
+    await expect(backend.get('key')).rejects.toThrow(/Redis connection to 127\.0\.0\.1:1 failed/);
+    backend.destroy();
+  });
+
+  test('file: entries are shared by processes using the same file and kept across restarts', () => {
+    const other = new FileCacheBackend(filePath);
+    backends.file.set('shared:key', { value: 5n }, 60000);
+
+    try {
+      expect(other.get('shared:key')).toEqual({ value: 5n });
+      other.delete('shared:key');
+      expect(backends.file.get('shared:key')).toBeNull();
+
+      other.set('shared:restart', { value: 'kept' }, 60000);
+      other.destroy();
+      expect(other.get('shared:restart')).toEqual({ value: 'kept' });
+    } finally {
+      other.destroy();
+    }
+  });
+
+  test('file: LIKE wildcards in a prefix match literally', () => {
+    const backend = backends.file;
+    backend.set('like:50%_off', { value: 1 }, 60000);
+    backend.set('like:50xxoff', { value: 2 }, 60000);
+
+    expect(backend.keys('like:50%_')).toEqual(['like:50%_off']);
+  });
+
+  test('file: cleanup deletes expired rows', async () => {
+    const backend = backends.file;
+    backend.set('cleanup:old', { value: 1 }, 10);
+    await sleep(20);
+    const rows = () => backend.db.query("SELECT COUNT(*) AS count FROM cache_entries WHERE key = 'cleanup:old'").get().count;
+
+    expect(rows()).toBe(1);
+    backend.cleanup();
+    expect(rows()).toBe(0);
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, test, expect, beforeEach, afterAll } from "bun:test";
+import { EventEmitter } from "events";
+import { CacheInvalidationBus } from "../../src/services/cacheInvalidation.js";
+import { cacheManager } from "../../src/services/cache.js";
+import { address, sleep } from "../helpers.js";
+
+const NAMESPACE = 'invalidation-test';
+const delegator = address(0x23d);
+const validator = address(0x23a);
+const otherValidator = address(0x23b);
+
+const event = (eventName, data, blockNumber = 100) => ({ type: 'contractEvent', eventName, blockNumber, data });
+
+describe('CacheInvalidationBus', () => {
+  const cache = cacheManager.getCache(NAMESPACE, { backend: 'memory' });
+
+  const fill = (keys) => Promise.all(keys.map(key => cache.set(key, 'cached', 60000)));
+  const remaining = async () => (await cache.keys()).sort();
+
+  beforeEach(() => cache.clear());
+
+  afterAll(() => {
+    cache.destroy();
+    cacheManager.caches.delete(NAMESPACE);
+  });
+
+  test('a stake change evicts both sides of the stake and the aggregates', async () => {
+    await fill([
+      `validator_info_${validator}`,
+      `staking_info_${delegator}_${validator}`,
+      `pending_rewards_${delegator}_${validator}`,
+      `empirical_${validator}_7d`,
+      'total_staking',
+      'top_validators_10',
+      `validator_info_${otherValidator}`,
+      `staking_info_${delegator}_${otherValidator}`
+    ]);
+
+    await CacheInvalidationBus.handleContractEvent(event('Staking', { staker: delegator, validator, amount: '1.0' }));
+
+    expect(await remaining()).toEqual([`staking_info_${delegator}_${otherValidator}`, `validator_info_${otherValidator}`].sort());
+  });
+
+  test('addresses match whatever case the key was stored with', async () => {
+    await fill([`validator_info_${validator.toLowerCase()}`, `validator_details_${validator.toUpperCase().replace('0X', '0x')}`]);
+
+    await CacheInvalidationBus.handleContractEvent(event('ValidatorUnjailed', { validator }));
+
+    expect(await remaining()).toEqual([]);
+  });
+
+  test('reads pinned to a block are kept', async () => {
+    await fill([`validator_info_${validator}`, `validator_info_${validator}@90`]);
+
+    await CacheInvalidationBus.handleContractEvent(event('ValidatorSlash', { validator, amount: '2.0' }));
+
+    expect(await remaining()).toEqual([`validator_info_${validator}@90`]);
+  });
+
+  test('reward distribution evicts every delegator reward of the validators paid', async () => {
+    await fill([
+      `pending_rewards_${delegator}_${validator}`,
+      `pending_rewards_${address(0x23e)}_${validator}`,
+      `pending_rewards_${delegator}_${otherValidator}`,
+      `validator_details_${validator}`
+    ]);
+
+    await CacheInvalidationBus.handleContractEvent(event('RewardDistributed', { validators: [validator], rewards: ['1.0'] }));
+
+    expect(await remaining()).toEqual([`pending_rewards_${delegator}_${otherValidator}`]);
+  });
+
+  test('a validator set update evicts every validator entry', async () => {
+    await fill([`validator_info_${validator}`, `validator_details_${otherValidator}`, 'activated_validators', 'total_staking']);
+
+    await CacheInvalidationBus.handleContractEvent(event('ValidatorSetUpdated', { validators: [validator] }));
+
+    expect(await remaining()).toEqual(['total_staking']);
+  });
+
+  test('unparsed and unknown events leave the cache alone', async () => {
+    await fill([`validator_info_${validator}`]);
+
+    await CacheInvalidationBus.handleContractEvent(event('Staking', { error: 'could not parse' }));
+    await CacheInvalidationBus.handleContractEvent(event('NotAnEvent', { validator }));
+
+    expect(await remaining()).toEqual([`validator_info_${validator}`]);
+  });
+
+  test('a load in progress when its key is evicted does not store its result', async () => {
+    const key = `validator_info_${validator}`;
+    const load = cache.getOrLoad(key, async () => {
+      await sleep(20);
+      return 'before the event';
+    });
+
+    await CacheInvalidationBus.handleContractEvent(event('ValidatorUnjailed', { validator }));
+
+    expect(await load).toBe('before the event');
+    expect(await cache.get(key)).toBeNull();
+    expect(await cache.getOrLoad(key, () => 'after the event')).toBe('after the event');
+  });
+
+  test('live events are picked up from the WebSocket service and refresh the ranking index', async () => {
+    const wsService = new EventEmitter();
+    const refreshed = [];
+    const invalidated = [];
+    const onInvalidated = (result) => invalidated.push(result);
+    CacheInvalidationBus.on('invalidated', onInvalidated);
+    CacheInvalidationBus.start(wsService, { rankingService: { refreshStakes: (stakes, blockNumber) => refreshed.push([stakes, blockNumber]) } });
+
+    try {
+      await fill([`staking_info_${delegator}_${validator}`]);
+      wsService.emit('contractEvent', event('Unstake', { staker: delegator, validator, amount: '1.0' }, 120));
+      await sleep(10);
+
+      expect(await remaining()).toEqual([]);
+      expect(refreshed).toEqual([[[{ delegator, validator }], 120]]);
+      expect(invalidated[0]).toMatchObject({ eventName: 'Unstake', blockNumber: 120 });
+      expect(invalidated[0].removed[NAMESPACE]).toEqual([`staking_info_${delegator}_${validator}`]);
+      expect(CacheInvalidationBus.getStatus()).toMatchObject({ isRunning: true, rankingIndex: true });
+    } finally {
+      CacheInvalidationBus.stop();
+      CacheInvalidationBus.off('invalidated', onInvalidated);
+    }
+
+    expect(wsService.listenerCount('contractEvent')).toBe(0);
+  });
+});
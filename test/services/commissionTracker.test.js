@@ -0,0 +1,59 @@
+import { describe, test, expect, beforeAll } from "bun:test";
+import { CommissionTracker } from "../../src/services/commissionTracker.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { address, fakeProvider } from "../helpers.js";
+
+const validator = address(0xc1);
+const now = Math.floor(Date.now() / 1000);
+
+describe('CommissionTracker', () => {
+  let contractRate = 700n;
+  let contractDown = false;
+
+  beforeAll(() => {
+    BlockchainService.provider = fakeProvider({ head: 500 });
+    BlockchainService.validatorsContract = {
+      getValidatorInfo: async () => {
+        if (contractDown) throw new Error('rpc down');
+        return [address(1), 1n, 0n, contractRate, 0n, 0n, []];
+      }
+    };
+
+    CommissionTracker.recordRate(validator, 100, now - 3000, 500n, 'ValidatorCreated');
+    CommissionTracker.recordRate(validator, 200, now - 2000, 500n, 'snapshot');
+    CommissionTracker.recordRate(validator, 300, now - 1000, 700n, 'snapshot');
+  });
+
+  test('reports changes with old and new rates in basis points', () => {
+    const { changes, observations, lastObservedBlock } = CommissionTracker.getCommissionHistory(validator, 1);
+
+    expect(observations).toBe(2);
+    expect(lastObservedBlock).toBe(300);
+    expect(changes).toEqual([
+      expect.objectContaining({ blockNumber: 100, oldRate: null, newRate: 500, source: 'ValidatorCreated' }),
+      expect.objectContaining({ blockNumber: 300, oldRate: 500, newRate: 700, detectedBetween: { fromBlock: 200, toBlock: 300 } })
+    ]);
+  });
+
+  test('current rate is read in the same unit as the history', async () => {
+    expect(await CommissionTracker.getCurrentRate(validator)).toBe(700);
+  });
+
+  test('current rate falls back to the last recorded rate', async () => {
+    contractDown = true;
+    try {
+      expect(await CommissionTracker.getCurrentRate(validator)).toBe(700);
+      expect(await CommissionTracker.getCurrentRate(address(0xc2))).toBeNull();
+    } finally {
+      contractDown = false;
+    }
+  });
+
+  test('a rewind drops the rates recorded from replaced blocks', () => {
+    CommissionTracker.handleRewind({ fromBlock: 250 });
+
+    const { changes, lastObservedBlock } = CommissionTracker.getCommissionHistory(validator, 1);
+    expect(changes.map(change => change.blockNumber)).toEqual([100]);
+    expect(lastObservedBlock).toBe(200);
+  });
+});
@@ -0,0 +1,218 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import { EventIndexer } from "../../src/services/eventIndexer.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { DelegatorService, DELEGATOR_EVENTS } from "../../src/services/delegator.js";
+import { address, blockHash, contractLog, fakeProvider } from "../helpers.js";
+
+const delegator = address(0xd1);
+const otherDelegator = address(0xd2);
+const validatorA = address(0xa1);
+const validatorB = address(0xa2);
+
+describe('EventIndexer', () => {
+  beforeAll(async () => {
+    BlockchainService.provider = fakeProvider({
+      logs: [
+        contractLog('Staking', [delegator, validatorA, ethers.parseEther('100')], { blockNumber: 10 }),
+        contractLog('Staking', [otherDelegator, validatorA, ethers.parseEther('5')], { blockNumber: 10, index: 1 }),
+        contractLog('Unstake', [delegator, validatorA, ethers.parseEther('40'), 500n], { blockNumber: 20 }),
+        contractLog('DelegatorRewardsClaimed', [delegator, validatorB, ethers.parseEther('1.5')], { blockNumber: 30 }),
+        contractLog('ValidatorSlash', [validatorA, ethers.parseEther('2')], { blockNumber: 40 })
+      ]
+    });
+    await EventIndexer.indexRange(1, 50);
+  });
+
+  test('stores decoded events with delegator, validator and block timestamp', () => {
+    const { events, total } = EventIndexer.getEvents({ account: delegator, order: 'asc' });
+
+    expect(total).toBe(3);
+    expect(events.map(event => event.eventName)).toEqual(['Staking', 'Unstake', 'DelegatorRewardsClaimed']);
+    expect(events[0]).toMatchObject({
+      blockNumber: 10,
+      validator: validatorA,
+      account: delegator,
+      amount: '100.0',
+      amountWei: ethers.parseEther('100').toString(),
+      timestamp: new Date((1700000000 + 10 * 12) * 1000).toISOString()
+    });
+    expect(events[1].args.unLockHeight).toBe('500');
+  });
+
+  test('matches accounts case-insensitively and filters by validator, name and range', () => {
+    expect(EventIndexer.getEvents({ account: delegator.toLowerCase() }).total).toBe(3);
+    expect(EventIndexer.getEvents({ account: delegator, validator: validatorB }).total).toBe(1);
+    expect(EventIndexer.getEvents({ eventNames: ['Staking'] }).total).toBe(2);
+    expect(EventIndexer.getEvents({ fromBlock: 15, toBlock: 35 }).total).toBe(2);
+  });
+
+  test('pages newest first by default', () => {
+    const firstPage = EventIndexer.getEvents({ account: delegator, limit: 2 });
+    const secondPage = EventIndexer.getEvents({ account: delegator, limit: 2, page: 2 });
+
+    expect(firstPage.events.map(event => event.blockNumber)).toEqual([30, 20]);
+    expect(secondPage.events.map(event => event.blockNumber)).toEqual([10]);
+    expect(secondPage.total).toBe(3);
+  });
+
+  test('indexing a range twice does not duplicate events', async () => {
+    await EventIndexer.indexRange(1, 50);
+    expect(EventIndexer.getEvents({}).total).toBe(5);
+  });
+
+  test('delegator history only lists delegator actions', async () => {
+    const service = new DelegatorService();
+    service.getDelegatorInfo = async () => ({ totalStaked: '60.0' });
+
+    const history = await service.getDelegatorHistory(delegator, { order: 'asc' });
+
+    expect(history.history.map(entry => entry.eventName)).toEqual(['Staking', 'Unstake', 'DelegatorRewardsClaimed']);
+    expect(history.history.every(entry => DELEGATOR_EVENTS.includes(entry.eventName))).toBe(true);
+    expect(history.history[1].unlockHeight).toBe(500);
+  });
+});
+
+describe('EventIndexer listeners', () => {
+  const staking = (blockNumber) => contractLog('Staking', [delegator, validatorA, ethers.parseEther('1')], { blockNumber });
+
+  test('a failing listener does not shrink the batch or starve the other listeners', async () => {
+    const provider = fakeProvider({ head: 1210, logs: [staking(1105), staking(1205)] });
+    BlockchainService.provider = provider;
+    const saved = { lastIndexedBlock: EventIndexer.lastIndexedBlock, batchSize: EventIndexer.batchSize, isRunning: EventIndexer.isRunning };
+    const confirmations = EventIndexer.config.confirmations;
+    Object.assign(EventIndexer, { lastIndexedBlock: 1100, batchSize: EventIndexer.config.batchSize, isRunning: true });
+    EventIndexer.config.confirmations = 0;
+
+    const received = [];
+    const throwing = () => { throw new Error('database is locked'); };
+    const rejecting = async () => { throw new Error('database is locked'); };
+    const collecting = (events) => received.push(...events.map(event => event.blockNumber));
+    ['events', 'indexed'].forEach(name => EventIndexer.on(name, throwing));
+    EventIndexer.on('events', rejecting);
+    EventIndexer.on('events', collecting);
+
+    try {
+      await EventIndexer.sync();
+
+      expect(EventIndexer.lastIndexedBlock).toBe(1210);
+      expect(EventIndexer.batchSize).toBe(EventIndexer.config.batchSize);
+      expect(received).toEqual([1105, 1205]);
+    } finally {
+      ['events', 'indexed'].forEach(name => EventIndexer.off(name, throwing));
+      EventIndexer.off('events', rejecting);
+      EventIndexer.off('events', collecting);
+      Object.assign(EventIndexer, saved);
+      EventIndexer.config.confirmations = confirmations;
+    }
+  });
+});
+
+describe('EventIndexer reorgs', () => {
+  const staking = (blockNumber, fork = 0) =>
+    contractLog('Staking', [delegator, validatorA, ethers.parseEther('1')], { blockNumber, fork });
+  const indexedBlocks = () => EventIndexer.getAllEvents({ fromBlock: 70000 }).map(event => [event.blockNumber, event.blockHash]);
+
+  const saved = { lastIndexedBlock: EventIndexer.lastIndexedBlock, isRunning: EventIndexer.isRunning };
+  const confirmations = EventIndexer.config.confirmations;
+  const rewinds = [];
+  const onRewind = (range) => rewinds.push(range.fromBlock);
+  let provider;
+
+  // Blocks from `forkFrom` on belong to `fork`
+  const forkChain = (forkFrom, fork, logs) => {
+    provider.logs = logs;
+    provider.getBlock = async (number) => ({ number, hash: blockHash(number, number >= forkFrom ? fork : 0), timestamp: 1700000000 + number * 12 });
+  };
+
+  beforeAll(async () => {
+    provider = fakeProvider({ head: 70030, logs: [staking(70010), staking(70020), staking(70025)] });
+    BlockchainService.provider = provider;
+    Object.assign(EventIndexer, { lastIndexedBlock: 69999, isRunning: true });
+    EventIndexer.config.confirmations = 0;
+    EventIndexer.on('rewind', onRewind);
+    await EventIndexer.sync();
+  });
+
+  afterAll(() => {
+    EventIndexer.off('rewind', onRewind);
+    Object.assign(EventIndexer, saved);
+    EventIndexer.config.confirmations = confirmations;
+  });
+
+  test('a rewind drops the replaced blocks and the next sync indexes the new chain', async () => {
+    expect(EventIndexer.lastIndexedBlock).toBe(70030);
+
+    EventIndexer.rewind(70015);
+
+    expect(rewinds).toEqual([70015]);
+    expect(EventIndexer.lastIndexedBlock).toBe(70014);
+    expect(EventIndexer.statements.getState.get('last_indexed_block').value).toBe('70014');
+    expect(indexedBlocks()).toEqual([[70010, blockHash(70010)]]);
+    expect(EventIndexer.statements.getBlock.get(70020)).toBeNull();
+
+    forkChain(70015, 1, [staking(70010), staking(70022, 1)]);
+    await EventIndexer.sync();
+
+    expect(EventIndexer.lastIndexedBlock).toBe(70030);
+    expect(indexedBlocks()).toEqual([[70010, blockHash(70010)], [70022, blockHash(70022, 1)]]);
+  });
+
+  test('indexed block hashes the chain replaced rewind the index from the last matching block', async () => {
+    rewinds.length = 0;
+    // Block 70022 is replaced again; the fork may start anywhere after block 70010
+    forkChain(70020, 2, [staking(70010), staking(70028, 2)]);
+
+    await EventIndexer.sync();
+
+    expect(rewinds).toEqual([70011]);
+    expect(indexedBlocks()).toEqual([[70010, blockHash(70010)], [70028, blockHash(70028, 2)]]);
+
+    // Hashes that match leave the index alone
+    await EventIndexer.sync();
+    expect(rewinds).toEqual([70011]);
+  });
+
+  test('a range fetched before a rewind is not stored', async () => {
+    provider.head = 70040;
+    const getLogs = provider.getLogs;
+    provider.getLogs = async function (filter) {
+      EventIndexer.rewind(70029);
+      return getLogs.call(this, filter);
+    };
+    provider.logs.push(staking(70035));
+
+    try {
+      await EventIndexer.indexRange(70031, 70040);
+    } finally {
+      provider.getLogs = getLogs;
+    }
+
+    expect(EventIndexer.lastIndexedBlock).toBe(70028);
+    expect(indexedBlocks().map(([blockNumber]) => blockNumber)).toEqual([70010, 70028]);
+
+    await EventIndexer.sync();
+    expect(indexedBlocks().map(([blockNumber]) => blockNumber)).toEqual([70010, 70028, 70035]);
+  });
+
+  test('the indexer follows the reorgs the WebSocket service detects', () => {
+    const ws = new EventEmitter();
+    const enabled = EventIndexer.config.enabled;
+    rewinds.length = 0;
+    EventIndexer.config.enabled = true;
+
+    try {
+      EventIndexer.isRunning = false;
+      EventIndexer.start(ws);
+      ws.emit('reorg', { fromBlock: 70030, toBlock: 70040, newHead: 70041, depth: 11 });
+    } finally {
+      EventIndexer.stop();
+      EventIndexer.config.enabled = enabled;
+    }
+    ws.emit('reorg', { fromBlock: 70020, toBlock: 70040, newHead: 70041, depth: 21 });
+
+    expect(rewinds).toEqual([70030]);
+    expect(EventIndexer.lastIndexedBlock).toBe(70029);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, test, expect } from "bun:test";
+import { EventStreamClient } from "../../src/services/eventStream.js";
+import { sleep } from "../helpers.js";
+
+/**
+ * ReadableStream controller stand-in that records chunks and fails once `errored` is set
+ */
+function fakeController() {
+  const decoder = new TextDecoder();
+  const controller = {
+    chunks: [],
+    errored: false,
+    closed: false,
+    enqueue(chunk) {
+      if (controller.errored) throw new TypeError('Invalid state: Controller is already closed');
+      controller.chunks.push(decoder.decode(chunk));
+    },
+    close() {
+      if (controller.errored) throw new TypeError('Invalid state: Controller is already closed');
+      controller.closed = true;
+    }
+  };
+  return controller;
+}
+
+describe('EventStreamClient', () => {
+  test('frames messages and sends the cursor of contract events as the id', () => {
+    const controller = fakeController();
+    const client = new EventStreamClient(controller, { retry: 3000 });
+
+    client.write({ type: 'contractEvent', cursor: '10:2', eventName: 'Staking' });
+    client.write({ type: 'newBlock', blockNumber: 11 });
+
+    expect(controller.chunks).toEqual([
+      'retry: 3000\n\n',
+      'id: 10:2\ndata: {"type":"contractEvent","cursor":"10:2","eventName":"Staking"}\n\n',
+      'data: {"type":"newBlock","blockNumber":11}\n\n'
+    ]);
+    client.close();
+  });
+
+  test('sends heartbeats until closed', async () => {
+    const controller = fakeController();
+    const client = new EventStreamClient(controller, { heartbeatInterval: 5 });
+
+    await sleep(30);
+    client.close();
+    const sent = controller.chunks.length;
+    await sleep(20);
+
+    expect(sent).toBeGreaterThan(0);
+    expect(controller.chunks).toHaveLength(sent);
+    expect(controller.closed).toBe(true);
+    expect(client.write({ type: 'newBlock' })).toBeUndefined();
+    expect(controller.chunks).toHaveLength(sent);
+  });
+
+  test('a failed heartbeat stops the timer and reports the close', async () => {
+    const controller = fakeController();
+    const client = new EventStreamClient(controller, { heartbeatInterval: 5 });
+    let closes = 0;
+    client.onclose = () => closes++;
+
+    controller.errored = true;
+    await sleep(40);
+
+    expect(closes).toBe(1);
+    expect(client.readyState).toBe(3);
+    expect(client.heartbeatTimer).toBeNull();
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, test, expect } from "bun:test";
+import { ethers } from "ethers";
+import { MulticallBatcher, MULTICALL3_ADDRESS } from "../../src/services/multicall.js";
+import { address } from "../helpers.js";
+
+const AGGREGATE3 = new ethers.Interface([
+  'function aggregate3((address target, bool allowFailure, bytes callData)[] calls) payable returns ((bool success, bytes returnData)[] returnData)'
+]);
+
+const target = address(0xbeef);
+const callData = (n) => ethers.toBeHex(n, 4);
+const result = (n) => ethers.zeroPadValue(ethers.toBeHex(n), 32);
+
+/**
+ * perform() stand-in: Multicall3 deployed or not, aggregate3 answered from the
+ * inner calls, where calldata 0xdeadbeef reverts
+ */
+function fakeNode({ deployed = true, aggregateFails = false } = {}) {
+  const requests = [];
+
+  const execute = (data) => {
+    if (data === '0xdeadbeef') throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', {});
+    return result(Number(data));
+  };
+
+  const perform = async (req) => {
+    requests.push(req);
+    if (req.method === 'getCode') return deployed ? '0x6080' : '0x';
+
+    if (req.transaction.to === MULTICALL3_ADDRESS) {
+      if (aggregateFails) throw new Error('missing trie node');
+      const [calls] = AGGREGATE3.decodeFunctionData('aggregate3', req.transaction.data);
+      const results = calls.map(call => {
+        try {
+          return { success: true, returnData: execute(call.callData) };
+        } catch {
+          return { success: false, returnData: '0x' };
+        }
+      });
+      return AGGREGATE3.encodeFunctionResult('aggregate3', [results]);
+    }
+
+    return execute(req.transaction.data);
+  };
+
+  return { perform, requests };
+}
+
+const call = (batcher, data, blockTag) => batcher.enqueue({ transaction: { to: target, data }, blockTag });
+
+describe('MulticallBatcher', () => {
+  test('groups concurrent calls into one aggregate3 call', async () => {
+    const node = fakeNode();
+    const batcher = new MulticallBatcher(node.perform, { batchWindow: 5 });
+
+    const results = await Promise.all([1, 2, 3].map(n => call(batcher, callData(n))));
+
+    expect(results).toEqual([result(1), result(2), result(3)]);
+    expect(node.requests.filter(req => req.method === 'call')).toHaveLength(1);
+    expect(batcher.getStats()).toMatchObject({ available: true, batches: 1, batchedCalls: 3, largestBatch: 3 });
+  });
+
+  test('a reverting call rejects on its own without failing the batch', async () => {
+    const batcher = new MulticallBatcher(fakeNode().perform, { batchWindow: 5 });
+
+    const [ok, reverted] = await Promise.allSettled([call(batcher, callData(7)), call(batcher, '0xdeadbeef')]);
+
+    expect(ok.value).toBe(result(7));
+    expect(reverted.reason.code).toBe('CALL_EXCEPTION');
+  });
+
+  test('queues calls per block tag', async () => {
+    const node = fakeNode();
+    const batcher = new MulticallBatcher(node.perform, { batchWindow: 5 });
+
+    await Promise.all([call(batcher, callData(1), 10), call(batcher, callData(2), 10), call(batcher, callData(3), 'latest'), call(batcher, callData(4), 'latest')]);
+
+    const batches = node.requests.filter(req => req.method === 'call');
+    expect(batches.map(req => req.blockTag).sort()).toEqual([10, 'latest']);
+  });
+
+  test('flushes early when the batch is full', async () => {
+    const node = fakeNode();
+    const batcher = new MulticallBatcher(node.perform, { batchWindow: 10000, maxBatchSize: 2 });
+
+    expect(await Promise.all([call(batcher, callData(1)), call(batcher, callData(2))])).toEqual([result(1), result(2)]);
+  });
+
+  test('falls back to individual calls when Multicall3 is not deployed', async () => {
+    const node = fakeNode({ deployed: false });
+    const batcher = new MulticallBatcher(node.perform, { batchWindow: 5 });
+
+    const results = await Promise.all([1, 2].map(n => call(batcher, callData(n))));
+
+    expect(results).toEqual([result(1), result(2)]);
+    expect(batcher.getStats()).toMatchObject({ available: false, batches: 0, directCalls: 2 });
+    expect(batcher.canBatch({ transaction: { to: target, data: callData(1) } })).toBe(false);
+  });
+
+  test('falls back to individual calls when the aggregate call fails', async () => {
+    const node = fakeNode({ aggregateFails: true });
+    const batcher = new MulticallBatcher(node.perform, { batchWindow: 5 });
+
+    const results = await Promise.all([1, 2].map(n => call(batcher, callData(n))));
+
+    expect(results).toEqual([result(1), result(2)]);
+    expect(batcher.getStats()).toMatchObject({ failedBatches: 1, directCalls: 2 });
+  });
+
+  test('only batches plain reads', () => {
+    const batcher = new MulticallBatcher(fakeNode().perform);
+    const read = { to: target, data: callData(1) };
+
+    expect(batcher.canBatch({ transaction: read })).toBe(true);
+    expect(batcher.canBatch({ transaction: { ...read, from: address(1) } })).toBe(false);
+    expect(batcher.canBatch({ transaction: { ...read, value: 1n } })).toBe(false);
+    expect(batcher.canBatch({ transaction: { ...read, gasLimit: 21000n } })).toBe(false);
+    expect(new MulticallBatcher(fakeNode().perform, { enabled: false }).canBatch({ transaction: read })).toBe(false);
+  });
+});
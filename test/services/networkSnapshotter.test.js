@@ -0,0 +1,88 @@
+import { describe, test, expect, beforeAll } from "bun:test";
+import { NetworkSnapshotter, isSnapshotInterval } from "../../src/services/networkSnapshotter.js";
+import { calculateGini, calculateMedian } from "../../src/utils/statistics.js";
+
+const DAY = 24 * 60 * 60;
+const dayStart = Math.floor(Date.now() / 1000 / DAY) * DAY - 2 * DAY;
+
+const snapshot = (timestamp, blockNumber) => ({
+  $timestamp: timestamp,
+  $blockNumber: blockNumber,
+  $totalStaking: `${blockNumber}.0`,
+  $activeValidators: 21,
+  $candidateCount: 30,
+  $delegatorCount: blockNumber,
+  $gini: 0.123456,
+  $averageAPR: blockNumber === 4 ? null : 12.3456
+});
+
+describe('NetworkSnapshotter.getHistoricalSeries', () => {
+  beforeAll(() => {
+    NetworkSnapshotter.initialize();
+    [
+      snapshot(dayStart - 40 * DAY, 0),
+      snapshot(dayStart + 100, 1),
+      snapshot(dayStart + 3700, 2),
+      snapshot(dayStart + 3800, 3),
+      snapshot(dayStart + DAY + 50, 4)
+    ].forEach(row => NetworkSnapshotter.statements.insert.run(row));
+  });
+
+  test('hourly buckets keep the last snapshot of each hour', () => {
+    const series = NetworkSnapshotter.getHistoricalSeries(30, 'hourly');
+
+    expect(series.map(point => [point.timestamp, point.blockNumber, point.samples])).toEqual([
+      [new Date(dayStart * 1000).toISOString(), 1, 1],
+      [new Date((dayStart + 3600) * 1000).toISOString(), 3, 2],
+      [new Date((dayStart + DAY) * 1000).toISOString(), 4, 1]
+    ]);
+    expect(series[1]).toMatchObject({ totalStaking: '3.0', delegatorCount: 3, giniCoefficient: 0.1235, averageAPR: '12.35' });
+    expect(series[2].averageAPR).toBeNull();
+  });
+
+  test('daily buckets merge the snapshots of a day, older days are left out', () => {
+    const series = NetworkSnapshotter.getHistoricalSeries(30, 'daily');
+
+    expect(series.map(point => [point.timestamp, point.blockNumber, point.samples])).toEqual([
+      [new Date(dayStart * 1000).toISOString(), 3, 3],
+      [new Date((dayStart + DAY) * 1000).toISOString(), 4, 1]
+    ]);
+    expect(NetworkSnapshotter.getHistoricalSeries(1, 'daily')).toEqual([]);
+  });
+
+  test('weekly buckets still count every snapshot of the period', () => {
+    const series = NetworkSnapshotter.getHistoricalSeries(30, 'weekly');
+
+    expect(series.reduce((sum, point) => sum + point.samples, 0)).toBe(4);
+    expect(series.at(-1).blockNumber).toBe(4);
+  });
+
+  test('only the listed intervals are accepted', () => {
+    expect(['hourly', 'daily', 'weekly'].every(isSnapshotInterval)).toBe(true);
+    for (const interval of ['monthly', 'constructor', 'toString', '', undefined]) {
+      expect(isSnapshotInterval(interval)).toBe(false);
+    }
+    expect(() => NetworkSnapshotter.getHistoricalSeries(30, 'constructor')).toThrow('Invalid interval: constructor');
+  });
+});
+
+describe('statistics', () => {
+  test('gini is 0 for equal or empty stakes and grows with concentration', () => {
+    expect(calculateGini([])).toBe(0);
+    expect(calculateGini([0, 0])).toBe(0);
+    expect(calculateGini([5, 5, 5])).toBe(0);
+    expect(calculateGini([10, 0, 0, 0])).toBe(0.75);
+    expect(calculateGini([1, 2, 3, 4])).toBeCloseTo(0.25);
+  });
+
+  test('gini and median leave their input in order', () => {
+    const values = [3, 1, 2];
+    calculateGini(values);
+    calculateMedian(values);
+
+    expect(values).toEqual([3, 1, 2]);
+    expect(calculateMedian(values)).toBe(2);
+    expect(calculateMedian([4, 1, 3, 2])).toBe(2.5);
+    expect(calculateMedian([])).toBe(0);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { ethers } from "ethers";
+import { DelegatorRankingService } from "../../src/services/rankingService.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { EventIndexer } from "../../src/services/eventIndexer.js";
+import { address, fakeProvider } from "../helpers.js";
+
+const validatorA = address(0x9a1);
+const validatorB = address(0x9a2);
+const delegator1 = address(0x9d1);
+const delegator2 = address(0x9d2);
+const ether = (amount) => ethers.parseEther(String(amount));
+
+/**
+ * Validators contract answering every read at its blockTag from a list of
+ * stake changes; records the getStakingInfo reads
+ */
+function fakeStakingContract(provider) {
+  const contract = {
+    active: [validatorA, validatorB],
+    changes: [],
+    reads: [],
+    stakeAt(delegator, validator, block) {
+      const last = contract.changes.filter(change =>
+        change.block <= block && change.delegator === delegator && change.validator === validator).at(-1);
+      return last ? last.amount : 0n;
+    },
+    getActivatedValidators: async () => contract.active,
+    getValidatorInfo: async (validator, { blockTag }) => {
+      const stakers = [...new Set(contract.changes
+        .filter(change => change.block <= blockTag && change.validator === validator)
+        .map(change => change.delegator))];
+      return [validator, 1n, 0n, 0n, 0n, 0n, stakers];
+    },
+    getStakingInfo: async (delegator, validator, { blockTag }) => {
+      if (blockTag > provider.head) throw new Error(`block ${blockTag} is not mined yet`);
+      contract.reads.push([delegator, validator, blockTag]);
+      return [contract.stakeAt(delegator, validator, blockTag), 0n, 0n];
+    }
+  };
+  return contract;
+}
+
+const stakeEvent = (delegator, validator, eventName = 'Staking') => ({ eventName, account: delegator, validator });
+
+describe('DelegatorRankingService', () => {
+  const provider = fakeProvider({ head: 100 });
+  const contract = fakeStakingContract(provider);
+  let service;
+
+  const ranking = () => service.getSortedDelegators().map(({ address, totalStake }) => [address, ethers.formatEther(totalStake)]);
+
+  beforeAll(() => {
+    BlockchainService.provider = provider;
+    contract.changes.push(
+      { block: 50, delegator: delegator1, validator: validatorA, amount: ether(100) },
+      { block: 50, delegator: delegator1, validator: validatorB, amount: ether(50) },
+      { block: 60, delegator: delegator2, validator: validatorB, amount: ether(300) }
+    );
+    service = new DelegatorRankingService(contract);
+    service.persist = true;
+  });
+
+  test('the build reads every stake at one pinned block', async () => {
+    // Changes after the pinned head are not visible yet
+    contract.changes.push({ block: 110, delegator: delegator1, validator: validatorA, amount: ether(500) });
+
+    await service.rebuild();
+
+    expect(service.blockNumber).toBe(100);
+    expect(new Set(contract.reads.map(([, , blockTag]) => blockTag))).toEqual(new Set([100]));
+    expect(ranking()).toEqual([[delegator2, '300.0'], [delegator1, '150.0']]);
+  });
+
+  test('indexed staking events re-read only their pairs at the end of the range', async () => {
+    provider.head = 110;
+    contract.reads.length = 0;
+
+    await service.handleIndexedEvents([stakeEvent(delegator1, validatorA)], { fromBlock: 101, toBlock: 110 });
+
+    expect(contract.reads).toEqual([[delegator1, validatorA, 110]]);
+    expect(service.blockNumber).toBe(110);
+    expect(ranking()).toEqual([[delegator1, '550.0'], [delegator2, '300.0']]);
+  });
+
+  test('ranges the index already covers are skipped', async () => {
+    contract.reads.length = 0;
+
+    await service.handleIndexedEvents([stakeEvent(delegator2, validatorB, 'Unstake')], { fromBlock: 95, toBlock: 105 });
+    await service.handleIndexedRange({ toBlock: 108 });
+
+    expect(contract.reads).toEqual([]);
+    expect(service.blockNumber).toBe(110);
+  });
+
+  test('empty ranges only advance the index block', async () => {
+    provider.head = 115;
+    await service.handleIndexedRange({ toBlock: 115 });
+
+    expect(service.blockNumber).toBe(115);
+    expect(service.statements.getState.get('block_number').value).toBe('115');
+  });
+
+  test('a validator set update rebuilds the whole index', async () => {
+    provider.head = 120;
+    contract.active = [validatorA];
+    contract.reads.length = 0;
+
+    await service.handleIndexedEvents([{ eventName: 'ValidatorSetUpdated', account: null, validator: null }], { fromBlock: 116, toBlock: 120 });
+
+    expect(service.blockNumber).toBe(120);
+    expect(contract.reads.every(([, validator, blockTag]) => validator === validatorA && blockTag === 120)).toBe(true);
+    // Stakes with validator B no longer count
+    expect(ranking()).toEqual([[delegator1, '500.0']]);
+  });
+
+  test('a restarted index loads the saved stakes and replays the events indexed since', async () => {
+    provider.head = 130;
+    contract.changes.push({ block: 125, delegator: delegator2, validator: validatorA, amount: ether(700) });
+    contract.reads.length = 0;
+
+    const getStatus = EventIndexer.getStatus;
+    const getAllEvents = EventIndexer.getAllEvents;
+    const requested = [];
+    EventIndexer.getStatus = () => ({ lastIndexedBlock: 130 });
+    EventIndexer.getAllEvents = (filters) => {
+      requested.push(filters);
+      return [stakeEvent(delegator2, validatorA)];
+    };
+
+    const restarted = new DelegatorRankingService(contract);
+    restarted.persist = true;
+    try {
+      restarted.loadIndex();
+      await restarted.ensureIndex();
+    } finally {
+      EventIndexer.getStatus = getStatus;
+      EventIndexer.getAllEvents = getAllEvents;
+    }
+
+    expect(requested[0]).toMatchObject({ fromBlock: 121, toBlock: 130 });
+    expect(requested[0].eventNames).toContain('ValidatorSetUpdated');
+    expect(contract.reads).toEqual([[delegator2, validatorA, 130]]);
+    expect(restarted.blockNumber).toBe(130);
+    expect(Array.from(restarted.validators)).toEqual([validatorA.toLowerCase()]);
+    expect(restarted.getSortedDelegators().map(({ address, totalStake }) => [address, ethers.formatEther(totalStake)])).toEqual([
+      [delegator2, '700.0'],
+      [delegator1, '500.0']
+    ]);
+  });
+
+  test('a failed update drops the index so the next query rebuilds it', async () => {
+    provider.head = 131;
+    const getStakingInfo = contract.getStakingInfo;
+    contract.getStakingInfo = async () => { throw new Error('rpc down'); };
+
+    try {
+      await expect(service.handleIndexedEvents([stakeEvent(delegator1, validatorA)], { fromBlock: 121, toBlock: 131 })).rejects.toThrow('rpc down');
+      await service.queue;
+      expect(service.blockNumber).toBeNull();
+    } finally {
+      contract.getStakingInfo = getStakingInfo;
+    }
+
+    await service.ensureIndex();
+    expect(service.blockNumber).toBe(131);
+  });
+
+  test('a rewind below the index block rebuilds the index on the new chain', async () => {
+    provider.head = 135;
+    contract.reads.length = 0;
+
+    await service.handleRewind({ fromBlock: 132 });
+    expect(contract.reads).toEqual([]);
+
+    await service.handleRewind({ fromBlock: 125 });
+    await service.queue;
+
+    expect(service.blockNumber).toBe(135);
+    expect(new Set(contract.reads.map(([, , blockTag]) => blockTag))).toEqual(new Set([135]));
+  });
+});
@@ -0,0 +1,156 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from "bun:test";
+import { RedisClient, RedisError } from "../../src/services/redisClient.js";
+import { fakeRedis, respReply, sleep } from "../helpers.js";
+
+describe('RedisClient', () => {
+  let redis;
+  const clients = [];
+
+  const client = (options = {}, url = redis.url()) => {
+    const created = new RedisClient(url, { commandTimeout: 200, reconnectDelay: 0, ...options });
+    clients.push(created);
+    return created;
+  };
+
+  beforeAll(async () => {
+    redis = await fakeRedis();
+  });
+
+  afterEach(() => {
+    clients.splice(0).forEach(created => created.close());
+    redis.handlers = {};
+    redis.chunkSize = 0;
+    redis.commands.length = 0;
+  });
+
+  afterAll(() => redis.stop());
+
+  test('parses every RESP2 reply type', async () => {
+    const value = 'stake € 1.0';
+    // Simple string, integer, null bulk string, nested array with a null array, multi-byte bulk string
+    redis.handlers.MIXED = () => `*5\r\n+OK\r\n:42\r\n$-1\r\n*2\r\n$6\r\nnested\r\n*-1\r\n${respReply(value)}`;
+    const redisClient = client();
+
+    expect(await redisClient.command('MIXED')).toEqual(['OK', 42, null, ['nested', null], value]);
+    expect(await redisClient.command('SET', 'key', value)).toBe('OK');
+    expect(await redisClient.command('GET', 'key')).toBe(value);
+    expect(await redisClient.command('GET', 'missing')).toBeNull();
+    expect(await redisClient.command('DEL', 'key', 'missing')).toBe(1);
+  });
+
+  test('replies split across packets are put back together', async () => {
+    const value = 'ä'.repeat(20);
+    redis.chunkSize = 3;
+    const redisClient = client({ commandTimeout: 2000 });
+
+    await redisClient.command('SET', 'split', value);
+    expect(await redisClient.command('SCAN', '0', 'MATCH', 'split')).toEqual(['0', ['split']]);
+    expect(await redisClient.command('GET', 'split')).toBe(value);
+  });
+
+  test('pipelined commands get their own replies, errors reject only their command', async () => {
+    const redisClient = client();
+    await redisClient.command('SET', 'a', '1');
+    await redisClient.command('SET', 'b', '2');
+
+    const results = await Promise.allSettled([
+      redisClient.command('GET', 'a'),
+      redisClient.command('NOPE'),
+      redisClient.command('GET', 'b')
+    ]);
+
+    expect(results.map(result => result.value)).toEqual(['1', undefined, '2']);
+    expect(results[1].reason).toBeInstanceOf(RedisError);
+    expect(results[1].reason.message).toBe("ERR unknown command 'NOPE'");
+  });
+
+  test('a lost connection fails pending commands and is re-opened on the next one', async () => {
+    redis.handlers.HANG = () => undefined;
+    const redisClient = client({ commandTimeout: 5000 });
+    await redisClient.command('PING');
+    const connections = redis.connections;
+
+    const pending = redisClient.command('HANG');
+    await sleep(10);
+    redis.dropConnections();
+
+    await expect(pending).rejects.toThrow('Redis connection lost');
+    expect(redisClient.getStatus()).toMatchObject({ connected: false, pendingCommands: 0 });
+
+    expect(await redisClient.command('PING')).toBe('PONG');
+    expect(redis.connections).toBe(connections + 1);
+  });
+
+  test('reconnects wait for reconnectDelay', async () => {
+    const redisClient = client({ reconnectDelay: 50 });
+    await redisClient.command('PING');
+
+    redis.dropConnections();
+    await sleep(10);
+
+    await expect(redisClient.command('PING')).rejects.toThrow(/unavailable/);
+    await sleep(60);
+    expect(await redisClient.command('PING')).toBe('PONG');
+  });
+
+  test('a command without reply times out and the connection starts over', async () => {
+    redis.handlers.HANG = () => undefined;
+    const redisClient = client({ commandTimeout: 50 });
+    await redisClient.command('PING');
+    const connections = redis.connections;
+
+    await expect(redisClient.command('HANG')).rejects.toThrow('HANG timed out after 50ms');
+
+    // The late reply can't be matched to the next command
+    expect(await redisClient.command('PING')).toBe('PONG');
+    expect(redis.connections).toBe(connections + 1);
+  });
+
+  test('unreachable servers fail fast', async () => {
+    const redisClient = client({}, 'redis://127.0.0.1:1');
+
+    await expect(redisClient.command('PING')).rejects.toThrow(RedisError);
+    expect(redisClient.getStatus().connected).toBe(false);
+  });
+
+  test('closed clients refuse commands', async () => {
+    const redisClient = client();
+    await redisClient.command('PING');
+    redisClient.close();
+    await sleep(10);
+
+    await expect(redisClient.command('PING')).rejects.toThrow('Redis client is closed');
+  });
+});
+
+describe('RedisClient authentication', () => {
+  let redis;
+
+  beforeAll(async () => {
+    redis = await fakeRedis({ password: 'p@ss' });
+  });
+
+  afterAll(() => redis.stop());
+
+  test('authenticates and selects the database from the url', async () => {
+    const redisClient = new RedisClient(redis.url('cache:p%40ss@', '3'), { reconnectDelay: 0 });
+
+    try {
+      expect(await redisClient.command('PING')).toBe('PONG');
+      expect(redis.commands.slice(0, 2)).toEqual([['AUTH', 'cache', 'p@ss'], ['SELECT', '3']]);
+    } finally {
+      redisClient.close();
+    }
+  });
+
+  test('a wrong password fails the command', async () => {
+    const redisClient = new RedisClient(redis.url(':wrong@'), { reconnectDelay: 0 });
+
+    try {
+      await expect(redisClient.command('PING')).rejects.toThrow(/WRONGPASS/);
+      expect(redisClient.getStatus().lastError).toMatch(/WRONGPASS/);
+    } finally {
+      redisClient.close();
+    }
+  });
+});
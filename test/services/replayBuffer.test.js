@@ -0,0 +1,95 @@
+import { describe, test, expect } from "bun:test";
+import { EventReplayBuffer, formatCursor, parseCursor, compareCursors } from "../../src/services/replayBuffer.js";
+
+const entry = (blockNumber, logIndex) => ({ cursor: { blockNumber, logIndex }, topic: 'events', message: { blockNumber, logIndex } });
+const cursors = (entries) => entries.map(item => formatCursor(item.cursor));
+
+describe('replay cursors', () => {
+  test('format and parse round-trip', () => {
+    expect(formatCursor({ blockNumber: 120, logIndex: 3 })).toBe('120:3');
+    expect(parseCursor('120:3')).toEqual({ blockNumber: 120, logIndex: 3 });
+  });
+
+  test('malformed cursors parse to null', () => {
+    for (const cursor of [undefined, null, '', '120', '120:', ':3', '-1:3', '1.5:3', '12:3:4', 'abc']) {
+      expect(parseCursor(cursor)).toBeNull();
+    }
+  });
+
+  test('order by block, then log index', () => {
+    expect(compareCursors(parseCursor('10:5'), parseCursor('11:0'))).toBeLessThan(0);
+    expect(compareCursors(parseCursor('11:2'), parseCursor('11:1'))).toBeGreaterThan(0);
+    expect(compareCursors(parseCursor('11:1'), parseCursor('11:1'))).toBe(0);
+  });
+});
+
+describe('EventReplayBuffer', () => {
+  test('keeps entries in cursor order whatever the arrival order', () => {
+    const buffer = new EventReplayBuffer(10);
+    [entry(12, 0), entry(10, 1), entry(12, 1), entry(10, 0), entry(11, 4)].forEach(item => buffer.add(item));
+
+    expect(cursors(buffer.entries)).toEqual(['10:0', '10:1', '11:4', '12:0', '12:1']);
+    expect(buffer.latestCursor).toBe('12:1');
+  });
+
+  test('ignores events that are already buffered', () => {
+    const buffer = new EventReplayBuffer(10);
+
+    expect(buffer.add(entry(10, 0))).toBe(true);
+    expect(buffer.add(entry(10, 0))).toBe(false);
+    expect(buffer.entries).toHaveLength(1);
+  });
+
+  test('since() returns only the entries after the cursor', () => {
+    const buffer = new EventReplayBuffer(10);
+    [entry(10, 0), entry(10, 1), entry(11, 0)].forEach(item => buffer.add(item));
+
+    expect(cursors(buffer.since(parseCursor('10:0')).entries)).toEqual(['10:1', '11:0']);
+    expect(buffer.since(parseCursor('11:0'))).toEqual({ entries: [], gap: false });
+    expect(buffer.since(parseCursor('0:0')).entries).toHaveLength(3);
+  });
+
+  test('reports a gap once entries after the cursor were evicted', () => {
+    const buffer = new EventReplayBuffer(2);
+    [entry(10, 0), entry(11, 0), entry(12, 0)].forEach(item => buffer.add(item));
+
+    expect(cursors(buffer.entries)).toEqual(['11:0', '12:0']);
+    expect(buffer.getStats()).toEqual({ size: 2, capacity: 2, oldestCursor: '11:0', latestCursor: '12:0' });
+
+    // 10:0 itself was evicted, but nothing after it is missing
+    expect(buffer.since(parseCursor('10:0'))).toMatchObject({ gap: false });
+    expect(buffer.since(parseCursor('9:7'))).toMatchObject({ gap: true });
+    expect(cursors(buffer.since(parseCursor('9:7')).entries)).toEqual(['11:0', '12:0']);
+  });
+
+  test('a late, older event evicted at once does not hide an earlier gap', () => {
+    const buffer = new EventReplayBuffer(2);
+    [entry(10, 0), entry(11, 0), entry(12, 0)].forEach(item => buffer.add(item));
+
+    // Refetched after a reorg: older than everything buffered, so it is the one evicted
+    buffer.add(entry(9, 0));
+
+    expect(cursors(buffer.entries)).toEqual(['11:0', '12:0']);
+    expect(formatCursor(buffer.evictedThrough)).toBe('10:0');
+    expect(buffer.since(parseCursor('9:5'))).toMatchObject({ gap: true });
+  });
+
+  test('remove() drops retracted entries and returns them oldest first', () => {
+    const buffer = new EventReplayBuffer(10);
+    [entry(10, 0), entry(11, 0), entry(11, 1), entry(12, 0)].forEach(item => buffer.add(item));
+
+    const removed = buffer.remove(item => item.cursor.blockNumber >= 11);
+
+    expect(cursors(removed)).toEqual(['11:0', '11:1', '12:0']);
+    expect(cursors(buffer.entries)).toEqual(['10:0']);
+    expect(buffer.since(parseCursor('10:0')).entries).toEqual([]);
+    expect(buffer.remove(() => false)).toEqual([]);
+  });
+
+  test('an empty buffer has no cursors', () => {
+    const buffer = new EventReplayBuffer();
+
+    expect(buffer.latestCursor).toBeNull();
+    expect(buffer.getStats()).toMatchObject({ size: 0, capacity: 1000, oldestCursor: null });
+  });
+});
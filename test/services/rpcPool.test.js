@@ -0,0 +1,124 @@
+import { describe, test, expect, afterEach } from "bun:test";
+import { ethers } from "ethers";
+import { RpcPoolProvider } from "../../src/services/rpcPool.js";
+
+const URLS = ['http://rpc-a.test', 'http://rpc-b.test', 'http://rpc-c.test'];
+
+/**
+ * Pool whose endpoints answer through `handlers[i](req)` instead of HTTP
+ */
+async function pool(handlers, options = {}) {
+  const provider = new RpcPoolProvider(URLS.slice(0, handlers.length), {
+    chainId: 1,
+    maxFailures: 2,
+    cooldown: 30000,
+    multicall: { enabled: false },
+    ...options
+  });
+  await provider.ready();
+
+  provider.endpoints.forEach((endpoint, index) => {
+    endpoint.calls = 0;
+    endpoint.provider._perform = async (req) => {
+      endpoint.calls++;
+      return handlers[index](req);
+    };
+  });
+  return provider;
+}
+
+const transportError = () => { throw ethers.makeError('request timeout', 'TIMEOUT', {}); };
+const missingState = () => { throw new Error('missing trie node 1a2b (path ) state 0x1a2b is not available'); };
+
+describe('RpcPoolProvider', () => {
+  let provider;
+
+  afterEach(() => provider?.destroy());
+
+  test('fails over to the next endpoint on transport errors', async () => {
+    provider = await pool([transportError, () => 42]);
+
+    expect(await provider.performWithFailover({ method: 'getBlockNumber' })).toBe(42);
+
+    const [a, b] = provider.getStatus().endpoints;
+    expect(a).toMatchObject({ failures: 1, consecutiveFailures: 1, available: true });
+    expect(b).toMatchObject({ failures: 0, available: true });
+    expect(provider.getStatus().activeEndpoint).toBe('http://rpc-b.test');
+  });
+
+  test('cools endpoints down after repeated failures', async () => {
+    let bDown = true;
+    provider = await pool([transportError, () => (bDown ? transportError() : 42)]);
+
+    for (let i = 0; i < 2; i++) {
+      await expect(provider.performWithFailover({ method: 'getBlockNumber' })).rejects.toThrow('request timeout');
+    }
+    expect(provider.getStatus()).toMatchObject({ status: 'unhealthy', availableEndpoints: 0 });
+
+    // Cooled-down endpoints are still tried as a last resort
+    bDown = false;
+    expect(await provider.performWithFailover({ method: 'getBlockNumber' })).toBe(42);
+  });
+
+  test('throws the last error when every endpoint fails', async () => {
+    provider = await pool([transportError, transportError]);
+
+    await expect(provider.performWithFailover({ method: 'getBlockNumber' })).rejects.toMatchObject({ code: 'TIMEOUT' });
+  });
+
+  test('reverts are returned at once without penalising the endpoint', async () => {
+    provider = await pool([
+      () => { throw ethers.makeError('execution reverted', 'CALL_EXCEPTION', {}); },
+      () => '0x'
+    ]);
+
+    await expect(provider.performWithFailover({ method: 'call', transaction: {} })).rejects.toMatchObject({ code: 'CALL_EXCEPTION' });
+    expect(provider.endpoints[1].calls).toBe(0);
+    expect(provider.endpoints[0].failures).toBe(0);
+  });
+
+  test('pruned historical state does not put a healthy endpoint in cooldown', async () => {
+    provider = await pool([missingState, () => '0x']);
+
+    for (let i = 0; i < 5; i++) {
+      await expect(provider.performWithFailover({ method: 'call', transaction: {}, blockTag: '0x10' })).rejects.toThrow('missing trie node');
+    }
+
+    expect(provider.endpoints[0]).toMatchObject({ failures: 0, consecutiveFailures: 0 });
+    expect(provider.getStatus()).toMatchObject({ status: 'healthy', availableEndpoints: 2 });
+  });
+
+  test('health checks take lagging endpoints out of rotation', async () => {
+    provider = await pool([() => 100, () => 90, () => 99], { maxBlockLag: 1 });
+
+    await provider.checkHealth();
+
+    expect(provider.getStatus().endpoints.map(endpoint => [endpoint.lag, endpoint.stale])).toEqual([[0, false], [10, true], [1, false]]);
+  });
+
+  test('maxBlockLag 0 requires endpoints at the best height', async () => {
+    provider = await pool([() => 100, () => 99], { maxBlockLag: 0 });
+
+    await provider.checkHealth();
+
+    expect(provider.getStatus().endpoints.map(endpoint => endpoint.stale)).toEqual([false, true]);
+  });
+});
+
+describe('RPC pool config', () => {
+  const readConfig = (env) => {
+    const result = Bun.spawnSync(
+      ['bun', '-e', 'const { config } = await import("./src/config/index.js"); console.log(JSON.stringify(config.rpc));'],
+      { env: { ...process.env, ...env }, cwd: `${import.meta.dir}/../..` }
+    );
+    return JSON.parse(result.stdout.toString());
+  };
+
+  test('RPC_MAX_BLOCK_LAG and RPC_COOLDOWN accept 0', () => {
+    expect(readConfig({ RPC_MAX_BLOCK_LAG: '0', RPC_COOLDOWN: '0' })).toMatchObject({ maxBlockLag: 0, cooldown: 0 });
+  });
+
+  test('unset or invalid values use the defaults', () => {
+    expect(readConfig({ RPC_MAX_BLOCK_LAG: 'abc', RPC_COOLDOWN: '' })).toMatchObject({ maxBlockLag: 5, cooldown: 30000 });
+  });
+});
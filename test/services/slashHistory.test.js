@@ -0,0 +1,105 @@
+import { describe, test, expect } from "bun:test";
+import { SlashHistory } from "../../src/services/slashHistory.js";
+import { address } from "../helpers.js";
+
+const validator = address(0x5e1);
+
+// Indexed event 12s blocks apart, like the event index returns it
+const event = (eventName, blockNumber) => ({
+  eventName,
+  validator,
+  blockNumber,
+  timestamp: new Date((1700000000 + blockNumber * 12) * 1000).toISOString(),
+  transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`
+});
+
+const slash = (blockNumber) => event('ValidatorSlash', blockNumber);
+const unjail = (blockNumber) => event('ValidatorUnjailed', blockNumber);
+
+// formatSlash output; jailed is null without archive state
+const slashes = (...jailed) => jailed.map(value => ({ type: 'slash', jailed: value }));
+
+const periods = (events, slashResults, state = {}) => SlashHistory.buildJailPeriods(events, slashResults, {
+  currentlyJailed: false,
+  currentBlock: 1000,
+  ...state
+});
+
+describe('SlashHistory.buildJailPeriods', () => {
+  test('a jailing slash opens a period, the next unjail closes it', () => {
+    const [period] = periods([slash(100), unjail(150)], slashes(true));
+
+    expect(period).toEqual({
+      startBlock: 100,
+      startTime: new Date((1700000000 + 100 * 12) * 1000).toISOString(),
+      slashTransaction: slash(100).transactionHash,
+      endBlock: 150,
+      endTime: new Date((1700000000 + 150 * 12) * 1000).toISOString(),
+      durationBlocks: 50,
+      durationSeconds: 600,
+      unjailTransaction: unjail(150).transactionHash,
+      ongoing: false
+    });
+  });
+
+  test('slashes that did not jail and slashes during a jail open no period', () => {
+    const result = periods([slash(100), slash(200), slash(210), unjail(300)], slashes(false, true, true));
+
+    expect(result.map(({ startBlock, endBlock }) => [startBlock, endBlock])).toEqual([[200, 300]]);
+  });
+
+  test('a validator still jailed has an ongoing period up to the current block', () => {
+    const result = periods([slash(100), unjail(150), slash(400)], slashes(true, true), { currentlyJailed: true });
+
+    expect(result).toHaveLength(2);
+    expect(result[1]).toMatchObject({ startBlock: 400, endBlock: 1000, durationBlocks: 600, ongoing: true, unjailTransaction: null });
+  });
+
+  test('a period without an indexed unjail has an unknown end', () => {
+    const result = periods([slash(100)], slashes(true));
+
+    expect(result).toEqual([expect.objectContaining({ startBlock: 100, endBlock: null, durationBlocks: null, durationSeconds: null, ongoing: false })]);
+  });
+
+  describe('without archive state', () => {
+    test('a slash followed by an unjail is taken as jailing', () => {
+      const result = periods([slash(100), unjail(150)], slashes(null));
+
+      expect(result).toEqual([expect.objectContaining({ startBlock: 100, endBlock: 150, durationBlocks: 50 })]);
+    });
+
+    test('a last slash jails only when the validator is jailed now', () => {
+      expect(periods([slash(100), unjail(150), slash(400)], slashes(null, null))
+        .map(({ startBlock }) => startBlock)).toEqual([100]);
+
+      const jailedNow = periods([slash(100), unjail(150), slash(400)], slashes(null, null), { currentlyJailed: true });
+      expect(jailedNow.map(({ startBlock, ongoing }) => [startBlock, ongoing])).toEqual([[100, false], [400, true]]);
+    });
+
+    test('known states are used where the node has them', () => {
+      const result = periods([slash(100), slash(200), unjail(300)], slashes(false, null));
+
+      expect(result.map(({ startBlock, endBlock }) => [startBlock, endBlock])).toEqual([[200, 300]]);
+    });
+  });
+});
+
+describe('SlashHistory rewinds', () => {
+  test('details resolved for replaced blocks are dropped', () => {
+    SlashHistory.initialize();
+    const details = (blockNumber) => ({ $blockNumber: blockNumber, $logIndex: 0 });
+    [800, 900].forEach(blockNumber => SlashHistory.statements.insertDetails.run({
+      ...details(blockNumber),
+      $validator: validator.toLowerCase(),
+      $accBefore: '0',
+      $accAfter: '5',
+      $stakingBefore: '100',
+      $statusAfter: 4
+    }));
+
+    SlashHistory.handleRewind({ fromBlock: 850 });
+
+    expect(SlashHistory.statements.getDetails.get(details(800))).not.toBeNull();
+    expect(SlashHistory.statements.getDetails.get(details(900))).toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { ethers } from "ethers";
+import {
+  TransactionBuilderService,
+  TxPreflightError,
+  validateAmount,
+  parseOxtAmount
+} from "../../src/services/txBuilder.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { address, validatorsInterface, CONTRACT_ADDRESS } from "../helpers.js";
+
+const from = address(0xb01);
+const validator = address(0xb02);
+const ether = (amount) => ethers.parseEther(String(amount));
+
+const description = { moniker: 'node', website: 'https://node.example', email: 'ops@node.example', details: '' };
+
+/**
+ * Validators contract with one validator and per-staker stake info
+ */
+function fakeValidatorsContract() {
+  const contract = {
+    interface: validatorsInterface,
+    validators: new Map([[validator, { status: 2n, rewardAddr: validator, rewardAmount: 0n, lastWithdrawRewardBlock: 0n, commissionRate: 500n }]]),
+    stakers: new Map(),
+    getAddress: async () => CONTRACT_ADDRESS,
+    validatorInfo: async (account) => contract.validators.get(account) ?? { status: 0n, commissionRate: 0n },
+    stakerInfo: async (staker) => contract.stakers.get(staker) ?? { amount: 0n, unstakeBlock: 0n, index: 0n },
+    MinimalOfStaking: async () => ether(100),
+    MinimalStakingCoin: async () => ether(10000),
+    StakingLockPeriod: async () => 86400n,
+    DEFAULT_COMMISSION_RATE: async () => 500n,
+    MAX_COMMISSION_RATE: async () => 2000n,
+    validateDescription: async () => true
+  };
+  return contract;
+}
+
+const rejection = async (promise) => {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error('build did not throw');
+};
+
+describe('validateAmount', () => {
+  test('stake and create need a positive OXT amount', () => {
+    expect(validateAmount('stake', '100')).toEqual([]);
+    expect(validateAmount('create', 0.5)).toEqual([]);
+    expect(validateAmount('stake', undefined)).toEqual(['amount is required']);
+    expect(validateAmount('create', '')).toEqual(['amount is required']);
+    for (const amount of ['0', '-1', 'abc', '1e18', '0.0000000000000000001', {}]) {
+      expect(validateAmount('stake', amount)).toEqual(['amount must be a positive OXT amount']);
+    }
+  });
+
+  test('actions without value ignore the amount', () => {
+    expect(validateAmount('unstake', 'abc')).toEqual([]);
+    expect(validateAmount('edit', undefined)).toEqual([]);
+  });
+
+  test('amounts are converted to wei', () => {
+    expect(parseOxtAmount('1.5')).toBe(ether(1.5));
+    expect(parseOxtAmount('0')).toBeNull();
+  });
+});
+
+describe('TransactionBuilderService', () => {
+  const builder = new TransactionBuilderService();
+  const contract = fakeValidatorsContract();
+  const saved = { provider: BlockchainService.provider, validatorsContract: BlockchainService.validatorsContract };
+  let head = 1000;
+
+  beforeAll(() => {
+    BlockchainService.validatorsContract = contract;
+    BlockchainService.provider = {
+      getBlockNumber: async () => head,
+      getNetwork: async () => ({ chainId: 4242n }),
+      estimateGas: async () => 100000n
+    };
+  });
+
+  afterAll(() => {
+    Object.assign(BlockchainService, saved);
+  });
+
+  test('stake totals are checked against the minimum stake', async () => {
+    const error = await rejection(builder.buildStake({ from, validator, amount: '50' }));
+
+    expect(error).toBeInstanceOf(TxPreflightError);
+    expect(error.errors).toEqual(['Stake must total at least 100.0 OXT']);
+    expect(error.checks).toMatchObject({ minimalStaking: '100.0', currentStake: '0.0', resultingStake: '50.0' });
+
+    // Topping up an existing stake only needs the total to reach it
+    contract.stakers.set(from, { amount: ether(80), unstakeBlock: 0n, index: 1n });
+    const built = await builder.buildStake({ from, validator, amount: '50' });
+
+    expect(built.transaction).toMatchObject({
+      from,
+      to: CONTRACT_ADDRESS,
+      value: ether(50).toString(),
+      chainId: 4242,
+      gasLimit: '120000'
+    });
+    expect(built.transaction.data).toBe(validatorsInterface.encodeFunctionData('stake', [validator]));
+    expect(built.checks.resultingStake).toBe('130.0');
+  });
+
+  test('unstake reports the block the lock period ends', async () => {
+    contract.stakers.set(from, { amount: ether(130), unstakeBlock: 0n, index: 1n });
+
+    const built = await builder.buildUnstake({ from, validator });
+
+    expect(built.checks).toEqual({ stakedAmount: '130.0', stakingLockPeriod: 86400, estimatedUnlockBlock: 1000 + 86400 });
+  });
+
+  test('withdrawals wait until the unstake block is reached', async () => {
+    contract.stakers.set(from, { amount: ether(130), unstakeBlock: 1010n, index: 1n });
+
+    const locked = await rejection(builder.buildWithdrawStaking({ from, validator }));
+    expect(locked.errors).toEqual(['Stake is locked until block 1010 (10 blocks remaining)']);
+    expect(locked.checks).toMatchObject({ unlockBlock: 1010, currentBlock: 1000, canWithdraw: false });
+
+    head = 1010;
+    const built = await builder.buildWithdrawStaking({ from, validator });
+    expect(built.checks).toMatchObject({ amount: '130.0', canWithdraw: true });
+
+    contract.stakers.delete(from);
+    const nothing = await rejection(builder.buildWithdrawStaking({ from, validator }));
+    expect(nothing.errors).toEqual(['Nothing to withdraw, unstake first', 'No stake to withdraw']);
+    expect(nothing.checks.canWithdraw).toBe(false);
+  });
+
+  test('a pending unstake blocks new stakes and a second unstake', async () => {
+    contract.stakers.set(from, { amount: ether(130), unstakeBlock: 2000n, index: 1n });
+
+    expect((await rejection(builder.buildStake({ from, validator, amount: '10' }))).errors)
+      .toEqual(['Cannot stake while an unstake is pending, withdraw it first']);
+    expect((await rejection(builder.buildUnstake({ from, validator }))).errors)
+      .toEqual(['Already unstaking from this validator']);
+    contract.stakers.delete(from);
+  });
+
+  test('create needs the validator minimum and reports the commission bounds', async () => {
+    const error = await rejection(builder.buildCreate({ from, rewardAddr: from, description, amount: '5000' }));
+
+    expect(error.errors).toEqual(['Validator stake must be at least 10000.0 OXT']);
+    expect(error.checks).toEqual({ minimalStakingCoin: '10000.0', defaultCommissionRate: 500, maxCommissionRate: 2000 });
+
+    const built = await builder.buildCreate({ from, rewardAddr: from, description, amount: '10000' });
+    expect(built.transaction.value).toBe(ether(10000).toString());
+    expect(built.checks.maxCommissionRate).toBe(2000);
+  });
+
+  test('edit reports the current rate within the commission bounds', async () => {
+    const built = await builder.buildEdit({ from: validator, rewardAddr: validator, description });
+
+    expect(built.checks).toEqual({
+      validatorStatus: 2,
+      isJailed: false,
+      commissionRate: 500,
+      defaultCommissionRate: 500,
+      maxCommissionRate: 2000
+    });
+
+    const missing = await rejection(builder.buildEdit({ from, rewardAddr: from, description }));
+    expect(missing.errors).toEqual(['Validator does not exist, use create first']);
+  });
+
+  test('malformed amounts reaching the builder are still refused', async () => {
+    const error = await rejection(builder.buildStake({ from, validator, amount: '-1' }));
+
+    expect(error).toMatchObject({ code: 'PREFLIGHT_FAILED', message: 'Invalid amount' });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, test, expect, beforeAll } from "bun:test";
+import { TransactionSimulatorService } from "../../src/services/txSimulator.js";
+import { TxPreflightError } from "../../src/services/txBuilder.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { address, validatorsInterface } from "../helpers.js";
+
+const validator = address(0x5a1);
+
+describe('TransactionSimulatorService.resolveCall', () => {
+  const simulator = new TransactionSimulatorService();
+
+  beforeAll(() => {
+    BlockchainService.validatorsContract = { interface: validatorsInterface };
+  });
+
+  const rejection = (request) => {
+    try {
+      simulator.resolveCall(request);
+    } catch (error) {
+      return error;
+    }
+    throw new Error('resolveCall did not throw');
+  };
+
+  test('decodes raw calldata into the action and its arguments', () => {
+    const data = validatorsInterface.encodeFunctionData('stake', [validator]);
+
+    expect(simulator.resolveCall({ data, value: '5' })).toEqual({ action: 'stake', args: [validator], value: 5n, data });
+  });
+
+  test('truncated calldata is reported with the decode reason', () => {
+    const data = validatorsInterface.encodeFunctionData('stake', [validator]).slice(0, 40);
+    const error = rejection({ data });
+
+    expect(error).toBeInstanceOf(TxPreflightError);
+    expect(error).toMatchObject({ code: 'INVALID_CALLDATA', message: 'Invalid calldata' });
+    expect(error.errors[0]).toMatch(/data/i);
+  });
+
+  test('unknown selectors stay a preflight failure', () => {
+    const error = rejection({ data: '0x12345678' });
+
+    expect(error).toMatchObject({ code: 'PREFLIGHT_FAILED', message: 'Unknown function selector' });
+  });
+
+  test('action arguments the ABI cannot encode are reported with the reason', () => {
+    const error = rejection({ action: 'stake', validator: 'not-an-address' });
+
+    expect(error).toBeInstanceOf(TxPreflightError);
+    expect(error).toMatchObject({ code: 'INVALID_CALLDATA', message: 'Invalid stake arguments' });
+    expect(error.errors).toHaveLength(1);
+  });
+});
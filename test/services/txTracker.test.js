@@ -0,0 +1,134 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { ethers } from "ethers";
+import { TxTracker, TxTrackingError, clientIp } from "../../src/services/txTracker.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { config } from "../../src/config/index.js";
+import { fakeProvider } from "../helpers.js";
+
+const txHash = (n) => ethers.zeroPadValue(ethers.toBeHex(0x7700 + n), 32);
+
+const rejection = (hash, options) => {
+  try {
+    TxTracker.track(hash, options);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('track did not throw');
+};
+
+describe('TxTracker', () => {
+  const mempool = new Set();
+  const savedConfig = { ...TxTracker.config };
+
+  beforeAll(() => {
+    BlockchainService.provider = {
+      ...fakeProvider({ head: 1000 }),
+      getTransactionReceipt: async () => null,
+      getTransaction: async (hash) => (mempool.has(hash) ? { hash, from: null, to: null } : null)
+    };
+    Object.assign(TxTracker.config, { maxPerClient: 2, maxTracked: 1000, unseenTimeout: 60000, dropTimeout: 600000 });
+  });
+
+  afterAll(() => {
+    TxTracker.stop();
+    Object.assign(TxTracker.config, savedConfig);
+  });
+
+  test('rejects malformed hashes', () => {
+    for (const hash of [undefined, 42, '0x1234', `${txHash(1)}00`, txHash(1).replace('0x', '0z')]) {
+      expect(rejection(hash)).toMatchObject({ name: 'TxTrackingError', code: 'INVALID_HASH' });
+    }
+  });
+
+  test('confirmations are capped at the reorg depth', () => {
+    for (const confirmations of [0, -1, 1.5, NaN, config.websocket.reorgDepth + 1, 1e9]) {
+      expect(rejection(txHash(2), { confirmations })).toMatchObject({ code: 'INVALID_CONFIRMATIONS' });
+    }
+
+    const entry = TxTracker.track(txHash(2), { confirmations: config.websocket.reorgDepth });
+    expect(entry.confirmationsRequired).toBe(config.websocket.reorgDepth);
+  });
+
+  test('limits the pending transactions each client tracks', () => {
+    TxTracker.track(txHash(10), { owner: '10.0.0.1' });
+    TxTracker.track(txHash(11), { owner: '10.0.0.1' });
+
+    const error = rejection(txHash(12), { owner: '10.0.0.1' });
+    expect(error).toBeInstanceOf(TxTrackingError);
+    expect(error.code).toBe('TRACKING_LIMIT');
+
+    // Other clients and already tracked hashes are not affected
+    expect(TxTracker.track(txHash(12), { owner: '10.0.0.2' }).hash).toBe(txHash(12));
+    expect(TxTracker.track(txHash(10), { owner: '10.0.0.3' }).hash).toBe(txHash(10));
+
+    // Finished transactions free the slot
+    TxTracker.update(TxTracker.get(txHash(11)), 'confirmed');
+    expect(TxTracker.track(txHash(13), { owner: '10.0.0.1' }).hash).toBe(txHash(13));
+  });
+
+  test('never-seen hashes expire after unseenTimeout, mempool ones after dropTimeout', async () => {
+    mempool.add(txHash(21));
+    const unseen = TxTracker.track(txHash(20));
+    const seen = TxTracker.track(txHash(21));
+    await TxTracker.check(seen);
+
+    const twoMinutesAgo = new Date(Date.now() - 120000).toISOString();
+    unseen.registeredAt = twoMinutesAgo;
+    seen.registeredAt = twoMinutesAgo;
+    await TxTracker.check(unseen);
+    await TxTracker.check(seen);
+
+    expect(unseen.status).toBe('dropped');
+    expect(seen).toMatchObject({ status: 'pending', seen: true });
+  });
+
+  test('dropped never-seen hashes are pruned sooner than finished transactions', () => {
+    const unseen = TxTracker.get(txHash(20));
+    const confirmed = Object.assign(TxTracker.get(txHash(11)), { seen: true });
+    const twoMinutesAgo = new Date(Date.now() - 120000).toISOString();
+    unseen.updatedAt = twoMinutesAgo;
+    confirmed.updatedAt = twoMinutesAgo;
+
+    TxTracker.prune();
+
+    expect(TxTracker.get(txHash(20))).toBeNull();
+    expect(TxTracker.get(txHash(11))).not.toBeNull();
+  });
+
+  test('the poll loop prunes finished transactions and stops once none are left', async () => {
+    const pending = TxTracker.track(txHash(30));
+    const twoMinutesAgo = new Date(Date.now() - 120000).toISOString();
+    TxTracker.transactions.forEach(entry => {
+      if (entry !== pending) Object.assign(entry, { status: 'dropped', seen: false, updatedAt: twoMinutesAgo });
+    });
+
+    await TxTracker.poll();
+    expect(Array.from(TxTracker.transactions.keys())).toEqual([txHash(30)]);
+    expect(TxTracker.timer).not.toBeNull();
+
+    TxTracker.update(pending, 'dropped');
+    pending.updatedAt = twoMinutesAgo;
+    await TxTracker.poll();
+
+    expect(TxTracker.transactions.size).toBe(0);
+    expect(TxTracker.timer).toBeNull();
+  });
+});
+
+describe('clientIp', () => {
+  const request = new Request('http://localhost/api/tx/track', {
+    headers: { 'x-forwarded-for': '203.0.113.7, 10.0.0.1', 'x-real-ip': '203.0.113.8' }
+  });
+  const server = { requestIP: () => ({ address: '10.0.0.1' }) };
+
+  test('proxy headers are ignored unless the proxy is trusted', () => {
+    expect(clientIp(request, server, false)).toBe('10.0.0.1');
+    expect(clientIp(new Request('http://localhost/'), null, false)).toBe('unknown');
+  });
+
+  test('behind a trusted proxy the first forwarded hop is the client', () => {
+    expect(clientIp(request, server, true)).toBe('203.0.113.7');
+    expect(clientIp(new Request('http://localhost/', { headers: { 'x-real-ip': '203.0.113.8' } }), server, true)).toBe('203.0.113.8');
+    expect(clientIp(new Request('http://localhost/'), server, true)).toBe('10.0.0.1');
+  });
+});
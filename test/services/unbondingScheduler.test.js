@@ -0,0 +1,149 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { EventEmitter } from "events";
+import { ethers } from "ethers";
+import { UnbondingScheduler } from "../../src/services/unbondingScheduler.js";
+import { EventIndexer } from "../../src/services/eventIndexer.js";
+import { address } from "../helpers.js";
+
+const validator = address(0xe01);
+
+// Event as the indexer stores it (amount in wei)
+const indexedEvent = (eventName, staker, { amount = '10', unlockBlock = 0, blockNumber, logIndex = 0 }) => ({
+  eventName,
+  args: { staker, validator, amount: ethers.parseEther(amount).toString(), unLockHeight: String(unlockBlock) },
+  transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber * 100 + logIndex), 32),
+  blockNumber,
+  logIndex
+});
+
+// contractEvent message of the WebSocket service (amount in OXT)
+const liveEvent = (eventName, staker, { amount = '10', unlockBlock, blockNumber, logIndex = 0 }) => ({
+  type: 'contractEvent',
+  eventName,
+  blockNumber,
+  logIndex,
+  transactionHash: ethers.zeroPadValue(ethers.toBeHex(blockNumber * 100 + logIndex), 32),
+  data: { staker, validator, amount, ...(unlockBlock !== undefined && { unlockHeight: String(unlockBlock) }) }
+});
+
+const unbonding = (staker) => UnbondingScheduler.statements.open
+  .all({ $staker: staker.toLowerCase(), $validator: null })
+  .map(row => UnbondingScheduler.formatUnbonding(row))[0] ?? null;
+
+describe('UnbondingScheduler', () => {
+  const ws = new EventEmitter();
+  const getAllEvents = EventIndexer.getAllEvents;
+  const notices = [];
+  const onReady = (notice) => notices.push(notice);
+
+  beforeAll(() => {
+    EventIndexer.getAllEvents = () => [];
+    UnbondingScheduler.headBlock = 0;
+    UnbondingScheduler.start(ws);
+    UnbondingScheduler.on('withdrawalReady', onReady);
+    UnbondingScheduler.advance(1000);
+  });
+
+  afterAll(() => {
+    UnbondingScheduler.off('withdrawalReady', onReady);
+    UnbondingScheduler.stop();
+    EventIndexer.getAllEvents = getAllEvents;
+  });
+
+  test('unbondings turn ready once the head reaches the unlock block', () => {
+    const staker = address(0xe11);
+    const lateStaker = address(0xe12);
+    ws.emit('contractEvent', liveEvent('Unstake', staker, { amount: '25', unlockBlock: 1010, blockNumber: 1000 }));
+    // Unlocked before the head, stored as ready without a notice
+    UnbondingScheduler.apply(UnbondingScheduler.fromIndexedEvent(indexedEvent('Unstake', lateStaker, { unlockBlock: 900, blockNumber: 800 })));
+
+    ws.emit('newBlock', 1009);
+    expect(unbonding(staker)).toMatchObject({ status: 'pending', unlockBlock: 1010, amount: '25.0' });
+    expect(unbonding(lateStaker).status).toBe('ready');
+
+    ws.emit('newBlock', 1010);
+    expect(unbonding(staker).status).toBe('ready');
+    expect(notices).toHaveLength(1);
+    expect(notices[0]).toMatchObject({ staker: staker.toLowerCase(), validator: validator.toLowerCase(), amount: '25.0', status: 'ready', blockNumber: 1010 });
+
+    // A head that does not move on notifies nothing again
+    ws.emit('newBlock', 1010);
+    expect(notices).toHaveLength(1);
+  });
+
+  test('older indexed events never overwrite newer live state', () => {
+    const staker = address(0xe21);
+    // Live: a second unstake after the first one was withdrawn
+    ws.emit('contractEvent', liveEvent('Unstake', staker, { amount: '7', unlockBlock: 1100, blockNumber: 1012 }));
+
+    // The indexer catches up with the first unstake and its withdrawal
+    UnbondingScheduler.onIndexedEvents([
+      indexedEvent('Unstake', staker, { amount: '3', unlockBlock: 1005, blockNumber: 990 }),
+      indexedEvent('WithdrawStaking', staker, { amount: '3', blockNumber: 1008 }),
+      indexedEvent('Unstake', staker, { amount: '7', unlockBlock: 1100, blockNumber: 1012 })
+    ]);
+
+    expect(unbonding(staker)).toMatchObject({ status: 'pending', amount: '7.0', unlockBlock: 1100 });
+  });
+
+  test('a withdrawal closes the unbonding, a replayed unstake does not reopen it', () => {
+    const staker = address(0xe22);
+    UnbondingScheduler.onIndexedEvents([indexedEvent('Unstake', staker, { unlockBlock: 1005, blockNumber: 990, logIndex: 2 })]);
+    ws.emit('contractEvent', liveEvent('WithdrawStaking', staker, { blockNumber: 1011 }));
+
+    UnbondingScheduler.onIndexedEvents([indexedEvent('Unstake', staker, { unlockBlock: 1005, blockNumber: 990, logIndex: 2 })]);
+
+    expect(unbonding(staker)).toBeNull();
+  });
+
+  test('a reorg removing an unstake drops its unbonding', () => {
+    const staker = address(0xe31);
+    const other = address(0xe32);
+    ws.emit('contractEvent', liveEvent('Unstake', staker, { unlockBlock: 1200, blockNumber: 1013, logIndex: 4 }));
+    ws.emit('contractEvent', liveEvent('Unstake', other, { unlockBlock: 1200, blockNumber: 1013, logIndex: 5 }));
+
+    ws.emit('eventRemoved', { type: 'eventRemoved', eventName: 'Unstake', blockNumber: 1013, logIndex: 4, reason: 'reorg' });
+    // Other events at the same position are not unbondings
+    ws.emit('eventRemoved', { type: 'eventRemoved', eventName: 'Staking', blockNumber: 1013, logIndex: 5, reason: 'reorg' });
+
+    expect(unbonding(staker)).toBeNull();
+    expect(unbonding(other)).not.toBeNull();
+
+    // The new chain's version of the event is applied again
+    ws.emit('contractEvent', liveEvent('Unstake', staker, { unlockBlock: 1201, blockNumber: 1014 }));
+    expect(unbonding(staker)).toMatchObject({ status: 'pending', unlockBlock: 1201 });
+  });
+
+  test('a reorg removing a withdrawal reopens the unbonding', () => {
+    const staker = address(0xe41);
+    const pendingStaker = address(0xe42);
+    ws.emit('contractEvent', liveEvent('Unstake', staker, { unlockBlock: 1005, blockNumber: 995 }));
+    ws.emit('contractEvent', liveEvent('Unstake', pendingStaker, { unlockBlock: 1300, blockNumber: 1014, logIndex: 1 }));
+    ws.emit('contractEvent', liveEvent('WithdrawStaking', staker, { blockNumber: 1015 }));
+    ws.emit('contractEvent', liveEvent('WithdrawStaking', pendingStaker, { blockNumber: 1015, logIndex: 1 }));
+    expect(unbonding(staker)).toBeNull();
+
+    ws.emit('eventRemoved', { type: 'eventRemoved', eventName: 'WithdrawStaking', blockNumber: 1015, logIndex: 0, reason: 'reorg' });
+    ws.emit('eventRemoved', { type: 'eventRemoved', eventName: 'WithdrawStaking', blockNumber: 1015, logIndex: 1, reason: 'reorg' });
+
+    expect(unbonding(staker)).toMatchObject({ status: 'ready', unlockBlock: 1005 });
+    expect(unbonding(pendingStaker)).toMatchObject({ status: 'pending', unlockBlock: 1300 });
+
+    // Once reopened, removing the unstake drops it
+    ws.emit('eventRemoved', { type: 'eventRemoved', eventName: 'Unstake', blockNumber: 995, logIndex: 0, reason: 'reorg' });
+    expect(unbonding(staker)).toBeNull();
+  });
+
+  test('an indexer rewind undoes the unbondings of replaced blocks, live ones included', () => {
+    const staker = address(0xe51);
+    const withdrawnStaker = address(0xe52);
+    ws.emit('contractEvent', liveEvent('Unstake', withdrawnStaker, { unlockBlock: 1300, blockNumber: 1010 }));
+    ws.emit('contractEvent', liveEvent('Unstake', staker, { unlockBlock: 1300, blockNumber: 1016 }));
+    ws.emit('contractEvent', liveEvent('WithdrawStaking', withdrawnStaker, { blockNumber: 1017 }));
+
+    EventIndexer.emit('rewind', { fromBlock: 1016 });
+
+    expect(unbonding(staker)).toBeNull();
+    expect(unbonding(withdrawnStaker)).toMatchObject({ status: 'pending', unlockBlock: 1300 });
+  });
+});
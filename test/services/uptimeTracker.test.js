@@ -0,0 +1,174 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { UptimeTracker } from "../../src/services/uptimeTracker.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { address } from "../helpers.js";
+
+const validatorA = address(0xc1).toLowerCase();
+const validatorB = address(0xc2).toLowerCase();
+const validatorC = address(0xc3).toLowerCase();
+const sorted = [validatorA, validatorB, validatorC];
+
+// Validator B misses its slots from block 30 on (and block 10), validator A fills them
+const minerOf = (number) => {
+  const expected = sorted[number % sorted.length];
+  return expected === validatorB && (number === 10 || number >= 30) ? validatorA : expected;
+};
+
+describe('UptimeTracker', () => {
+  const saved = {
+    provider: BlockchainService.provider,
+    validatorsContract: BlockchainService.validatorsContract
+  };
+  const archiveReads = [];
+  let head = 40;
+
+  beforeAll(async () => {
+    BlockchainService.validatorsContract = {
+      BlockEpoch: async () => 10n,
+      // Unsorted, checksummed, like the contract returns it
+      getActivatedValidators: async (overrides) => {
+        if (overrides?.blockTag >= 5000) throw new Error('missing trie node');
+        if (overrides) archiveReads.push(overrides.blockTag);
+        return [address(0xc3), address(0xc1), address(0xc2)];
+      }
+    };
+    BlockchainService.provider = {
+      getBlockNumber: async () => head,
+      getBlock: async (number) => (number > head ? null : { number, miner: minerOf(number), timestamp: 1700000000 + number * 3 })
+    };
+    UptimeTracker.epoch = null;
+    UptimeTracker.initialize();
+    UptimeTracker.isRunning = true;
+    await UptimeTracker.sync();
+  });
+
+  afterAll(() => {
+    UptimeTracker.stop();
+    Object.assign(BlockchainService, saved);
+  });
+
+  test('the in-turn validator rotates through the sorted set of the epoch checkpoint', async () => {
+    expect(await UptimeTracker.getEpochValidators(11)).toEqual(sorted);
+    expect(archiveReads).toEqual([0, 10, 20, 30]);
+
+    const rows = UptimeTracker.statements.range.all({ $fromBlock: 30, $toBlock: 32 });
+    expect(rows.map(row => [row.number, row.expected, row.in_turn])).toEqual([
+      [30, validatorA, 1],
+      [31, validatorB, 0],
+      [32, validatorC, 1]
+    ]);
+  });
+
+  test('checkpoints without archive state use the current set', async () => {
+    expect(await UptimeTracker.getEpochValidators(5001)).toEqual(sorted);
+    expect(UptimeTracker.statements.getEpochSet.get(5000).exact).toBe(0);
+  });
+
+  test('missed slots, streaks and score over a window', () => {
+    const stats = UptimeTracker.getWindowStats(20);
+
+    expect(stats).toMatchObject({ fromBlock: 21, toBlock: 40, coverage: 1, rankedValidators: 3 });
+    // Expected at 22, 25, ..., 40; missed 31, 34, 37 and 40
+    expect(stats.validators.get(validatorB)).toMatchObject({
+      expectedBlocks: 7,
+      inTurnBlocks: 3,
+      missedBlocks: 4,
+      currentMissedStreak: 4,
+      longestMissedStreak: 4,
+      lastMissedBlock: 40,
+      lastProducedBlock: 28,
+      uptime: 42.86,
+      performanceScore: 22.86,
+      rank: 3
+    });
+    // Out-of-turn blocks count as produced, not as in-turn slots
+    expect(stats.validators.get(validatorA)).toMatchObject({ expectedBlocks: 7, inTurnBlocks: 7, producedBlocks: 11, uptime: 100, performanceScore: 100 });
+  });
+
+  test('a slot filled in turn ends the streak', async () => {
+    const performance = UptimeTracker.getValidatorPerformance(validatorB, 40);
+    expect(performance).toMatchObject({ longestMissedStreak: 4, currentMissedStreak: 4, missedBlocks: 5 });
+
+    // Validator B produces its slot at block 43 again
+    head = 43;
+    const minerBefore = BlockchainService.provider.getBlock;
+    BlockchainService.provider.getBlock = async (number) => {
+      const block = await minerBefore(number);
+      return block && number === 43 ? { ...block, miner: validatorB } : block;
+    };
+    await UptimeTracker.sync();
+    BlockchainService.provider.getBlock = minerBefore;
+
+    expect(UptimeTracker.getValidatorPerformance(validatorB, 43)).toMatchObject({ currentMissedStreak: 0, longestMissedStreak: 4, missedBlocks: 5, uptime: 66.67 });
+  });
+
+  test('only the configured windows are cached', () => {
+    UptimeTracker.statsCache.clear();
+    const window = UptimeTracker.config.windows[0];
+
+    const first = UptimeTracker.getWindowStats(window);
+    expect(UptimeTracker.getWindowStats(window)).toBe(first);
+    UptimeTracker.getWindowStats(20);
+    UptimeTracker.getWindowStats(21);
+
+    expect(Array.from(UptimeTracker.statsCache.keys())).toEqual([window]);
+  });
+
+  test('a new block invalidates the cached window', async () => {
+    const window = UptimeTracker.config.windows[0];
+    const before = UptimeTracker.getWindowStats(window);
+
+    head = 44;
+    await UptimeTracker.sync();
+
+    const after = UptimeTracker.getWindowStats(window);
+    expect(after).not.toBe(before);
+    expect(after.toBlock).toBe(44);
+  });
+
+  test('a reorg drops the producers and checkpoint sets of replaced blocks', async () => {
+    UptimeTracker.getWindowStats(UptimeTracker.config.windows[0]);
+    archiveReads.length = 0;
+
+    // Block 40 is replaced, so is the validator set read at its state
+    UptimeTracker.handleReorg({ fromBlock: 40 });
+
+    expect(UptimeTracker.lastProcessedBlock).toBe(39);
+    expect(UptimeTracker.statements.getEpochSet.get(40)).toBeNull();
+    expect(UptimeTracker.statsCache.size).toBe(0);
+
+    // On the new chain validator A produced block 43 in place of validator B
+    const minerBefore = BlockchainService.provider.getBlock;
+    BlockchainService.provider.getBlock = async (number) => {
+      const block = await minerBefore(number);
+      return block && number === 43 ? { ...block, miner: validatorA } : block;
+    };
+    try {
+      await UptimeTracker.sync();
+    } finally {
+      BlockchainService.provider.getBlock = minerBefore;
+    }
+
+    expect(archiveReads).toEqual([40]);
+    expect(UptimeTracker.lastProcessedBlock).toBe(44);
+    expect(UptimeTracker.statements.range.all({ $fromBlock: 43, $toBlock: 43 })[0]).toMatchObject({ miner: validatorA, in_turn: 0 });
+  });
+
+  test('blocks fetched before a reorg are not stored', async () => {
+    head = 46;
+    const getBlock = BlockchainService.provider.getBlock;
+    BlockchainService.provider.getBlock = async (number) => {
+      UptimeTracker.handleReorg({ fromBlock: 44 });
+      return getBlock(number);
+    };
+    try {
+      await UptimeTracker.sync();
+    } finally {
+      BlockchainService.provider.getBlock = getBlock;
+    }
+    expect(UptimeTracker.lastProcessedBlock).toBe(43);
+
+    await UptimeTracker.sync();
+    expect(UptimeTracker.lastProcessedBlock).toBe(46);
+  });
+});
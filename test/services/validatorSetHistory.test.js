@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeAll, afterAll } from "bun:test";
+import { ValidatorSetHistory } from "../../src/services/validatorSetHistory.js";
+import { BlockchainService } from "../../src/services/blockchain.js";
+import { address } from "../helpers.js";
+
+const [validatorA, validatorB, validatorC] = [0x7a1, 0x7a2, 0x7a3].map(address);
+const lower = (...validators) => validators.map(validator => validator.toLowerCase());
+
+// ValidatorSetUpdated as the indexer emits it
+const setUpdated = (blockNumber, validators) => ({
+  eventName: 'ValidatorSetUpdated',
+  blockNumber,
+  logIndex: 0,
+  transactionHash: `0x${blockNumber.toString(16).padStart(64, '0')}`,
+  timestamp: 1700000000 + blockNumber * 3,
+  args: { validators }
+});
+
+describe('ValidatorSetHistory', () => {
+  const saved = {
+    provider: BlockchainService.provider,
+    validatorsContract: BlockchainService.validatorsContract
+  };
+  const contractReads = [];
+
+  beforeAll(() => {
+    BlockchainService.provider = { getBlockNumber: async () => 1000 };
+    BlockchainService.validatorsContract = {
+      BlockEpoch: async () => 100n,
+      getActivatedValidators: async ({ blockTag }) => {
+        contractReads.push(blockTag);
+        return [validatorA];
+      }
+    };
+    ValidatorSetHistory.epoch = null;
+    ValidatorSetHistory.initialize();
+    ValidatorSetHistory.handleIndexedEvents([
+      setUpdated(100, [validatorA, validatorB]),
+      setUpdated(200, [validatorA, validatorB, validatorC]),
+      setUpdated(300, [validatorB, validatorC]),
+      setUpdated(400, [validatorA, validatorB, validatorC])
+    ]);
+  });
+
+  afterAll(() => {
+    Object.assign(BlockchainService, saved);
+  });
+
+  test('updates record who joined and left since the previous set', async () => {
+    const { epochs, epochLength } = await ValidatorSetHistory.getEpochs();
+
+    expect(epochLength).toBe(100);
+    expect(epochs.map(({ blockNumber, joined, left }) => [blockNumber, joined, left])).toEqual([
+      [400, lower(validatorA), []],
+      [300, [], lower(validatorA)],
+      [200, lower(validatorC), []],
+      // The first recorded set has no predecessor
+      [100, [], []]
+    ]);
+    expect(epochs[0]).toMatchObject({ epoch: 4, timestamp: new Date((1700000000 + 400 * 3) * 1000).toISOString() });
+  });
+
+  test('a set emitted at block B is active from B + 1 to the next update', async () => {
+    const atUpdate = await ValidatorSetHistory.getSetAt(300);
+    const afterUpdate = await ValidatorSetHistory.getSetAt(301);
+
+    expect(atUpdate).toMatchObject({ validators: lower(validatorA, validatorB, validatorC), activeFromBlock: 201, activeUntilBlock: 300, source: 'index' });
+    expect(afterUpdate).toMatchObject({ validators: lower(validatorB, validatorC), activeFromBlock: 301, activeUntilBlock: 400, epoch: 3 });
+    expect((await ValidatorSetHistory.getSetAt(401)).activeUntilBlock).toBeNull();
+  });
+
+  test('blocks up to the first update are read from the contract', async () => {
+    const result = await ValidatorSetHistory.getSetAt(100);
+
+    expect(result).toMatchObject({ validators: lower(validatorA), activeFromBlock: null, activeUntilBlock: 100, source: 'contract' });
+    expect(contractReads).toEqual([99]);
+  });
+
+  test('tenure splits memberships at the blocks a validator left and rejoined', async () => {
+    const { validators, firstRecordedBlock, currentBlock } = await ValidatorSetHistory.getTenure();
+    const tenureOf = (validator) => validators.find(entry => entry.validator === validator.toLowerCase());
+
+    expect(firstRecordedBlock).toBe(100);
+    expect(tenureOf(validatorA)).toEqual({
+      validator: validatorA.toLowerCase(),
+      active: true,
+      totalBlocks: 200 + 600,
+      periods: [
+        { fromBlock: 101, toBlock: 300, blocks: 200, ongoing: false, sinceFirstRecord: true },
+        { fromBlock: 401, toBlock: null, blocks: currentBlock - 400, ongoing: true, sinceFirstRecord: false }
+      ]
+    });
+    expect(tenureOf(validatorB)).toMatchObject({ totalBlocks: 900, periods: [{ fromBlock: 101, ongoing: true }] });
+    expect(tenureOf(validatorC)).toMatchObject({ totalBlocks: 800, periods: [{ fromBlock: 201, ongoing: true, sinceFirstRecord: false }] });
+    // Longest membership first
+    expect(validators.map(entry => entry.validator)).toEqual(lower(validatorB, validatorA, validatorC));
+
+    const filtered = await ValidatorSetHistory.getTenure(validatorC);
+    expect(filtered.validators.map(entry => entry.validator)).toEqual(lower(validatorC));
+  });
+
+  test('an update recorded again is ignored', async () => {
+    ValidatorSetHistory.handleIndexedEvents([setUpdated(300, [validatorA])]);
+
+    expect((await ValidatorSetHistory.getSetAt(301)).validators).toEqual(lower(validatorB, validatorC));
+  });
+
+  test('a rewind drops the updates of replaced blocks, the new chain is compared with what is left', async () => {
+    ValidatorSetHistory.handleRewind({ fromBlock: 350 });
+    expect(await ValidatorSetHistory.getSetAt(401)).toMatchObject({ validators: lower(validatorB, validatorC), activeFromBlock: 301, activeUntilBlock: null });
+
+    ValidatorSetHistory.handleIndexedEvents([setUpdated(420, [validatorA, validatorB])]);
+
+    const { epochs } = await ValidatorSetHistory.getEpochs();
+    expect(epochs.slice(0, 2).map(({ blockNumber, joined, left }) => [blockNumber, joined, left])).toEqual([
+      [420, lower(validatorA), lower(validatorC)],
+      [300, [], lower(validatorA)]
+    ]);
+  });
+});
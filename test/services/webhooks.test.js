@@ -0,0 +1,298 @@
+import { describe, test, expect, beforeAll, afterAll, afterEach } from "bun:test";
+import { createHmac } from "crypto";
+import { WebhookService, signPayload, isPrivateAddress } from "../../src/services/webhooks.js";
+import { address, sleep } from "../helpers.js";
+
+const SECRET = 'receiver-secret-0123456789';
+
+/**
+ * Webhook receiver on localhost; `respond` decides the answer per request
+ */
+function receiver() {
+  const requests = [];
+  let respond = () => new Response('ok');
+
+  const server = Bun.serve({
+    port: 0,
+    async fetch(request) {
+      const body = await request.text();
+      requests.push({ path: new URL(request.url).pathname, headers: Object.fromEntries(request.headers), body, json: JSON.parse(body) });
+      return respond(request);
+    }
+  });
+
+  return {
+    requests,
+    url: (path = '/hook') => `http://127.0.0.1:${server.port}${path}`,
+    respondWith: (handler) => { respond = handler; },
+    stop: () => server.stop(true)
+  };
+}
+
+// Queue runs skip while one is in progress, wait for it to finish
+const drainQueue = async () => {
+  while (WebhookService.isProcessing) await sleep(5);
+  await WebhookService.processQueue();
+};
+
+describe('webhook signatures', () => {
+  test('sign "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const body = JSON.stringify({ event: 'Staking', data: { amount: '1.0' } });
+    const expected = createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+    expect(signPayload(SECRET, '1700000000', body)).toBe(`sha256=${expected}`);
+    expect(signPayload(SECRET, '1700000001', body)).not.toBe(`sha256=${expected}`);
+    expect(signPayload(`${SECRET}x`, '1700000000', body)).not.toBe(`sha256=${expected}`);
+  });
+});
+
+describe('webhook targets', () => {
+  test('classify internal addresses', () => {
+    for (const ip of ['127.0.0.1', '10.2.3.4', '172.20.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fd00::1', 'fe80::1', '::ffff:127.0.0.1']) {
+      expect(isPrivateAddress(ip)).toBe(true);
+    }
+    for (const ip of ['93.184.216.34', '8.8.8.8', '172.32.0.1', '2606:2800:220:1::1']) {
+      expect(isPrivateAddress(ip)).toBe(false);
+    }
+  });
+
+  test('refuse urls that resolve to internal addresses', async () => {
+    expect(await WebhookService.checkTarget('http://169.254.169.254/latest/meta-data')).toMatch(/private address/);
+    expect(await WebhookService.checkTarget('http://[::1]:8080/hook')).toMatch(/private address/);
+    expect(await WebhookService.checkTarget('http://localhost:3001/hook')).toMatch(/private address \(127\.0\.0\.1\)/);
+    expect(await WebhookService.checkTarget('ftp://93.184.216.34/')).toBe('url must be an http(s) URL');
+    expect(await WebhookService.checkTarget('https://93.184.216.34/hook')).toBeNull();
+    expect(await WebhookService.checkTarget('https://hooks.invalid/hook')).toBe('url host hooks.invalid does not resolve');
+  });
+
+  test('validation reports the refused url', async () => {
+    expect(await WebhookService.validate({ url: 'http://10.0.0.5/hook' })).toEqual(['url host 10.0.0.5 resolves to a private address (10.0.0.5)']);
+    expect(await WebhookService.validate({ description: 'no url' }, true)).toEqual([]);
+  });
+});
+
+describe('webhook access', () => {
+  const adminKey = WebhookService.config.adminKey;
+
+  afterAll(() => {
+    WebhookService.config.adminKey = adminKey;
+  });
+
+  test('the admin key opens every webhook, a secret only its own', () => {
+    WebhookService.config.adminKey = 'admin-key-0123456789';
+    const own = WebhookService.create({ url: 'https://93.184.216.34/a', secret: SECRET, active: false });
+    const other = WebhookService.create({ url: 'https://93.184.216.34/b', active: false });
+
+    expect(WebhookService.isAdmin('admin-key-0123456789')).toBe(true);
+    expect(WebhookService.isAdmin(SECRET)).toBe(false);
+    expect(WebhookService.isOwner(own.id, SECRET)).toBe(true);
+    expect(WebhookService.isOwner(other.id, SECRET)).toBe(false);
+    expect(WebhookService.isOwner('missing', SECRET)).toBe(false);
+
+    WebhookService.config.adminKey = null;
+    expect(WebhookService.isAdmin('')).toBe(false);
+    expect(WebhookService.isAdmin(null)).toBe(false);
+  });
+});
+
+describe('webhook delivery', () => {
+  let server;
+  const config = { ...WebhookService.config };
+
+  beforeAll(() => {
+    server = receiver();
+    WebhookService.initialize();
+    // The receiver runs on localhost
+    WebhookService.config.allowPrivateTargets = true;
+  });
+
+  afterEach(() => {
+    server.requests.length = 0;
+    server.respondWith(() => new Response('ok'));
+  });
+
+  afterAll(() => {
+    server.stop();
+    Object.assign(WebhookService.config, config);
+  });
+
+  test('deliveries carry a signature the receiver can verify', async () => {
+    const webhook = WebhookService.create({ url: server.url(), secret: SECRET });
+
+    const delivery = await WebhookService.testFire(webhook.id);
+
+    expect(delivery).toMatchObject({ status: 'delivered', attempts: 1, responseStatus: 200 });
+    const [request] = server.requests;
+    const expected = createHmac('sha256', SECRET).update(`${request.headers['x-webhook-timestamp']}.${request.body}`).digest('hex');
+    expect(request.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+    expect(request.headers).toMatchObject({ 'x-webhook-id': webhook.id, 'x-webhook-event': 'test', 'x-webhook-delivery': String(delivery.id) });
+    expect(request.json).toMatchObject({ id: delivery.id, event: 'test', webhookId: webhook.id });
+
+    WebhookService.delete(webhook.id);
+  });
+
+  test('failed attempts are retried later, redirects are not followed', async () => {
+    const webhook = WebhookService.create({ url: server.url() });
+    server.respondWith(() => Response.redirect('http://169.254.169.254/latest', 302));
+
+    const delivery = await WebhookService.testFire(webhook.id);
+
+    expect(delivery).toMatchObject({ status: 'pending', attempts: 1, responseStatus: 302, lastError: 'HTTP 302' });
+    expect(server.requests).toHaveLength(1);
+    WebhookService.delete(webhook.id);
+  });
+
+  test('attempts re-check that the webhook is still active and public', async () => {
+    const webhook = WebhookService.create({ url: server.url() });
+    WebhookService.update(webhook.id, { active: false });
+
+    expect(await WebhookService.testFire(webhook.id)).toMatchObject({ status: 'dead', attempts: 1, lastError: 'Webhook is inactive' });
+
+    WebhookService.update(webhook.id, { active: true });
+    WebhookService.config.allowPrivateTargets = false;
+    try {
+      const delivery = await WebhookService.testFire(webhook.id);
+      expect(delivery.status).toBe('dead');
+      expect(delivery.lastError).toMatch(/private address \(127\.0\.0\.1\)/);
+    } finally {
+      WebhookService.config.allowPrivateTargets = true;
+    }
+
+    expect(server.requests).toHaveLength(0);
+    WebhookService.delete(webhook.id);
+  });
+
+  test('deliveries connect to the checked address and keep the url host name', async () => {
+    const webhook = WebhookService.create({ url: `http://hooks.example.test:${new URL(server.url()).port}/hook?source=test` });
+    const lookups = [];
+    WebhookService.resolveHost = async (hostname) => {
+      lookups.push(hostname);
+      return ['127.0.0.1'];
+    };
+
+    try {
+      const delivery = await WebhookService.testFire(webhook.id);
+
+      expect(delivery).toMatchObject({ status: 'delivered', responseStatus: 200 });
+      expect(lookups).toEqual(['hooks.example.test']);
+      expect(server.requests[0].path).toBe('/hook');
+      expect(server.requests[0].headers.host).toBe(`hooks.example.test:${new URL(server.url()).port}`);
+    } finally {
+      delete WebhookService.resolveHost;
+      WebhookService.delete(webhook.id);
+    }
+  });
+
+  test('hosts that do not resolve are not contacted and retried later', async () => {
+    const webhook = WebhookService.create({ url: server.url() });
+    WebhookService.resolveHost = async () => {
+      throw new Error('getaddrinfo ENOTFOUND');
+    };
+
+    try {
+      const delivery = await WebhookService.testFire(webhook.id);
+
+      expect(delivery).toMatchObject({ status: 'pending', attempts: 1, lastError: 'Host 127.0.0.1 does not resolve' });
+      expect(server.requests).toHaveLength(0);
+    } finally {
+      delete WebhookService.resolveHost;
+      WebhookService.delete(webhook.id);
+    }
+  });
+
+  test('deliveries of a deleted webhook are not sent', async () => {
+    const webhook = WebhookService.create({ url: server.url() });
+    const deliveryId = WebhookService.enqueue(webhook.id, 'test', { type: 'test' }, null);
+    const delivery = WebhookService.statements.getDelivery.get(deliveryId);
+    WebhookService.statements.delete.run(webhook.id);
+
+    expect(await WebhookService.attempt(delivery)).toMatchObject({ status: 'dead', lastError: 'Webhook no longer exists' });
+    expect(server.requests).toHaveLength(0);
+    WebhookService.delete(webhook.id);
+  });
+
+  test('dispatch queues a delivery per matching webhook with the event cursor', async () => {
+    const validator = address(0x16a);
+    const webhook = WebhookService.create({ url: server.url(), eventTypes: ['Staking'], addresses: [validator] });
+    const event = { type: 'contractEvent', eventName: 'Staking', cursor: '500:1', blockNumber: 500, data: { validator } };
+
+    expect(WebhookService.dispatch('Unstake', event, [validator.toLowerCase()])).toBe(0);
+    expect(WebhookService.dispatch('Staking', event, [address(0x16b).toLowerCase()])).toBe(0);
+    expect(WebhookService.dispatch('Staking', event, [validator.toLowerCase()])).toBe(1);
+    await drainQueue();
+
+    expect(server.requests.map(request => request.json.data.cursor)).toEqual(['500:1']);
+    expect(WebhookService.statements.cursorDeliveries.all({ $cursor: '500:1' })).toHaveLength(1);
+    WebhookService.delete(webhook.id);
+  });
+});
+
+describe('webhook reorg retraction', () => {
+  let server;
+  const config = { ...WebhookService.config };
+  const removal = (cursor) => ({ type: 'eventRemoved', eventName: 'Staking', cursor, blockNumber: Number(cursor.split(':')[0]), reason: 'reorg' });
+  const statusOf = (id) => WebhookService.statements.getDelivery.get(id).status;
+
+  beforeAll(() => {
+    server = receiver();
+    WebhookService.initialize();
+    WebhookService.config.allowPrivateTargets = true;
+  });
+
+  afterAll(() => {
+    server.stop();
+    Object.assign(WebhookService.config, config);
+  });
+
+  test('queued deliveries are retracted, delivered ones followed by eventRemoved', async () => {
+    const sent = WebhookService.create({ url: server.url('/sent') });
+    const queued = WebhookService.create({ url: server.url('/queued') });
+    const event = { type: 'contractEvent', eventName: 'Staking', cursor: '600:0' };
+
+    const sentId = WebhookService.enqueue(sent.id, 'Staking', event, Date.now(), event.cursor);
+    const queuedId = WebhookService.enqueue(queued.id, 'Staking', event, Date.now() + 60000, event.cursor);
+    await drainQueue();
+    expect(statusOf(sentId)).toBe('delivered');
+
+    expect(WebhookService.handleEventRemoved(removal('600:0'))).toBe(1);
+    await drainQueue();
+
+    expect(statusOf(sentId)).toBe('delivered');
+    expect(statusOf(queuedId)).toBe('retracted');
+    expect(server.requests.map(request => [request.path, request.json.event])).toEqual([
+      ['/sent', 'Staking'],
+      ['/sent', 'eventRemoved']
+    ]);
+    expect(server.requests[1].json.data).toMatchObject({ cursor: '600:0', eventName: 'Staking' });
+
+    // Retracted deliveries are not queued again
+    expect(WebhookService.retry(queuedId)).toBeNull();
+    WebhookService.delete(sent.id);
+    WebhookService.delete(queued.id);
+  });
+
+  test('a delivery in flight during the reorg stays retracted and is followed by eventRemoved', async () => {
+    let release;
+    server.respondWith(() => new Promise(resolve => { release = () => resolve(new Response('ok')); }));
+    server.requests.length = 0;
+    const webhook = WebhookService.create({ url: server.url('/slow') });
+    const deliveryId = WebhookService.enqueue(webhook.id, 'Staking', { cursor: '601:0' }, null, '601:0');
+
+    const attempt = WebhookService.attempt(WebhookService.statements.getDelivery.get(deliveryId));
+    while (!release) await sleep(5);
+
+    server.respondWith(() => new Response('ok'));
+    expect(WebhookService.handleEventRemoved(removal('601:0'))).toBe(1);
+    release();
+    await attempt;
+    await drainQueue();
+
+    expect(statusOf(deliveryId)).toBe('retracted');
+    expect(server.requests.map(request => request.json.event)).toEqual(['Staking', 'eventRemoved']);
+    WebhookService.delete(webhook.id);
+  });
+
+  test('events nobody was sent need no notification', () => {
+    expect(WebhookService.handleEventRemoved(removal('999:0'))).toBe(0);
+  });
+});
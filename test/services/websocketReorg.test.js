@@ -0,0 +1,184 @@
+import { describe, test, expect, beforeEach, afterEach } from "bun:test";
+import { ethers } from "ethers";
+import ValidatorsABI from "../../src/abi/Validators.abi.json";
+import { WebSocketService } from "../../src/services/websocket.js";
+import { ClientSubscription } from "../../src/services/subscriptions.js";
+import { CONTRACT_ADDRESS, address, blockHash, contractLog } from "../helpers.js";
+
+const delegator = address(0x22d);
+const validator = address(0x22a);
+
+// Listeners and polling stay off, blocks and logs are fed by the tests
+class TestWebSocketService extends WebSocketService {
+  initialize() {
+    this.contract = new ethers.Contract(CONTRACT_ADDRESS, ValidatorsABI);
+  }
+}
+
+/**
+ * Chain of blocks where blocks from `forkFrom` on belong to fork `fork`;
+ * getBlock answers by number or hash for the current chain
+ */
+function fakeChain() {
+  const chain = {
+    head: 0,
+    forkFrom: Infinity,
+    fork: 0,
+    logs: [],
+    hashOf(number) {
+      return blockHash(number, number >= chain.forkFrom ? chain.fork : 0);
+    },
+    block(number) {
+      return { number, hash: chain.hashOf(number), parentHash: number > 0 ? chain.hashOf(number - 1) : ethers.ZeroHash };
+    },
+    async getBlock(tag) {
+      if (typeof tag === 'string' && tag.length === 66) {
+        for (let number = chain.head; number >= 0; number--) {
+          if (chain.hashOf(number) === tag) return chain.block(number);
+        }
+        return null;
+      }
+      return Number(tag) <= chain.head ? chain.block(Number(tag)) : null;
+    },
+    async getLogs({ fromBlock, toBlock }) {
+      return chain.logs.filter(log => log.blockNumber >= fromBlock && log.blockNumber <= toBlock);
+    },
+    on() {},
+    off() {}
+  };
+  return chain;
+}
+
+/**
+ * WebSocket stand-in collecting the parsed messages it is sent
+ */
+function fakeSocket(id) {
+  const socket = { id, readyState: 1, messages: [], send: (text) => socket.messages.push(JSON.parse(text)) };
+  socket.ofType = (type) => socket.messages.filter(message => message.type === type);
+  return socket;
+}
+
+const staking = (blockNumber, fork = 0, index = 0) =>
+  contractLog('Staking', [delegator, validator, ethers.parseEther('1')], { blockNumber, fork, index });
+
+describe('WebSocketService reorg handling', () => {
+  let service;
+  let chain;
+
+  const advanceTo = async (head) => {
+    for (let number = chain.head + 1; number <= head; number++) {
+      chain.head = number;
+      service.handleNewBlock(number);
+    }
+    await service.blockQueue;
+  };
+
+  beforeEach(async () => {
+    chain = fakeChain();
+    service = new TestWebSocketService(CONTRACT_ADDRESS);
+    service.provider = chain;
+
+    chain.logs = [staking(10), staking(11), staking(12, 0, 1)];
+    await advanceTo(12);
+    await service.refetchEvents(10, 12);
+  });
+
+  afterEach(() => service.destroy());
+
+  test('a block that does not extend the known chain retracts the replaced events', async () => {
+    const live = fakeSocket('live');
+    service.addClient(live);
+    await service.refetchEvents(10, 12);
+    const removedEvents = [];
+    service.on('eventRemoved', message => removedEvents.push(message.cursor));
+
+    // Blocks 11 and 12 are replaced; the new chain has one Staking event in block 12
+    chain.forkFrom = 11;
+    chain.fork = 1;
+    chain.logs = [staking(10), staking(12, 1, 0)];
+    await advanceTo(13);
+
+    expect(service.reorgStats).toMatchObject({ detected: 1, deepest: 2, removedEvents: 2 });
+    expect(service.reorgStats.lastReorg).toMatchObject({ fromBlock: 11, toBlock: 12, newHead: 13, depth: 2 });
+    expect(removedEvents).toEqual(['11:0', '12:1']);
+    expect(live.ofType('eventRemoved').map(message => [message.cursor, message.blockHash])).toEqual([
+      ['11:0', blockHash(11)],
+      ['12:1', blockHash(12)]
+    ]);
+    expect(live.ofType('reorg')[0].data).toMatchObject({ fromBlock: 11, toBlock: 12, removedEvents: 2 });
+
+    // The new chain's events replace the old ones
+    expect(service.replayBuffer.entries.map(entry => [entry.message.cursor, entry.message.blockHash])).toEqual([
+      ['10:0', blockHash(10)],
+      ['12:0', blockHash(12, 1)]
+    ]);
+    expect(live.ofType('contractEvent').at(-1)).toMatchObject({ cursor: '12:0', blockHash: blockHash(12, 1) });
+    expect(service.blockHashes.get(11)).toBe(blockHash(11, 1));
+    expect(service.headBlock).toBe(13);
+  });
+
+  test('a block number seen again with another hash is a reorg too', async () => {
+    chain.forkFrom = 12;
+    chain.fork = 2;
+    chain.logs = [staking(10), staking(11)];
+    service.handleNewBlock(12);
+    await service.blockQueue;
+
+    expect(service.reorgStats.lastReorg).toMatchObject({ fromBlock: 12, depth: 1, removedEvents: 1 });
+    expect(service.replayBuffer.entries.map(entry => entry.message.cursor)).toEqual(['10:0', '11:0']);
+  });
+
+  test('repeated notifications of known blocks change nothing', async () => {
+    service.handleNewBlock(11);
+    service.handleNewBlock(12);
+    await service.blockQueue;
+
+    expect(service.reorgStats.detected).toBe(0);
+    expect(service.headBlock).toBe(12);
+    expect(service.replayBuffer.entries).toHaveLength(3);
+  });
+
+  test('removed logs retract their event', () => {
+    const live = fakeSocket('removed-log');
+    service.addClient(live);
+
+    const log = { ...staking(11), removed: true };
+    service.handleContractEvent('Staking', log, [delegator, validator, ethers.parseEther('1'), log]);
+
+    expect(live.ofType('eventRemoved').map(message => message.cursor)).toEqual(['11:0']);
+    expect(service.replayBuffer.entries.map(entry => entry.message.cursor)).toEqual(['10:0', '12:1']);
+  });
+
+  test('events from blocks replaced before they arrive are ignored', () => {
+    const live = fakeSocket('late');
+    service.addClient(live);
+
+    const log = staking(12, 5, 3);
+    service.handleContractEvent('Staking', log, [delegator, validator, ethers.parseEther('1'), log]);
+
+    expect(live.ofType('contractEvent')).toHaveLength(0);
+    expect(service.replayBuffer.entries).toHaveLength(3);
+  });
+
+  test('confirmation-depth clients only hear about events they were sent', async () => {
+    const confirmed = fakeSocket('confirmed');
+    const subscription = new ClientSubscription();
+    expect(subscription.subscribe({ confirmations: 2 })).toEqual([]);
+    service.addClient(confirmed, subscription);
+
+    // Head 13: events up to block 12 have 2 confirmations
+    chain.logs.push(staking(13));
+    await advanceTo(13);
+    await service.refetchEvents(13, 13);
+    expect(confirmed.ofType('contractEvent').map(message => message.cursor)).toEqual(['12:1']);
+
+    // Blocks 12 and 13 replaced: only 12:1 was delivered to the client
+    chain.forkFrom = 12;
+    chain.fork = 1;
+    chain.logs = [staking(10), staking(11)];
+    await advanceTo(14);
+
+    expect(confirmed.ofType('eventRemoved').map(message => message.cursor)).toEqual(['12:1']);
+    expect(subscription.confirmedBlock).toBe(13);
+  });
+});
@@ -0,0 +1,6 @@
+// Environment for `bun test`, read by src/config when the first module imports it
+process.env.NODE_ENV = 'test';
+process.env.DB_PATH = ':memory:';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'warn';
+process.env.CACHE_BACKEND = 'memory';
+process.env.INDEXER_ENABLED = 'false';